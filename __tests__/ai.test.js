@@ -0,0 +1,170 @@
+// generateAIResponse end to end against the offline mock provider; only storage is mocked
+import { jest, describe, test, expect, beforeAll, beforeEach } from '@jest/globals';
+
+jest.unstable_mockModule('../utils/logger.js', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+
+const db = {
+  saveAIMessage: jest.fn(async () => 1),
+  getAIMessages: jest.fn(async () => []),
+  clearAIMessages: jest.fn(),
+  getAIMessageStats: jest.fn(),
+  getOpenAIHandoff: jest.fn(async () => null),
+  getAITools: jest.fn(async () => []),
+  getAIProfiles: jest.fn(async () => []),
+  getContactByPhone: jest.fn(async () => null),
+  saveAIToolCall: jest.fn(),
+  saveAIDraft: jest.fn(),
+  getAIDraftById: jest.fn(),
+  updateAIDraft: jest.fn(),
+  saveAIHandoff: jest.fn(),
+  saveAIUsage: jest.fn(async () => 1),
+  getAIUsageTotals: jest.fn(),
+  getAIUsageGroups: jest.fn(),
+  getAISessionSpend: jest.fn(async () => ({ tokens: 0, cost: 0 })),
+  getAIBudget: jest.fn(async () => null),
+  markAIBudgetExceeded: jest.fn(async () => true),
+  saveKnowledgeDocument: jest.fn(),
+  updateKnowledgeDocument: jest.fn(),
+  searchKnowledgeChunks: jest.fn(async () => []),
+  getKnowledgeChunksByIds: jest.fn(async () => []),
+  getKnowledgeEmbeddings: jest.fn(async () => []),
+  getKnowledgeChunksWithoutEmbedding: jest.fn(async () => []),
+  setKnowledgeChunkEmbedding: jest.fn()
+};
+jest.unstable_mockModule('../db.js', () => db);
+
+jest.unstable_mockModule('../queue.js', () => ({
+  addMessageToQueue: jest.fn()
+}));
+
+const webhooks = { triggerWebhookEvent: jest.fn(async () => {}) };
+jest.unstable_mockModule('../webhooks.js', () => webhooks);
+
+// Read when ai.js is imported
+process.env.AI_ENABLED = 'true';
+process.env.AI_PROVIDER = 'mock';
+process.env.AI_MODEL = 'mock-default';
+process.env.AI_HISTORY_TOKEN_BUDGET = '20';
+process.env.AI_KNOWLEDGE_TOP_K = '0';
+
+const { initAI, generateAIResponse } = await import('../ai.js');
+const { estimateTokens } = await import('../utils/tokens.js');
+
+const message = {
+  message: 'When do you open?',
+  chatId: '60123456789@c.us',
+  senderName: 'Alice',
+  senderId: '60123456789@c.us',
+  sessionId: 'main',
+  isGroup: false
+};
+
+function profile(id, extra = {}) {
+  return {
+    id,
+    name: `profile-${id}`,
+    system_prompt: null,
+    model: null,
+    max_tokens: null,
+    temperature: null,
+    language: null,
+    approval_mode: null,
+    auto_send_confidence: null,
+    handoff_enabled: null,
+    response_delay: null,
+    reply_in_personal: 1,
+    reply_in_groups: 1,
+    group_mention_only: 0,
+    mention_names: [],
+    allowed_hours: null,
+    chat_ids: [],
+    contact_tags: [],
+    session_ids: [],
+    is_default: 0,
+    ...extra
+  };
+}
+
+// The usage row written for the reply itself
+function replyUsage() {
+  return db.saveAIUsage.mock.calls.map(([row]) => row).find(row => row.outcome === 'reply');
+}
+
+beforeAll(async () => {
+  expect(await initAI()).toBe(true);
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  db.getAIProfiles.mockResolvedValue([]);
+  db.getAIMessages.mockResolvedValue([]);
+  db.getAIBudget.mockResolvedValue(null);
+});
+
+describe('generateAIResponse', () => {
+  test('replies through the mock provider and records the usage', async () => {
+    const reply = await generateAIResponse(message);
+
+    expect(reply).toMatchObject({ content: 'Mock reply: When do you open?', requiresApproval: false, profileId: null });
+    expect(replyUsage()).toMatchObject({
+      chatId: message.chatId,
+      sessionId: 'main',
+      provider: 'mock',
+      model: 'mock-default',
+      completionTokens: estimateTokens('Mock reply: When do you open?'),
+      tokensEstimated: false,
+      outcome: 'reply'
+    });
+    expect(db.saveAIMessage).toHaveBeenCalledWith(expect.objectContaining({ chatId: message.chatId, role: 'user', content: message.message, senderName: 'Alice' }));
+    expect(db.saveAIMessage).toHaveBeenCalledWith(expect.objectContaining({ chatId: message.chatId, role: 'assistant', content: reply.content }));
+  });
+
+  test('uses the profile assigned to the chat over the session and default profiles', async () => {
+    db.getAIProfiles.mockResolvedValue([
+      profile(1, { is_default: 1, model: 'default-model' }),
+      profile(2, { session_ids: ['main'], model: 'session-model' }),
+      profile(3, { chat_ids: [message.chatId], model: 'chat-model', response_delay: 1500 })
+    ]);
+
+    const reply = await generateAIResponse(message);
+
+    expect(reply).toMatchObject({ profileId: 3, responseDelay: 1500 });
+    expect(replyUsage().model).toBe('chat-model');
+  });
+
+  test('stays silent when the resolved profile does not reply in personal chats', async () => {
+    db.getAIProfiles.mockResolvedValue([profile(1, { is_default: 1, reply_in_personal: 0 })]);
+
+    expect(await generateAIResponse(message)).toBeNull();
+    expect(db.saveAIUsage).not.toHaveBeenCalled();
+  });
+
+  test('sends only the newest history that fits the token budget', async () => {
+    const withoutHistory = await generateAIResponse(message).then(replyUsage);
+    jest.clearAllMocks();
+
+    const recent = { role: 'assistant', content: 'We open at 9am.', tokens: 8 };
+    db.getAIMessages.mockResolvedValue([
+      { role: 'user', content: 'x'.repeat(400), tokens: 104 },
+      recent
+    ]);
+
+    const withHistory = await generateAIResponse(message).then(replyUsage);
+
+    expect(withHistory.promptTokens - withoutHistory.promptTokens).toBe(estimateTokens(recent.content));
+  });
+
+  test('does not reply while the session is over its budget', async () => {
+    db.getAIBudget.mockResolvedValue({ daily_tokens: 1000, monthly_tokens: null, daily_cost: null, monthly_cost: null });
+    db.getAISessionSpend.mockResolvedValue({ tokens: 1200, cost: 0 });
+
+    expect(await generateAIResponse(message)).toBeNull();
+    expect(db.saveAIUsage).not.toHaveBeenCalled();
+    expect(webhooks.triggerWebhookEvent).toHaveBeenCalledWith('ai.budget.exceeded', expect.objectContaining({
+      sessionId: 'main',
+      exceeded: ['dailyTokens']
+    }));
+  });
+});
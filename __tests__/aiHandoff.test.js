@@ -0,0 +1,60 @@
+import { jest, describe, test, expect } from '@jest/globals';
+
+jest.unstable_mockModule('../utils/logger.js', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+
+jest.unstable_mockModule('../db.js', () => ({
+  saveAIDraft: jest.fn(),
+  getAIDraftById: jest.fn(),
+  updateAIDraft: jest.fn(),
+  saveAIHandoff: jest.fn(),
+  getOpenAIHandoff: jest.fn(),
+  saveAIMessage: jest.fn()
+}));
+
+jest.unstable_mockModule('../queue.js', () => ({
+  addMessageToQueue: jest.fn()
+}));
+
+jest.unstable_mockModule('../webhooks.js', () => ({
+  triggerWebhookEvent: jest.fn()
+}));
+
+const { matchHandoffKeyword, parseHandoffMarker, parseConfidenceMarker } = await import('../aiHandoff.js');
+
+describe('matchHandoffKeyword', () => {
+  test('matches whole words in any case', () => {
+    expect(matchHandoffKeyword('Can I talk to a HUMAN please?')).toBe('human');
+    expect(matchHandoffKeyword('I need customer   service')).toBe('customer service');
+  });
+
+  test('ignores keywords inside other words', () => {
+    expect(matchHandoffKeyword('Our agents are humane')).toBeNull();
+    expect(matchHandoffKeyword(null)).toBeNull();
+  });
+});
+
+describe('parseHandoffMarker', () => {
+  test('returns the reason after the marker', () => {
+    expect(parseHandoffMarker('[HANDOFF]: refund over the limit')).toBe('refund over the limit');
+    expect(parseHandoffMarker('[handoff]')).toBe('');
+  });
+
+  test('returns null for a normal reply', () => {
+    expect(parseHandoffMarker('We open at 9. [HANDOFF]')).toBeNull();
+  });
+});
+
+describe('parseConfidenceMarker', () => {
+  test('splits the rating line off the reply', () => {
+    expect(parseConfidenceMarker('We open at 9am [1].\n[CONFIDENCE] 0.85')).toEqual({ content: 'We open at 9am [1].', rating: 0.85 });
+    expect(parseConfidenceMarker('Yes.\n[confidence]: 1.')).toEqual({ content: 'Yes.', rating: 1 });
+  });
+
+  test('gives no rating when the line is missing, not last or out of range', () => {
+    expect(parseConfidenceMarker('We open at 9am.')).toEqual({ content: 'We open at 9am.', rating: null });
+    expect(parseConfidenceMarker('[CONFIDENCE] 0.9\nWe open at 9am.').rating).toBeNull();
+    expect(parseConfidenceMarker('We open at 9am.\n[CONFIDENCE] 7')).toEqual({ content: 'We open at 9am.', rating: null });
+  });
+});
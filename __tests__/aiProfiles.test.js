@@ -0,0 +1,53 @@
+import { jest, describe, test, expect } from '@jest/globals';
+
+jest.unstable_mockModule('../db.js', () => ({
+  getAIProfiles: jest.fn(async () => []),
+  getContactByPhone: jest.fn(async () => null)
+}));
+
+const { getReplyBlock } = await import('../aiProfiles.js');
+
+const message = { message: 'Hello', isGroup: false };
+
+function profile(allowedHours) {
+  return {
+    reply_in_personal: 1,
+    reply_in_groups: 1,
+    group_mention_only: 0,
+    mention_names: [],
+    allowed_hours: allowedHours
+  };
+}
+
+describe('getReplyBlock allowed hours', () => {
+  // Fridays only, 22:00 to 02:00 Kuala Lumpur time (UTC+8)
+  const overnight = profile({ start: '22:00', end: '02:00', timezone: 'Asia/Kuala_Lumpur', days: [5] });
+
+  test('replies inside a window on an allowed day', () => {
+    // Friday 3 May 2024, 23:00 local
+    expect(getReplyBlock(overnight, message, new Date('2024-05-03T15:00:00Z'))).toBeNull();
+  });
+
+  test('replies after midnight in a window that opened on an allowed day', () => {
+    // Saturday 4 May 2024, 01:00 local, in the window that opened on Friday
+    expect(getReplyBlock(overnight, message, new Date('2024-05-03T17:00:00Z'))).toBeNull();
+  });
+
+  test('stays silent after midnight in a window that opened on a day not allowed', () => {
+    // Friday 3 May 2024, 01:00 local, in the window that opened on Thursday
+    expect(getReplyBlock(overnight, message, new Date('2024-05-02T17:00:00Z'))).toBe('outsideHours');
+  });
+
+  test('stays silent outside the window', () => {
+    // Friday 3 May 2024, 12:00 local
+    expect(getReplyBlock(overnight, message, new Date('2024-05-03T04:00:00Z'))).toBe('outsideHours');
+  });
+
+  test('checks the current day for a window within one day', () => {
+    const weekdays = profile({ start: '09:00', end: '18:00', timezone: 'UTC', days: [1, 2, 3, 4, 5] });
+
+    // Wednesday 1 May 2024 and Saturday 4 May 2024, 10:00 UTC
+    expect(getReplyBlock(weekdays, message, new Date('2024-05-01T10:00:00Z'))).toBeNull();
+    expect(getReplyBlock(weekdays, message, new Date('2024-05-04T10:00:00Z'))).toBe('outsideHours');
+  });
+});
@@ -0,0 +1,79 @@
+import { jest, describe, test, expect, beforeEach } from '@jest/globals';
+
+jest.unstable_mockModule('../utils/logger.js', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+
+const db = {
+  getContactByPhone: jest.fn(async () => null),
+  saveAIToolCall: jest.fn(async () => 7)
+};
+jest.unstable_mockModule('../db.js', () => db);
+
+const queue = {
+  addMessageToQueue: jest.fn(async ({ sendAt }) => ({ scheduleId: 3, nextRunAt: sendAt }))
+};
+jest.unstable_mockModule('../queue.js', () => queue);
+
+const { executeAITool, validateToolArguments } = await import('../aiTools.js');
+
+const followUp = { id: 1, name: 'follow_up', type: 'schedule_follow_up' };
+const context = { source: 'ai', chatId: '60123456789@c.us', sessionId: 'main', recipient: '+60123456789' };
+
+beforeEach(() => {
+  queue.addMessageToQueue.mockClear();
+  db.saveAIToolCall.mockClear();
+});
+
+describe('validateToolArguments', () => {
+  const schema = {
+    type: 'object',
+    properties: { orderId: { type: 'string' }, count: { type: 'integer' }, size: { type: 'string', enum: ['S', 'M'] } },
+    required: ['orderId']
+  };
+
+  test('accepts matching arguments and ignores undeclared ones', () => {
+    expect(validateToolArguments(schema, { orderId: 'A1', count: 2, size: 'M', extra: true })).toEqual([]);
+  });
+
+  test('reports missing, mistyped and out-of-enum arguments', () => {
+    expect(validateToolArguments(schema, { count: 1.5, size: 'XL' })).toEqual([
+      'orderId is required',
+      'count must be of type integer',
+      'size must be one of: S, M'
+    ]);
+    expect(validateToolArguments(schema, 'A1')).toEqual(['Arguments must be a JSON object']);
+  });
+});
+
+describe('schedule_follow_up', () => {
+  const args = { message: 'Did the parcel arrive?', delayMinutes: 60 };
+
+  test('queues a message back to the chat', async () => {
+    const outcome = await executeAITool({ name: 'follow_up', tool: followUp, args }, context);
+
+    expect(outcome).toMatchObject({ callId: 7, status: 'success', error: null });
+    expect(queue.addMessageToQueue).toHaveBeenCalledWith(expect.objectContaining({
+      recipient: '+60123456789',
+      content: 'Did the parcel arrive?',
+      jobType: 'send_message',
+      sessionId: 'main'
+    }));
+  });
+
+  test('refuses in approval mode so nothing bypasses the draft inbox', async () => {
+    const outcome = await executeAITool({ name: 'follow_up', tool: followUp, args }, { ...context, approvalMode: true });
+
+    expect(outcome.status).toBe('error');
+    expect(outcome.error).toMatch(/need approval/);
+    expect(queue.addMessageToQueue).not.toHaveBeenCalled();
+    expect(db.saveAIToolCall).toHaveBeenCalledWith(expect.objectContaining({ status: 'error', toolName: 'follow_up' }));
+  });
+
+  test('rejects a delay out of range', async () => {
+    const outcome = await executeAITool({ name: 'follow_up', tool: followUp, args: { ...args, delayMinutes: 0 } }, context);
+
+    expect(outcome.error).toBe('delayMinutes must be from 1 to 43200');
+    expect(queue.addMessageToQueue).not.toHaveBeenCalled();
+  });
+});
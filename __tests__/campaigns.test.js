@@ -0,0 +1,55 @@
+import { jest, describe, test, expect } from '@jest/globals';
+
+jest.unstable_mockModule('../utils/logger.js', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+
+jest.unstable_mockModule('../db.js', () => ({
+  saveCampaign: jest.fn(),
+  getCampaign: jest.fn(),
+  getCampaigns: jest.fn(),
+  updateCampaign: jest.fn(),
+  getCampaignCounts: jest.fn(),
+  getPendingCampaignRecipients: jest.fn(),
+  getUnfinishedCampaignRecipients: jest.fn(),
+  updateCampaignRecipient: jest.fn(),
+  cancelPendingCampaignRecipients: jest.fn(),
+  updateQueueJob: jest.fn()
+}));
+
+jest.unstable_mockModule('../queue.js', () => ({
+  addMessageToQueue: jest.fn(),
+  queue: null
+}));
+
+// Read when utils/phone.js is imported
+process.env.DEFAULT_COUNTRY_CODE = '60';
+
+const { parseRecipientList, CampaignError } = await import('../campaigns.js');
+
+describe('parseRecipientList', () => {
+  test('normalises CSV phone numbers to E.164', () => {
+    const recipients = parseRecipientList('phone,name\n60123456789,Ali\n012-345 6789,Siti\n+60198765432,Bob\n');
+
+    expect(recipients).toEqual([
+      { recipient: '+60123456789', variables: { name: 'Ali' } },
+      { recipient: '+60123456789', variables: { name: 'Siti' } },
+      { recipient: '+60198765432', variables: { name: 'Bob' } }
+    ]);
+  });
+
+  test('reports rows that are not phone numbers', () => {
+    let error;
+    try {
+      parseRecipientList([{ recipient: 'Alice' }, { recipient: '+60123456789' }, { phone: '' }]);
+    } catch (err) {
+      error = err;
+    }
+
+    expect(error).toBeInstanceOf(CampaignError);
+    expect(error.details).toEqual([
+      { row: 1, recipient: 'Alice', message: 'Invalid phone number: Alice' },
+      { row: 3, message: 'Recipient is required' }
+    ]);
+  });
+});
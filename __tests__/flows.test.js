@@ -0,0 +1,96 @@
+import { jest, describe, test, expect } from '@jest/globals';
+
+jest.unstable_mockModule('../utils/logger.js', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+
+const db = {
+  getFlows: jest.fn(async () => []),
+  getFlowById: jest.fn(async () => null),
+  saveFlowConversation: jest.fn(async () => 1),
+  getOpenFlowConversation: jest.fn(async () => null),
+  getExpiredFlowConversations: jest.fn(async () => []),
+  updateFlowConversation: jest.fn(async () => {}),
+  getRules: jest.fn(async () => []),
+  getRuleFiring: jest.fn(async () => null),
+  saveRuleFiring: jest.fn(async () => {}),
+  countIncomingChatMessages: jest.fn(async () => 0),
+  getTemplateByName: jest.fn(async () => null)
+};
+jest.unstable_mockModule('../db.js', () => db);
+
+const queue = {
+  addMessageToQueue: jest.fn(async () => ({ jobId: 'job', status: 'queued' }))
+};
+jest.unstable_mockModule('../queue.js', () => queue);
+
+jest.unstable_mockModule('../webhooks.js', () => ({
+  triggerWebhookEvent: jest.fn(async () => {})
+}));
+
+const { interpolate, simulateFlow, handleFlowMessage, validateFlowGraph } = await import('../flows.js');
+
+describe('interpolate', () => {
+  test('fills nested values and blanks missing ones', () => {
+    expect(interpolate('{{order.status}} for {{name}}{{missing}}', { order: { status: 'Shipped' }, name: 'Alice' }))
+      .toBe('Shipped for Alice');
+  });
+
+  test('encodes each value when given an encoder', () => {
+    expect(interpolate('https://api.test/orders/{{id}}?q={{q}}', { id: '1/2#x', q: 'a&b=c' }, encodeURIComponent))
+      .toBe('https://api.test/orders/1%2F2%23x?q=a%26b%3Dc');
+  });
+});
+
+describe('validateFlowGraph', () => {
+  test('accepts only media types the WhatsApp driver can send', () => {
+    const nodes = mediaType => ({ send: { type: 'send_message', mediaUrl: 'https://example.test/file', mediaType } });
+
+    expect(() => validateFlowGraph('send', nodes('image'))).not.toThrow();
+    expect(() => validateFlowGraph('send', nodes('audio')))
+      .toThrow('node "send" mediaType must be one of: image, video, document');
+  });
+});
+
+describe('call_webhook', () => {
+  test('URL-encodes replies so they cannot change the path or query', async () => {
+    const flow = {
+      id: 1,
+      start_node: 'ask',
+      nodes: {
+        ask: { type: 'wait_for_reply', variable: 'orderId', next: 'lookup' },
+        lookup: { type: 'call_webhook', method: 'GET', url: 'https://shop.test/orders/{{orderId}}?source=flow' }
+      }
+    };
+
+    const { transcript } = await simulateFlow(flow, { inputs: ['42/../admin?delete=1#'] });
+
+    expect(transcript.find(entry => entry.type === 'webhook').url)
+      .toBe('https://shop.test/orders/42%2F..%2Fadmin%3Fdelete%3D1%23?source=flow');
+  });
+});
+
+describe('handleFlowMessage', () => {
+  test('queues the sends of one turn with increasing delays so they arrive in order', async () => {
+    db.getFlows.mockResolvedValue([{
+      id: 1,
+      name: 'Welcome',
+      trigger: { exact: ['hi'] },
+      start_node: 'one',
+      nodes: {
+        one: { type: 'send_message', content: 'First', next: 'two' },
+        two: { type: 'send_message', content: 'Second', next: 'three' },
+        three: { type: 'send_message', content: 'Third' }
+      }
+    }]);
+
+    const handled = await handleFlowMessage({ chatId: '60123456789@c.us', content: 'hi', senderName: 'Alice' }, '+60123456789');
+
+    expect(handled).toBe(true);
+    const sends = queue.addMessageToQueue.mock.calls.map(([job]) => ({ content: job.content, delay: job.delay }));
+    expect(sends.map(send => send.content)).toEqual(['First', 'Second', 'Third']);
+    expect(sends[0].delay).toBeGreaterThan(0);
+    expect(sends[1].delay).toBeGreaterThan(sends[0].delay);
+    expect(sends[2].delay).toBeGreaterThan(sends[1].delay);
+  });
+});
@@ -0,0 +1,67 @@
+import { jest, describe, test, expect } from '@jest/globals';
+import express from 'express';
+import request from 'supertest';
+
+jest.unstable_mockModule('../utils/logger.js', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+
+const storedHook = {
+  id: 1,
+  name: 'orders',
+  token: 'stored-token-0123456789',
+  mapping: { recipient: '$.phone', template: 'order_shipped', variables: {} },
+  templates: ['order_shipped'],
+  rate_limit_per_minute: 60,
+  is_active: 1
+};
+
+const db = {
+  saveInboundHook: jest.fn(async () => 1),
+  getInboundHooks: jest.fn(async () => [storedHook]),
+  getInboundHookById: jest.fn(async () => storedHook),
+  updateInboundHook: jest.fn(),
+  deleteInboundHook: jest.fn(),
+  getTemplateByName: jest.fn()
+};
+jest.unstable_mockModule('../db.js', () => db);
+
+jest.unstable_mockModule('../queue.js', () => ({
+  addMessageToQueue: jest.fn()
+}));
+
+const { default: router } = await import('../routes/inboundHooks.js');
+
+const app = express();
+app.use(express.json());
+app.use('/api/inbound-hooks', router);
+
+describe('inbound hook tokens', () => {
+  test('are left out of the list and detail responses', async () => {
+    const list = await request(app).get('/api/inbound-hooks');
+    const detail = await request(app).get('/api/inbound-hooks/1');
+
+    expect(list.status).toBe(200);
+    expect(list.body.data[0]).toMatchObject({ id: 1, name: 'orders' });
+    expect(list.body.data[0]).not.toHaveProperty('token');
+    expect(detail.body.data).not.toHaveProperty('token');
+  });
+
+  test('are returned when a hook is created', async () => {
+    const res = await request(app)
+      .post('/api/inbound-hooks')
+      .send({ name: 'orders', mapping: storedHook.mapping, templates: ['order_shipped'] });
+
+    expect(res.status).toBe(201);
+    const { token } = db.saveInboundHook.mock.calls[0][0];
+    expect(res.body.data).toMatchObject({ token, url: `/hooks/in/${token}` });
+  });
+
+  test('are returned when rotated', async () => {
+    const res = await request(app).post('/api/inbound-hooks/1/token');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.token).toEqual(expect.any(String));
+    expect(res.body.data.url).toBe(`/hooks/in/${res.body.data.token}`);
+  });
+});
@@ -0,0 +1,41 @@
+import { jest, describe, test, expect } from '@jest/globals';
+
+jest.unstable_mockModule('../utils/logger.js', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+
+jest.unstable_mockModule('../db.js', () => ({
+  getTemplateByName: jest.fn(),
+  updateInboundHook: jest.fn()
+}));
+
+jest.unstable_mockModule('../queue.js', () => ({
+  addMessageToQueue: jest.fn()
+}));
+
+// Read when utils/phone.js is imported
+process.env.DEFAULT_COUNTRY_CODE = '60';
+
+const { mapInboundPayload } = await import('../inboundHooks.js');
+const { ValidationError } = await import('../middleware/errorHandler.js');
+
+const mapping = { recipient: '$.customer.phone', template: 'order_shipped', variables: { order: '$.id' } };
+
+describe('mapInboundPayload', () => {
+  test('pulls the recipient, template and variables out of the payload', () => {
+    expect(mapInboundPayload(mapping, { id: 42, customer: { phone: '+60123456789' } })).toEqual({
+      recipient: '+60123456789',
+      templateName: 'order_shipped',
+      variables: { order: 42 }
+    });
+  });
+
+  test('normalises a recipient without a plus or with a leading 0', () => {
+    expect(mapInboundPayload(mapping, { customer: { phone: '60123456789' } }).recipient).toBe('+60123456789');
+    expect(mapInboundPayload(mapping, { customer: { phone: '012-345 6789' } }).recipient).toBe('+60123456789');
+  });
+
+  test('rejects a recipient that is not a phone number', () => {
+    expect(() => mapInboundPayload(mapping, { customer: { phone: 'Alice' } })).toThrow(ValidationError);
+  });
+});
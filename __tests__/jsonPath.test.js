@@ -0,0 +1,44 @@
+import { jest, describe, test, expect } from '@jest/globals';
+
+jest.unstable_mockModule('../utils/logger.js', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+
+const { parseJsonPath, extractJsonPath } = await import('../utils/jsonPath.js');
+const { ValidationError } = await import('../middleware/errorHandler.js');
+
+describe('parseJsonPath', () => {
+  test('splits dotted names, indexes and quoted keys', () => {
+    expect(parseJsonPath(`$.order.items[0]['unit price']["sku-id"]`))
+      .toEqual(['order', 'items', 0, 'unit price', 'sku-id']);
+  });
+
+  test('treats $ alone as the whole document', () => {
+    expect(parseJsonPath('$')).toEqual([]);
+  });
+
+  test('rejects paths without $ or with invalid steps', () => {
+    expect(() => parseJsonPath('order.id')).toThrow(ValidationError);
+    expect(() => parseJsonPath('$.order..id')).toThrow('Invalid path "$.order..id" near "..id"');
+    expect(() => parseJsonPath('$.items[-1]')).toThrow(ValidationError);
+  });
+});
+
+describe('extractJsonPath', () => {
+  const payload = {
+    customer: { phone: '+60123456789', name: null },
+    items: [{ sku: 'A1' }, { sku: 'B2' }]
+  };
+
+  test('reads nested values and array elements', () => {
+    expect(extractJsonPath(payload, '$.customer.phone')).toBe('+60123456789');
+    expect(extractJsonPath(payload, '$.items[1].sku')).toBe('B2');
+    expect(extractJsonPath(payload, '$')).toBe(payload);
+  });
+
+  test('returns undefined when a step is missing', () => {
+    expect(extractJsonPath(payload, '$.items[5].sku')).toBeUndefined();
+    expect(extractJsonPath(payload, '$.customer.name.first')).toBeUndefined();
+    expect(extractJsonPath(payload, '$.customer.phone.length')).toBeUndefined();
+  });
+});
@@ -0,0 +1,85 @@
+import { jest, describe, test, expect } from '@jest/globals';
+
+jest.unstable_mockModule('../utils/logger.js', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+
+jest.unstable_mockModule('../db.js', () => ({
+  saveKnowledgeDocument: jest.fn(),
+  updateKnowledgeDocument: jest.fn(),
+  searchKnowledgeChunks: jest.fn(),
+  getKnowledgeChunksByIds: jest.fn(),
+  getKnowledgeEmbeddings: jest.fn(),
+  getKnowledgeChunksWithoutEmbedding: jest.fn(),
+  setKnowledgeChunkEmbedding: jest.fn()
+}));
+
+const { chunkDocument, buildMatchQuery } = await import('../knowledge.js');
+
+describe('chunkDocument', () => {
+  test('keeps short paragraphs together in one chunk', () => {
+    expect(chunkDocument('First paragraph.\n\nSecond paragraph.')).toEqual([
+      { heading: null, content: 'First paragraph.\n\nSecond paragraph.', tokens: 9 }
+    ]);
+  });
+
+  test('starts a new chunk at each Markdown heading and keeps it for citations', () => {
+    const markdown = '# Shipping\nWe ship daily.\n\n## Returns ##\nReturns within 30 days.\nKeep the receipt.';
+
+    expect(chunkDocument(markdown, 'markdown').map(({ heading, content }) => ({ heading, content }))).toEqual([
+      { heading: 'Shipping', content: 'We ship daily.' },
+      { heading: 'Returns', content: 'Returns within 30 days. Keep the receipt.' }
+    ]);
+  });
+
+  test('treats # as text outside Markdown', () => {
+    expect(chunkDocument('# Not a heading')).toEqual([{ heading: null, content: '# Not a heading', tokens: 4 }]);
+  });
+
+  test('joins PDF lines and hyphenated words and splits pages', () => {
+    const pdf = 'Orders ship with-\nin two days\nof payment.\fRefunds take a week.';
+
+    expect(chunkDocument(pdf, 'pdf', 10).map(chunk => chunk.content)).toEqual([
+      'Orders ship within two days of payment.',
+      'Refunds take a week.'
+    ]);
+  });
+
+  test('splits paragraphs over the chunk size at sentence ends', () => {
+    const text = 'One two three four. Five six seven eight. Nine ten eleven twelve.';
+    const chunks = chunkDocument(text, 'text', 6);
+
+    expect(chunks.map(chunk => chunk.content)).toEqual([
+      'One two three four.',
+      'Five six seven eight.',
+      'Nine ten eleven twelve.'
+    ]);
+    expect(chunks.every(chunk => chunk.tokens <= 6)).toBe(true);
+  });
+
+  test('cuts a sentence longer than the chunk size', () => {
+    const chunks = chunkDocument('x'.repeat(50), 'text', 5);
+
+    expect(chunks.map(chunk => chunk.content.length)).toEqual([20, 20, 10]);
+  });
+});
+
+describe('buildMatchQuery', () => {
+  test('quotes each distinct word as an OR term', () => {
+    expect(buildMatchQuery('Where is my ORDER? my order #123')).toBe('"where" OR "is" OR "my" OR "order" OR "123"');
+  });
+
+  test('keeps letters from any script and drops punctuation that would break FTS5', () => {
+    expect(buildMatchQuery('Berapa harga "kopi"-nya? café')).toBe('"berapa" OR "harga" OR "kopi" OR "nya" OR "café"');
+  });
+
+  test('returns null when nothing is worth searching', () => {
+    expect(buildMatchQuery('? ! a')).toBeNull();
+    expect(buildMatchQuery(null)).toBeNull();
+  });
+
+  test('uses at most 20 terms', () => {
+    const words = Array.from({ length: 30 }, (_, i) => `word${i}`).join(' ');
+    expect(buildMatchQuery(words).split(' OR ')).toHaveLength(20);
+  });
+});
@@ -0,0 +1,52 @@
+import { describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import fs from 'fs';
+import http from 'http';
+import path from 'path';
+import { downloadMedia } from '../utils/media.js';
+
+describe('downloadMedia', () => {
+  let server;
+  let baseUrl;
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      if (req.url === '/missing.png') {
+        res.writeHead(404);
+        return res.end();
+      }
+      res.writeHead(200, { 'Content-Type': 'application/octet-stream' });
+      res.end(`body of ${req.url}`);
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  test('saves the URL under its file name and cleans up', async () => {
+    const { filePath, cleanup } = await downloadMedia(`${baseUrl}/files/price%20list.pdf?v=2`);
+
+    expect(path.basename(filePath)).toBe('price list.pdf');
+    expect(fs.readFileSync(filePath, 'utf8')).toBe('body of /files/price%20list.pdf?v=2');
+
+    await cleanup();
+    expect(fs.existsSync(path.dirname(filePath))).toBe(false);
+  });
+
+  test('keeps an encoded path separator inside the temp directory', async () => {
+    const { filePath, cleanup } = await downloadMedia(`${baseUrl}/files/..%2F..%2Fescape.txt`);
+
+    expect(path.basename(filePath)).toBe('escape.txt');
+    await cleanup();
+  });
+
+  test('rejects a failed download', async () => {
+    await expect(downloadMedia(`${baseUrl}/missing.png`)).rejects.toThrow('Media download failed: 404');
+  });
+
+  test('rejects a URL that is not http(s)', async () => {
+    await expect(downloadMedia('file:///etc/passwd')).rejects.toThrow('Media URL must be http(s)');
+  });
+});
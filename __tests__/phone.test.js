@@ -0,0 +1,47 @@
+import { jest, describe, test, expect } from '@jest/globals';
+
+jest.unstable_mockModule('../utils/logger.js', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+
+// Read when utils/phone.js is imported
+process.env.DEFAULT_COUNTRY_CODE = '+60';
+
+const { isE164, normalisePhone } = await import('../utils/phone.js');
+const { ValidationError } = await import('../middleware/errorHandler.js');
+
+describe('isE164', () => {
+  test('accepts a plus sign and 8 to 15 digits', () => {
+    expect(isE164('+60123456789')).toBe(true);
+    expect(isE164('+1234567890123456')).toBe(false);
+    expect(isE164('60123456789')).toBe(false);
+    expect(isE164('+0123456789')).toBe(false);
+    expect(isE164(60123456789)).toBe(false);
+  });
+});
+
+describe('normalisePhone', () => {
+  test('keeps international numbers and strips formatting', () => {
+    expect(normalisePhone('+60 12-345 6789')).toBe('+60123456789');
+    expect(normalisePhone('0060123456789')).toBe('+60123456789');
+    expect(normalisePhone('60123456789')).toBe('+60123456789');
+  });
+
+  test('applies DEFAULT_COUNTRY_CODE to national numbers', () => {
+    expect(normalisePhone('012-345 6789')).toBe('+60123456789');
+  });
+
+  test('uses an explicit country code over the default', () => {
+    expect(normalisePhone('020 7946 0958', '44')).toBe('+442079460958');
+  });
+
+  test('rejects national numbers without a country code', () => {
+    expect(() => normalisePhone('0123456789', '')).toThrow('Phone number 0123456789 needs a country code');
+  });
+
+  test('rejects values that are not phone numbers', () => {
+    expect(() => normalisePhone('Support Team')).toThrow(ValidationError);
+    expect(() => normalisePhone('+123')).toThrow('Invalid phone number: +123');
+    expect(() => normalisePhone(null)).toThrow(ValidationError);
+  });
+});
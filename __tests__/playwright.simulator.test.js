@@ -0,0 +1,170 @@
+// Drives playwright.js against the offline WhatsApp Web simulator with headless Chromium
+import { jest, describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { chromium } from 'playwright';
+import { startSimulator } from '../simulator/server.js';
+
+jest.setTimeout(60000);
+
+jest.unstable_mockModule('../utils/logger.js', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+
+jest.unstable_mockModule('../db.js', () => ({
+  saveMessage: jest.fn(async () => 1),
+  getMessageById: jest.fn(async () => null),
+  saveSession: jest.fn(async () => {}),
+  getSessions: jest.fn(async () => []),
+  updateSessionStatus: jest.fn(async () => {}),
+  getQueueJobByMessageId: jest.fn(async () => null),
+  updateQueueJob: jest.fn(async () => {}),
+  saveMessageStatusEvent: jest.fn(async () => {}),
+  getMessageStatusEvents: jest.fn(async () => []),
+  saveSuppression: jest.fn(async () => 1),
+  getSuppressionByPhone: jest.fn(async () => null),
+  deleteSuppression: jest.fn(async () => false),
+  getContactByPhone: jest.fn(async () => null),
+  updateContact: jest.fn(async () => {})
+}));
+
+jest.unstable_mockModule('../webhooks.js', () => ({
+  triggerWebhookEvent: jest.fn(async () => {})
+}));
+
+// Browsers are downloaded separately (npx playwright install chromium)
+const hasChromium = fs.existsSync(chromium.executablePath());
+const describeWithBrowser = hasChromium ? describe : describe.skip;
+
+describeWithBrowser('playwright.js against the WhatsApp Web simulator', () => {
+  const sessionId = 'simulator';
+  let simulator;
+  let driver;
+  let storagePath;
+
+  // Wait for an async condition the page settles on its own
+  async function waitFor(check, timeout = 10000) {
+    const deadline = Date.now() + timeout;
+    while (Date.now() < deadline) {
+      if (await check()) return;
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+    throw new Error('Timed out waiting for condition');
+  }
+
+  beforeAll(async () => {
+    simulator = await startSimulator();
+    storagePath = fs.mkdtempSync(path.join(os.tmpdir(), 'wa-simulator-'));
+
+    // playwright.js reads these when it is first imported
+    process.env.WHATSAPP_URL = simulator.url;
+    process.env.BROWSER_STORAGE_PATH = storagePath;
+    process.env.BROWSER_HEADLESS = 'true';
+
+    driver = await import('../playwright.js');
+    await driver.startSession(sessionId);
+  });
+
+  afterAll(async () => {
+    await driver?.cleanup();
+    await simulator?.close();
+    if (storagePath) {
+      fs.rmSync(storagePath, { recursive: true, force: true });
+    }
+  });
+
+  test('getSessionStatus and getQRCode report the QR screen before login', async () => {
+    await waitFor(async () => await driver.getSessionStatus(sessionId) === 'waiting_for_qr');
+
+    const qrCode = await driver.getQRCode(sessionId);
+    expect(qrCode).toMatch(/^data:image\/png;base64,/);
+  });
+
+  test('getSessionStatus reports connected after login and the QR code is gone', async () => {
+    simulator.login();
+
+    await waitFor(async () => await driver.getSessionStatus(sessionId) === 'connected');
+    expect(await driver.getQRCode(sessionId)).toBeNull();
+  });
+
+  test('sendTextMessage opens a chat by search and sends the text', async () => {
+    const result = await driver.sendMessage('Alice', 'Hello from the test', null, null, sessionId);
+
+    expect(result.success).toBe(true);
+    expect(result.messageId).toMatch(/^true_60123456789@c\.us_/);
+
+    const sent = simulator.getSentMessages();
+    expect(sent[sent.length - 1]).toMatchObject({
+      chatId: '60123456789@c.us',
+      content: 'Hello from the test',
+      messageType: 'text'
+    });
+  });
+
+  test('openChat uses click-to-chat for an E.164 number', async () => {
+    const result = await driver.sendMessage('+60198765432', 'Exact chat', null, null, sessionId);
+
+    expect(result.messageId).toMatch(/^true_60198765432@c\.us_/);
+    expect(simulator.getSentMessages().at(-1)).toMatchObject({ chatId: '60198765432@c.us', content: 'Exact chat' });
+  });
+
+  test('openChat reuses the open chat and switches chats by number without reloading the app', async () => {
+    const loads = simulator.getPageLoads();
+
+    await driver.sendMessage('+60198765432', 'Same chat', null, null, sessionId);
+    expect(simulator.getSentMessages().at(-1)).toMatchObject({ chatId: '60198765432@c.us', content: 'Same chat' });
+
+    await driver.sendMessage('+60123456789', 'Other chat', null, null, sessionId);
+    expect(simulator.getSentMessages().at(-1)).toMatchObject({ chatId: '60123456789@c.us', content: 'Other chat' });
+
+    expect(simulator.getPageLoads()).toBe(loads);
+  });
+
+  test('sendMediaMessage attaches a document with a caption', async () => {
+    const filePath = path.join(storagePath, 'invoice.pdf');
+    fs.writeFileSync(filePath, '%PDF-1.4 test');
+
+    const result = await driver.sendMessage('Bob', 'Your invoice', filePath, 'document', sessionId);
+
+    expect(result.success).toBe(true);
+    expect(simulator.getSentMessages().at(-1)).toMatchObject({
+      chatId: '60198765432@c.us',
+      content: 'Your invoice',
+      messageType: 'document',
+      fileName: 'invoice.pdf'
+    });
+  });
+
+  test('sendMediaMessage downloads a media URL and removes the temp file afterwards', async () => {
+    const files = http.createServer((req, res) => {
+      res.writeHead(200, { 'Content-Type': 'application/pdf' });
+      res.end('%PDF-1.4 remote');
+    });
+    await new Promise(resolve => files.listen(0, '127.0.0.1', resolve));
+
+    const tempBefore = fs.readdirSync(os.tmpdir()).filter(name => name.startsWith('wa-media-'));
+
+    try {
+      const { port } = files.address();
+      const result = await driver.sendMessage('Alice', 'Your receipt', `http://127.0.0.1:${port}/files/receipt.pdf`, 'document', sessionId);
+
+      expect(result.success).toBe(true);
+      expect(simulator.getSentMessages().at(-1)).toMatchObject({
+        chatId: '60123456789@c.us',
+        content: 'Your receipt',
+        messageType: 'document',
+        fileName: 'receipt.pdf'
+      });
+      expect(fs.readdirSync(os.tmpdir()).filter(name => name.startsWith('wa-media-'))).toEqual(tempBefore);
+    } finally {
+      await new Promise(resolve => files.close(resolve));
+    }
+  });
+
+  test('sendMediaMessage rejects an unsupported media type', async () => {
+    await expect(driver.sendMessage('Alice', 'Clip', '/tmp/clip.mp3', 'audio', sessionId))
+      .rejects.toThrow('Unsupported media type: audio');
+  });
+});
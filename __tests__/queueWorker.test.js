@@ -0,0 +1,72 @@
+import { jest, describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+
+const logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() };
+jest.unstable_mockModule('../utils/logger.js', () => ({ logger }));
+
+// The worker's event handlers, captured so a test can fire them
+const workerHandlers = {};
+
+jest.unstable_mockModule('bullmq', () => ({
+  Queue: class {
+    on() {}
+    async getJobCounts() { return {}; }
+  },
+  Worker: class {
+    on(event, handler) { workerHandlers[event] = handler; }
+  },
+  Job: class {},
+  DelayedError: class extends Error {}
+}));
+
+const db = {
+  saveQueueJob: jest.fn(),
+  updateQueueJob: jest.fn(),
+  saveMessageStatusEvent: jest.fn(),
+  saveSchedule: jest.fn(),
+  getSchedule: jest.fn(),
+  getDueSchedules: jest.fn(async () => []),
+  updateSchedule: jest.fn()
+};
+jest.unstable_mockModule('../db.js', () => db);
+
+jest.unstable_mockModule('../playwright.js', () => ({ sendMessage: jest.fn(), DEFAULT_SESSION_ID: 'default' }));
+jest.unstable_mockModule('../contacts.js', () => ({ resolveContact: jest.fn() }));
+jest.unstable_mockModule('../suppressions.js', () => ({ getSuppressionReason: jest.fn() }));
+jest.unstable_mockModule('../rateGovernor.js', () => ({ initRateGovernor: jest.fn(), evaluateSend: jest.fn() }));
+jest.unstable_mockModule('../utils/redis.js', () => ({ redisConfig: {} }));
+
+const webhooks = { triggerWebhookEvent: jest.fn() };
+jest.unstable_mockModule('../webhooks.js', () => webhooks);
+
+const { initQueue, stopScheduler } = await import('../queue.js');
+
+const job = { id: 'job-1', name: 'send_message', data: { recipient: '+60123456789', sessionId: 'default' }, attemptsMade: 3, opts: { attempts: 3 } };
+
+beforeAll(async () => {
+  await initQueue();
+});
+
+afterAll(() => {
+  stopScheduler();
+});
+
+describe('queue worker events', () => {
+  test('log a webhook failure after a completed job instead of rejecting', async () => {
+    webhooks.triggerWebhookEvent.mockRejectedValueOnce(new Error('Redis is down'));
+
+    await expect(workerHandlers.completed(job, { messageId: 'true_1' })).resolves.toBeUndefined();
+    expect(logger.error).toHaveBeenCalledWith('Failed to handle completed job job-1:', expect.any(Error));
+  });
+
+  test('log a database failure after a failed job instead of rejecting', async () => {
+    db.updateQueueJob.mockRejectedValueOnce(new Error('SQLITE_BUSY'));
+
+    await expect(workerHandlers.failed(job, new Error('Send failed'))).resolves.toBeUndefined();
+    expect(logger.error).toHaveBeenCalledWith('Failed to handle failed job job-1:', expect.any(Error));
+  });
+
+  test('handle a failure without a job', async () => {
+    await expect(workerHandlers.failed(undefined, new Error('Missing lock'))).resolves.toBeUndefined();
+    expect(db.updateQueueJob).toHaveBeenCalledTimes(1);
+  });
+});
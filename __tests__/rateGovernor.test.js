@@ -0,0 +1,132 @@
+import { jest, describe, test, expect, beforeEach } from '@jest/globals';
+
+jest.unstable_mockModule('../utils/logger.js', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+
+const db = {
+  getSetting: jest.fn(async () => null),
+  saveSetting: jest.fn(async () => {}),
+  countSentMessages: jest.fn(),
+  getSession: jest.fn(async () => null)
+};
+jest.unstable_mockModule('../db.js', () => db);
+
+const { evaluateSend, updateRatePolicy, getRatePolicy } = await import('../rateGovernor.js');
+const { ValidationError } = await import('../middleware/errorHandler.js');
+
+const now = new Date('2024-05-01T12:00:00Z');
+const HOUR_MS = 60 * 60 * 1000;
+
+// Sent counts by limit: burst window, last 24h for the session, last hour for the recipient
+function mockCounts({ burst = 0, day = 0, recipient = 0, oldest = now.toISOString() } = {}) {
+  db.countSentMessages.mockImplementation(async ({ recipient: to, since }) => {
+    if (to) return { count: recipient, oldest };
+    const windowMs = now.getTime() - new Date(since).getTime();
+    return { count: windowMs < HOUR_MS ? burst : day, oldest };
+  });
+}
+
+beforeEach(async () => {
+  db.getSession.mockResolvedValue(null);
+  mockCounts();
+
+  await updateRatePolicy({
+    enabled: true,
+    perRecipientPerHour: 5,
+    perSessionPerDay: 1000,
+    warmup: { enabled: true, days: 14, startPerDay: 50 },
+    quietHours: { enabled: false, start: '22:00', end: '08:00', timezone: 'UTC' },
+    burst: { maxMessages: 20, windowSeconds: 60, cooldownSeconds: 300 }
+  });
+});
+
+describe('evaluateSend', () => {
+  test('allows a send under every limit', async () => {
+    expect(await evaluateSend({ recipient: '+60123456789', sessionId: 'main' }, now)).toBeNull();
+  });
+
+  test('allows everything when the policy is disabled', async () => {
+    await updateRatePolicy({ enabled: false });
+    mockCounts({ burst: 100, day: 5000, recipient: 50 });
+
+    expect(await evaluateSend({ recipient: '+60123456789', sessionId: 'main' }, now)).toBeNull();
+  });
+
+  test('defers until the end of quiet hours', async () => {
+    await updateRatePolicy({ quietHours: { enabled: true, start: '10:00', end: '14:30', timezone: 'UTC' } });
+
+    const result = await evaluateSend({ recipient: '+60123456789', sessionId: 'main' }, now);
+    expect(result.reason).toBe('Quiet hours 10:00-14:30 (UTC)');
+    expect(result.until).toEqual(new Date('2024-05-01T14:30:00Z'));
+  });
+
+  test('cools down after a burst', async () => {
+    mockCounts({ burst: 20 });
+
+    const result = await evaluateSend({ recipient: '+60123456789', sessionId: 'main' }, now);
+    expect(result.reason).toBe('Burst detected: 20 messages in 60s on session main');
+    expect(result.until).toEqual(new Date(now.getTime() + 300000));
+  });
+
+  test('ramps the daily limit while a session warms up', async () => {
+    db.getSession.mockResolvedValue({ created_at: '2024-04-24 12:00:00' });
+    mockCounts({ day: 525, oldest: '2024-05-01T01:00:00Z' });
+
+    const result = await evaluateSend({ recipient: '+60123456789', sessionId: 'main' }, now);
+    expect(result.reason).toBe('Session main reached 525 messages in 24h (warm-up)');
+    expect(result.until).toEqual(new Date('2024-05-02T01:00:00Z'));
+  });
+
+  test('uses the full daily limit once warm-up is over', async () => {
+    db.getSession.mockResolvedValue({ created_at: '2024-01-01 00:00:00' });
+    mockCounts({ day: 999 });
+
+    expect(await evaluateSend({ recipient: '+60123456789', sessionId: 'main' }, now)).toBeNull();
+  });
+
+  test('limits messages per recipient per hour', async () => {
+    mockCounts({ recipient: 5, oldest: '2024-05-01T11:20:00Z' });
+
+    const result = await evaluateSend({ recipient: '+60123456789', sessionId: 'main' }, now);
+    expect(result.reason).toBe('Recipient +60123456789 reached 5 messages per hour');
+    expect(result.until).toEqual(new Date('2024-05-01T12:20:00Z'));
+  });
+
+  test('exempts sends that bypass suppression from the recipient and burst limits', async () => {
+    mockCounts({ burst: 20, recipient: 5 });
+
+    const send = { recipient: '+60123456789', sessionId: 'main', ignoreSuppression: true };
+    expect(await evaluateSend(send, now)).toBeNull();
+  });
+
+  test('keeps quiet hours for sends that bypass suppression', async () => {
+    await updateRatePolicy({ quietHours: { enabled: true, start: '10:00', end: '14:30', timezone: 'UTC' } });
+
+    const send = { recipient: '+60123456789', sessionId: 'main', ignoreSuppression: true };
+    expect((await evaluateSend(send, now)).reason).toBe('Quiet hours 10:00-14:30 (UTC)');
+  });
+
+  test('skips a limit set to 0', async () => {
+    await updateRatePolicy({ perRecipientPerHour: 0 });
+    mockCounts({ recipient: 50 });
+
+    expect(await evaluateSend({ recipient: '+60123456789', sessionId: 'main' }, now)).toBeNull();
+  });
+});
+
+describe('updateRatePolicy', () => {
+  test('merges grouped settings and saves the policy', async () => {
+    const policy = await updateRatePolicy({ burst: { maxMessages: 10 } });
+
+    expect(policy.burst).toEqual({ maxMessages: 10, windowSeconds: 60, cooldownSeconds: 300 });
+    expect(db.saveSetting).toHaveBeenLastCalledWith('queue.policy', expect.objectContaining({ burst: policy.burst }));
+  });
+
+  test('rejects an invalid policy and keeps the active one', async () => {
+    await expect(updateRatePolicy({ perRecipientPerHour: -1, quietHours: { start: '25:00' } }))
+      .rejects.toThrow(ValidationError);
+
+    expect(getRatePolicy().perRecipientPerHour).toBe(5);
+  });
+});
@@ -0,0 +1,192 @@
+import { jest, describe, test, expect, beforeEach } from '@jest/globals';
+
+jest.unstable_mockModule('../utils/logger.js', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+
+const db = {
+  getRules: jest.fn(),
+  getRuleFiring: jest.fn(async () => null),
+  saveRuleFiring: jest.fn(async () => {}),
+  countIncomingChatMessages: jest.fn(async () => 0),
+  getTemplateByName: jest.fn(async () => null)
+};
+jest.unstable_mockModule('../db.js', () => db);
+
+jest.unstable_mockModule('../queue.js', () => ({
+  addMessageToQueue: jest.fn(async () => ({ jobId: 'job-1' }))
+}));
+
+const { evaluateRules, normaliseResponse, validateRuleReply, buildRuleReply } = await import('../rules.js');
+
+// Wednesday 1 May 2024, 10:00 UTC
+const now = new Date('2024-05-01T10:00:00Z');
+
+const message = {
+  messageId: 'false_60123456789@c.us_ABC',
+  chatId: '60123456789@c.us',
+  senderId: '60123456789@c.us',
+  senderName: 'Alice',
+  content: 'What are your opening hours?',
+  isGroup: false
+};
+
+function rule(id, conditions, extra = {}) {
+  return { id, name: `rule-${id}`, priority: 0, cooldown_seconds: 0, conditions, response: { type: 'text', content: 'Hi' }, ...extra };
+}
+
+beforeEach(() => {
+  db.getRuleFiring.mockResolvedValue(null);
+  db.countIncomingChatMessages.mockResolvedValue(0);
+});
+
+describe('evaluateRules', () => {
+  test('fires the first matching rule and reports why the others failed', async () => {
+    db.getRules.mockResolvedValue([
+      rule(1, { exact: ['hours'] }),
+      rule(2, { keywords: ['opening hours', 'open'] }),
+      rule(3, { regex: 'hours' })
+    ]);
+
+    const { rule: fired, evaluations } = await evaluateRules(message, { now });
+
+    expect(fired.id).toBe(2);
+    expect(evaluations.map(({ ruleId, matched, failedConditions, fires }) => ({ ruleId, matched, failedConditions, fires })))
+      .toEqual([
+        { ruleId: 1, matched: false, failedConditions: ['exact'], fires: false },
+        { ruleId: 2, matched: true, failedConditions: [], fires: true },
+        { ruleId: 3, matched: true, failedConditions: [], fires: false }
+      ]);
+  });
+
+  test('stops at the first match when asked', async () => {
+    db.getRules.mockResolvedValue([rule(1, {}), rule(2, {})]);
+
+    const { evaluations } = await evaluateRules(message, { now, stopAtMatch: true });
+    expect(evaluations).toHaveLength(1);
+  });
+
+  test('matches keywords as whole words only', async () => {
+    db.getRules.mockResolvedValue([rule(1, { keywords: ['open'] })]);
+
+    const { rule: fired } = await evaluateRules({ ...message, content: 'Are you reopening?' }, { now });
+    expect(fired).toBeNull();
+  });
+
+  test('matches senders by phone number or name', async () => {
+    db.getRules.mockResolvedValue([
+      rule(1, { senders: ['+60 19-876 5432'] }),
+      rule(2, { senders: ['+60123456789'] }),
+      rule(3, { senders: ['alice'] })
+    ]);
+
+    const { evaluations } = await evaluateRules(message, { now });
+    expect(evaluations.map(evaluation => evaluation.matched)).toEqual([false, true, true]);
+  });
+
+  test('checks chat type, time of day and weekday', async () => {
+    db.getRules.mockResolvedValue([
+      rule(1, { chatType: 'group' }),
+      rule(2, { timeOfDay: { start: '18:00', end: '08:00', timezone: 'UTC' } }),
+      rule(3, { timeOfDay: { start: '09:00', end: '17:00', timezone: 'UTC', days: [0, 6] } }),
+      rule(4, { chatType: 'personal', timeOfDay: { start: '17:00', end: '01:00', timezone: 'Asia/Kuala_Lumpur', days: [3] } })
+    ]);
+
+    const { rule: fired, evaluations } = await evaluateRules(message, { now });
+    expect(evaluations.map(evaluation => evaluation.failedConditions)).toEqual([['chatType'], ['timeOfDay'], ['timeOfDay'], []]);
+    expect(fired.id).toBe(4);
+  });
+
+  test('checks the weekday a time window opened on after midnight', async () => {
+    db.getRules.mockResolvedValue([
+      rule(1, { timeOfDay: { start: '22:00', end: '02:00', timezone: 'Asia/Kuala_Lumpur', days: [3] } }),
+      rule(2, { timeOfDay: { start: '22:00', end: '02:00', timezone: 'Asia/Kuala_Lumpur', days: [4] } })
+    ]);
+
+    // Thursday 2 May 2024, 00:30 in Kuala Lumpur, in the window that opened on Wednesday
+    const { evaluations } = await evaluateRules(message, { now: new Date('2024-05-01T16:30:00Z') });
+    expect(evaluations.map(evaluation => evaluation.failedConditions)).toEqual([[], ['timeOfDay']]);
+  });
+
+  test('looks up first contact only when a rule asks', async () => {
+    db.getRules.mockResolvedValue([rule(1, { exact: ['hi'], firstContact: true }), rule(2, { firstContact: false })]);
+    db.countIncomingChatMessages.mockResolvedValue(3);
+
+    const { rule: fired } = await evaluateRules(message, { now });
+    expect(fired.id).toBe(2);
+    expect(db.countIncomingChatMessages).toHaveBeenCalledTimes(1);
+  });
+
+  test('uses the first contact flag given by the caller', async () => {
+    db.getRules.mockResolvedValue([rule(1, { firstContact: true })]);
+    db.countIncomingChatMessages.mockClear();
+
+    const { rule: fired } = await evaluateRules(message, { now, firstContact: true });
+    expect(fired.id).toBe(1);
+    expect(db.countIncomingChatMessages).not.toHaveBeenCalled();
+  });
+
+  test('skips a matching rule inside its cooldown', async () => {
+    db.getRules.mockResolvedValue([rule(1, {}, { cooldown_seconds: 600 }), rule(2, {})]);
+    db.getRuleFiring.mockResolvedValue('2024-05-01T09:55:00.000Z');
+
+    const { rule: fired, evaluations } = await evaluateRules(message, { now });
+    expect(evaluations[0]).toMatchObject({ matched: true, fires: false, cooldownUntil: '2024-05-01T10:05:00.000Z' });
+    expect(fired.id).toBe(2);
+  });
+});
+
+describe('rule replies', () => {
+  test('rejects text placeholders the message cannot fill', () => {
+    expect(() => normaliseResponse({ type: 'text', content: 'Hi {{senderName}}, order {{orderId}}' }))
+      .toThrow('Unknown placeholders: orderId');
+  });
+
+  test('rejects media the WhatsApp driver cannot send', () => {
+    expect(normaliseResponse({ type: 'media', mediaUrl: 'https://example.test/menu.pdf', mediaType: 'document' }))
+      .toMatchObject({ type: 'media', mediaType: 'document' });
+    expect(() => normaliseResponse({ type: 'media', mediaUrl: 'https://example.test/hello.mp3', mediaType: 'audio' }))
+      .toThrow('Media responses need a mediaUrl and a mediaType (image, video, document)');
+  });
+
+  test('renders empty message values as empty text', async () => {
+    const reply = await buildRuleReply(
+      rule(1, {}, { response: { type: 'text', content: 'Thanks {{senderName}}, you sent: "{{message}}"' } }),
+      { ...message, content: '' }
+    );
+
+    expect(reply).toEqual({ jobType: 'send_message', content: 'Thanks Alice, you sent: ""' });
+  });
+
+  test('renders a template whose declared message variable is empty', async () => {
+    db.getTemplateByName.mockResolvedValue({
+      name: 'ack',
+      content: '{{message}} received, {{senderName}}. Ref {{ref}}',
+      variables: [{ name: 'message', type: 'string' }, { name: 'ref' }]
+    });
+
+    const reply = await buildRuleReply(
+      rule(1, {}, { response: { type: 'template', templateName: 'ack', variables: { ref: 'R1' } } }),
+      { ...message, content: '' }
+    );
+
+    expect(reply.content).toBe(' received, Alice. Ref R1');
+  });
+
+  test('checks template replies when the rule is saved', async () => {
+    db.getTemplateByName.mockResolvedValue({
+      name: 'ack',
+      content: 'Hi {{senderName}}, ref {{ref}}, {{note}} {{footer}}',
+      variables: [{ name: 'note', required: false }, { name: 'footer', default: 'Thanks' }]
+    });
+
+    await expect(validateRuleReply({ type: 'template', templateName: 'ack', variables: {} }))
+      .rejects.toThrow('Template ack needs variables: ref');
+    await expect(validateRuleReply({ type: 'template', templateName: 'ack', variables: { ref: 'R1' } }))
+      .resolves.toBeUndefined();
+
+    db.getTemplateByName.mockResolvedValue(null);
+    await expect(validateRuleReply({ type: 'template', templateName: 'gone', variables: {} }))
+      .rejects.toThrow('Template not found: gone');
+  });
+});
@@ -0,0 +1,59 @@
+import { jest, describe, test, expect, beforeEach } from '@jest/globals';
+
+jest.unstable_mockModule('../utils/logger.js', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+
+const db = {
+  saveSuppression: jest.fn(),
+  getSuppressionByPhone: jest.fn(),
+  deleteSuppression: jest.fn(),
+  getContactByPhone: jest.fn(async () => null),
+  updateContact: jest.fn()
+};
+jest.unstable_mockModule('../db.js', () => db);
+
+jest.unstable_mockModule('../webhooks.js', () => ({
+  triggerWebhookEvent: jest.fn()
+}));
+
+// Read when utils/phone.js is imported
+process.env.DEFAULT_COUNTRY_CODE = '60';
+
+const { matchOptOutKeyword, getSuppressionReason } = await import('../suppressions.js');
+
+beforeEach(() => {
+  db.getSuppressionByPhone.mockReset();
+});
+
+describe('matchOptOutKeyword', () => {
+  test('matches a whole-message keyword in any case with trailing punctuation', () => {
+    expect(matchOptOutKeyword(' stop! ')).toBe('STOP');
+    expect(matchOptOutKeyword('Berhenti.')).toBe('BERHENTI');
+  });
+
+  test('ignores keywords inside a longer message', () => {
+    expect(matchOptOutKeyword("please don't stop")).toBeNull();
+  });
+});
+
+describe('getSuppressionReason', () => {
+  test('checks national numbers with the default country code', async () => {
+    db.getSuppressionByPhone.mockResolvedValue({ keyword: 'STOP', created_at: '2024-05-01 10:00:00' });
+
+    expect(await getSuppressionReason('012-345 6789'))
+      .toBe('Recipient +60123456789 opted out by replying STOP on 2024-05-01 10:00:00');
+    expect(db.getSuppressionByPhone).toHaveBeenCalledWith('+60123456789');
+  });
+
+  test('allows a number that is not on the list', async () => {
+    db.getSuppressionByPhone.mockResolvedValue(null);
+
+    expect(await getSuppressionReason('+60123456789')).toBeNull();
+  });
+
+  test('cannot match a chat name', async () => {
+    expect(await getSuppressionReason('Support Team')).toBeNull();
+    expect(db.getSuppressionByPhone).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,102 @@
+import { jest, describe, test, expect } from '@jest/globals';
+
+jest.unstable_mockModule('../utils/logger.js', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+
+const {
+  extractPlaceholders,
+  validateVariableSchema,
+  renderTemplate,
+  TemplateRenderError
+} = await import('../utils/templateRenderer.js');
+
+describe('extractPlaceholders', () => {
+  test('returns each placeholder once, allowing inner whitespace', () => {
+    expect(extractPlaceholders('Hi {{name}}, {{ name }} owes {{amount}}')).toEqual(['name', 'amount']);
+  });
+
+  test('ignores text that is not a placeholder', () => {
+    expect(extractPlaceholders('No {{1bad}} or {single} braces')).toEqual([]);
+  });
+});
+
+describe('validateVariableSchema', () => {
+  test('accepts a valid schema', () => {
+    expect(validateVariableSchema([
+      { name: 'name', type: 'string' },
+      { name: 'total', type: 'currency', currency: 'EUR', default: 0 }
+    ])).toEqual([]);
+  });
+
+  test('reports bad names, duplicates, unknown types and invalid defaults', () => {
+    expect(validateVariableSchema([
+      { name: '1st' },
+      { name: 'total', type: 'number' },
+      { name: 'total', type: 'money' },
+      { name: 'due', type: 'date', default: 'not a date' }
+    ])).toEqual([
+      'Variable 0 must have a valid name',
+      'Variable total is declared more than once',
+      'Variable total has unsupported type: money',
+      'Variable due has an invalid default: expected a valid date'
+    ]);
+  });
+
+  test('rejects a schema that is not an array', () => {
+    expect(validateVariableSchema({ name: 'x' })).toEqual(['Variables must be an array']);
+  });
+});
+
+describe('renderTemplate', () => {
+  test('fills undeclared placeholders as strings', () => {
+    expect(renderTemplate({ content: 'Hello {{name}}!' }, { name: 'Alice' })).toBe('Hello Alice!');
+  });
+
+  test('formats typed variables with their locale and currency', () => {
+    const template = {
+      content: '{{count}} items, {{total}}, due {{due}}',
+      variables: [
+        { name: 'count', type: 'number', locale: 'en-US' },
+        { name: 'total', type: 'currency', locale: 'en-US', currency: 'USD' },
+        { name: 'due', type: 'date', locale: 'en-US', timeZone: 'UTC' }
+      ]
+    };
+
+    expect(renderTemplate(template, { count: 1234, total: '9.5', due: '2024-03-04T10:00:00Z' }))
+      .toBe('1,234 items, $9.50, due Mar 4, 2024');
+  });
+
+  test('uses defaults for missing or empty values and blanks optional variables', () => {
+    const template = {
+      content: 'Hi {{name}}{{suffix}}',
+      variables: [
+        { name: 'name', default: 'there' },
+        { name: 'suffix', required: false }
+      ]
+    };
+
+    expect(renderTemplate(template, { name: '' })).toBe('Hi there');
+  });
+
+  test('throws TemplateRenderError listing missing and invalid variables', () => {
+    const template = {
+      content: '{{name}} paid {{amount}} for {{item}}',
+      variables: [{ name: 'amount', type: 'number' }]
+    };
+
+    let error;
+    try {
+      renderTemplate(template, { amount: 'lots', item: 'tea' });
+    } catch (err) {
+      error = err;
+    }
+
+    expect(error).toBeInstanceOf(TemplateRenderError);
+    expect(error.message).toBe('Missing required template variables: name');
+    expect(error.details).toEqual([
+      { variable: 'name', message: 'is required' },
+      { variable: 'amount', message: 'expected a number' }
+    ]);
+  });
+});
@@ -0,0 +1,74 @@
+import { jest, describe, test, expect } from '@jest/globals';
+import express from 'express';
+import request from 'supertest';
+
+jest.unstable_mockModule('../utils/logger.js', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+
+const db = {
+  saveWebhook: jest.fn(async () => 5),
+  getWebhooks: jest.fn(async () => []),
+  getWebhookById: jest.fn(async () => null),
+  deleteWebhook: jest.fn(),
+  getWebhookDeliveries: jest.fn(),
+  getWebhookDelivery: jest.fn()
+};
+jest.unstable_mockModule('../db.js', () => db);
+
+jest.unstable_mockModule('../webhooks.js', () => ({
+  sendWebhook: jest.fn(),
+  redeliverWebhook: jest.fn(),
+  enableWebhook: jest.fn(),
+  rotateWebhookSecret: jest.fn(async () => 'rotated-secret-0123456789'),
+  generateWebhookSecret: jest.fn(() => 'generated-secret-0123456789'),
+  isKnownWebhookEvent: jest.fn(() => true),
+  WEBHOOK_EVENTS: { 'message.received': 'A message arrived' },
+  WILDCARD_EVENT: '*'
+}));
+
+const { default: router } = await import('../routes/webhook.js');
+
+const app = express();
+app.use(express.json());
+app.use('/api/webhook', router);
+
+describe('webhook secrets', () => {
+  test('are never listed', async () => {
+    db.getWebhooks.mockResolvedValue([{
+      id: 1,
+      url: 'https://example.test/hook',
+      events: ['message.received'],
+      secret: 'current-secret-0123456789',
+      previous_secret: 'old-secret-0123456789',
+      previous_secret_expires_at: '2024-05-02T00:00:00.000Z',
+      is_active: 1
+    }]);
+
+    const res = await request(app).get('/api/webhook');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data[0]).not.toHaveProperty('secret');
+    expect(res.body.data[0]).not.toHaveProperty('previous_secret');
+    expect(res.body.data[0]).toMatchObject({ id: 1, has_secret: true, previous_secret_expires_at: '2024-05-02T00:00:00.000Z' });
+  });
+
+  test('are generated on registration and returned once', async () => {
+    const res = await request(app)
+      .post('/api/webhook/register')
+      .send({ url: 'https://example.test/hook', events: ['message.received'] });
+
+    expect(res.status).toBe(201);
+    expect(res.body).toMatchObject({ webhookId: 5, secret: 'generated-secret-0123456789' });
+    expect(db.saveWebhook).toHaveBeenCalledWith(expect.objectContaining({ secret: 'generated-secret-0123456789' }));
+  });
+
+  test('are returned by a rotation', async () => {
+    db.getWebhookById.mockResolvedValue({ id: 1, secret: 'current-secret-0123456789', previous_secret_expires_at: null });
+
+    const res = await request(app).post('/api/webhook/1/secret/rotate').send({});
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.secret).toBe('rotated-secret-0123456789');
+  });
+});
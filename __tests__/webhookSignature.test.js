@@ -0,0 +1,78 @@
+import { describe, test, expect } from '@jest/globals';
+import {
+  signWebhookPayload,
+  verifyWebhookSignature,
+  WebhookVerificationError,
+  WEBHOOK_SIGNATURE_HEADER
+} from '../utils/webhookSignature.js';
+
+const body = JSON.stringify({ event: 'message.received', data: { id: 1 } });
+const timestamp = 1700000000;
+const now = timestamp * 1000;
+
+function sign(secrets) {
+  return signWebhookPayload(body, { deliveryId: 'delivery-1', secrets, timestamp });
+}
+
+describe('signWebhookPayload', () => {
+  test('adds one v1 signature per secret', () => {
+    const headers = sign(['new-secret', 'old-secret']);
+
+    expect(headers['X-Webhook-Id']).toBe('delivery-1');
+    expect(headers['X-Webhook-Timestamp']).toBe('1700000000');
+    expect(headers[WEBHOOK_SIGNATURE_HEADER]).toMatch(/^v1=[0-9a-f]{64} v1=[0-9a-f]{64}$/);
+  });
+
+  test('leaves the signature out when there is no secret', () => {
+    expect(sign([null])).not.toHaveProperty(WEBHOOK_SIGNATURE_HEADER);
+  });
+});
+
+describe('verifyWebhookSignature', () => {
+  test('accepts a delivery signed with the secret, with headers in any case', () => {
+    const headers = Object.fromEntries(Object.entries(sign(['secret'])).map(([name, value]) => [name.toLowerCase(), value]));
+
+    expect(verifyWebhookSignature({ body, headers, secret: 'secret', now }))
+      .toEqual({ deliveryId: 'delivery-1', timestamp });
+  });
+
+  test('accepts a Buffer body and either secret during rotation', () => {
+    const headers = sign(['old-secret']);
+
+    expect(verifyWebhookSignature({ body: Buffer.from(body), headers, secret: ['new-secret', 'old-secret'], now }))
+      .toEqual({ deliveryId: 'delivery-1', timestamp });
+  });
+
+  test('rejects a tampered body or a wrong secret', () => {
+    const headers = sign(['secret']);
+
+    expect(() => verifyWebhookSignature({ body: `${body} `, headers, secret: 'secret', now }))
+      .toThrow('Webhook signature does not match');
+    expect(() => verifyWebhookSignature({ body, headers, secret: 'other', now }))
+      .toThrow(WebhookVerificationError);
+  });
+
+  test('rejects deliveries outside the tolerance window', () => {
+    const headers = sign(['secret']);
+
+    expect(() => verifyWebhookSignature({ body, headers, secret: 'secret', now: now + 301000 }))
+      .toThrow('Webhook timestamp is outside the tolerance window');
+    expect(verifyWebhookSignature({ body, headers, secret: 'secret', now: now + 301000, toleranceSeconds: 600 }))
+      .toEqual({ deliveryId: 'delivery-1', timestamp });
+  });
+
+  test('rejects missing headers and a missing secret', () => {
+    expect(() => verifyWebhookSignature({ body, headers: {}, secret: 'secret', now }))
+      .toThrow('Missing webhook signature headers');
+    expect(() => verifyWebhookSignature({ body, headers: sign(['secret']), secret: null, now }))
+      .toThrow('No secret to verify against');
+  });
+
+  test('ignores signatures from other scheme versions', () => {
+    const headers = sign(['secret']);
+    headers[WEBHOOK_SIGNATURE_HEADER] = headers[WEBHOOK_SIGNATURE_HEADER].replace('v1=', 'v0=');
+
+    expect(() => verifyWebhookSignature({ body, headers, secret: 'secret', now }))
+      .toThrow('Webhook signature does not match');
+  });
+});
@@ -0,0 +1,83 @@
+import { jest, describe, test, expect, afterAll } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+jest.unstable_mockModule('../utils/logger.js', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+
+const db = {
+  saveMessage: jest.fn(),
+  getMessageById: jest.fn(),
+  saveSession: jest.fn(async () => 1),
+  getSessions: jest.fn(async () => []),
+  updateSessionStatus: jest.fn(async () => true),
+  getQueueJobByMessageId: jest.fn(),
+  updateQueueJob: jest.fn(),
+  saveMessageStatusEvent: jest.fn(),
+  getMessageStatusEvents: jest.fn(),
+  saveSuppression: jest.fn(),
+  getSuppressionByPhone: jest.fn(),
+  deleteSuppression: jest.fn(),
+  getContactByPhone: jest.fn(),
+  updateContact: jest.fn()
+};
+jest.unstable_mockModule('../db.js', () => db);
+
+jest.unstable_mockModule('../webhooks.js', () => ({
+  triggerWebhookEvent: jest.fn(async () => {})
+}));
+
+// A browser whose profile named "broken" cannot be launched
+function createContext() {
+  let closePage;
+  const closed = new Promise((resolve, reject) => { closePage = () => reject(new Error('Target closed')); });
+  closed.catch(() => {});
+
+  const page = {
+    on: jest.fn(),
+    goto: jest.fn(async () => {}),
+    waitForSelector: jest.fn(() => closed),
+    $: jest.fn(async () => null),
+    isClosed: () => false
+  };
+
+  return {
+    pages: () => [page],
+    close: jest.fn(async () => closePage())
+  };
+}
+
+jest.unstable_mockModule('playwright', () => ({
+  chromium: {
+    launchPersistentContext: jest.fn(async profilePath => {
+      if (path.basename(profilePath) === 'broken') {
+        throw new Error('Profile directory is locked');
+      }
+      return createContext();
+    })
+  }
+}));
+
+const storagePath = fs.mkdtempSync(path.join(os.tmpdir(), 'wa-bot-'));
+process.env.BROWSER_STORAGE_PATH = storagePath;
+
+const { initWhatsAppBot, getActiveSessionIds, cleanup } = await import('../playwright.js');
+
+afterAll(async () => {
+  await cleanup();
+  fs.rmSync(storagePath, { recursive: true, force: true });
+});
+
+describe('initWhatsAppBot', () => {
+  test('starts the other sessions when one fails and marks the failed one', async () => {
+    db.getSessions.mockResolvedValue([{ session_id: 'sales' }, { session_id: 'broken' }, { session_id: 'support' }]);
+
+    await expect(initWhatsAppBot()).resolves.toBe(true);
+
+    expect(getActiveSessionIds().sort()).toEqual(['sales', 'support']);
+    expect(db.updateSessionStatus).toHaveBeenCalledWith('broken', 'error');
+    expect(db.updateSessionStatus).not.toHaveBeenCalledWith('sales', 'error');
+  });
+});
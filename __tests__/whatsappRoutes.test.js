@@ -0,0 +1,67 @@
+import { jest, describe, test, expect } from '@jest/globals';
+import express from 'express';
+import request from 'supertest';
+
+jest.unstable_mockModule('../utils/logger.js', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+
+const db = {
+  getTemplateByName: jest.fn(),
+  getSession: jest.fn(async () => ({ session_id: 'default' }))
+};
+jest.unstable_mockModule('../db.js', () => db);
+
+const queue = { addMessageToQueue: jest.fn(async () => ({ jobId: 'job-1', status: 'pending' })) };
+jest.unstable_mockModule('../queue.js', () => queue);
+
+jest.unstable_mockModule('../selectorRegistry.js', () => ({
+  getSelectorProfile: jest.fn(),
+  listSelectorProfiles: jest.fn(),
+  loadSelectorProfile: jest.fn()
+}));
+
+const { default: router } = await import('../routes/whatsapp.js');
+
+const app = express();
+app.use(express.json());
+app.use('/api/whatsapp', router);
+
+const template = {
+  name: 'order_ready',
+  content: 'Hi {{name}}, order {{orderId}} is ready',
+  variables: [{ name: 'name', type: 'string' }, { name: 'orderId', type: 'string' }]
+};
+
+describe('POST /send/template', () => {
+  test('answers 400 with the missing variables in details', async () => {
+    db.getTemplateByName.mockResolvedValue(template);
+
+    const res = await request(app)
+      .post('/api/whatsapp/send/template')
+      .send({ recipient: '+60123456789', templateName: 'order_ready', variables: { name: 'Ali' } });
+
+    expect(res.status).toBe(400);
+    expect(res.body).toEqual({
+      success: false,
+      error: 'Missing required template variables: orderId',
+      details: [{ variable: 'orderId', message: 'is required' }]
+    });
+    expect(queue.addMessageToQueue).not.toHaveBeenCalled();
+  });
+
+  test('queues the rendered template', async () => {
+    db.getTemplateByName.mockResolvedValue(template);
+
+    const res = await request(app)
+      .post('/api/whatsapp/send/template')
+      .send({ recipient: '+60123456789', templateName: 'order_ready', variables: { name: 'Ali', orderId: 'A-7' } });
+
+    expect(res.status).toBe(200);
+    expect(queue.addMessageToQueue).toHaveBeenCalledWith(expect.objectContaining({
+      recipient: '+60123456789',
+      content: 'Hi Ali, order A-7 is ready',
+      jobType: 'send_template'
+    }));
+  });
+});
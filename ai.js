@@ -1,23 +1,49 @@
-// GLM-4.5 AI Integration
-import { ZAI } from 'z-ai-web-dev-sdk';
+// AI Integration (GLM-4.5, OpenAI-compatible servers, Ollama)
 import { logger } from './utils/logger.js';
+import { createAIProvider } from './aiProviders.js';
+import { triggerWebhookEvent } from './webhooks.js';
+import { saveAIMessage, getAIMessages, clearAIMessages, getAIMessageStats, getOpenAIHandoff, getAITools } from './db.js';
+import { estimateMessageTokens, trimToTokenBudget } from './utils/tokens.js';
+import { resolveAIProfile, getReplyBlock } from './aiProfiles.js';
+import { searchKnowledge } from './knowledge.js';
+import {
+  HANDOFF_MARKER,
+  CONFIDENCE_MARKER,
+  matchHandoffKeyword,
+  parseHandoffMarker,
+  parseConfidenceMarker
+} from './aiHandoff.js';
+import { getToolDefinitions, executeAITool, formatToolResult } from './aiTools.js';
+import { recordAIUsage, isAIBudgetExceeded, getAIUsageSummary } from './aiUsage.js';
 
 // AI configuration
 const AI_CONFIG = {
   enabled: process.env.AI_ENABLED === 'true',
+  provider: process.env.AI_PROVIDER || 'zai',
+  baseUrl: process.env.AI_BASE_URL || null,
+  apiKey: process.env.AI_API_KEY || null,
   model: process.env.AI_MODEL || 'glm-4.5',
   maxTokens: 150,
   temperature: 0.7,
   systemPrompt: process.env.AI_SYSTEM_PROMPT || 'Anda adalah asisten yang membantu. Respon dengan membantu dan ringkas.',
   responseDelay: parseInt(process.env.AI_RESPONSE_DELAY) || 5000,
-  maxHistoryLength: 10
+  historyTokenBudget: parseInt(process.env.AI_HISTORY_TOKEN_BUDGET) || 2000,
+  knowledgeTopK: parseInt(process.env.AI_KNOWLEDGE_TOP_K ?? 3),
+  embeddingModel: process.env.AI_EMBEDDING_MODEL || null,
+  approvalMode: process.env.AI_APPROVAL_MODE === 'true',
+  autoSendConfidence: process.env.AI_AUTO_SEND_CONFIDENCE ? parseFloat(process.env.AI_AUTO_SEND_CONFIDENCE) : null,
+  handoffEnabled: process.env.AI_HANDOFF_ENABLED === 'true',
+  maxToolRounds: parseInt(process.env.AI_MAX_TOOL_ROUNDS ?? 3)
 };
 
-// Conversation history storage
-const conversationHistory = new Map();
+// Most stored messages read per chat before trimming to the token budget
+const HISTORY_FETCH_LIMIT = 200;
 
-// Initialize ZAI client
-let zai = null;
+// Settings that need the provider client rebuilt
+const PROVIDER_KEYS = ['provider', 'baseUrl', 'apiKey', 'model'];
+
+// Active provider client
+let provider = null;
 
 // Initialize AI system
 export async function initAI() {
@@ -27,25 +53,25 @@ export async function initAI() {
       return true;
     }
 
-    // Initialize ZAI client
-    zai = await ZAI.create();
+    // Initialize provider client
+    provider = await createAIProvider(AI_CONFIG);
 
     // Test the connection
-    const testResponse = await zai.chat.completions.create({
-      messages: [
-        {
-          role: 'system',
-          content: 'Anda adalah asisten yang membantu.'
-        },
-        {
-          role: 'user',
-          content: 'Halo, apakah Anda berfungsi?'
-        }
-      ],
-      max_tokens: 10
-    });
+    const testMessages = [
+      {
+        role: 'system',
+        content: 'Anda adalah asisten yang membantu.'
+      },
+      {
+        role: 'user',
+        content: 'Halo, apakah Anda berfungsi?'
+      }
+    ];
+    const usage = getUsageContext();
+    const { completion, latencyMs } = await timedChat({ messages: testMessages, maxTokens: 10 }, usage);
+    await recordAIUsage({ ...usage, model: provider.model, messages: testMessages, completion, latencyMs, outcome: 'test' });
 
-    logger.info('Sistem AI diinisialisasi dengan sukses');
+    logger.info(`Sistem AI diinisialisasi dengan sukses (${provider.name})`);
     return true;
   } catch (error) {
     logger.error('Gagal menginisialisasi sistem AI:', error);
@@ -54,30 +80,68 @@ export async function initAI() {
   }
 }
 
-// Generate AI response
+// Generate AI response; replies carry requiresApproval or handoff when they must not be sent as-is
 export async function generateAIResponse(messageData) {
+  let settings = getProfileSettings(null);
+
   try {
-    if (!AI_CONFIG.enabled || !zai) {
+    if (!AI_CONFIG.enabled || !provider) {
       logger.debug('Sistem AI tidak diaktifkan atau tidak diinisialisasi');
       return null;
     }
 
-    const { message, chatId, senderName, isGroup } = messageData;
+    const { message, chatId, senderName, senderId, sessionId, isGroup, recipient } = messageData;
+
+    // A person has this chat; the AI stays out of it until the handoff is resolved
+    if (chatId && await getOpenAIHandoff(chatId)) {
+      logger.debug('Obrolan sedang ditangani manusia', { chatId });
+      return null;
+    }
+
+    // Persona and reply policy for this chat, contact or session
+    const resolved = await resolveAIProfile({ chatId, senderId, sessionId });
+    const profile = resolved?.profile || null;
+
+    if (profile) {
+      const block = getReplyBlock(profile, { message, isGroup });
+      if (block) {
+        logger.debug('Profil AI tidak membalas pesan ini', { chatId, profile: profile.name, reason: block });
+        return null;
+      }
+    }
+
+    settings = getProfileSettings(profile);
+
+    // The sender asked for a person; no need to ask the model
+    const handoffKeyword = settings.handoffEnabled ? matchHandoffKeyword(message) : null;
+    if (handoffKeyword) {
+      return {
+        content: null,
+        handoff: { reason: 'requested', detail: handoffKeyword },
+        profileId: profile?.id ?? null,
+        timestamp: new Date().toISOString()
+      };
+    }
+
+    // A session over its AI budget gets no automatic replies until the budget resets or is raised
+    if (await isAIBudgetExceeded(sessionId)) {
+      logger.info('Anggaran AI sesi terlampaui, balasan otomatis dijeda', { chatId, sessionId });
+      return null;
+    }
 
     // Get conversation history
-    const history = getConversationHistory(chatId);
+    const history = await getConversationHistory(chatId);
     
     // Add user message to history
-    addToConversationHistory(chatId, {
+    await addToConversationHistory(chatId, {
       role: 'user',
       content: message,
-      senderName,
-      timestamp: new Date().toISOString()
+      senderName
     });
 
     // Prepare messages for AI
     const messages = [
-      { role: 'system', content: AI_CONFIG.systemPrompt },
+      { role: 'system', content: settings.systemPrompt },
       ...history.map(msg => ({
         role: msg.role === 'user' ? 'user' : 'assistant',
         content: msg.content
@@ -86,43 +150,122 @@ export async function generateAIResponse(messageData) {
     ];
 
     // Add context about the chat
-    const contextMessage = `Ini adalah obrolan ${isGroup ? 'grup' : 'pribadi'}. Pengirim adalah ${senderName}.`;
+    let contextMessage = `Ini adalah obrolan ${isGroup ? 'grup' : 'pribadi'}. Pengirim adalah ${senderName}.`;
+    if (settings.language) {
+      contextMessage += ` Selalu balas dalam bahasa: ${settings.language}.`;
+    }
+    if (settings.handoffEnabled) {
+      contextMessage += ` Jika Anda tidak dapat membantu, atau pengguna ingin berbicara dengan manusia, balas hanya dengan ${HANDOFF_MARKER} diikuti alasan singkat.`;
+    }
+    if (canAutoSend(settings)) {
+      contextMessage += ` Akhiri setiap balasan dengan baris baru berisi ${CONFIDENCE_MARKER} dan angka 0 sampai 1 yang menilai seberapa yakin Anda bahwa balasan itu benar dan lengkap, misalnya ${CONFIDENCE_MARKER} 0.6.`;
+    }
     messages.splice(1, 0, { role: 'system', content: contextMessage });
 
-    logger.debug('Membuat respons AI', { chatId, messageLength: message.length });
+    // Knowledge base passages the reply should be grounded in
+    const passages = await getKnowledgePassages(message);
+    if (passages.length > 0) {
+      messages.splice(2, 0, { role: 'system', content: formatKnowledgePrompt(passages) });
+    }
 
-    // Generate response using ZAI
-    const completion = await zai.chat.completions.create({
-      messages: messages,
-      max_tokens: AI_CONFIG.maxTokens,
-      temperature: AI_CONFIG.temperature
+    logger.debug('Membuat respons AI', { chatId, messageLength: message.length, profile: profile?.name });
+
+    // Generate response using the configured provider, running any tools it calls on the way
+    const { completion, latencyMs, toolCalls } = await completeWithTools(messages, settings, {
+      chatId,
+      sessionId,
+      senderId,
+      recipient,
+      approvalMode: settings.approvalMode
     });
 
-    const response = completion.choices[0]?.message?.content;
+    // Log the final completion with what it led to
+    const recordOutcome = outcome => recordAIUsage({
+      ...getUsageContext(chatId, sessionId),
+      model: settings.model,
+      messages,
+      completion,
+      latencyMs,
+      outcome
+    });
+
+    // Replies that may be sent without approval end with the model's rating of them
+    const rated = canAutoSend(settings)
+      ? parseConfidenceMarker(completion.content)
+      : { content: completion.content, rating: null };
+    const response = rated.content;
 
     if (!response) {
       logger.warn('AI mengembalikan respons kosong');
+      await recordOutcome('empty');
       return null;
     }
 
-    // Add AI response to history
-    addToConversationHistory(chatId, {
-      role: 'assistant',
-      content: response,
-      timestamp: new Date().toISOString()
-    });
+    // The model says a person should take over
+    const handoffDetail = settings.handoffEnabled ? parseHandoffMarker(response) : null;
+    if (handoffDetail !== null) {
+      logger.info('AI menyerahkan obrolan ke manusia', { chatId, reason: handoffDetail });
+      await recordOutcome('handoff');
+      return {
+        content: null,
+        handoff: { reason: 'model', detail: handoffDetail || null },
+        profileId: profile?.id ?? null,
+        timestamp: new Date().toISOString()
+      };
+    }
+
+    // A reply cut off by the token limit has lost its rating, so it is drafted
+    const confidence = completion.finishReason === 'length' ? null : rated.rating;
+    const requiresApproval = needsApproval(settings, confidence);
+    await recordOutcome(requiresApproval ? 'draft' : 'reply');
+
+    // Drafts join the history when they are approved and sent
+    if (!requiresApproval) {
+      await addToConversationHistory(chatId, {
+        role: 'assistant',
+        content: response
+      });
+    }
 
     logger.info('Respons AI dihasilkan dengan sukses', { 
       chatId, 
-      responseLength: response.length 
+      responseLength: response.length,
+      requiresApproval
     });
 
-    return {
+    const reply = {
       content: response,
-      confidence: completion.choices[0]?.finish_reason === 'stop' ? 1 : 0.8,
+      confidence,
+      requiresApproval,
+      profileId: profile?.id ?? null,
+      responseDelay: profile?.response_delay ?? null,
+      citations: passages.map((passage, index) => ({
+        index: index + 1,
+        documentId: passage.documentId,
+        chunkId: passage.chunkId,
+        title: passage.title,
+        heading: passage.heading,
+        source: passage.source
+      })),
+      toolCalls,
       timestamp: new Date().toISOString()
     };
 
+    await triggerWebhookEvent('ai.reply.generated', {
+      chatId,
+      message,
+      reply: reply.content,
+      confidence: reply.confidence,
+      requiresApproval,
+      model: settings.model,
+      profile: profile?.name ?? null,
+      citations: reply.citations,
+      toolCalls,
+      timestamp: reply.timestamp
+    });
+
+    return reply;
+
   } catch (error) {
     logger.error('Gagal menghasilkan respons AI:', error);
     
@@ -130,88 +273,289 @@ export async function generateAIResponse(messageData) {
     return {
       content: 'Maaf, saya tidak dapat merespons saat ini. Silakan coba lagi nanti.',
       confidence: 0.1,
+      requiresApproval: needsApproval(settings, 0.1),
       timestamp: new Date().toISOString(),
       error: error.message
     };
   }
 }
 
-// Get conversation history
-function getConversationHistory(chatId) {
-  return conversationHistory.get(chatId) || [];
+// Active tools the model is offered, when the provider supports function calling
+async function getReplyTools() {
+  if (!AI_CONFIG.maxToolRounds || !provider.supportsTools) {
+    return [];
+  }
+  return getAITools({ activeOnly: true });
 }
 
-// Add message to conversation history
-function addToConversationHistory(chatId, message) {
-  if (!conversationHistory.has(chatId)) {
-    conversationHistory.set(chatId, []);
+// Who a completion is billed to in the usage log
+function getUsageContext(chatId = null, sessionId = null) {
+  return { chatId, sessionId, provider: provider.name };
+}
+
+// Call the provider and time it. Failed calls are written to the usage log here; callers log
+// successful ones once they know the outcome
+async function timedChat(params, usage) {
+  const started = Date.now();
+
+  try {
+    const completion = await provider.chat(params);
+    return { completion, latencyMs: Date.now() - started };
+  } catch (error) {
+    await recordAIUsage({
+      ...usage,
+      model: params.model || provider.model,
+      messages: params.messages,
+      latencyMs: Date.now() - started,
+      outcome: 'error',
+      error: error.message
+    });
+    throw error;
+  }
+}
+
+// Ask for a reply, running the tools the model calls in between. The round after the last tool round
+// offers no tools, so the model has to answer with what it has
+async function completeWithTools(messages, settings, context) {
+  const tools = await getReplyTools();
+  const toolCalls = [];
+  const usage = getUsageContext(context.chatId, context.sessionId);
+
+  for (let round = 0; ; round++) {
+    const offerTools = tools.length > 0 && round < AI_CONFIG.maxToolRounds;
+
+    const { completion, latencyMs } = await timedChat({
+      messages,
+      model: settings.model,
+      maxTokens: settings.maxTokens,
+      temperature: settings.temperature,
+      ...(offerTools && { tools: getToolDefinitions(tools) })
+    }, usage);
+
+    if (!offerTools || !completion.toolCalls?.length) {
+      return { completion, latencyMs, toolCalls };
+    }
+
+    await recordAIUsage({ ...usage, model: settings.model, messages, completion, latencyMs, outcome: 'tool_calls' });
+
+    logger.debug('AI memanggil alat', { chatId: context.chatId, tools: completion.toolCalls.map(call => call.name) });
+    messages.push({ role: 'assistant', content: completion.content, toolCalls: completion.toolCalls });
+
+    for (const call of completion.toolCalls) {
+      const outcome = await executeAITool({
+        name: call.name,
+        tool: tools.find(tool => tool.name === call.name) || null,
+        args: call.arguments
+      }, context);
+
+      toolCalls.push({ callId: outcome.callId, name: call.name, status: outcome.status });
+      messages.push({ role: 'tool', toolCallId: call.id, name: call.name, content: formatToolResult(outcome) });
+    }
+  }
+}
+
+// Embedding client for the knowledge base, or null when no embedding model is set or the provider has none
+export function getKnowledgeEmbedder() {
+  if (!AI_CONFIG.enabled || !provider?.embed || !AI_CONFIG.embeddingModel) {
+    return null;
+  }
+
+  const model = AI_CONFIG.embeddingModel;
+  return {
+    model,
+    embed: texts => provider.embed({ input: texts, model })
+  };
+}
+
+// Best knowledge base passages for a message; a failing search never blocks the reply
+async function getKnowledgePassages(message) {
+  if (!AI_CONFIG.knowledgeTopK) {
+    return [];
+  }
+
+  try {
+    return await searchKnowledge(message, {
+      limit: AI_CONFIG.knowledgeTopK,
+      embedder: getKnowledgeEmbedder()
+    });
+  } catch (error) {
+    logger.warn('Pencarian basis pengetahuan gagal', { error: error.message });
+    return [];
+  }
+}
+
+// Numbered passages the model can cite as [1], [2], ...
+function formatKnowledgePrompt(passages) {
+  const sources = passages.map((passage, index) => {
+    const label = [passage.title, passage.heading].filter(Boolean).join(' — ');
+    return `[${index + 1}] ${label}${passage.source ? ` (${passage.source})` : ''}\n${passage.content}`;
+  });
+
+  return 'Gunakan kutipan basis pengetahuan berikut untuk menjawab. Jika jawabannya tidak ada di sana, ' +
+    'katakan bahwa Anda tidak tahu dan jangan mengarang. Sebutkan sumber yang Anda pakai dengan nomornya, misalnya [1].\n\n' +
+    sources.join('\n\n');
+}
+
+// Profile values where set, the global configuration otherwise
+function getProfileSettings(profile) {
+  return {
+    systemPrompt: profile?.system_prompt || AI_CONFIG.systemPrompt,
+    model: profile?.model || AI_CONFIG.model,
+    maxTokens: profile?.max_tokens ?? AI_CONFIG.maxTokens,
+    temperature: profile?.temperature ?? AI_CONFIG.temperature,
+    language: profile?.language || null,
+    approvalMode: profile?.approval_mode ?? AI_CONFIG.approvalMode,
+    autoSendConfidence: profile?.auto_send_confidence ?? AI_CONFIG.autoSendConfidence,
+    handoffEnabled: profile?.handoff_enabled ?? AI_CONFIG.handoffEnabled
+  };
+}
+
+// Whether replies can skip the inbox: approval mode with an auto-send threshold
+function canAutoSend(settings) {
+  return settings.approvalMode && settings.autoSendConfidence !== null;
+}
+
+// In approval mode every reply is a draft unless a threshold is set and the model rated the reply at or above it
+function needsApproval(settings, confidence) {
+  if (!settings.approvalMode) {
+    return false;
+  }
+  return !canAutoSend(settings) || confidence === null || confidence < settings.autoSendConfidence;
+}
+
+// Get conversation history, newest messages that fit the token budget
+async function getConversationHistory(chatId) {
+  if (!chatId) {
+    return [];
   }
 
-  const history = conversationHistory.get(chatId);
-  history.push(message);
+  const stored = await getAIMessages(chatId, HISTORY_FETCH_LIMIT);
+  return trimToTokenBudget(stored, AI_CONFIG.historyTokenBudget).messages;
+}
 
-  // Limit history length
-  if (history.length > AI_CONFIG.maxHistoryLength) {
-    history.shift();
+// Add message to conversation history
+async function addToConversationHistory(chatId, message) {
+  if (!chatId) {
+    return;
   }
+
+  await saveAIMessage({
+    chatId,
+    ...message,
+    tokens: estimateMessageTokens(message)
+  });
+}
+
+// A chat's stored history and the part of it that fits the token budget. The system prompt, profile
+// and knowledge passages are added per message when a reply is generated, so they are not included
+export async function getStoredConversationHistory(chatId) {
+  const stored = await getAIMessages(chatId, HISTORY_FETCH_LIMIT);
+  const { messages, tokens } = trimToTokenBudget(stored, AI_CONFIG.historyTokenBudget);
+
+  return {
+    chatId,
+    tokenBudget: AI_CONFIG.historyTokenBudget,
+    historyTokens: tokens,
+    storedMessages: stored.length,
+    includedMessages: messages.length,
+    messages: messages.map(msg => ({
+      role: msg.role,
+      content: msg.content,
+      senderName: msg.sender_name,
+      tokens: msg.tokens,
+      createdAt: msg.created_at
+    }))
+  };
 }
 
 // Clear conversation history
-export function clearConversationHistory(chatId = null) {
+export async function clearConversationHistory(chatId = null) {
+  await clearAIMessages(chatId);
+
   if (chatId) {
-    conversationHistory.delete(chatId);
     logger.info(`Riwayat percakapan dibersihkan untuk chat: ${chatId}`);
   } else {
-    conversationHistory.clear();
     logger.info('Semua riwayat percakapan dibersihkan');
   }
 }
 
 // Get AI statistics
-export function getAIStatistics() {
+export async function getAIStatistics() {
+  const { totalConversations, totalMessages } = await getAIMessageStats();
+
   const stats = {
     enabled: AI_CONFIG.enabled,
+    provider: AI_CONFIG.provider,
     model: AI_CONFIG.model,
-    totalConversations: conversationHistory.size,
-    totalMessages: Array.from(conversationHistory.values())
-      .reduce((total, history) => total + history.length, 0),
+    totalConversations,
+    totalMessages,
+    usage: await getAIUsageSummary(),
     configuration: {
       maxTokens: AI_CONFIG.maxTokens,
       temperature: AI_CONFIG.temperature,
-      maxHistoryLength: AI_CONFIG.maxHistoryLength,
-      responseDelay: AI_CONFIG.responseDelay
+      historyTokenBudget: AI_CONFIG.historyTokenBudget,
+      responseDelay: AI_CONFIG.responseDelay,
+      knowledgeTopK: AI_CONFIG.knowledgeTopK,
+      embeddingModel: AI_CONFIG.embeddingModel,
+      approvalMode: AI_CONFIG.approvalMode,
+      autoSendConfidence: AI_CONFIG.autoSendConfidence,
+      handoffEnabled: AI_CONFIG.handoffEnabled,
+      maxToolRounds: AI_CONFIG.maxToolRounds
     }
   };
 
   return stats;
 }
 
-// Update AI configuration
-export function updateAIConfiguration(newConfig) {
+// Update AI configuration; provider changes rebuild the client
+export async function updateAIConfiguration(newConfig) {
   const allowedKeys = [
     'enabled',
+    'provider',
+    'baseUrl',
+    'apiKey',
     'model',
     'maxTokens',
     'temperature',
     'systemPrompt',
     'responseDelay',
-    'maxHistoryLength'
+    'historyTokenBudget',
+    'knowledgeTopK',
+    'embeddingModel',
+    'approvalMode',
+    'autoSendConfidence',
+    'handoffEnabled',
+    'maxToolRounds'
   ];
 
+  const nextConfig = { ...AI_CONFIG };
+
   allowedKeys.forEach(key => {
     if (newConfig[key] !== undefined) {
-      if (key === 'enabled') {
-        AI_CONFIG[key] = Boolean(newConfig[key]);
-      } else if (key === 'maxTokens' || key === 'temperature' || key === 'responseDelay' || key === 'maxHistoryLength') {
-        AI_CONFIG[key] = Number(newConfig[key]);
+      if (key === 'enabled' || key === 'approvalMode' || key === 'handoffEnabled') {
+        nextConfig[key] = Boolean(newConfig[key]);
+      } else if (key === 'autoSendConfidence') {
+        nextConfig[key] = newConfig[key] === null ? null : Number(newConfig[key]);
+      } else if (key === 'maxTokens' || key === 'temperature' || key === 'responseDelay' || key === 'historyTokenBudget' || key === 'knowledgeTopK' || key === 'maxToolRounds') {
+        nextConfig[key] = Number(newConfig[key]);
       } else {
-        AI_CONFIG[key] = newConfig[key];
+        nextConfig[key] = newConfig[key];
       }
     }
   });
 
-  logger.info('Konfigurasi AI diperbarui', AI_CONFIG);
-  return AI_CONFIG;
+  // Build the new client first so a bad provider setting leaves the old one in place
+  const providerChanged = PROVIDER_KEYS.some(key => newConfig[key] !== undefined);
+
+  if (nextConfig.enabled && (providerChanged || !provider)) {
+    provider = await createAIProvider(nextConfig);
+  }
+
+  Object.assign(AI_CONFIG, nextConfig);
+
+  const config = getAIConfiguration();
+  logger.info('Konfigurasi AI diperbarui', config);
+  return config;
 }
 
 // Process message with AI (with delay)
@@ -230,10 +574,10 @@ export async function processWithAI(messageData) {
 
     const response = await generateAIResponse(messageData);
     
-    if (response && response.content) {
+    if (response && (response.content || response.handoff)) {
       logger.info('Pemrosesan AI selesai', { 
         chatId: messageData.chatId,
-        responseLength: response.content.length 
+        responseLength: response.content?.length ?? 0
       });
       
       return response;
@@ -249,7 +593,7 @@ export async function processWithAI(messageData) {
 // Generate AI response for specific prompt
 export async function generateAIResponseForPrompt(prompt, options = {}) {
   try {
-    if (!AI_CONFIG.enabled || !zai) {
+    if (!AI_CONFIG.enabled || !provider) {
       throw new Error('Sistem AI tidak diaktifkan atau tidak diinisialisasi');
     }
 
@@ -258,13 +602,15 @@ export async function generateAIResponseForPrompt(prompt, options = {}) {
       { role: 'user', content: prompt }
     ];
 
-    const completion = await zai.chat.completions.create({
+    const usage = getUsageContext();
+    const { completion, latencyMs } = await timedChat({
       messages: messages,
-      max_tokens: options.maxTokens || AI_CONFIG.maxTokens,
+      maxTokens: options.maxTokens || AI_CONFIG.maxTokens,
       temperature: options.temperature || AI_CONFIG.temperature
-    });
+    }, usage);
+    await recordAIUsage({ ...usage, model: provider.model, messages, completion, latencyMs, outcome: 'prompt' });
 
-    const response = completion.choices[0]?.message?.content;
+    const response = completion.content;
 
     if (!response) {
       throw new Error('AI mengembalikan respons kosong');
@@ -272,7 +618,7 @@ export async function generateAIResponseForPrompt(prompt, options = {}) {
 
     return {
       content: response,
-      confidence: completion.choices[0]?.finish_reason === 'stop' ? 1 : 0.8,
+      confidence: completion.finishReason === 'stop' ? 1 : 0.8,
       timestamp: new Date().toISOString()
     };
 
@@ -284,42 +630,44 @@ export async function generateAIResponseForPrompt(prompt, options = {}) {
 
 // Check if AI is available
 export function isAIAvailable() {
-  return AI_CONFIG.enabled && zai !== null;
+  return AI_CONFIG.enabled && provider !== null;
 }
 
-// Get AI configuration
+// Get AI configuration; the API key is never returned
 export function getAIConfiguration() {
-  return { ...AI_CONFIG };
+  const { apiKey, ...config } = AI_CONFIG;
+  return { ...config, apiKeySet: Boolean(apiKey) };
 }
 
 // Test AI connection
 export async function testAIConnection() {
   try {
-    if (!AI_CONFIG.enabled || !zai) {
+    if (!AI_CONFIG.enabled || !provider) {
       return {
         success: false,
         message: 'Sistem AI tidak diaktifkan atau tidak diinisialisasi'
       };
     }
 
-    const testResponse = await zai.chat.completions.create({
-      messages: [
-        {
-          role: 'system',
-          content: AI_CONFIG.systemPrompt
-        },
-        {
-          role: 'user',
-          content: 'Halo, apakah Anda berfungsi?'
-        }
-      ],
-      max_tokens: 10
-    });
+    const testMessages = [
+      {
+        role: 'system',
+        content: AI_CONFIG.systemPrompt
+      },
+      {
+        role: 'user',
+        content: 'Halo, apakah Anda berfungsi?'
+      }
+    ];
+    const usage = getUsageContext();
+    const { completion: testResponse, latencyMs } = await timedChat({ messages: testMessages, maxTokens: 10 }, usage);
+    await recordAIUsage({ ...usage, model: provider.model, messages: testMessages, completion: testResponse, latencyMs, outcome: 'test' });
 
     return {
       success: true,
       message: 'Koneksi AI berhasil',
-      response: testResponse.choices[0]?.message?.content
+      provider: provider.name,
+      response: testResponse.content
     };
 
   } catch (error) {
@@ -337,10 +685,12 @@ export default {
   generateAIResponse,
   processWithAI,
   clearConversationHistory,
+  getStoredConversationHistory,
   getAIStatistics,
   updateAIConfiguration,
   generateAIResponseForPrompt,
   isAIAvailable,
   getAIConfiguration,
-  testAIConnection
+  testAIConnection,
+  getKnowledgeEmbedder
 };
\ No newline at end of file
@@ -0,0 +1,197 @@
+import { logger } from './utils/logger.js';
+import {
+  saveAIDraft,
+  getAIDraftById,
+  updateAIDraft,
+  saveAIHandoff,
+  getOpenAIHandoff,
+  saveAIMessage
+} from './db.js';
+import { addMessageToQueue } from './queue.js';
+import { triggerWebhookEvent } from './webhooks.js';
+import { estimateMessageTokens } from './utils/tokens.js';
+
+// Words or phrases that mean the sender wants a person, matched as whole words
+export const HANDOFF_KEYWORDS = (process.env.AI_HANDOFF_KEYWORDS || 'agent,human,manusia,operator,customer service')
+  .split(',')
+  .map(keyword => keyword.trim().toLowerCase())
+  .filter(Boolean);
+
+export const HANDOFF_MESSAGE = process.env.AI_HANDOFF_MESSAGE ??
+  'Thanks for your patience. A member of our team will reply to you here shortly.';
+
+// What the model answers with, followed by a short reason, when it cannot help
+export const HANDOFF_MARKER = '[HANDOFF]';
+
+// Line the model ends a reply with to rate it from 0 to 1, when replies may be sent without approval
+export const CONFIDENCE_MARKER = '[CONFIDENCE]';
+
+const CONFIDENCE_LINE_PATTERN = /\[CONFIDENCE\]\s*:?\s*(\d+(?:\.\d+)?)\s*\.?\s*$/i;
+
+// Return the keyword if the sender asked for a person ("can I talk to a human?")
+export function matchHandoffKeyword(content) {
+  const text = String(content || '').toLowerCase();
+
+  return HANDOFF_KEYWORDS.find(keyword => {
+    const escaped = keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+');
+    return new RegExp(`(^|[^\\p{L}\\p{N}])${escaped}($|[^\\p{L}\\p{N}])`, 'u').test(text);
+  }) || null;
+}
+
+// The model's reason for handing off, or null for a normal reply
+export function parseHandoffMarker(content) {
+  const text = String(content || '').trim();
+  if (!text.toUpperCase().startsWith(HANDOFF_MARKER)) {
+    return null;
+  }
+  return text.slice(HANDOFF_MARKER.length).replace(/^[\s:-]+/, '').trim();
+}
+
+// Split the model's self-rating off a reply; the rating is null when it is missing or outside 0-1
+export function parseConfidenceMarker(content) {
+  const text = String(content || '').trim();
+  const match = text.match(CONFIDENCE_LINE_PATTERN);
+
+  if (!match) {
+    return { content: text, rating: null };
+  }
+
+  const rating = Number(match[1]);
+  return {
+    content: text.slice(0, match.index).trim(),
+    rating: rating >= 0 && rating <= 1 ? rating : null
+  };
+}
+
+// Hand a chat to a person: record it, tell the sender, and notify webhooks. One open handoff per chat
+export async function openHandoff({ chatId, sessionId = null, recipient = null, reason, detail = null, message = null, notify = true }) {
+  const existing = await getOpenAIHandoff(chatId);
+  if (existing) {
+    return existing.id;
+  }
+
+  const handoffId = await saveAIHandoff({ chatId, sessionId, recipient, reason, detail, message });
+
+  if (notify && recipient && HANDOFF_MESSAGE) {
+    await addMessageToQueue({
+      recipient,
+      content: HANDOFF_MESSAGE,
+      jobType: 'send_message',
+      ...(sessionId && { sessionId })
+    });
+  }
+
+  await triggerWebhookEvent('ai.handoff', {
+    handoffId,
+    chatId,
+    sessionId,
+    recipient,
+    reason,
+    detail,
+    message,
+    timestamp: new Date().toISOString()
+  });
+
+  return handoffId;
+}
+
+// Send, hold for review, or hand off an AI reply to an incoming WhatsApp message
+export async function deliverAIReply(message, reply, recipient) {
+  if (reply.handoff) {
+    const handoffId = await openHandoff({
+      chatId: message.chatId,
+      sessionId: message.sessionId,
+      recipient,
+      reason: reply.handoff.reason,
+      detail: reply.handoff.detail,
+      message: message.content
+    });
+    return { action: 'handed_off', handoffId };
+  }
+
+  if (!reply.content) {
+    return { action: 'none' };
+  }
+
+  if (reply.requiresApproval) {
+    const draftId = await saveAIDraft({
+      chatId: message.chatId,
+      sessionId: message.sessionId,
+      recipient,
+      senderName: message.senderName,
+      message: message.content,
+      content: reply.content,
+      confidence: reply.confidence,
+      profileId: reply.profileId,
+      citations: reply.citations
+    });
+
+    await triggerWebhookEvent('ai.draft.created', {
+      draftId,
+      chatId: message.chatId,
+      message: message.content,
+      draft: reply.content,
+      confidence: reply.confidence,
+      timestamp: new Date().toISOString()
+    });
+
+    return { action: 'drafted', draftId };
+  }
+
+  const result = await addMessageToQueue({
+    recipient,
+    content: reply.content,
+    jobType: 'send_message',
+    sessionId: message.sessionId,
+    ...(reply.responseDelay && { delay: reply.responseDelay })
+  });
+
+  return { action: 'sent', jobId: result.jobId };
+}
+
+// Send a pending draft, optionally edited first; returns null if it was already reviewed
+export async function approveDraft(id, { content } = {}) {
+  const draft = await getAIDraftById(id);
+  const finalContent = content ?? draft?.content;
+
+  if (!draft || !await updateAIDraft(id, { status: 'approved', content: finalContent })) {
+    return null;
+  }
+
+  let result;
+  try {
+    result = await addMessageToQueue({
+      recipient: draft.recipient,
+      content: finalContent,
+      jobType: 'send_message',
+      ...(draft.session_id && { sessionId: draft.session_id })
+    });
+  } catch (error) {
+    // Put it back in the inbox so the reviewer can try again
+    await updateAIDraft(id, { status: 'pending' }, 'approved');
+    throw error;
+  }
+
+  await updateAIDraft(id, { jobId: result.jobId }, 'approved');
+
+  // Only replies that were actually sent become part of the conversation the AI remembers
+  await saveAIMessage({
+    chatId: draft.chat_id,
+    role: 'assistant',
+    content: finalContent,
+    tokens: estimateMessageTokens({ content: finalContent })
+  });
+
+  logger.info(`AI draft approved: ${id}`, { chatId: draft.chat_id, edited: finalContent !== draft.content });
+  return getAIDraftById(id);
+}
+
+// Discard a pending draft; returns null if it was already reviewed
+export async function rejectDraft(id, { reason = null } = {}) {
+  if (!await updateAIDraft(id, { status: 'rejected', rejectReason: reason })) {
+    return null;
+  }
+
+  logger.info(`AI draft rejected: ${id}`);
+  return getAIDraftById(id);
+}
@@ -0,0 +1,175 @@
+import { getAIProfiles, getContactByPhone } from './db.js';
+import { normalisePhone } from './utils/phone.js';
+import {
+  validateTimezone,
+  isWithinDailyWindow,
+  getDailyWindowWeekday,
+  CLOCK_TIME_PATTERN
+} from './utils/schedule.js';
+import { ValidationError } from './middleware/errorHandler.js';
+
+const DEFAULT_TIMEZONE = process.env.SCHEDULE_TIMEZONE || 'UTC';
+
+const STRING_LIST_FIELDS = ['mentionNames', 'chatIds', 'contactTags', 'sessionIds'];
+const BOOLEAN_FIELDS = ['replyInPersonal', 'replyInGroups', 'groupMentionOnly', 'isDefault', 'isActive'];
+
+// Review switches; null follows the global AI configuration
+const INHERITED_BOOLEAN_FIELDS = ['approvalMode', 'handoffEnabled'];
+
+function isStringList(value) {
+  return Array.isArray(value) && value.every(item => typeof item === 'string' && item.trim() !== '');
+}
+
+// Optional text setting; an empty string clears it back to the global value
+function optionalText(value, field) {
+  if (value === null || value === '') return null;
+  if (typeof value !== 'string') {
+    throw new ValidationError(`${field} must be a string`);
+  }
+  return value.trim();
+}
+
+function optionalNumber(value, field, { min, max, integer = false }) {
+  if (value === null) return null;
+  const number = Number(value);
+  if (!Number.isFinite(number) || (integer && !Number.isInteger(number)) || number < min || (max !== undefined && number > max)) {
+    throw new ValidationError(`${field} must be ${integer ? 'an integer' : 'a number'} from ${min}${max !== undefined ? ` to ${max}` : ' up'}`);
+  }
+  return number;
+}
+
+// Validate allowed reply hours: { start, end, timezone, days }
+export function normaliseAllowedHours(allowedHours) {
+  if (allowedHours === null) return null;
+
+  const { start, end, timezone = DEFAULT_TIMEZONE, days } = allowedHours || {};
+  if (!CLOCK_TIME_PATTERN.test(start) || !CLOCK_TIME_PATTERN.test(end)) {
+    throw new ValidationError('allowedHours needs start and end as HH:MM');
+  }
+  validateTimezone(timezone);
+  if (days !== undefined && (!Array.isArray(days) || days.some(day => !Number.isInteger(day) || day < 0 || day > 6))) {
+    throw new ValidationError('allowedHours.days must be weekday numbers from 0 (Sunday) to 6');
+  }
+
+  return { start, end, timezone, ...(days && { days }) };
+}
+
+// Validate a profile from the API; partial updates only check the fields given
+export function normaliseProfileInput(data, { partial = false } = {}) {
+  const profile = {};
+
+  if (data.name !== undefined || !partial) {
+    if (typeof data.name !== 'string' || data.name.trim() === '') {
+      throw new ValidationError('Name is required');
+    }
+    profile.name = data.name.trim();
+  }
+
+  for (const field of ['systemPrompt', 'model', 'language']) {
+    if (data[field] !== undefined) {
+      profile[field] = optionalText(data[field], field);
+    }
+  }
+
+  if (data.temperature !== undefined) {
+    profile.temperature = optionalNumber(data.temperature, 'temperature', { min: 0, max: 1 });
+  }
+
+  if (data.maxTokens !== undefined) {
+    profile.maxTokens = optionalNumber(data.maxTokens, 'maxTokens', { min: 1, max: 1000, integer: true });
+  }
+
+  if (data.responseDelay !== undefined) {
+    profile.responseDelay = optionalNumber(data.responseDelay, 'responseDelay', { min: 0, max: 60000, integer: true });
+  }
+
+  if (data.allowedHours !== undefined) {
+    profile.allowedHours = normaliseAllowedHours(data.allowedHours);
+  }
+
+  for (const field of STRING_LIST_FIELDS) {
+    if (data[field] !== undefined) {
+      if (!isStringList(data[field])) {
+        throw new ValidationError(`${field} must be an array of strings`);
+      }
+      profile[field] = data[field].map(item => item.trim());
+    }
+  }
+
+  for (const field of BOOLEAN_FIELDS) {
+    if (data[field] !== undefined) {
+      profile[field] = Boolean(data[field]);
+    }
+  }
+
+  for (const field of INHERITED_BOOLEAN_FIELDS) {
+    if (data[field] !== undefined) {
+      profile[field] = data[field] === null ? null : Boolean(data[field]);
+    }
+  }
+
+  if (data.autoSendConfidence !== undefined) {
+    profile.autoSendConfidence = optionalNumber(data.autoSendConfidence, 'autoSendConfidence', { min: 0, max: 1 });
+  }
+
+  return profile;
+}
+
+// Contact tags for the sender, when the sender is a saved contact
+async function getSenderTags(senderId) {
+  let phone;
+  try {
+    phone = normalisePhone(String(senderId).split('@')[0]);
+  } catch {
+    return [];
+  }
+
+  const contact = await getContactByPhone(phone);
+  return contact ? contact.tags : [];
+}
+
+// Profile for a message: chat assignment, then contact tag, then session, then the default profile
+export async function resolveAIProfile({ chatId, senderId, sessionId }) {
+  const profiles = await getAIProfiles({ activeOnly: true });
+  if (profiles.length === 0) return null;
+
+  const byChat = profiles.find(profile => chatId && profile.chat_ids.includes(chatId));
+  if (byChat) return { profile: byChat, matchedBy: 'chat' };
+
+  if (profiles.some(profile => profile.contact_tags.length > 0)) {
+    const tags = await getSenderTags(senderId);
+    const byTag = profiles.find(profile => profile.contact_tags.some(tag => tags.includes(tag)));
+    if (byTag) return { profile: byTag, matchedBy: 'contactTag' };
+  }
+
+  const bySession = profiles.find(profile => sessionId && profile.session_ids.includes(sessionId));
+  if (bySession) return { profile: bySession, matchedBy: 'session' };
+
+  const fallback = profiles.find(profile => profile.is_default);
+  return fallback ? { profile: fallback, matchedBy: 'default' } : null;
+}
+
+function isMentioned(text, names) {
+  const lower = String(text || '').toLowerCase();
+  return names.some(name => lower.includes(name.toLowerCase()));
+}
+
+// Why a profile stays silent for a message, or null when it may reply
+export function getReplyBlock(profile, { message, isGroup }, now = new Date()) {
+  if (isGroup && !profile.reply_in_groups) return 'groups';
+  if (!isGroup && !profile.reply_in_personal) return 'personal';
+
+  if (isGroup && profile.group_mention_only && !isMentioned(message, profile.mention_names)) {
+    return 'notMentioned';
+  }
+
+  if (profile.allowed_hours) {
+    const { start, end, timezone, days } = profile.allowed_hours;
+    const inWindow = isWithinDailyWindow(now, start, end, timezone);
+    // days lists the days a window opens on, so 01:00 in a 22:00-02:00 window counts for the day before
+    const onDay = !days || days.includes(getDailyWindowWeekday(now, start, end, timezone));
+    if (!inWindow || !onDay) return 'outsideHours';
+  }
+
+  return null;
+}
@@ -0,0 +1,254 @@
+// LLM provider adapters behind one chat() interface; chat() takes an optional per-call model.
+// Providers with an embeddings API also have embed({ input, model }), returning one vector per input.
+// Providers marked supportsTools accept tools ({ name, description, parameters }) and return toolCalls
+// ({ id, name, arguments }); the conversation then carries assistant messages with toolCalls and
+// { role: 'tool', toolCallId, name, content } results
+import { estimateTokens } from './utils/tokens.js';
+import { ValidationError } from './middleware/errorHandler.js';
+
+export const AI_PROVIDERS = ['zai', 'openai', 'ollama', 'mock'];
+
+const DEFAULT_BASE_URLS = {
+  openai: 'https://api.openai.com/v1',
+  ollama: 'http://localhost:11434'
+};
+
+const AI_REQUEST_TIMEOUT = parseInt(process.env.AI_REQUEST_TIMEOUT) || 60000;
+
+// Arguments arrive as a JSON string from OpenAI-style APIs; anything unparseable is passed on to fail validation
+function parseToolArguments(value) {
+  if (typeof value !== 'string') return value ?? {};
+  try {
+    return JSON.parse(value || '{}');
+  } catch {
+    return value;
+  }
+}
+
+function toOpenAITools(tools) {
+  return tools.map(tool => ({ type: 'function', function: tool }));
+}
+
+// Common conversation shape to the OpenAI chat format
+function toOpenAIMessages(messages) {
+  return messages.map(message => {
+    if (message.role === 'tool') {
+      return { role: 'tool', tool_call_id: message.toolCallId, content: message.content };
+    }
+    if (message.toolCalls) {
+      return {
+        role: 'assistant',
+        content: message.content || null,
+        tool_calls: message.toolCalls.map(call => ({
+          id: call.id,
+          type: 'function',
+          function: {
+            name: call.name,
+            arguments: typeof call.arguments === 'string' ? call.arguments : JSON.stringify(call.arguments)
+          }
+        }))
+      };
+    }
+    return message;
+  });
+}
+
+// Turn an OpenAI-style completion (also used by GLM/ZAI) into the common reply shape
+function fromOpenAICompletion(completion) {
+  const choice = completion?.choices?.[0];
+
+  return {
+    content: choice?.message?.content || null,
+    finishReason: choice?.finish_reason || null,
+    toolCalls: (choice?.message?.tool_calls || []).map(call => ({
+      id: call.id,
+      name: call.function?.name,
+      arguments: parseToolArguments(call.function?.arguments)
+    })),
+    usage: {
+      promptTokens: completion?.usage?.prompt_tokens ?? null,
+      completionTokens: completion?.usage?.completion_tokens ?? null
+    }
+  };
+}
+
+async function postJson(url, body, headers = {}) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body),
+    signal: AbortSignal.timeout(AI_REQUEST_TIMEOUT)
+  });
+
+  if (!response.ok) {
+    const detail = await response.text().catch(() => '');
+    throw new Error(`AI provider request failed: ${response.status} ${response.statusText} ${detail}`.trim());
+  }
+
+  return response.json();
+}
+
+// GLM through z-ai-web-dev-sdk, which reads its own credentials
+async function createZaiProvider({ model }) {
+  const { default: ZAI } = await import('z-ai-web-dev-sdk');
+  const zai = await ZAI.create();
+
+  return {
+    name: 'zai',
+    model,
+    supportsTools: true,
+    async chat({ messages, maxTokens, temperature, model: modelOverride, tools }) {
+      const completion = await zai.chat.completions.create({
+        model: modelOverride || model,
+        messages: toOpenAIMessages(messages),
+        max_tokens: maxTokens,
+        temperature,
+        ...(tools?.length && { tools: toOpenAITools(tools) })
+      });
+      return fromOpenAICompletion(completion);
+    }
+  };
+}
+
+// Any server that speaks the OpenAI chat completions API (OpenAI, vLLM, LM Studio, llama.cpp, ...)
+function createOpenAIProvider({ model, baseUrl, apiKey }) {
+  const root = (baseUrl || DEFAULT_BASE_URLS.openai).replace(/\/+$/, '');
+
+  return {
+    name: 'openai',
+    model,
+    supportsTools: true,
+    async chat({ messages, maxTokens, temperature, model: modelOverride, tools }) {
+      const completion = await postJson(`${root}/chat/completions`, {
+        model: modelOverride || model,
+        messages: toOpenAIMessages(messages),
+        max_tokens: maxTokens,
+        temperature,
+        ...(tools?.length && { tools: toOpenAITools(tools) })
+      }, apiKey ? { Authorization: `Bearer ${apiKey}` } : {});
+      return fromOpenAICompletion(completion);
+    },
+    async embed({ input, model: embeddingModel }) {
+      const result = await postJson(`${root}/embeddings`, {
+        model: embeddingModel,
+        input
+      }, apiKey ? { Authorization: `Bearer ${apiKey}` } : {});
+      return [...result.data].sort((a, b) => a.index - b.index).map(item => item.embedding);
+    }
+  };
+}
+
+// Common conversation shape to Ollama's chat format, which takes arguments as objects
+function toOllamaMessages(messages) {
+  return messages.map(message => {
+    if (message.role === 'tool') {
+      return { role: 'tool', tool_name: message.name, content: message.content };
+    }
+    if (message.toolCalls) {
+      return {
+        role: 'assistant',
+        content: message.content || '',
+        tool_calls: message.toolCalls.map(call => ({
+          function: { name: call.name, arguments: call.arguments }
+        }))
+      };
+    }
+    return message;
+  });
+}
+
+// A local Ollama server through its native chat API
+function createOllamaProvider({ model, baseUrl }) {
+  const root = (baseUrl || DEFAULT_BASE_URLS.ollama).replace(/\/+$/, '');
+
+  return {
+    name: 'ollama',
+    model,
+    supportsTools: true,
+    async chat({ messages, maxTokens, temperature, model: modelOverride, tools }) {
+      const result = await postJson(`${root}/api/chat`, {
+        model: modelOverride || model,
+        messages: toOllamaMessages(messages),
+        stream: false,
+        options: { num_predict: maxTokens, temperature },
+        ...(tools?.length && { tools: toOpenAITools(tools) })
+      });
+
+      return {
+        content: result?.message?.content || null,
+        finishReason: result?.done_reason || (result?.done ? 'stop' : null),
+        // Ollama gives calls no IDs; results are matched by position and tool name
+        toolCalls: (result?.message?.tool_calls || []).map((call, index) => ({
+          id: `call_${index}`,
+          name: call.function?.name,
+          arguments: parseToolArguments(call.function?.arguments)
+        })),
+        usage: {
+          promptTokens: result?.prompt_eval_count ?? null,
+          completionTokens: result?.eval_count ?? null
+        }
+      };
+    },
+    async embed({ input, model: embeddingModel }) {
+      const result = await postJson(`${root}/api/embed`, { model: embeddingModel, input });
+      return result.embeddings;
+    }
+  };
+}
+
+const MOCK_EMBEDDING_DIMENSIONS = 64;
+
+// Hashed bag of words, so texts sharing words get similar vectors
+function mockEmbedding(text) {
+  const vector = new Array(MOCK_EMBEDDING_DIMENSIONS).fill(0);
+
+  for (const word of String(text).toLowerCase().match(/[\p{L}\p{N}]+/gu) || []) {
+    let hash = 0;
+    for (const char of word) {
+      hash = (hash * 31 + char.codePointAt(0)) >>> 0;
+    }
+    vector[hash % MOCK_EMBEDDING_DIMENSIONS] += 1;
+  }
+
+  return vector;
+}
+
+// Deterministic replies without any network, for tests and offline development
+function createMockProvider({ model }) {
+  return {
+    name: 'mock',
+    model,
+    async chat({ messages }) {
+      const lastUser = [...messages].reverse().find(message => message.role === 'user');
+      const content = `Mock reply: ${lastUser ? lastUser.content : ''}`;
+
+      return {
+        content,
+        finishReason: 'stop',
+        usage: {
+          promptTokens: messages.reduce((total, message) => total + estimateTokens(message.content), 0),
+          completionTokens: estimateTokens(content)
+        }
+      };
+    },
+    async embed({ input }) {
+      return input.map(mockEmbedding);
+    }
+  };
+}
+
+// Build the adapter for a provider name
+export async function createAIProvider({ provider, model, baseUrl = null, apiKey = null }) {
+  switch (provider) {
+    case 'zai':
+      return createZaiProvider({ model });
+    case 'openai':
+      return createOpenAIProvider({ model, baseUrl, apiKey });
+    case 'ollama':
+      return createOllamaProvider({ model, baseUrl });
+    case 'mock':
+      return createMockProvider({ model });
+    default:
+      throw new ValidationError(`Unknown AI provider: ${provider}. Use one of: ${AI_PROVIDERS.join(', ')}`);
+  }
+}
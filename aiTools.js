@@ -0,0 +1,441 @@
+import { logger } from './utils/logger.js';
+import { getContactByPhone, saveAIToolCall } from './db.js';
+import { addMessageToQueue } from './queue.js';
+import { normalisePhone } from './utils/phone.js';
+import { ValidationError } from './middleware/errorHandler.js';
+
+export const AI_TOOL_TYPES = ['http', 'contact_lookup', 'schedule_follow_up'];
+export const AI_TOOL_METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'];
+export const AI_TOOL_AUTH_TYPES = ['none', 'bearer', 'basic', 'header'];
+
+const AI_TOOL_TIMEOUT = parseInt(process.env.AI_TOOL_TIMEOUT) || 10000;
+
+// Tool results are cut to this many characters before the model reads them
+const MAX_TOOL_RESULT_LENGTH = 4000;
+
+// Furthest ahead the AI may schedule a follow-up
+const MAX_FOLLOW_UP_MINUTES = 30 * 24 * 60;
+
+// Function names every supported provider accepts
+const TOOL_NAME_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const SCHEMA_TYPES = ['string', 'number', 'integer', 'boolean', 'object', 'array'];
+
+// {{name}} in an endpoint is replaced by that argument
+const ARGUMENT_PATTERN = /\{\{\s*([A-Za-z_]\w*)\s*\}\}/g;
+
+// Built-in tools run inside the app and always take these arguments
+const BUILT_IN_TOOLS = {
+  contact_lookup: {
+    description: 'Look up the sender in the saved contacts: name, tags and custom fields',
+    parameters: { type: 'object', properties: {} }
+  },
+  schedule_follow_up: {
+    description: 'Schedule a follow-up WhatsApp message to the sender',
+    parameters: {
+      type: 'object',
+      properties: {
+        message: { type: 'string', description: 'Text of the follow-up message' },
+        delayMinutes: { type: 'integer', description: 'Minutes from now until it is sent' }
+      },
+      required: ['message', 'delayMinutes']
+    }
+  }
+};
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Check the top level of a JSON schema for tool arguments, returns a list of problems
+export function validateParameterSchema(schema) {
+  if (!isPlainObject(schema) || schema.type !== 'object') {
+    return ['parameters must be a JSON schema with type "object"'];
+  }
+
+  const problems = [];
+  const properties = schema.properties ?? {};
+
+  if (!isPlainObject(properties)) {
+    return ['parameters.properties must be an object'];
+  }
+
+  for (const [name, property] of Object.entries(properties)) {
+    if (!isPlainObject(property)) {
+      problems.push(`Property ${name} must be an object`);
+    } else if (property.type !== undefined && !SCHEMA_TYPES.includes(property.type)) {
+      problems.push(`Property ${name} has unsupported type: ${property.type}`);
+    }
+  }
+
+  if (schema.required !== undefined) {
+    if (!Array.isArray(schema.required)) {
+      problems.push('parameters.required must be an array');
+    } else {
+      schema.required
+        .filter(name => !Object.hasOwn(properties, name))
+        .forEach(name => problems.push(`Required property ${name} is not declared`));
+    }
+  }
+
+  return problems;
+}
+
+function normaliseAuth(auth) {
+  if (auth === null || auth?.type === 'none') return null;
+
+  if (!isPlainObject(auth) || !AI_TOOL_AUTH_TYPES.includes(auth.type)) {
+    throw new ValidationError(`auth.type must be one of: ${AI_TOOL_AUTH_TYPES.join(', ')}`);
+  }
+
+  const required = {
+    bearer: ['token'],
+    basic: ['username', 'password'],
+    header: ['name', 'value']
+  }[auth.type];
+
+  const missing = required.filter(field => typeof auth[field] !== 'string' || auth[field] === '');
+  if (missing.length > 0) {
+    throw new ValidationError(`${auth.type} auth needs: ${missing.join(', ')}`);
+  }
+
+  return Object.fromEntries([['type', auth.type], ...required.map(field => [field, auth[field]])]);
+}
+
+function validateEndpoint(endpoint) {
+  let url;
+  try {
+    url = new URL(endpoint.replace(ARGUMENT_PATTERN, 'x'));
+  } catch {
+    throw new ValidationError('endpoint must be a valid URL');
+  }
+
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    throw new ValidationError('endpoint must be an http or https URL');
+  }
+  return endpoint;
+}
+
+// Validate tool fields; partial input is allowed for updates and checked against the existing tool
+export function normaliseToolInput(data, { partial = false, existing = null } = {}) {
+  const tool = {};
+  const type = data.type ?? existing?.type ?? 'http';
+
+  if (!AI_TOOL_TYPES.includes(type)) {
+    throw new ValidationError(`type must be one of: ${AI_TOOL_TYPES.join(', ')}`);
+  }
+  if (data.type !== undefined || !partial) {
+    tool.type = type;
+  }
+
+  if (data.name !== undefined || !partial) {
+    if (typeof data.name !== 'string' || !TOOL_NAME_PATTERN.test(data.name)) {
+      throw new ValidationError('name must be 1-64 letters, digits, underscores or dashes');
+    }
+    tool.name = data.name;
+  }
+
+  if (data.description !== undefined || !partial) {
+    const description = typeof data.description === 'string' ? data.description.trim() : '';
+    if (!description && type === 'http') {
+      throw new ValidationError('description is required; the model reads it to decide when to call the tool');
+    }
+    tool.description = description || BUILT_IN_TOOLS[type]?.description;
+  }
+
+  if (type === 'http') {
+    // A built-in tool turned into an HTTP one gets every HTTP field set
+    const complete = !partial || existing?.type !== 'http';
+
+    if (data.parameters !== undefined || complete) {
+      const parameters = data.parameters ?? { type: 'object', properties: {} };
+      const problems = validateParameterSchema(parameters);
+      if (problems.length > 0) {
+        const error = new ValidationError(`Invalid parameters: ${problems.join(', ')}`);
+        error.details = problems;
+        throw error;
+      }
+      tool.parameters = parameters;
+    }
+
+    const endpoint = data.endpoint ?? existing?.endpoint;
+    if (typeof endpoint !== 'string' || endpoint === '') {
+      throw new ValidationError('endpoint is required for http tools');
+    }
+    if (data.endpoint !== undefined || complete) {
+      tool.endpoint = validateEndpoint(endpoint);
+    }
+
+    if (data.method !== undefined || complete) {
+      const method = String(data.method ?? 'POST').toUpperCase();
+      if (!AI_TOOL_METHODS.includes(method)) {
+        throw new ValidationError(`method must be one of: ${AI_TOOL_METHODS.join(', ')}`);
+      }
+      tool.method = method;
+    }
+
+    if (data.headers !== undefined) {
+      if (!isPlainObject(data.headers) || Object.values(data.headers).some(value => typeof value !== 'string')) {
+        throw new ValidationError('headers must be an object of strings');
+      }
+      tool.headers = data.headers;
+    }
+
+    if (data.auth !== undefined) {
+      tool.auth = normaliseAuth(data.auth);
+    }
+  } else if (data.type !== undefined) {
+    // Built-in tools have fixed arguments and make no HTTP request
+    Object.assign(tool, { parameters: {}, endpoint: null, method: null, headers: {}, auth: null });
+  }
+
+  if (data.timeoutMs !== undefined) {
+    const timeout = data.timeoutMs === null ? null : Number(data.timeoutMs);
+    if (timeout !== null && (!Number.isInteger(timeout) || timeout < 1000 || timeout > 60000)) {
+      throw new ValidationError('timeoutMs must be an integer from 1000 to 60000');
+    }
+    tool.timeoutMs = timeout;
+  }
+
+  if (data.isActive !== undefined) {
+    tool.isActive = Boolean(data.isActive);
+  }
+
+  return tool;
+}
+
+// A tool for API responses: credentials are never returned, only which kind is set
+export function describeTool(tool) {
+  const { auth, ...rest } = tool;
+  return {
+    ...rest,
+    parameters: getToolParameters(tool),
+    auth: auth ? { type: auth.type, ...(auth.username && { username: auth.username }), ...(auth.name && { name: auth.name }) } : null
+  };
+}
+
+function getToolParameters(tool) {
+  return BUILT_IN_TOOLS[tool.type]?.parameters ?? tool.parameters;
+}
+
+// What providers are told about each tool
+export function getToolDefinitions(tools) {
+  return tools.map(tool => ({
+    name: tool.name,
+    description: tool.description,
+    parameters: getToolParameters(tool)
+  }));
+}
+
+function matchesSchemaType(value, type) {
+  switch (type) {
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'object':
+      return isPlainObject(value);
+    case 'array':
+      return Array.isArray(value);
+    default:
+      return typeof value === type;
+  }
+}
+
+// Check call arguments against a tool's schema, returns a list of problems
+export function validateToolArguments(schema, args) {
+  if (!isPlainObject(args)) {
+    return ['Arguments must be a JSON object'];
+  }
+
+  const problems = [];
+  const properties = schema.properties ?? {};
+
+  for (const name of schema.required ?? []) {
+    if (args[name] === undefined || args[name] === null) {
+      problems.push(`${name} is required`);
+    }
+  }
+
+  for (const [name, value] of Object.entries(args)) {
+    const property = properties[name];
+    if (!property || value === null) continue;
+
+    if (property.type && !matchesSchemaType(value, property.type)) {
+      problems.push(`${name} must be of type ${property.type}`);
+    } else if (Array.isArray(property.enum) && !property.enum.includes(value)) {
+      problems.push(`${name} must be one of: ${property.enum.join(', ')}`);
+    }
+  }
+
+  return problems;
+}
+
+function getAuthHeaders(auth) {
+  switch (auth?.type) {
+    case 'bearer':
+      return { Authorization: `Bearer ${auth.token}` };
+    case 'basic':
+      return { Authorization: `Basic ${Buffer.from(`${auth.username}:${auth.password}`).toString('base64')}` };
+    case 'header':
+      return { [auth.name]: auth.value };
+    default:
+      return {};
+  }
+}
+
+// Call a tool's endpoint: arguments fill {{placeholders}} in the URL, the rest go in the query (GET, DELETE) or a JSON body
+async function callHttpTool(tool, args) {
+  const used = new Set();
+  const url = new URL(tool.endpoint.replace(ARGUMENT_PATTERN, (match, name) => {
+    used.add(name);
+    return encodeURIComponent(args[name] ?? '');
+  }));
+
+  const rest = Object.fromEntries(Object.entries(args).filter(([name]) => !used.has(name)));
+  const method = tool.method || 'POST';
+  const sendsBody = method !== 'GET' && method !== 'DELETE';
+
+  if (!sendsBody) {
+    for (const [name, value] of Object.entries(rest)) {
+      url.searchParams.set(name, typeof value === 'object' ? JSON.stringify(value) : String(value));
+    }
+  }
+
+  const response = await fetch(url, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      ...tool.headers,
+      ...getAuthHeaders(tool.auth)
+    },
+    body: sendsBody ? JSON.stringify(rest) : undefined,
+    signal: AbortSignal.timeout(tool.timeout_ms || AI_TOOL_TIMEOUT)
+  });
+
+  if (!response.ok) {
+    throw new Error(`Tool request failed: ${response.status} ${response.statusText}`);
+  }
+
+  const contentType = response.headers.get('content-type') || '';
+  return contentType.includes('application/json') ? response.json() : response.text();
+}
+
+// The sender's saved contact; in groups this is the member who wrote
+async function lookUpContact(args, context) {
+  let phone;
+  try {
+    phone = normalisePhone(String(context.senderId || context.chatId || '').split('@')[0]);
+  } catch {
+    return { found: false };
+  }
+
+  const contact = await getContactByPhone(phone);
+  if (!contact) {
+    return { found: false, phone };
+  }
+
+  return {
+    found: true,
+    phone: contact.phone,
+    name: contact.name,
+    tags: contact.tags,
+    customFields: contact.custom_fields,
+    optedOut: contact.opted_out
+  };
+}
+
+// Store a one-off send back into the chat the message came from
+async function scheduleFollowUp(args, context) {
+  if (!context.recipient) {
+    throw new ValidationError('There is no chat to send a follow-up to');
+  }
+
+  // Every AI message waits for review in approval mode, and a draft has no send time to wait for
+  if (context.approvalMode) {
+    throw new ValidationError('Follow-ups cannot be scheduled while AI replies need approval; a team member has to schedule it');
+  }
+
+  if (args.delayMinutes < 1 || args.delayMinutes > MAX_FOLLOW_UP_MINUTES) {
+    throw new ValidationError(`delayMinutes must be from 1 to ${MAX_FOLLOW_UP_MINUTES}`);
+  }
+
+  const sendAt = new Date(Date.now() + args.delayMinutes * 60000).toISOString();
+  const result = await addMessageToQueue({
+    recipient: context.recipient,
+    content: args.message,
+    jobType: 'send_message',
+    sendAt,
+    ...(context.sessionId && { sessionId: context.sessionId })
+  });
+
+  return { scheduleId: result.scheduleId, sendAt: result.nextRunAt };
+}
+
+function runTool(tool, args, context) {
+  switch (tool.type) {
+    case 'contact_lookup':
+      return lookUpContact(args, context);
+    case 'schedule_follow_up':
+      return scheduleFollowUp(args, context);
+    default:
+      return callHttpTool(tool, args);
+  }
+}
+
+// Run one tool call and write it to the audit log. Failures are returned, not thrown, so the model can explain them
+export async function executeAITool({ name, tool, args }, context = {}) {
+  const started = Date.now();
+  let result = null;
+  let error = null;
+
+  try {
+    if (!tool) {
+      throw new ValidationError(`Unknown tool: ${name}`);
+    }
+
+    const problems = validateToolArguments(getToolParameters(tool), args);
+    if (problems.length > 0) {
+      throw new ValidationError(`Invalid arguments: ${problems.join(', ')}`);
+    }
+
+    result = await runTool(tool, args, context);
+  } catch (err) {
+    error = err.message;
+  }
+
+  const outcome = {
+    callId: null,
+    name,
+    status: error ? 'error' : 'success',
+    result,
+    error,
+    durationMs: Date.now() - started
+  };
+
+  outcome.callId = await saveAIToolCall({
+    toolId: tool?.id ?? null,
+    toolName: name,
+    source: context.source,
+    chatId: context.chatId,
+    sessionId: context.sessionId,
+    args: isPlainObject(args) ? args : null,
+    status: outcome.status,
+    result,
+    error,
+    durationMs: outcome.durationMs
+  });
+
+  if (error) {
+    logger.warn(`AI tool call failed: ${name}`, { chatId: context.chatId, error });
+  } else {
+    logger.info(`AI tool called: ${name}`, { chatId: context.chatId, durationMs: outcome.durationMs });
+  }
+
+  return outcome;
+}
+
+// The text the model reads back for a call
+export function formatToolResult(outcome) {
+  const text = JSON.stringify(outcome.error ? { error: outcome.error } : { result: outcome.result ?? null });
+  return text.length > MAX_TOOL_RESULT_LENGTH ? `${text.slice(0, MAX_TOOL_RESULT_LENGTH)}...` : text;
+}
@@ -0,0 +1,220 @@
+import { logger } from './utils/logger.js';
+import {
+  saveAIUsage,
+  getAIUsageTotals,
+  getAIUsageGroups,
+  getAISessionSpend,
+  getAIBudget,
+  markAIBudgetExceeded
+} from './db.js';
+import { triggerWebhookEvent } from './webhooks.js';
+import { estimateTokens, estimateMessageTokens } from './utils/tokens.js';
+import { ValidationError } from './middleware/errorHandler.js';
+
+// What a completion led to: a reply sent or drafted, a handoff, a tool round, nothing, or a failed call.
+// Completions outside chat replies are "prompt" (POST /api/ai/generate) and "test" (connection checks)
+export const AI_USAGE_OUTCOMES = ['reply', 'draft', 'handoff', 'tool_calls', 'empty', 'error', 'prompt', 'test'];
+
+export const AI_BUDGET_FIELDS = ['dailyTokens', 'monthlyTokens', 'dailyCost', 'monthlyCost'];
+
+// Price per million tokens by model, e.g. {"gpt-4o-mini":{"prompt":0.15,"completion":0.6}}
+const AI_MODEL_PRICES = parseModelPrices(process.env.AI_MODEL_PRICES);
+
+function parseModelPrices(value) {
+  if (!value) return {};
+
+  try {
+    const prices = JSON.parse(value);
+    if (!prices || typeof prices !== 'object' || Array.isArray(prices)) {
+      throw new Error('expected an object keyed by model');
+    }
+    return prices;
+  } catch (error) {
+    logger.warn(`AI_MODEL_PRICES is ignored: ${error.message}`);
+    return {};
+  }
+}
+
+// Cost of a completion in the currency of AI_MODEL_PRICES, or null for a model without a price
+export function getCompletionCost(model, promptTokens, completionTokens) {
+  const price = AI_MODEL_PRICES[model];
+  if (!price) return null;
+  return (promptTokens * (Number(price.prompt) || 0) + completionTokens * (Number(price.completion) || 0)) / 1e6;
+}
+
+// Stored times use SQLite's CURRENT_TIMESTAMP format (UTC), so they compare as text
+export function toUsageTimestamp(date) {
+  return new Date(date).toISOString().slice(0, 19).replace('T', ' ');
+}
+
+// Log one completion. Provider token counts are used when given, estimates from the prompt otherwise.
+// Accounting never blocks a reply, so failures are only logged
+export async function recordAIUsage({
+  chatId = null,
+  sessionId = null,
+  provider = null,
+  model = null,
+  messages = [],
+  completion = null,
+  latencyMs = null,
+  outcome,
+  error = null
+}) {
+  try {
+    let promptTokens = 0;
+    let completionTokens = 0;
+    let tokensEstimated = false;
+
+    if (completion) {
+      promptTokens = completion.usage?.promptTokens ?? null;
+      completionTokens = completion.usage?.completionTokens ?? null;
+
+      if (promptTokens === null) {
+        promptTokens = messages.reduce((total, message) => total + estimateMessageTokens(message), 0);
+        tokensEstimated = true;
+      }
+      if (completionTokens === null) {
+        completionTokens = estimateTokens(completion.content);
+        tokensEstimated = true;
+      }
+    }
+
+    await saveAIUsage({
+      chatId,
+      sessionId,
+      provider,
+      model,
+      promptTokens,
+      completionTokens,
+      tokensEstimated,
+      cost: getCompletionCost(model, promptTokens, completionTokens),
+      latencyMs,
+      outcome,
+      error
+    });
+  } catch (err) {
+    logger.warn('Failed to record AI usage', { error: err.message, chatId, outcome });
+  }
+}
+
+// Validate budget limits; null or a missing field means no limit of that kind
+export function normaliseBudgetInput(data) {
+  const budget = {};
+
+  for (const field of AI_BUDGET_FIELDS) {
+    const value = data[field] ?? null;
+    if (value === null) {
+      budget[field] = null;
+      continue;
+    }
+
+    const number = Number(value);
+    const integer = field.endsWith('Tokens');
+    if (!Number.isFinite(number) || number < 0 || (integer && !Number.isInteger(number))) {
+      throw new ValidationError(`${field} must be ${integer ? 'a whole number of tokens' : 'an amount'} of 0 or more, or null`);
+    }
+    budget[field] = number;
+  }
+
+  return budget;
+}
+
+// Current UTC day and month, with the time each started
+function getBudgetPeriods(now) {
+  const day = now.toISOString().slice(0, 10);
+  const month = day.slice(0, 7);
+
+  return {
+    daily: { period: day, since: `${day} 00:00:00` },
+    monthly: { period: month, since: `${month}-01 00:00:00` }
+  };
+}
+
+// A session's limits, what it has used today and this month, and which limits are used up
+export async function getAIBudgetStatus(sessionId, now = new Date()) {
+  const budget = await getAIBudget(sessionId);
+  if (!budget) return null;
+
+  const periods = getBudgetPeriods(now);
+  const today = await getAISessionSpend(sessionId, periods.daily.since);
+  const month = await getAISessionSpend(sessionId, periods.monthly.since);
+
+  const limits = {
+    dailyTokens: budget.daily_tokens,
+    monthlyTokens: budget.monthly_tokens,
+    dailyCost: budget.daily_cost,
+    monthlyCost: budget.monthly_cost
+  };
+  const used = {
+    dailyTokens: today.tokens,
+    monthlyTokens: month.tokens,
+    dailyCost: today.cost,
+    monthlyCost: month.cost
+  };
+
+  return {
+    sessionId,
+    limits,
+    spent: { today, month },
+    exceeded: AI_BUDGET_FIELDS.filter(field => limits[field] !== null && used[field] >= limits[field]),
+    updatedAt: budget.updated_at
+  };
+}
+
+// Whether a session's budget has paused its AI replies. The first block in a day (or month, for
+// monthly limits) fires ai.budget.exceeded
+export async function isAIBudgetExceeded(sessionId, now = new Date()) {
+  if (!sessionId) return false;
+
+  const status = await getAIBudgetStatus(sessionId, now);
+  if (!status || status.exceeded.length === 0) return false;
+
+  const periods = getBudgetPeriods(now);
+  const period = status.exceeded.some(field => field.startsWith('daily'))
+    ? periods.daily.period
+    : periods.monthly.period;
+
+  if (await markAIBudgetExceeded(sessionId, period)) {
+    logger.warn(`AI budget exceeded for session ${sessionId}`, { exceeded: status.exceeded });
+
+    await triggerWebhookEvent('ai.budget.exceeded', {
+      sessionId,
+      exceeded: status.exceeded,
+      limits: status.limits,
+      spent: status.spent,
+      timestamp: now.toISOString()
+    });
+  }
+
+  return true;
+}
+
+function renameGroup(rows, key) {
+  return rows.map(({ grp, ...totals }) => ({ [key]: grp, ...totals }));
+}
+
+// Totals plus breakdowns by day, model and chat; the chat list keeps the heaviest chats
+export async function getAIUsageReport(filters = {}, { chatLimit = 50 } = {}) {
+  const query = {
+    ...filters,
+    from: filters.from ? toUsageTimestamp(filters.from) : null,
+    to: filters.to ? toUsageTimestamp(filters.to) : null
+  };
+
+  return {
+    totals: await getAIUsageTotals(query),
+    byDay: renameGroup(await getAIUsageGroups('day', query), 'day'),
+    byModel: renameGroup(await getAIUsageGroups('model', query), 'model'),
+    byChat: renameGroup(await getAIUsageGroups('chat', query, chatLimit), 'chatId')
+  };
+}
+
+// Usage so far today and this month, for the AI statistics
+export async function getAIUsageSummary(now = new Date()) {
+  const periods = getBudgetPeriods(now);
+
+  return {
+    today: await getAIUsageTotals({ from: periods.daily.since }),
+    month: await getAIUsageTotals({ from: periods.monthly.since })
+  };
+}
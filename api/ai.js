@@ -1,6 +1,11 @@
 // Vercel-compatible AI module
 import ZAI from 'z-ai-web-dev-sdk';
 import { logger } from '../utils/logger.js';
+import { saveAIMessage, getAIMessages } from './db.js';
+import { estimateMessageTokens, trimToTokenBudget } from '../utils/tokens.js';
+
+const HISTORY_TOKEN_BUDGET = parseInt(process.env.AI_HISTORY_TOKEN_BUDGET) || 2000;
+const HISTORY_FETCH_LIMIT = 200;
 
 let zai = null;
 
@@ -41,7 +46,17 @@ export async function generateChatCompletion(messages, options = {}) {
   }
 }
 
-// Generate response for WhatsApp message
+// Stored history for a chat, newest messages that fit the token budget
+export async function getConversationHistory(chatId) {
+  const stored = await getAIMessages(chatId, HISTORY_FETCH_LIMIT);
+  return trimToTokenBudget(stored, HISTORY_TOKEN_BUDGET);
+}
+
+async function addToConversationHistory(chatId, message) {
+  await saveAIMessage({ chatId, ...message, tokens: estimateMessageTokens(message) });
+}
+
+// Generate response for WhatsApp message; context.chatId keeps a conversation history
 export async function generateWhatsAppResponse(message, context = {}) {
   try {
     const systemPrompt = `Anda adalah asisten AI yang membantu mengelola pesan WhatsApp. 
@@ -54,11 +69,15 @@ export async function generateWhatsAppResponse(message, context = {}) {
     
     Berikan respons yang sesuai untuk pesan WhatsApp ini.`;
 
+    const { chatId } = context;
+    const history = chatId ? (await getConversationHistory(chatId)).messages : [];
+
     const completion = await generateChatCompletion([
       {
         role: 'system',
         content: systemPrompt
       },
+      ...history.map(msg => ({ role: msg.role, content: msg.content })),
       {
         role: 'user',
         content: userPrompt
@@ -69,6 +88,12 @@ export async function generateWhatsAppResponse(message, context = {}) {
     });
 
     const response = completion.choices[0]?.message?.content;
+
+    if (chatId && response) {
+      await addToConversationHistory(chatId, { role: 'user', content: message, senderName: context.senderName });
+      await addToConversationHistory(chatId, { role: 'assistant', content: response });
+    }
+
     return response || 'Maaf, saya tidak dapat merespons pesan tersebut.';
   } catch (error) {
     logger.error('Failed to generate WhatsApp response:', error);
@@ -21,7 +21,8 @@ export async function initDatabase() {
         sessions: [],
         templates: [],
         queueJobs: [],
-        webhooks: []
+        webhooks: [],
+        aiMessages: []
       };
     }
     
@@ -112,6 +113,20 @@ async function createTables() {
           updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
         )
       `;
+
+      await db.sql`
+        CREATE TABLE IF NOT EXISTS ai_messages (
+          id SERIAL PRIMARY KEY,
+          chat_id TEXT NOT NULL,
+          role TEXT NOT NULL,
+          content TEXT NOT NULL,
+          sender_name TEXT,
+          tokens INTEGER NOT NULL DEFAULT 0,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `;
+
+      await db.sql`CREATE INDEX IF NOT EXISTS idx_ai_messages_chat ON ai_messages(chat_id, id)`;
     }
     
     logger.info('Database tables created successfully');
@@ -663,4 +678,74 @@ export async function getWebhooks() {
     logger.error('Failed to get webhooks:', error);
     throw error;
   }
-}
\ No newline at end of file
+}
+
+// AI conversation history operations
+export async function saveAIMessage(messageData) {
+  try {
+    const { chatId, role, content, senderName = null, tokens = 0 } = messageData;
+
+    if (process.env.POSTGRES_URL) {
+      const result = await db.sql`
+        INSERT INTO ai_messages (chat_id, role, content, sender_name, tokens)
+        VALUES (${chatId}, ${role}, ${content}, ${senderName}, ${tokens})
+        RETURNING id
+      `;
+      return result.rows[0].id;
+    } else {
+      // In-memory storage
+      const message = {
+        id: (db.aiMessages.at(-1)?.id || 0) + 1,
+        chat_id: chatId,
+        role,
+        content,
+        sender_name: senderName,
+        tokens,
+        created_at: new Date().toISOString()
+      };
+      db.aiMessages.push(message);
+      return message.id;
+    }
+  } catch (error) {
+    logger.error('Failed to save AI message:', error);
+    throw error;
+  }
+}
+
+// The newest messages of a chat, oldest first
+export async function getAIMessages(chatId, limit = 100) {
+  try {
+    if (process.env.POSTGRES_URL) {
+      const result = await db.sql`
+        SELECT * FROM ai_messages WHERE chat_id = ${chatId} ORDER BY id DESC LIMIT ${limit}
+      `;
+      return result.rows.reverse();
+    } else {
+      return db.aiMessages
+        .filter(m => m.chat_id === chatId)
+        .slice(-limit);
+    }
+  } catch (error) {
+    logger.error('Failed to get AI messages:', error);
+    throw error;
+  }
+}
+
+// Delete one chat's history, or every chat's
+export async function clearAIMessages(chatId = null) {
+  try {
+    if (process.env.POSTGRES_URL) {
+      const result = chatId
+        ? await db.sql`DELETE FROM ai_messages WHERE chat_id = ${chatId}`
+        : await db.sql`DELETE FROM ai_messages`;
+      return result.rowCount;
+    } else {
+      const before = db.aiMessages.length;
+      db.aiMessages = chatId ? db.aiMessages.filter(m => m.chat_id !== chatId) : [];
+      return before - db.aiMessages.length;
+    }
+  } catch (error) {
+    logger.error('Failed to clear AI messages:', error);
+    throw error;
+  }
+}
@@ -1,6 +1,6 @@
 // Vercel-compatible AI routes
 import express from 'express';
-import { generateWhatsAppResponse, generateImage, webSearch } from '../ai.js';
+import { generateWhatsAppResponse, getConversationHistory, generateImage, webSearch } from '../ai.js';
 import { ValidationError } from '../middleware/errorHandler.js';
 import { logger } from '../utils/logger.js';
 
@@ -28,6 +28,24 @@ router.post('/generate-response', async (req, res, next) => {
   }
 });
 
+// Show the stored history the model will see for a chat
+router.get('/history/:chatId', async (req, res, next) => {
+  try {
+    const { messages, tokens } = await getConversationHistory(req.params.chatId);
+    
+    res.json({
+      success: true,
+      data: {
+        chatId: req.params.chatId,
+        historyTokens: tokens,
+        messages
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // Generate image
 router.post('/generate-image', async (req, res, next) => {
   try {
@@ -0,0 +1,298 @@
+import { v4 as uuidv4 } from 'uuid';
+import { logger } from './utils/logger.js';
+import {
+  saveCampaign,
+  getCampaign,
+  getCampaigns,
+  updateCampaign,
+  getCampaignCounts,
+  getPendingCampaignRecipients,
+  getUnfinishedCampaignRecipients,
+  updateCampaignRecipient,
+  cancelPendingCampaignRecipients,
+  updateQueueJob
+} from './db.js';
+import { addMessageToQueue, queue } from './queue.js';
+import { renderTemplate, TemplateRenderError } from './utils/templateRenderer.js';
+import { parseCsv } from './utils/csv.js';
+import { normalisePhone } from './utils/phone.js';
+import { ValidationError } from './middleware/errorHandler.js';
+
+// How often running campaigns hand their next recipients to the queue
+const CAMPAIGN_DISPATCH_INTERVAL = parseInt(process.env.CAMPAIGN_DISPATCH_INTERVAL) || 5000;
+const DEFAULT_RATE_PER_MINUTE = parseInt(process.env.CAMPAIGN_RATE_PER_MINUTE) || 20;
+const MAX_CAMPAIGN_RECIPIENTS = parseInt(process.env.CAMPAIGN_MAX_RECIPIENTS) || 10000;
+
+let dispatchTimer = null;
+let isDispatching = false;
+
+// Campaign input error (returned to clients as 400)
+export class CampaignError extends ValidationError {
+  constructor(message, details = []) {
+    super(message);
+    this.details = details;
+  }
+}
+
+// Turn one uploaded row into { recipient, variables }
+function normaliseRecipientRow(row) {
+  if (!row || typeof row !== 'object' || Array.isArray(row)) {
+    return null;
+  }
+
+  const { recipient, phone, variables, ...rest } = row;
+  const target = recipient ?? phone;
+
+  return {
+    recipient: target === undefined || target === null ? '' : String(target).trim(),
+    // Rows either nest their variables or list them as extra columns
+    variables: variables && typeof variables === 'object' ? variables : rest
+  };
+}
+
+// Parse a CSV or JSON recipient list; CSV needs a recipient (or phone) column
+export function parseRecipientList(input, format) {
+  let rows = input;
+
+  if (typeof input === 'string') {
+    const isJson = format ? format === 'json' : /^\s*\[/.test(input);
+
+    if (isJson) {
+      try {
+        rows = JSON.parse(input);
+      } catch (error) {
+        throw new CampaignError(`Recipient list is not valid JSON: ${error.message}`);
+      }
+    } else {
+      rows = parseCsv(input);
+    }
+  }
+
+  if (!Array.isArray(rows) || rows.length === 0) {
+    throw new CampaignError('Recipient list must contain at least one row');
+  }
+
+  if (rows.length > MAX_CAMPAIGN_RECIPIENTS) {
+    throw new CampaignError(`Recipient list is limited to ${MAX_CAMPAIGN_RECIPIENTS} rows`);
+  }
+
+  const problems = [];
+  const recipients = rows.map((row, index) => {
+    const normalised = normaliseRecipientRow(row);
+    if (!normalised || !normalised.recipient) {
+      problems.push({ row: index + 1, message: 'Recipient is required' });
+      return normalised;
+    }
+
+    // Sends to E.164 numbers open the exact chat instead of searching for it
+    try {
+      normalised.recipient = normalisePhone(normalised.recipient);
+    } catch (error) {
+      problems.push({ row: index + 1, recipient: normalised.recipient, message: error.message });
+    }
+    return normalised;
+  });
+
+  if (problems.length > 0) {
+    throw new CampaignError('Recipient list has invalid rows', problems);
+  }
+
+  return recipients;
+}
+
+// Create a campaign; every row is rendered up front so bad data is rejected before anything is sent
+export async function createCampaign({ name, template, recipients, sessionId = null, ratePerMinute = DEFAULT_RATE_PER_MINUTE }) {
+  try {
+    const problems = [];
+
+    const rows = recipients.map((row, index) => {
+      try {
+        return { ...row, content: renderTemplate(template, row.variables) };
+      } catch (error) {
+        if (!(error instanceof TemplateRenderError)) {
+          throw error;
+        }
+        problems.push({ row: index + 1, recipient: row.recipient, message: error.message, details: error.details });
+        return null;
+      }
+    });
+
+    if (problems.length > 0) {
+      throw new CampaignError(`${problems.length} recipients could not be rendered`, problems);
+    }
+
+    const campaignId = uuidv4();
+
+    await saveCampaign({
+      campaignId,
+      name,
+      templateId: template.id,
+      templateName: template.name,
+      sessionId,
+      ratePerMinute,
+      recipients: rows
+    });
+
+    logger.info(`Campaign created: ${campaignId}`, { name, recipients: rows.length, ratePerMinute });
+    return campaignId;
+  } catch (error) {
+    if (!(error instanceof CampaignError)) {
+      logger.error('Failed to create campaign:', error);
+    }
+    throw error;
+  }
+}
+
+// Campaign row with sent/failed/pending counts
+export async function getCampaignProgress(campaignId) {
+  const campaign = await getCampaign(campaignId);
+  if (!campaign) {
+    return null;
+  }
+
+  const counts = await getCampaignCounts(campaignId);
+  const count = status => counts[status] || 0;
+
+  return {
+    ...campaign,
+    counts: {
+      total: campaign.total_recipients,
+      pending: count('pending') + count('queued'),
+      queued: count('queued'),
+      sent: count('sent') + count('delivered') + count('read'),
+      delivered: count('delivered') + count('read'),
+      read: count('read'),
+      failed: count('failed'),
+      skipped: count('skipped'),
+      cancelled: count('cancelled')
+    }
+  };
+}
+
+// Stop dispatching new recipients; jobs already queued still go out
+export async function pauseCampaign(campaignId) {
+  await updateCampaign(campaignId, { status: 'paused' });
+  logger.info(`Campaign paused: ${campaignId}`);
+}
+
+// Continue from the next pending recipient at the campaign's rate
+export async function resumeCampaign(campaignId) {
+  await updateCampaign(campaignId, { status: 'running', next_dispatch_at: new Date().toISOString() });
+  logger.info(`Campaign resumed: ${campaignId}`);
+}
+
+// Cancel pending recipients and pull jobs that have not started yet
+export async function cancelCampaign(campaignId) {
+  try {
+    await updateCampaign(campaignId, { status: 'cancelled', completed_at: new Date().toISOString() });
+
+    const cancelled = await cancelPendingCampaignRecipients(campaignId);
+    let removed = 0;
+
+    for (const recipient of await getUnfinishedCampaignRecipients(campaignId)) {
+      const job = recipient.job_id && await queue.getJob(recipient.job_id);
+
+      if (job && (await job.isDelayed() || await job.isWaiting())) {
+        await job.remove();
+        await updateQueueJob(job.id, { status: 'cancelled' });
+        removed++;
+      }
+    }
+
+    logger.info(`Campaign cancelled: ${campaignId}`, { cancelled, removed });
+    return { cancelled: cancelled + removed };
+  } catch (error) {
+    logger.error('Failed to cancel campaign:', error);
+    throw error;
+  }
+}
+
+// Start dispatching running campaigns
+export function startCampaignDispatcher() {
+  if (dispatchTimer) {
+    return;
+  }
+
+  dispatchCampaigns();
+  dispatchTimer = setInterval(dispatchCampaigns, CAMPAIGN_DISPATCH_INTERVAL);
+  logger.info(`Campaign dispatcher started (every ${CAMPAIGN_DISPATCH_INTERVAL}ms)`);
+}
+
+// Stop dispatching running campaigns
+export function stopCampaignDispatcher() {
+  if (dispatchTimer) {
+    clearInterval(dispatchTimer);
+    dispatchTimer = null;
+  }
+}
+
+// Queue the recipients of every running campaign whose send slot falls before the next tick
+export async function dispatchCampaigns() {
+  if (isDispatching) {
+    return;
+  }
+
+  isDispatching = true;
+
+  try {
+    const campaigns = await getCampaigns({ status: 'running' });
+
+    for (const campaign of campaigns) {
+      try {
+        await dispatchCampaign(campaign, Date.now());
+      } catch (error) {
+        logger.error(`Failed to dispatch campaign ${campaign.campaign_id}:`, error);
+      }
+    }
+  } catch (error) {
+    logger.error('Failed to dispatch campaigns:', error);
+  } finally {
+    isDispatching = false;
+  }
+}
+
+// Spread recipients one interval apart using delayed queue jobs
+async function dispatchCampaign(campaign, now) {
+  const interval = 60000 / campaign.rate_per_minute;
+  const horizon = now + CAMPAIGN_DISPATCH_INTERVAL;
+
+  // A campaign that sat idle (paused, restarted) starts from now rather than bursting
+  let slot = Math.max(new Date(campaign.next_dispatch_at).getTime() || now, now);
+
+  if (slot >= horizon) {
+    return;
+  }
+
+  const wanted = Math.ceil((horizon - slot) / interval);
+  const recipients = await getPendingCampaignRecipients(campaign.campaign_id, wanted);
+
+  for (const recipient of recipients) {
+    const result = await addMessageToQueue({
+      recipient: recipient.recipient,
+      content: recipient.content,
+      jobType: 'send_template',
+      sessionId: campaign.session_id || undefined,
+      delay: slot - now
+    });
+
+    await updateCampaignRecipient(recipient.id, {
+      status: 'queued',
+      job_id: result.jobId,
+      queued_at: new Date().toISOString()
+    });
+
+    slot += interval;
+  }
+
+  await updateCampaign(campaign.campaign_id, { next_dispatch_at: new Date(slot).toISOString() });
+
+  // Nothing left to dispatch: finish once the last queued job settles
+  if (recipients.length < wanted) {
+    const unfinished = await getUnfinishedCampaignRecipients(campaign.campaign_id);
+
+    if (unfinished.length === 0) {
+      await updateCampaign(campaign.campaign_id, { status: 'completed', completed_at: new Date().toISOString() });
+      logger.info(`Campaign completed: ${campaign.campaign_id}`);
+    }
+  }
+}
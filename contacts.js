@@ -0,0 +1,132 @@
+import { logger } from './utils/logger.js';
+import {
+  saveContact,
+  getContactById,
+  getContactByPhone,
+  updateContact,
+  getAllContacts
+} from './db.js';
+import { normalisePhone } from './utils/phone.js';
+import { parseCsv, toCsv } from './utils/csv.js';
+import { ValidationError } from './middleware/errorHandler.js';
+
+// Columns with a fixed meaning in contact CSV files; any other column is a custom field
+const CSV_COLUMNS = ['phone', 'name', 'tags', 'opted_out'];
+const TAG_SEPARATOR = ';';
+
+// Validate contact fields and normalise the phone number; partial input is allowed for updates
+export function normaliseContactInput(data, { partial = false } = {}) {
+  const contact = {};
+
+  if (data.phone !== undefined || !partial) {
+    contact.phone = normalisePhone(data.phone);
+  }
+
+  if (data.name !== undefined) {
+    contact.name = data.name === null ? null : String(data.name).trim();
+  }
+
+  if (data.tags !== undefined) {
+    if (!Array.isArray(data.tags) || data.tags.some(tag => typeof tag !== 'string')) {
+      throw new ValidationError('Tags must be an array of strings');
+    }
+    contact.tags = [...new Set(data.tags.map(tag => tag.trim()).filter(Boolean))];
+  }
+
+  if (data.customFields !== undefined) {
+    const fields = data.customFields;
+    if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+      throw new ValidationError('Custom fields must be an object');
+    }
+    if (Object.values(fields).some(value => value !== null && typeof value === 'object')) {
+      throw new ValidationError('Custom field values must be strings, numbers or booleans');
+    }
+    contact.customFields = fields;
+  }
+
+  if (data.optedOut !== undefined) {
+    contact.optedOut = Boolean(data.optedOut);
+  }
+
+  return contact;
+}
+
+// Turn a CSV yes/no cell into a boolean
+function parseFlag(value) {
+  return ['true', '1', 'yes', 'y'].includes(String(value).trim().toLowerCase());
+}
+
+// Import contacts from CSV; existing phone numbers are updated, bad rows are reported and skipped
+export async function importContactsCsv(text) {
+  const rows = parseCsv(text);
+  const result = { created: 0, updated: 0, failed: [] };
+
+  for (const [index, row] of rows.entries()) {
+    try {
+      const { phone, name, tags, opted_out: optedOut, ...customFields } = row;
+
+      const contact = normaliseContactInput({
+        phone,
+        ...(name && { name }),
+        ...(tags && { tags: tags.split(TAG_SEPARATOR) }),
+        ...(optedOut !== undefined && optedOut !== '' && { optedOut: parseFlag(optedOut) }),
+        // Empty cells leave existing custom fields alone
+        ...(Object.keys(customFields).length > 0 && {
+          customFields: Object.fromEntries(Object.entries(customFields).filter(([, value]) => value !== ''))
+        })
+      });
+
+      const existing = await getContactByPhone(contact.phone);
+
+      if (existing) {
+        if (contact.customFields) {
+          contact.customFields = { ...existing.custom_fields, ...contact.customFields };
+        }
+        await updateContact(existing.id, contact);
+        result.updated++;
+      } else {
+        await saveContact(contact);
+        result.created++;
+      }
+    } catch (error) {
+      if (!(error instanceof ValidationError)) {
+        logger.error(`Failed to import contact row ${index + 2}:`, error);
+      }
+      // Row numbers count the header line so they match the file
+      result.failed.push({ row: index + 2, message: error.message });
+    }
+  }
+
+  logger.info('Contacts imported', { created: result.created, updated: result.updated, failed: result.failed.length });
+  return result;
+}
+
+// Export every contact as CSV, one column per custom field in use
+export async function exportContactsCsv() {
+  const contacts = await getAllContacts();
+
+  const customColumns = [...new Set(contacts.flatMap(contact => Object.keys(contact.custom_fields)))]
+    .filter(column => !CSV_COLUMNS.includes(column))
+    .sort();
+
+  const rows = contacts.map(contact => ({
+    ...contact.custom_fields,
+    phone: contact.phone,
+    name: contact.name,
+    tags: contact.tags.join(TAG_SEPARATOR),
+    opted_out: contact.opted_out ? 'true' : 'false'
+  }));
+
+  return toCsv(rows, [...CSV_COLUMNS, ...customColumns]);
+}
+
+// Look up the contact a send is addressed to
+export async function resolveContact(contactId) {
+  const contact = await getContactById(contactId);
+
+  if (!contact) {
+    throw new ValidationError(`Unknown contact: ${contactId}`);
+  }
+
+  return contact;
+}
@@ -42,6 +42,7 @@ async function createTables() {
       CREATE TABLE IF NOT EXISTS messages (
         id INTEGER PRIMARY KEY AUTOINCREMENT,
         message_id TEXT UNIQUE NOT NULL,
+        session_id TEXT,
         chat_id TEXT NOT NULL,
         chat_name TEXT,
         sender_id TEXT NOT NULL,
@@ -64,6 +65,7 @@ async function createTables() {
       CREATE TABLE IF NOT EXISTS sessions (
         id INTEGER PRIMARY KEY AUTOINCREMENT,
         session_id TEXT UNIQUE NOT NULL,
+        name TEXT,
         status TEXT NOT NULL DEFAULT 'disconnected',
         qr_code TEXT,
         phone_number TEXT,
@@ -80,6 +82,7 @@ async function createTables() {
         name TEXT NOT NULL,
         content TEXT NOT NULL,
         description TEXT,
+        variables TEXT NOT NULL DEFAULT '[]',
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
         updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
       )
@@ -96,13 +99,394 @@ async function createTables() {
         content TEXT,
         media_url TEXT,
         media_type TEXT,
+        session_id TEXT,
         retry_count INTEGER DEFAULT 0,
         error_message TEXT,
+        whatsapp_message_id TEXT,
+        sent_at DATETIME,
+        delivered_at DATETIME,
+        read_at DATETIME,
+        schedule_id TEXT,
+        contact_id INTEGER,
+        skip_reason TEXT,
+        defer_reason TEXT,
+        deferred_until DATETIME,
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
         updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
       )
     `);
 
+    // Scheduled and recurring sends
+    await db.exec(`
+      CREATE TABLE IF NOT EXISTS schedules (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        schedule_id TEXT UNIQUE NOT NULL,
+        job_type TEXT NOT NULL,
+        recipient TEXT NOT NULL,
+        content TEXT,
+        media_url TEXT,
+        media_type TEXT,
+        session_id TEXT,
+        priority TEXT NOT NULL DEFAULT 'normal',
+        contact_id INTEGER,
+        send_at DATETIME,
+        cron TEXT,
+        timezone TEXT,
+        status TEXT NOT NULL DEFAULT 'scheduled',
+        next_run_at DATETIME,
+        last_run_at DATETIME,
+        last_job_id TEXT,
+        run_count INTEGER DEFAULT 0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Address book; phone is stored in E.164
+    await db.exec(`
+      CREATE TABLE IF NOT EXISTS contacts (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        phone TEXT UNIQUE NOT NULL,
+        name TEXT,
+        tags TEXT NOT NULL DEFAULT '[]',
+        custom_fields TEXT NOT NULL DEFAULT '{}',
+        opted_out BOOLEAN DEFAULT FALSE,
+        opted_out_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Runtime settings changed through the API, stored as JSON
+    await db.exec(`
+      CREATE TABLE IF NOT EXISTS settings (
+        key TEXT PRIMARY KEY,
+        value TEXT NOT NULL,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Numbers that must never be messaged
+    await db.exec(`
+      CREATE TABLE IF NOT EXISTS suppressions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        phone TEXT UNIQUE NOT NULL,
+        reason TEXT NOT NULL DEFAULT 'manual',
+        keyword TEXT,
+        message_id TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Token-authenticated endpoints that turn another system's JSON into a template send
+    await db.exec(`
+      CREATE TABLE IF NOT EXISTS inbound_hooks (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        token TEXT UNIQUE NOT NULL,
+        mapping TEXT NOT NULL,
+        templates TEXT NOT NULL DEFAULT '[]',
+        rate_limit_per_minute INTEGER DEFAULT 60,
+        session_id TEXT,
+        is_active BOOLEAN DEFAULT TRUE,
+        last_used_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Auto-responder rules, checked before the AI in priority order
+    await db.exec(`
+      CREATE TABLE IF NOT EXISTS auto_reply_rules (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        priority INTEGER DEFAULT 0,
+        conditions TEXT NOT NULL DEFAULT '{}',
+        response TEXT NOT NULL,
+        cooldown_seconds INTEGER DEFAULT 0,
+        is_active BOOLEAN DEFAULT TRUE,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Last time each rule answered each chat, for cooldowns
+    await db.exec(`
+      CREATE TABLE IF NOT EXISTS auto_reply_firings (
+        rule_id INTEGER NOT NULL,
+        chat_id TEXT NOT NULL,
+        fired_at DATETIME NOT NULL,
+        PRIMARY KEY (rule_id, chat_id)
+      )
+    `);
+
+    // Conversational flows: JSON graphs of nodes started by a trigger
+    await db.exec(`
+      CREATE TABLE IF NOT EXISTS flows (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        description TEXT,
+        trigger TEXT,
+        start_node TEXT NOT NULL,
+        nodes TEXT NOT NULL,
+        priority INTEGER DEFAULT 0,
+        is_active BOOLEAN DEFAULT TRUE,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Where each chat is in a flow, with the variables collected so far
+    await db.exec(`
+      CREATE TABLE IF NOT EXISTS flow_conversations (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        flow_id INTEGER NOT NULL,
+        chat_id TEXT NOT NULL,
+        session_id TEXT,
+        recipient TEXT NOT NULL,
+        current_node TEXT,
+        variables TEXT NOT NULL DEFAULT '{}',
+        status TEXT DEFAULT 'active',
+        expires_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Conversation history the AI sees, per chat
+    await db.exec(`
+      CREATE TABLE IF NOT EXISTS ai_messages (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        chat_id TEXT NOT NULL,
+        role TEXT NOT NULL,
+        content TEXT NOT NULL,
+        sender_name TEXT,
+        tokens INTEGER NOT NULL DEFAULT 0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // AI replies held for review before sending
+    await db.exec(`
+      CREATE TABLE IF NOT EXISTS ai_drafts (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        chat_id TEXT NOT NULL,
+        session_id TEXT,
+        recipient TEXT NOT NULL,
+        sender_name TEXT,
+        message TEXT,
+        content TEXT NOT NULL,
+        confidence REAL,
+        profile_id INTEGER,
+        citations TEXT NOT NULL DEFAULT '[]',
+        status TEXT NOT NULL DEFAULT 'pending',
+        job_id TEXT,
+        reject_reason TEXT,
+        reviewed_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Chats the AI handed to a person; the AI stays silent in a chat while its handoff is open
+    await db.exec(`
+      CREATE TABLE IF NOT EXISTS ai_handoffs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        chat_id TEXT NOT NULL,
+        session_id TEXT,
+        recipient TEXT,
+        reason TEXT NOT NULL,
+        detail TEXT,
+        message TEXT,
+        status TEXT NOT NULL DEFAULT 'open',
+        resolved_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Tools the AI can call while writing a reply, and an audit row for every call
+    await db.exec(`
+      CREATE TABLE IF NOT EXISTS ai_tools (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT UNIQUE NOT NULL,
+        description TEXT NOT NULL,
+        type TEXT NOT NULL DEFAULT 'http',
+        parameters TEXT NOT NULL DEFAULT '{}',
+        endpoint TEXT,
+        method TEXT,
+        headers TEXT NOT NULL DEFAULT '{}',
+        auth TEXT,
+        timeout_ms INTEGER,
+        is_active BOOLEAN DEFAULT TRUE,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await db.exec(`
+      CREATE TABLE IF NOT EXISTS ai_tool_calls (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        tool_id INTEGER,
+        tool_name TEXT NOT NULL,
+        source TEXT NOT NULL DEFAULT 'ai',
+        chat_id TEXT,
+        session_id TEXT,
+        arguments TEXT,
+        status TEXT NOT NULL,
+        result TEXT,
+        error TEXT,
+        duration_ms INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // One row per model completion, for cost and latency reporting
+    await db.exec(`
+      CREATE TABLE IF NOT EXISTS ai_usage (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        chat_id TEXT,
+        session_id TEXT,
+        provider TEXT,
+        model TEXT,
+        prompt_tokens INTEGER NOT NULL DEFAULT 0,
+        completion_tokens INTEGER NOT NULL DEFAULT 0,
+        total_tokens INTEGER NOT NULL DEFAULT 0,
+        tokens_estimated BOOLEAN DEFAULT FALSE,
+        cost REAL,
+        latency_ms INTEGER,
+        outcome TEXT NOT NULL,
+        error TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Daily and monthly AI spending limits per WhatsApp session
+    await db.exec(`
+      CREATE TABLE IF NOT EXISTS ai_budgets (
+        session_id TEXT PRIMARY KEY,
+        daily_tokens INTEGER,
+        monthly_tokens INTEGER,
+        daily_cost REAL,
+        monthly_cost REAL,
+        exceeded_period TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Knowledge base for AI replies: documents, their chunks and a BM25 full-text index over the chunks
+    await db.exec(`
+      CREATE TABLE IF NOT EXISTS knowledge_documents (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        title TEXT NOT NULL,
+        source TEXT,
+        format TEXT NOT NULL DEFAULT 'text',
+        content TEXT NOT NULL,
+        chunk_count INTEGER NOT NULL DEFAULT 0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await db.exec(`
+      CREATE TABLE IF NOT EXISTS knowledge_chunks (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        document_id INTEGER NOT NULL,
+        chunk_index INTEGER NOT NULL,
+        heading TEXT,
+        content TEXT NOT NULL,
+        tokens INTEGER NOT NULL DEFAULT 0,
+        embedding TEXT,
+        embedding_model TEXT,
+        FOREIGN KEY (document_id) REFERENCES knowledge_documents (id)
+      )
+    `);
+
+    await db.exec(`
+      CREATE VIRTUAL TABLE IF NOT EXISTS knowledge_fts USING fts5(
+        content,
+        heading,
+        chunk_id UNINDEXED,
+        tokenize = 'unicode61 remove_diacritics 2'
+      )
+    `);
+
+    // AI personas and reply policies, assigned per chat, contact tag or session
+    await db.exec(`
+      CREATE TABLE IF NOT EXISTS ai_profiles (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT UNIQUE NOT NULL,
+        system_prompt TEXT,
+        model TEXT,
+        temperature REAL,
+        max_tokens INTEGER,
+        language TEXT,
+        response_delay INTEGER,
+        allowed_hours TEXT,
+        reply_in_personal BOOLEAN DEFAULT TRUE,
+        reply_in_groups BOOLEAN DEFAULT TRUE,
+        group_mention_only BOOLEAN DEFAULT FALSE,
+        mention_names TEXT NOT NULL DEFAULT '[]',
+        chat_ids TEXT NOT NULL DEFAULT '[]',
+        contact_tags TEXT NOT NULL DEFAULT '[]',
+        session_ids TEXT NOT NULL DEFAULT '[]',
+        is_default BOOLEAN DEFAULT FALSE,
+        is_active BOOLEAN DEFAULT TRUE,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Broadcast campaigns
+    await db.exec(`
+      CREATE TABLE IF NOT EXISTS campaigns (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        campaign_id TEXT UNIQUE NOT NULL,
+        name TEXT NOT NULL,
+        template_id INTEGER,
+        template_name TEXT,
+        session_id TEXT,
+        status TEXT NOT NULL DEFAULT 'running',
+        rate_per_minute INTEGER NOT NULL,
+        next_dispatch_at DATETIME,
+        total_recipients INTEGER DEFAULT 0,
+        completed_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // One row per campaign recipient, linked to its queue job once dispatched
+    await db.exec(`
+      CREATE TABLE IF NOT EXISTS campaign_recipients (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        campaign_id TEXT NOT NULL,
+        recipient TEXT NOT NULL,
+        variables TEXT NOT NULL DEFAULT '{}',
+        content TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending',
+        job_id TEXT,
+        error_message TEXT,
+        queued_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (campaign_id) REFERENCES campaigns(campaign_id) ON DELETE CASCADE
+      )
+    `);
+
+    // Delivery status transitions for sent queue jobs
+    await db.exec(`
+      CREATE TABLE IF NOT EXISTS message_status_events (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        job_id TEXT NOT NULL,
+        message_id TEXT,
+        session_id TEXT,
+        status TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (job_id) REFERENCES queue_jobs(job_id) ON DELETE CASCADE
+      )
+    `);
+
     // Webhooks table
     await db.exec(`
       CREATE TABLE IF NOT EXISTS webhooks (
@@ -111,16 +495,82 @@ async function createTables() {
         secret TEXT,
         events TEXT NOT NULL,
         is_active BOOLEAN DEFAULT TRUE,
+        consecutive_failures INTEGER DEFAULT 0,
+        disabled_at DATETIME,
+        previous_secret TEXT,
+        previous_secret_expires_at DATETIME,
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
         updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
       )
     `);
 
+    // One row per event sent to a webhook, with the last attempt's request and response
+    await db.exec(`
+      CREATE TABLE IF NOT EXISTS webhook_deliveries (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        delivery_id TEXT UNIQUE NOT NULL,
+        webhook_id INTEGER NOT NULL,
+        event TEXT NOT NULL,
+        url TEXT NOT NULL,
+        payload TEXT NOT NULL,
+        status TEXT DEFAULT 'pending',
+        attempts INTEGER DEFAULT 0,
+        request_headers TEXT,
+        response_status INTEGER,
+        response_body TEXT,
+        latency_ms INTEGER,
+        error_message TEXT,
+        redelivery_of TEXT,
+        delivered_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Add columns introduced after the first release
+    await addColumnIfMissing('queue_jobs', 'whatsapp_message_id', 'TEXT');
+    await addColumnIfMissing('queue_jobs', 'delivered_at', 'DATETIME');
+    await addColumnIfMissing('templates', 'variables', "TEXT NOT NULL DEFAULT '[]'");
+    await addColumnIfMissing('sessions', 'name', 'TEXT');
+    await addColumnIfMissing('queue_jobs', 'session_id', 'TEXT');
+    await addColumnIfMissing('messages', 'session_id', 'TEXT');
+    await addColumnIfMissing('queue_jobs', 'sent_at', 'DATETIME');
+    await addColumnIfMissing('queue_jobs', 'read_at', 'DATETIME');
+    await addColumnIfMissing('queue_jobs', 'schedule_id', 'TEXT');
+    await addColumnIfMissing('queue_jobs', 'contact_id', 'INTEGER');
+    await addColumnIfMissing('schedules', 'contact_id', 'INTEGER');
+    await addColumnIfMissing('queue_jobs', 'skip_reason', 'TEXT');
+    await addColumnIfMissing('queue_jobs', 'defer_reason', 'TEXT');
+    await addColumnIfMissing('queue_jobs', 'deferred_until', 'DATETIME');
+    await addColumnIfMissing('webhooks', 'consecutive_failures', 'INTEGER DEFAULT 0');
+    await addColumnIfMissing('webhooks', 'disabled_at', 'DATETIME');
+    await addColumnIfMissing('webhooks', 'previous_secret', 'TEXT');
+    await addColumnIfMissing('webhooks', 'previous_secret_expires_at', 'DATETIME');
+    await addColumnIfMissing('ai_profiles', 'approval_mode', 'BOOLEAN');
+    await addColumnIfMissing('ai_profiles', 'auto_send_confidence', 'REAL');
+    await addColumnIfMissing('ai_profiles', 'handoff_enabled', 'BOOLEAN');
+
     // Create indexes
     await db.exec(`CREATE INDEX IF NOT EXISTS idx_messages_chat_id ON messages(chat_id)`);
     await db.exec(`CREATE INDEX IF NOT EXISTS idx_messages_timestamp ON messages(timestamp)`);
     await db.exec(`CREATE INDEX IF NOT EXISTS idx_queue_jobs_status ON queue_jobs(status)`);
     await db.exec(`CREATE INDEX IF NOT EXISTS idx_queue_jobs_created_at ON queue_jobs(created_at)`);
+    await db.exec(`CREATE INDEX IF NOT EXISTS idx_queue_jobs_whatsapp_message_id ON queue_jobs(whatsapp_message_id)`);
+    await db.exec(`CREATE INDEX IF NOT EXISTS idx_queue_jobs_sent_at ON queue_jobs(sent_at)`);
+    await db.exec(`CREATE INDEX IF NOT EXISTS idx_message_status_events_job_id ON message_status_events(job_id)`);
+    await db.exec(`CREATE INDEX IF NOT EXISTS idx_schedules_next_run_at ON schedules(status, next_run_at)`);
+    await db.exec(`CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook ON webhook_deliveries(webhook_id, created_at)`);
+    await db.exec(`CREATE INDEX IF NOT EXISTS idx_campaign_recipients_campaign ON campaign_recipients(campaign_id, status)`);
+    await db.exec(`CREATE INDEX IF NOT EXISTS idx_flow_conversations_chat ON flow_conversations(chat_id, status)`);
+    await db.exec(`CREATE INDEX IF NOT EXISTS idx_flow_conversations_expires ON flow_conversations(status, expires_at)`);
+    await db.exec(`CREATE INDEX IF NOT EXISTS idx_ai_messages_chat ON ai_messages(chat_id, id)`);
+    await db.exec(`CREATE INDEX IF NOT EXISTS idx_knowledge_chunks_document ON knowledge_chunks(document_id, chunk_index)`);
+    await db.exec(`CREATE INDEX IF NOT EXISTS idx_ai_drafts_status ON ai_drafts(status, created_at)`);
+    await db.exec(`CREATE INDEX IF NOT EXISTS idx_ai_handoffs_chat ON ai_handoffs(chat_id, status)`);
+    await db.exec(`CREATE INDEX IF NOT EXISTS idx_ai_tool_calls_created ON ai_tool_calls(created_at)`);
+    await db.exec(`CREATE INDEX IF NOT EXISTS idx_ai_tool_calls_chat ON ai_tool_calls(chat_id, created_at)`);
+    await db.exec(`CREATE INDEX IF NOT EXISTS idx_ai_usage_created ON ai_usage(created_at)`);
+    await db.exec(`CREATE INDEX IF NOT EXISTS idx_ai_usage_session ON ai_usage(session_id, created_at)`);
 
     logger.info('Database tables created successfully');
   } catch (error) {
@@ -129,11 +579,22 @@ async function createTables() {
   }
 }
 
+// Add a column to an existing table (CREATE TABLE IF NOT EXISTS leaves old tables untouched)
+async function addColumnIfMissing(table, column, definition) {
+  const columns = await db.all(`PRAGMA table_info(${table})`);
+
+  if (!columns.some(col => col.name === column)) {
+    await db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    logger.info(`Column added: ${table}.${column}`);
+  }
+}
+
 // Message operations
 export async function saveMessage(messageData) {
   try {
     const {
       messageId,
+      sessionId = null,
       chatId,
       chatName,
       senderId,
@@ -151,12 +612,13 @@ export async function saveMessage(messageData) {
 
     const result = await db.run(`
       INSERT OR REPLACE INTO messages (
-        message_id, chat_id, chat_name, sender_id, sender_name, message_type,
+        message_id, session_id, chat_id, chat_name, sender_id, sender_name, message_type,
         content, timestamp, is_from_me, is_group, media_url, media_type,
         media_size, thumbnail_url
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `, [
       messageId,
+      sessionId,
       chatId,
       chatName,
       senderId,
@@ -191,6 +653,11 @@ export async function getMessages(filters = {}, page = 1, limit = 50) {
       params.push(filters.chatId);
     }
 
+    if (filters.sessionId) {
+      query += ' AND session_id = ?';
+      params.push(filters.sessionId);
+    }
+
     if (filters.senderId) {
       query += ' AND sender_id = ?';
       params.push(filters.senderId);
@@ -245,13 +712,21 @@ export async function getMessages(filters = {}, page = 1, limit = 50) {
 // Session operations
 export async function saveSession(sessionData) {
   try {
-    const { sessionId, status, qrCode, phoneNumber, lastActivity } = sessionData;
+    const { sessionId, name = null, status, qrCode, phoneNumber, lastActivity } = sessionData;
 
+    // Upsert so restarting a session keeps its name and created_at
     const result = await db.run(`
-      INSERT OR REPLACE INTO sessions (
-        session_id, status, qr_code, phone_number, last_activity, updated_at
-      ) VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
-    `, [sessionId, status, qrCode, phoneNumber, lastActivity]);
+      INSERT INTO sessions (
+        session_id, name, status, qr_code, phone_number, last_activity, updated_at
+      ) VALUES (?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+      ON CONFLICT(session_id) DO UPDATE SET
+        name = COALESCE(excluded.name, sessions.name),
+        status = excluded.status,
+        qr_code = excluded.qr_code,
+        phone_number = COALESCE(excluded.phone_number, sessions.phone_number),
+        last_activity = excluded.last_activity,
+        updated_at = CURRENT_TIMESTAMP
+    `, [sessionId, name, status, qrCode, phoneNumber, lastActivity]);
 
     logger.info(`Session saved: ${sessionId}`);
     return result.lastID;
@@ -261,6 +736,27 @@ export async function saveSession(sessionData) {
   }
 }
 
+export async function getSessions() {
+  try {
+    const sessions = await db.all('SELECT * FROM sessions ORDER BY created_at ASC');
+    return sessions;
+  } catch (error) {
+    logger.error('Failed to get sessions:', error);
+    throw error;
+  }
+}
+
+export async function deleteSession(sessionId) {
+  try {
+    const result = await db.run('DELETE FROM sessions WHERE session_id = ?', [sessionId]);
+    logger.info(`Session deleted: ${sessionId}`);
+    return result.changes > 0;
+  } catch (error) {
+    logger.error('Failed to delete session:', error);
+    throw error;
+  }
+}
+
 export async function getSession(sessionId) {
   try {
     const session = await db.get('SELECT * FROM sessions WHERE session_id = ?', [sessionId]);
@@ -287,13 +783,21 @@ export async function updateSessionStatus(sessionId, status) {
 }
 
 // Template operations
+function parseTemplate(template) {
+  if (!template) return template;
+  return {
+    ...template,
+    variables: JSON.parse(template.variables || '[]')
+  };
+}
+
 export async function saveTemplate(templateData) {
   try {
-    const { name, content, description } = templateData;
+    const { name, content, description, variables = [] } = templateData;
 
     const result = await db.run(`
-      INSERT INTO templates (name, content, description) VALUES (?, ?, ?)
-    `, [name, content, description]);
+      INSERT INTO templates (name, content, description, variables) VALUES (?, ?, ?, ?)
+    `, [name, content, description, JSON.stringify(variables)]);
 
     logger.info(`Template saved: ${name}`);
     return result.lastID;
@@ -306,21 +810,44 @@ export async function saveTemplate(templateData) {
 export async function getTemplates() {
   try {
     const templates = await db.all('SELECT * FROM templates ORDER BY created_at DESC');
-    return templates;
+    return templates.map(parseTemplate);
   } catch (error) {
     logger.error('Failed to get templates:', error);
     throw error;
   }
 }
 
+export async function getTemplateById(id) {
+  try {
+    const template = await db.get('SELECT * FROM templates WHERE id = ?', [id]);
+    return parseTemplate(template);
+  } catch (error) {
+    logger.error('Failed to get template by ID:', error);
+    throw error;
+  }
+}
+
+export async function getTemplateByName(name) {
+  try {
+    const template = await db.get(
+      'SELECT * FROM templates WHERE name = ? ORDER BY updated_at DESC LIMIT 1',
+      [name]
+    );
+    return parseTemplate(template);
+  } catch (error) {
+    logger.error('Failed to get template by name:', error);
+    throw error;
+  }
+}
+
 export async function updateTemplate(id, templateData) {
   try {
-    const { name, content, description } = templateData;
+    const { name, content, description, variables = [] } = templateData;
 
     const result = await db.run(`
-      UPDATE templates SET name = ?, content = ?, description = ?, updated_at = CURRENT_TIMESTAMP
+      UPDATE templates SET name = ?, content = ?, description = ?, variables = ?, updated_at = CURRENT_TIMESTAMP
       WHERE id = ?
-    `, [name, content, description, id]);
+    `, [name, content, description, JSON.stringify(variables), id]);
 
     logger.info(`Template updated: ${id}`);
     return result.changes > 0;
@@ -344,13 +871,25 @@ export async function deleteTemplate(id) {
 // Queue job operations
 export async function saveQueueJob(jobData) {
   try {
-    const { jobId, jobType, recipient, content, mediaUrl, mediaType, status = 'pending' } = jobData;
+    const {
+      jobId,
+      jobType,
+      recipient,
+      content,
+      mediaUrl,
+      mediaType,
+      sessionId = null,
+      scheduleId = null,
+      contactId = null,
+      status = 'pending',
+      skipReason = null
+    } = jobData;
 
     const result = await db.run(`
       INSERT INTO queue_jobs (
-        job_id, job_type, recipient, content, media_url, media_type, status
-      ) VALUES (?, ?, ?, ?, ?, ?, ?)
-    `, [jobId, jobType, recipient, content, mediaUrl, mediaType, status]);
+        job_id, job_type, recipient, content, media_url, media_type, session_id, schedule_id, contact_id, status, skip_reason
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [jobId, jobType, recipient, content, mediaUrl, mediaType, sessionId, scheduleId, contactId, status, skipReason]);
 
     logger.info(`Queue job saved: ${jobId}`);
     return result.lastID;
@@ -394,6 +933,11 @@ export async function getQueueJobs(filters = {}, page = 1, limit = 50) {
       params.push(filters.jobType);
     }
 
+    if (filters.sessionId) {
+      query += ' AND session_id = ?';
+      params.push(filters.sessionId);
+    }
+
     query += ' ORDER BY created_at DESC LIMIT ? OFFSET ?';
     params.push(limit, offset);
 
@@ -420,32 +964,2431 @@ export async function getQueueJobs(filters = {}, page = 1, limit = 50) {
   }
 }
 
-// Webhook operations
-export async function saveWebhook(webhookData) {
+export async function getQueueJob(jobId) {
   try {
-    const { url, secret, events, isActive = true } = webhookData;
+    const job = await db.get('SELECT * FROM queue_jobs WHERE job_id = ?', [jobId]);
+    return job;
+  } catch (error) {
+    logger.error('Failed to get queue job:', error);
+    throw error;
+  }
+}
+
+export async function getQueueJobByMessageId(messageId) {
+  try {
+    const job = await db.get('SELECT * FROM queue_jobs WHERE whatsapp_message_id = ?', [messageId]);
+    return job;
+  } catch (error) {
+    logger.error('Failed to get queue job by message ID:', error);
+    throw error;
+  }
+}
+
+// Contact operations
+function parseContact(contact) {
+  if (!contact) return contact;
+  return {
+    ...contact,
+    tags: JSON.parse(contact.tags || '[]'),
+    custom_fields: JSON.parse(contact.custom_fields || '{}'),
+    opted_out: Boolean(contact.opted_out)
+  };
+}
+
+export async function saveContact(contactData) {
+  try {
+    const { phone, name = null, tags = [], customFields = {}, optedOut = false } = contactData;
 
     const result = await db.run(`
-      INSERT INTO webhooks (url, secret, events, is_active) VALUES (?, ?, ?, ?)
-    `, [url, secret, JSON.stringify(events), isActive]);
+      INSERT INTO contacts (phone, name, tags, custom_fields, opted_out, opted_out_at) VALUES (?, ?, ?, ?, ?, ?)
+    `, [phone, name, JSON.stringify(tags), JSON.stringify(customFields), optedOut, optedOut ? new Date().toISOString() : null]);
 
-    logger.info(`Webhook saved: ${url}`);
+    logger.info(`Contact saved: ${phone}`);
     return result.lastID;
   } catch (error) {
-    logger.error('Failed to save webhook:', error);
+    logger.error('Failed to save contact:', error);
     throw error;
   }
 }
 
-export async function getWebhooks() {
+export async function getContacts(filters = {}, page = 1, limit = 50) {
   try {
-    const webhooks = await db.all('SELECT * FROM webhooks WHERE is_active = 1 ORDER BY created_at DESC');
-    return webhooks.map(webhook => ({
-      ...webhook,
-      events: JSON.parse(webhook.events)
-    }));
-  } catch (error) {
-    logger.error('Failed to get webhooks:', error);
+    const offset = (page - 1) * limit;
+    let where = 'WHERE 1=1';
+    const params = [];
+
+    if (filters.search) {
+      where += ' AND (name LIKE ? OR phone LIKE ?)';
+      params.push(`%${filters.search}%`, `%${filters.search}%`);
+    }
+
+    if (filters.tag) {
+      where += ' AND EXISTS (SELECT 1 FROM json_each(contacts.tags) WHERE json_each.value = ?)';
+      params.push(filters.tag);
+    }
+
+    if (filters.optedOut !== undefined) {
+      where += ' AND opted_out = ?';
+      params.push(filters.optedOut ? 1 : 0);
+    }
+
+    const contacts = await db.all(
+      `SELECT * FROM contacts ${where} ORDER BY name COLLATE NOCASE ASC, phone ASC LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+
+    const { total } = await db.get(`SELECT COUNT(*) AS total FROM contacts ${where}`, params);
+
+    return {
+      contacts: contacts.map(parseContact),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  } catch (error) {
+    logger.error('Failed to get contacts:', error);
+    throw error;
+  }
+}
+
+export async function getAllContacts() {
+  try {
+    const contacts = await db.all('SELECT * FROM contacts ORDER BY name COLLATE NOCASE ASC, phone ASC');
+    return contacts.map(parseContact);
+  } catch (error) {
+    logger.error('Failed to get all contacts:', error);
+    throw error;
+  }
+}
+
+export async function getContactById(id) {
+  try {
+    const contact = await db.get('SELECT * FROM contacts WHERE id = ?', [id]);
+    return parseContact(contact);
+  } catch (error) {
+    logger.error('Failed to get contact by ID:', error);
+    throw error;
+  }
+}
+
+export async function getContactByPhone(phone) {
+  try {
+    const contact = await db.get('SELECT * FROM contacts WHERE phone = ?', [phone]);
+    return parseContact(contact);
+  } catch (error) {
+    logger.error('Failed to get contact by phone:', error);
+    throw error;
+  }
+}
+
+// Update only the fields given; opting out stamps opted_out_at
+export async function updateContact(id, contactData) {
+  try {
+    const updates = {};
+
+    if (contactData.phone !== undefined) updates.phone = contactData.phone;
+    if (contactData.name !== undefined) updates.name = contactData.name;
+    if (contactData.tags !== undefined) updates.tags = JSON.stringify(contactData.tags);
+    if (contactData.customFields !== undefined) updates.custom_fields = JSON.stringify(contactData.customFields);
+    if (contactData.optedOut !== undefined) {
+      updates.opted_out = contactData.optedOut;
+      updates.opted_out_at = contactData.optedOut ? new Date().toISOString() : null;
+    }
+
+    if (Object.keys(updates).length === 0) {
+      return false;
+    }
+
+    const setClause = Object.keys(updates).map(key => `${key} = ?`).join(', ');
+
+    const result = await db.run(`
+      UPDATE contacts SET ${setClause}, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+    `, [...Object.values(updates), id]);
+
+    logger.info(`Contact updated: ${id}`);
+    return result.changes > 0;
+  } catch (error) {
+    logger.error('Failed to update contact:', error);
+    throw error;
+  }
+}
+
+export async function deleteContact(id) {
+  try {
+    const result = await db.run('DELETE FROM contacts WHERE id = ?', [id]);
+    logger.info(`Contact deleted: ${id}`);
+    return result.changes > 0;
+  } catch (error) {
+    logger.error('Failed to delete contact:', error);
+    throw error;
+  }
+}
+
+// Suppression operations
+export async function saveSuppression(suppressionData) {
+  try {
+    const { phone, reason = 'manual', keyword = null, messageId = null } = suppressionData;
+
+    // Re-adding a number keeps the original entry
+    const result = await db.run(`
+      INSERT OR IGNORE INTO suppressions (phone, reason, keyword, message_id) VALUES (?, ?, ?, ?)
+    `, [phone, reason, keyword, messageId]);
+
+    logger.info(`Suppression saved: ${phone}`);
+    return result.changes > 0;
+  } catch (error) {
+    logger.error('Failed to save suppression:', error);
+    throw error;
+  }
+}
+
+export async function getSuppressions(filters = {}, page = 1, limit = 50) {
+  try {
+    const offset = (page - 1) * limit;
+    let where = 'WHERE 1=1';
+    const params = [];
+
+    if (filters.search) {
+      where += ' AND phone LIKE ?';
+      params.push(`%${filters.search}%`);
+    }
+
+    if (filters.reason) {
+      where += ' AND reason = ?';
+      params.push(filters.reason);
+    }
+
+    const suppressions = await db.all(
+      `SELECT * FROM suppressions ${where} ORDER BY created_at DESC LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+
+    const { total } = await db.get(`SELECT COUNT(*) AS total FROM suppressions ${where}`, params);
+
+    return {
+      suppressions,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  } catch (error) {
+    logger.error('Failed to get suppressions:', error);
+    throw error;
+  }
+}
+
+export async function getSuppressionById(id) {
+  try {
+    const suppression = await db.get('SELECT * FROM suppressions WHERE id = ?', [id]);
+    return suppression;
+  } catch (error) {
+    logger.error('Failed to get suppression by ID:', error);
+    throw error;
+  }
+}
+
+export async function getSuppressionByPhone(phone) {
+  try {
+    const suppression = await db.get('SELECT * FROM suppressions WHERE phone = ?', [phone]);
+    return suppression;
+  } catch (error) {
+    logger.error('Failed to get suppression by phone:', error);
+    throw error;
+  }
+}
+
+export async function deleteSuppression(id) {
+  try {
+    const result = await db.run('DELETE FROM suppressions WHERE id = ?', [id]);
+    logger.info(`Suppression deleted: ${id}`);
+    return result.changes > 0;
+  } catch (error) {
+    logger.error('Failed to delete suppression:', error);
+    throw error;
+  }
+}
+
+// Schedule operations
+export async function saveSchedule(scheduleData) {
+  try {
+    const {
+      scheduleId,
+      jobType,
+      recipient,
+      content,
+      mediaUrl,
+      mediaType,
+      sessionId = null,
+      contactId = null,
+      priority = 'normal',
+      sendAt = null,
+      cron = null,
+      timezone = null,
+      nextRunAt
+    } = scheduleData;
+
+    const result = await db.run(`
+      INSERT INTO schedules (
+        schedule_id, job_type, recipient, content, media_url, media_type, session_id, contact_id,
+        priority, send_at, cron, timezone, next_run_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [scheduleId, jobType, recipient, content, mediaUrl, mediaType, sessionId, contactId, priority, sendAt, cron, timezone, nextRunAt]);
+
+    logger.info(`Schedule saved: ${scheduleId}`);
+    return result.lastID;
+  } catch (error) {
+    logger.error('Failed to save schedule:', error);
+    throw error;
+  }
+}
+
+export async function getSchedules(filters = {}) {
+  try {
+    let query = 'SELECT * FROM schedules WHERE 1=1';
+    const params = [];
+
+    if (filters.status) {
+      query += ' AND status = ?';
+      params.push(filters.status);
+    }
+
+    if (filters.sessionId) {
+      query += ' AND session_id = ?';
+      params.push(filters.sessionId);
+    }
+
+    query += ' ORDER BY next_run_at IS NULL, next_run_at ASC';
+
+    const schedules = await db.all(query, params);
+    return schedules;
+  } catch (error) {
+    logger.error('Failed to get schedules:', error);
+    throw error;
+  }
+}
+
+export async function getSchedule(scheduleId) {
+  try {
+    const schedule = await db.get('SELECT * FROM schedules WHERE schedule_id = ?', [scheduleId]);
+    return schedule;
+  } catch (error) {
+    logger.error('Failed to get schedule:', error);
+    throw error;
+  }
+}
+
+// Active schedules whose next run is at or before the given ISO time
+export async function getDueSchedules(before) {
+  try {
+    const schedules = await db.all(
+      `SELECT * FROM schedules WHERE status = 'scheduled' AND next_run_at <= ? ORDER BY next_run_at ASC`,
+      [before]
+    );
+    return schedules;
+  } catch (error) {
+    logger.error('Failed to get due schedules:', error);
+    throw error;
+  }
+}
+
+export async function updateSchedule(scheduleId, updates) {
+  try {
+    const setClause = Object.keys(updates).map(key => `${key} = ?`).join(', ');
+    const values = Object.values(updates);
+    values.push(scheduleId);
+
+    const result = await db.run(`
+      UPDATE schedules SET ${setClause}, updated_at = CURRENT_TIMESTAMP WHERE schedule_id = ?
+    `, values);
+
+    logger.info(`Schedule updated: ${scheduleId}`);
+    return result.changes > 0;
+  } catch (error) {
+    logger.error('Failed to update schedule:', error);
+    throw error;
+  }
+}
+
+// Campaign operations
+
+// A dispatched recipient takes the status of its queue job
+const CAMPAIGN_RECIPIENT_STATUS = `
+  CASE
+    WHEN cr.status != 'queued' THEN cr.status
+    WHEN qj.status IN ('sent', 'delivered', 'read', 'failed', 'cancelled', 'skipped') THEN qj.status
+    ELSE 'queued'
+  END
+`;
+
+function parseCampaignRecipient(recipient) {
+  if (!recipient) return recipient;
+  return {
+    ...recipient,
+    variables: JSON.parse(recipient.variables || '{}')
+  };
+}
+
+export async function saveCampaign(campaignData) {
+  try {
+    const {
+      campaignId,
+      name,
+      templateId,
+      templateName,
+      sessionId = null,
+      ratePerMinute,
+      recipients
+    } = campaignData;
+
+    await db.exec('BEGIN TRANSACTION');
+
+    try {
+      await db.run(`
+        INSERT INTO campaigns (
+          campaign_id, name, template_id, template_name, session_id, rate_per_minute, next_dispatch_at, total_recipients
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      `, [campaignId, name, templateId, templateName, sessionId, ratePerMinute, new Date().toISOString(), recipients.length]);
+
+      for (const row of recipients) {
+        await db.run(`
+          INSERT INTO campaign_recipients (campaign_id, recipient, variables, content) VALUES (?, ?, ?, ?)
+        `, [campaignId, row.recipient, JSON.stringify(row.variables || {}), row.content]);
+      }
+
+      await db.exec('COMMIT');
+    } catch (error) {
+      await db.exec('ROLLBACK');
+      throw error;
+    }
+
+    logger.info(`Campaign saved: ${campaignId} (${recipients.length} recipients)`);
+    return campaignId;
+  } catch (error) {
+    logger.error('Failed to save campaign:', error);
+    throw error;
+  }
+}
+
+export async function getCampaigns(filters = {}) {
+  try {
+    let query = 'SELECT * FROM campaigns WHERE 1=1';
+    const params = [];
+
+    if (filters.status) {
+      query += ' AND status = ?';
+      params.push(filters.status);
+    }
+
+    query += ' ORDER BY created_at DESC';
+
+    const campaigns = await db.all(query, params);
+    return campaigns;
+  } catch (error) {
+    logger.error('Failed to get campaigns:', error);
+    throw error;
+  }
+}
+
+export async function getCampaign(campaignId) {
+  try {
+    const campaign = await db.get('SELECT * FROM campaigns WHERE campaign_id = ?', [campaignId]);
+    return campaign;
+  } catch (error) {
+    logger.error('Failed to get campaign:', error);
+    throw error;
+  }
+}
+
+export async function updateCampaign(campaignId, updates) {
+  try {
+    const setClause = Object.keys(updates).map(key => `${key} = ?`).join(', ');
+    const values = Object.values(updates);
+    values.push(campaignId);
+
+    const result = await db.run(`
+      UPDATE campaigns SET ${setClause}, updated_at = CURRENT_TIMESTAMP WHERE campaign_id = ?
+    `, values);
+
+    logger.info(`Campaign updated: ${campaignId}`);
+    return result.changes > 0;
+  } catch (error) {
+    logger.error('Failed to update campaign:', error);
+    throw error;
+  }
+}
+
+// Per-status recipient counts for a campaign
+export async function getCampaignCounts(campaignId) {
+  try {
+    const rows = await db.all(`
+      SELECT ${CAMPAIGN_RECIPIENT_STATUS} AS status, COUNT(*) AS count
+      FROM campaign_recipients cr
+      LEFT JOIN queue_jobs qj ON qj.job_id = cr.job_id
+      WHERE cr.campaign_id = ?
+      GROUP BY 1
+    `, [campaignId]);
+
+    return Object.fromEntries(rows.map(row => [row.status, row.count]));
+  } catch (error) {
+    logger.error('Failed to get campaign counts:', error);
+    throw error;
+  }
+}
+
+export async function getCampaignRecipients(campaignId, filters = {}, page = 1, limit = 50) {
+  try {
+    const offset = (page - 1) * limit;
+    let where = 'WHERE cr.campaign_id = ?';
+    const params = [campaignId];
+
+    if (filters.status) {
+      where += ` AND ${CAMPAIGN_RECIPIENT_STATUS} = ?`;
+      params.push(filters.status);
+    }
+
+    const from = `
+      FROM campaign_recipients cr
+      LEFT JOIN queue_jobs qj ON qj.job_id = cr.job_id
+      ${where}
+    `;
+
+    const recipients = await db.all(`
+      SELECT cr.id, cr.campaign_id, cr.recipient, cr.variables, cr.content, cr.job_id,
+        ${CAMPAIGN_RECIPIENT_STATUS} AS status,
+        COALESCE(cr.error_message, qj.error_message, qj.skip_reason) AS error_message,
+        cr.queued_at, qj.sent_at, qj.delivered_at, qj.read_at, cr.created_at, cr.updated_at
+      ${from}
+      ORDER BY cr.id ASC LIMIT ? OFFSET ?
+    `, [...params, limit, offset]);
+
+    const { total } = await db.get(`SELECT COUNT(*) AS total ${from}`, params);
+
+    return {
+      recipients: recipients.map(parseCampaignRecipient),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  } catch (error) {
+    logger.error('Failed to get campaign recipients:', error);
+    throw error;
+  }
+}
+
+// Recipients not yet handed to the queue, in upload order
+export async function getPendingCampaignRecipients(campaignId, limit) {
+  try {
+    const recipients = await db.all(
+      `SELECT * FROM campaign_recipients WHERE campaign_id = ? AND status = 'pending' ORDER BY id ASC LIMIT ?`,
+      [campaignId, limit]
+    );
+    return recipients.map(parseCampaignRecipient);
+  } catch (error) {
+    logger.error('Failed to get pending campaign recipients:', error);
+    throw error;
+  }
+}
+
+// Dispatched recipients whose queue job has not finished yet
+export async function getUnfinishedCampaignRecipients(campaignId) {
+  try {
+    const recipients = await db.all(`
+      SELECT cr.* FROM campaign_recipients cr
+      LEFT JOIN queue_jobs qj ON qj.job_id = cr.job_id
+      WHERE cr.campaign_id = ? AND ${CAMPAIGN_RECIPIENT_STATUS} = 'queued'
+    `, [campaignId]);
+    return recipients.map(parseCampaignRecipient);
+  } catch (error) {
+    logger.error('Failed to get unfinished campaign recipients:', error);
+    throw error;
+  }
+}
+
+export async function updateCampaignRecipient(id, updates) {
+  try {
+    const setClause = Object.keys(updates).map(key => `${key} = ?`).join(', ');
+    const values = Object.values(updates);
+    values.push(id);
+
+    const result = await db.run(`
+      UPDATE campaign_recipients SET ${setClause}, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+    `, values);
+
+    return result.changes > 0;
+  } catch (error) {
+    logger.error('Failed to update campaign recipient:', error);
+    throw error;
+  }
+}
+
+// Mark every recipient not yet dispatched as cancelled
+export async function cancelPendingCampaignRecipients(campaignId) {
+  try {
+    const result = await db.run(`
+      UPDATE campaign_recipients SET status = 'cancelled', updated_at = CURRENT_TIMESTAMP
+      WHERE campaign_id = ? AND status = 'pending'
+    `, [campaignId]);
+
+    return result.changes;
+  } catch (error) {
+    logger.error('Failed to cancel campaign recipients:', error);
+    throw error;
+  }
+}
+
+// Count messages sent since a time, optionally for one session or recipient
+export async function countSentMessages(filters = {}) {
+  try {
+    let query = 'SELECT COUNT(*) AS count, MIN(sent_at) AS oldest FROM queue_jobs WHERE sent_at >= ?';
+    const params = [filters.since];
+
+    if (filters.sessionId) {
+      query += ' AND session_id = ?';
+      params.push(filters.sessionId);
+    }
+
+    if (filters.recipient) {
+      query += ' AND recipient = ?';
+      params.push(filters.recipient);
+    }
+
+    const result = await db.get(query, params);
+    return result;
+  } catch (error) {
+    logger.error('Failed to count sent messages:', error);
+    throw error;
+  }
+}
+
+// Message status event operations
+export async function saveMessageStatusEvent(eventData) {
+  try {
+    const { jobId, messageId, sessionId = null, status } = eventData;
+
+    const result = await db.run(`
+      INSERT INTO message_status_events (job_id, message_id, session_id, status) VALUES (?, ?, ?, ?)
+    `, [jobId, messageId, sessionId, status]);
+
+    logger.info(`Message status recorded: ${jobId} -> ${status}`);
+    return result.lastID;
+  } catch (error) {
+    logger.error('Failed to save message status event:', error);
+    throw error;
+  }
+}
+
+export async function getMessageStatusEvents(jobId) {
+  try {
+    const events = await db.all(
+      'SELECT * FROM message_status_events WHERE job_id = ? ORDER BY created_at ASC, id ASC',
+      [jobId]
+    );
+    return events;
+  } catch (error) {
+    logger.error('Failed to get message status events:', error);
+    throw error;
+  }
+}
+
+// Inbound hook operations
+function parseInboundHook(hook) {
+  if (!hook) return hook;
+  return {
+    ...hook,
+    mapping: JSON.parse(hook.mapping),
+    templates: JSON.parse(hook.templates),
+    is_active: Boolean(hook.is_active)
+  };
+}
+
+export async function saveInboundHook(hookData) {
+  try {
+    const { name, token, mapping, templates, rateLimitPerMinute = 60, sessionId = null } = hookData;
+
+    const result = await db.run(`
+      INSERT INTO inbound_hooks (name, token, mapping, templates, rate_limit_per_minute, session_id)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `, [name, token, JSON.stringify(mapping), JSON.stringify(templates), rateLimitPerMinute, sessionId]);
+
+    logger.info(`Inbound hook saved: ${name}`);
+    return result.lastID;
+  } catch (error) {
+    logger.error('Failed to save inbound hook:', error);
+    throw error;
+  }
+}
+
+export async function getInboundHooks() {
+  try {
+    const hooks = await db.all('SELECT * FROM inbound_hooks ORDER BY created_at DESC');
+    return hooks.map(parseInboundHook);
+  } catch (error) {
+    logger.error('Failed to get inbound hooks:', error);
+    throw error;
+  }
+}
+
+export async function getInboundHookById(id) {
+  try {
+    const hook = await db.get('SELECT * FROM inbound_hooks WHERE id = ?', [id]);
+    return parseInboundHook(hook);
+  } catch (error) {
+    logger.error('Failed to get inbound hook:', error);
+    throw error;
+  }
+}
+
+export async function getInboundHookByToken(token) {
+  try {
+    const hook = await db.get('SELECT * FROM inbound_hooks WHERE token = ?', [token]);
+    return parseInboundHook(hook);
+  } catch (error) {
+    logger.error('Failed to get inbound hook by token:', error);
+    throw error;
+  }
+}
+
+export async function updateInboundHook(id, hookData) {
+  try {
+    const updates = {};
+
+    if (hookData.name !== undefined) updates.name = hookData.name;
+    if (hookData.token !== undefined) updates.token = hookData.token;
+    if (hookData.mapping !== undefined) updates.mapping = JSON.stringify(hookData.mapping);
+    if (hookData.templates !== undefined) updates.templates = JSON.stringify(hookData.templates);
+    if (hookData.rateLimitPerMinute !== undefined) updates.rate_limit_per_minute = hookData.rateLimitPerMinute;
+    if (hookData.sessionId !== undefined) updates.session_id = hookData.sessionId;
+    if (hookData.isActive !== undefined) updates.is_active = hookData.isActive;
+    if (hookData.lastUsedAt !== undefined) updates.last_used_at = hookData.lastUsedAt;
+
+    if (Object.keys(updates).length === 0) {
+      return false;
+    }
+
+    const setClause = Object.keys(updates).map(key => `${key} = ?`).join(', ');
+
+    const result = await db.run(`
+      UPDATE inbound_hooks SET ${setClause}, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+    `, [...Object.values(updates), id]);
+
+    return result.changes > 0;
+  } catch (error) {
+    logger.error('Failed to update inbound hook:', error);
+    throw error;
+  }
+}
+
+export async function deleteInboundHook(id) {
+  try {
+    const result = await db.run('DELETE FROM inbound_hooks WHERE id = ?', [id]);
+    logger.info(`Inbound hook deleted: ${id}`);
+    return result.changes > 0;
+  } catch (error) {
+    logger.error('Failed to delete inbound hook:', error);
+    throw error;
+  }
+}
+
+// Auto-reply rule operations
+function parseRule(rule) {
+  if (!rule) return rule;
+  return {
+    ...rule,
+    conditions: JSON.parse(rule.conditions),
+    response: JSON.parse(rule.response),
+    is_active: Boolean(rule.is_active)
+  };
+}
+
+export async function saveRule(ruleData) {
+  try {
+    const { name, priority = 0, conditions = {}, response, cooldownSeconds = 0, isActive = true } = ruleData;
+
+    const result = await db.run(`
+      INSERT INTO auto_reply_rules (name, priority, conditions, response, cooldown_seconds, is_active)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `, [name, priority, JSON.stringify(conditions), JSON.stringify(response), cooldownSeconds, isActive]);
+
+    logger.info(`Rule saved: ${name}`);
+    return result.lastID;
+  } catch (error) {
+    logger.error('Failed to save rule:', error);
+    throw error;
+  }
+}
+
+// Rules in evaluation order: highest priority first, then oldest
+export async function getRules({ activeOnly = false } = {}) {
+  try {
+    const where = activeOnly ? 'WHERE is_active = 1' : '';
+    const rules = await db.all(`SELECT * FROM auto_reply_rules ${where} ORDER BY priority DESC, id ASC`);
+    return rules.map(parseRule);
+  } catch (error) {
+    logger.error('Failed to get rules:', error);
+    throw error;
+  }
+}
+
+export async function getRuleById(id) {
+  try {
+    const rule = await db.get('SELECT * FROM auto_reply_rules WHERE id = ?', [id]);
+    return parseRule(rule);
+  } catch (error) {
+    logger.error('Failed to get rule:', error);
+    throw error;
+  }
+}
+
+export async function updateRule(id, ruleData) {
+  try {
+    const updates = {};
+
+    if (ruleData.name !== undefined) updates.name = ruleData.name;
+    if (ruleData.priority !== undefined) updates.priority = ruleData.priority;
+    if (ruleData.conditions !== undefined) updates.conditions = JSON.stringify(ruleData.conditions);
+    if (ruleData.response !== undefined) updates.response = JSON.stringify(ruleData.response);
+    if (ruleData.cooldownSeconds !== undefined) updates.cooldown_seconds = ruleData.cooldownSeconds;
+    if (ruleData.isActive !== undefined) updates.is_active = ruleData.isActive;
+
+    if (Object.keys(updates).length === 0) {
+      return false;
+    }
+
+    const setClause = Object.keys(updates).map(key => `${key} = ?`).join(', ');
+
+    const result = await db.run(`
+      UPDATE auto_reply_rules SET ${setClause}, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+    `, [...Object.values(updates), id]);
+
+    logger.info(`Rule updated: ${id}`);
+    return result.changes > 0;
+  } catch (error) {
+    logger.error('Failed to update rule:', error);
+    throw error;
+  }
+}
+
+export async function deleteRule(id) {
+  try {
+    await db.run('DELETE FROM auto_reply_firings WHERE rule_id = ?', [id]);
+    const result = await db.run('DELETE FROM auto_reply_rules WHERE id = ?', [id]);
+    logger.info(`Rule deleted: ${id}`);
+    return result.changes > 0;
+  } catch (error) {
+    logger.error('Failed to delete rule:', error);
+    throw error;
+  }
+}
+
+export async function getRuleFiring(ruleId, chatId) {
+  try {
+    const firing = await db.get(
+      'SELECT fired_at FROM auto_reply_firings WHERE rule_id = ? AND chat_id = ?',
+      [ruleId, chatId]
+    );
+    return firing ? firing.fired_at : null;
+  } catch (error) {
+    logger.error('Failed to get rule firing:', error);
+    throw error;
+  }
+}
+
+export async function saveRuleFiring(ruleId, chatId, firedAt) {
+  try {
+    await db.run(`
+      INSERT INTO auto_reply_firings (rule_id, chat_id, fired_at) VALUES (?, ?, ?)
+      ON CONFLICT(rule_id, chat_id) DO UPDATE SET fired_at = excluded.fired_at
+    `, [ruleId, chatId, firedAt]);
+  } catch (error) {
+    logger.error('Failed to save rule firing:', error);
+    throw error;
+  }
+}
+
+// Count messages a contact has sent in a chat, leaving out one message (usually the current one)
+export async function countIncomingChatMessages(chatId, excludeMessageId = null) {
+  try {
+    const result = await db.get(
+      'SELECT COUNT(*) AS count FROM messages WHERE chat_id = ? AND is_from_me = 0 AND message_id != ?',
+      [chatId, excludeMessageId || '']
+    );
+    return result.count;
+  } catch (error) {
+    logger.error('Failed to count chat messages:', error);
+    throw error;
+  }
+}
+
+// Flow operations
+function parseFlow(flow) {
+  if (!flow) return flow;
+  return {
+    ...flow,
+    trigger: flow.trigger ? JSON.parse(flow.trigger) : null,
+    nodes: JSON.parse(flow.nodes),
+    is_active: Boolean(flow.is_active)
+  };
+}
+
+export async function saveFlow(flowData) {
+  try {
+    const { name, description = null, trigger = null, startNode, nodes, priority = 0, isActive = true } = flowData;
+
+    const result = await db.run(`
+      INSERT INTO flows (name, description, trigger, start_node, nodes, priority, is_active)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `, [name, description, trigger ? JSON.stringify(trigger) : null, startNode, JSON.stringify(nodes), priority, isActive]);
+
+    logger.info(`Flow saved: ${name}`);
+    return result.lastID;
+  } catch (error) {
+    logger.error('Failed to save flow:', error);
+    throw error;
+  }
+}
+
+// Flows in trigger order: highest priority first, then oldest
+export async function getFlows({ activeOnly = false } = {}) {
+  try {
+    const where = activeOnly ? 'WHERE is_active = 1' : '';
+    const flows = await db.all(`SELECT * FROM flows ${where} ORDER BY priority DESC, id ASC`);
+    return flows.map(parseFlow);
+  } catch (error) {
+    logger.error('Failed to get flows:', error);
+    throw error;
+  }
+}
+
+export async function getFlowById(id) {
+  try {
+    const flow = await db.get('SELECT * FROM flows WHERE id = ?', [id]);
+    return parseFlow(flow);
+  } catch (error) {
+    logger.error('Failed to get flow:', error);
+    throw error;
+  }
+}
+
+export async function updateFlow(id, flowData) {
+  try {
+    const updates = {};
+
+    if (flowData.name !== undefined) updates.name = flowData.name;
+    if (flowData.description !== undefined) updates.description = flowData.description;
+    if (flowData.trigger !== undefined) updates.trigger = flowData.trigger ? JSON.stringify(flowData.trigger) : null;
+    if (flowData.startNode !== undefined) updates.start_node = flowData.startNode;
+    if (flowData.nodes !== undefined) updates.nodes = JSON.stringify(flowData.nodes);
+    if (flowData.priority !== undefined) updates.priority = flowData.priority;
+    if (flowData.isActive !== undefined) updates.is_active = flowData.isActive;
+
+    if (Object.keys(updates).length === 0) {
+      return false;
+    }
+
+    const setClause = Object.keys(updates).map(key => `${key} = ?`).join(', ');
+
+    const result = await db.run(`
+      UPDATE flows SET ${setClause}, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+    `, [...Object.values(updates), id]);
+
+    logger.info(`Flow updated: ${id}`);
+    return result.changes > 0;
+  } catch (error) {
+    logger.error('Failed to update flow:', error);
+    throw error;
+  }
+}
+
+// Delete a flow; chats still in it are cancelled
+export async function deleteFlow(id) {
+  try {
+    await db.run(`
+      UPDATE flow_conversations SET status = 'cancelled', expires_at = NULL, updated_at = CURRENT_TIMESTAMP
+      WHERE flow_id = ? AND status IN ('active', 'handed_to_human')
+    `, [id]);
+    const result = await db.run('DELETE FROM flows WHERE id = ?', [id]);
+    logger.info(`Flow deleted: ${id}`);
+    return result.changes > 0;
+  } catch (error) {
+    logger.error('Failed to delete flow:', error);
+    throw error;
+  }
+}
+
+function parseFlowConversation(conversation) {
+  if (!conversation) return conversation;
+  return {
+    ...conversation,
+    variables: JSON.parse(conversation.variables)
+  };
+}
+
+export async function saveFlowConversation(conversationData) {
+  try {
+    const {
+      flowId,
+      chatId,
+      sessionId = null,
+      recipient,
+      currentNode,
+      variables = {},
+      status = 'active',
+      expiresAt = null
+    } = conversationData;
+
+    const result = await db.run(`
+      INSERT INTO flow_conversations (flow_id, chat_id, session_id, recipient, current_node, variables, status, expires_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `, [flowId, chatId, sessionId, recipient, currentNode, JSON.stringify(variables), status, expiresAt]);
+
+    return result.lastID;
+  } catch (error) {
+    logger.error('Failed to save flow conversation:', error);
+    throw error;
+  }
+}
+
+// The chat's running flow, or the human handoff it ended in
+export async function getOpenFlowConversation(chatId) {
+  try {
+    const conversation = await db.get(`
+      SELECT * FROM flow_conversations
+      WHERE chat_id = ? AND status IN ('active', 'handed_to_human')
+      ORDER BY id DESC LIMIT 1
+    `, [chatId]);
+    return parseFlowConversation(conversation);
+  } catch (error) {
+    logger.error('Failed to get flow conversation:', error);
+    throw error;
+  }
+}
+
+export async function getFlowConversations(filters = {}, page = 1, limit = 50) {
+  try {
+    const where = [];
+    const params = [];
+
+    if (filters.status) {
+      where.push('status = ?');
+      params.push(filters.status);
+    }
+
+    if (filters.flowId) {
+      where.push('flow_id = ?');
+      params.push(filters.flowId);
+    }
+
+    if (filters.chatId) {
+      where.push('chat_id = ?');
+      params.push(filters.chatId);
+    }
+
+    const whereClause = where.length > 0 ? `WHERE ${where.join(' AND ')}` : '';
+    const offset = (page - 1) * limit;
+
+    const conversations = await db.all(`
+      SELECT * FROM flow_conversations ${whereClause}
+      ORDER BY updated_at DESC, id DESC
+      LIMIT ? OFFSET ?
+    `, [...params, limit, offset]);
+
+    const { total } = await db.get(`SELECT COUNT(*) AS total FROM flow_conversations ${whereClause}`, params);
+
+    return {
+      conversations: conversations.map(parseFlowConversation),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  } catch (error) {
+    logger.error('Failed to get flow conversations:', error);
+    throw error;
+  }
+}
+
+// Cancel a running flow or human handoff
+export async function endFlowConversation(id) {
+  try {
+    const result = await db.run(`
+      UPDATE flow_conversations SET status = 'cancelled', expires_at = NULL, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND status IN ('active', 'handed_to_human')
+    `, [id]);
+    return result.changes > 0;
+  } catch (error) {
+    logger.error('Failed to end flow conversation:', error);
+    throw error;
+  }
+}
+
+// Open conversations whose wait or handoff has run out
+export async function getExpiredFlowConversations(now) {
+  try {
+    const conversations = await db.all(`
+      SELECT * FROM flow_conversations
+      WHERE status IN ('active', 'handed_to_human') AND expires_at IS NOT NULL AND expires_at <= ?
+      ORDER BY expires_at ASC
+    `, [now]);
+    return conversations.map(parseFlowConversation);
+  } catch (error) {
+    logger.error('Failed to get expired flow conversations:', error);
+    throw error;
+  }
+}
+
+export async function updateFlowConversation(id, conversationData) {
+  try {
+    const updates = {};
+
+    if (conversationData.currentNode !== undefined) updates.current_node = conversationData.currentNode;
+    if (conversationData.variables !== undefined) updates.variables = JSON.stringify(conversationData.variables);
+    if (conversationData.status !== undefined) updates.status = conversationData.status;
+    if (conversationData.expiresAt !== undefined) updates.expires_at = conversationData.expiresAt;
+
+    if (Object.keys(updates).length === 0) {
+      return false;
+    }
+
+    const setClause = Object.keys(updates).map(key => `${key} = ?`).join(', ');
+
+    const result = await db.run(`
+      UPDATE flow_conversations SET ${setClause}, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+    `, [...Object.values(updates), id]);
+
+    return result.changes > 0;
+  } catch (error) {
+    logger.error('Failed to update flow conversation:', error);
+    throw error;
+  }
+}
+
+// AI conversation history operations
+export async function saveAIMessage(messageData) {
+  try {
+    const { chatId, role, content, senderName = null, tokens = 0 } = messageData;
+
+    const result = await db.run(`
+      INSERT INTO ai_messages (chat_id, role, content, sender_name, tokens)
+      VALUES (?, ?, ?, ?, ?)
+    `, [chatId, role, content, senderName, tokens]);
+
+    return result.lastID;
+  } catch (error) {
+    logger.error('Failed to save AI message:', error);
+    throw error;
+  }
+}
+
+// The newest messages of a chat, oldest first
+export async function getAIMessages(chatId, limit = 100) {
+  try {
+    const messages = await db.all(`
+      SELECT * FROM ai_messages WHERE chat_id = ? ORDER BY id DESC LIMIT ?
+    `, [chatId, limit]);
+    return messages.reverse();
+  } catch (error) {
+    logger.error('Failed to get AI messages:', error);
+    throw error;
+  }
+}
+
+// Delete one chat's history, or every chat's
+export async function clearAIMessages(chatId = null) {
+  try {
+    const result = chatId
+      ? await db.run('DELETE FROM ai_messages WHERE chat_id = ?', [chatId])
+      : await db.run('DELETE FROM ai_messages');
+    return result.changes;
+  } catch (error) {
+    logger.error('Failed to clear AI messages:', error);
+    throw error;
+  }
+}
+
+export async function getAIMessageStats() {
+  try {
+    return await db.get(`
+      SELECT COUNT(DISTINCT chat_id) AS totalConversations, COUNT(*) AS totalMessages FROM ai_messages
+    `);
+  } catch (error) {
+    logger.error('Failed to get AI message statistics:', error);
+    throw error;
+  }
+}
+
+// AI draft operations
+function parseAIDraft(draft) {
+  if (!draft) return draft;
+  return {
+    ...draft,
+    citations: JSON.parse(draft.citations)
+  };
+}
+
+export async function saveAIDraft(draftData) {
+  try {
+    const {
+      chatId,
+      sessionId = null,
+      recipient,
+      senderName = null,
+      message = null,
+      content,
+      confidence = null,
+      profileId = null,
+      citations = []
+    } = draftData;
+
+    const result = await db.run(`
+      INSERT INTO ai_drafts (chat_id, session_id, recipient, sender_name, message, content, confidence, profile_id, citations)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [chatId, sessionId, recipient, senderName, message, content, confidence, profileId, JSON.stringify(citations)]);
+
+    logger.info(`AI draft saved: ${result.lastID}`, { chatId });
+    return result.lastID;
+  } catch (error) {
+    logger.error('Failed to save AI draft:', error);
+    throw error;
+  }
+}
+
+export async function getAIDrafts(filters = {}, page = 1, limit = 50) {
+  try {
+    const where = [];
+    const params = [];
+
+    if (filters.status) {
+      where.push('status = ?');
+      params.push(filters.status);
+    }
+
+    if (filters.chatId) {
+      where.push('chat_id = ?');
+      params.push(filters.chatId);
+    }
+
+    const whereClause = where.length > 0 ? `WHERE ${where.join(' AND ')}` : '';
+    const offset = (page - 1) * limit;
+
+    const drafts = await db.all(`
+      SELECT * FROM ai_drafts ${whereClause}
+      ORDER BY created_at DESC, id DESC
+      LIMIT ? OFFSET ?
+    `, [...params, limit, offset]);
+
+    const { total } = await db.get(`SELECT COUNT(*) AS total FROM ai_drafts ${whereClause}`, params);
+
+    return {
+      drafts: drafts.map(parseAIDraft),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  } catch (error) {
+    logger.error('Failed to get AI drafts:', error);
+    throw error;
+  }
+}
+
+export async function getAIDraftById(id) {
+  try {
+    const draft = await db.get('SELECT * FROM ai_drafts WHERE id = ?', [id]);
+    return parseAIDraft(draft);
+  } catch (error) {
+    logger.error('Failed to get AI draft:', error);
+    throw error;
+  }
+}
+
+// Update a draft only while it has the expected status, so two reviewers cannot both act on it
+export async function updateAIDraft(id, updates, expectedStatus = 'pending') {
+  try {
+    const allowedFields = {
+      content: 'content',
+      status: 'status',
+      jobId: 'job_id',
+      rejectReason: 'reject_reason'
+    };
+    const values = {};
+
+    for (const [field, column] of Object.entries(allowedFields)) {
+      if (updates[field] !== undefined) {
+        values[column] = updates[field];
+      }
+    }
+
+    if (Object.keys(values).length === 0) {
+      return false;
+    }
+
+    const setClause = Object.keys(values).map(key => `${key} = ?`).join(', ');
+    const reviewed = updates.status === 'approved' || updates.status === 'rejected' ? ', reviewed_at = CURRENT_TIMESTAMP' : '';
+
+    const result = await db.run(`
+      UPDATE ai_drafts SET ${setClause}${reviewed}, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND status = ?
+    `, [...Object.values(values), id, expectedStatus]);
+
+    return result.changes > 0;
+  } catch (error) {
+    logger.error('Failed to update AI draft:', error);
+    throw error;
+  }
+}
+
+// AI handoff operations
+export async function saveAIHandoff(handoffData) {
+  try {
+    const { chatId, sessionId = null, recipient = null, reason, detail = null, message = null } = handoffData;
+
+    const result = await db.run(`
+      INSERT INTO ai_handoffs (chat_id, session_id, recipient, reason, detail, message) VALUES (?, ?, ?, ?, ?, ?)
+    `, [chatId, sessionId, recipient, reason, detail, message]);
+
+    logger.info(`AI handoff opened: ${result.lastID}`, { chatId, reason });
+    return result.lastID;
+  } catch (error) {
+    logger.error('Failed to save AI handoff:', error);
+    throw error;
+  }
+}
+
+export async function getOpenAIHandoff(chatId) {
+  try {
+    return await db.get(`
+      SELECT * FROM ai_handoffs WHERE chat_id = ? AND status = 'open' ORDER BY id DESC LIMIT 1
+    `, [chatId]);
+  } catch (error) {
+    logger.error('Failed to get open AI handoff:', error);
+    throw error;
+  }
+}
+
+export async function getAIHandoffById(id) {
+  try {
+    return await db.get('SELECT * FROM ai_handoffs WHERE id = ?', [id]);
+  } catch (error) {
+    logger.error('Failed to get AI handoff:', error);
+    throw error;
+  }
+}
+
+export async function getAIHandoffs(filters = {}, page = 1, limit = 50) {
+  try {
+    const where = [];
+    const params = [];
+
+    if (filters.status) {
+      where.push('status = ?');
+      params.push(filters.status);
+    }
+
+    if (filters.chatId) {
+      where.push('chat_id = ?');
+      params.push(filters.chatId);
+    }
+
+    const whereClause = where.length > 0 ? `WHERE ${where.join(' AND ')}` : '';
+    const offset = (page - 1) * limit;
+
+    const handoffs = await db.all(`
+      SELECT * FROM ai_handoffs ${whereClause}
+      ORDER BY created_at DESC, id DESC
+      LIMIT ? OFFSET ?
+    `, [...params, limit, offset]);
+
+    const { total } = await db.get(`SELECT COUNT(*) AS total FROM ai_handoffs ${whereClause}`, params);
+
+    return {
+      handoffs,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  } catch (error) {
+    logger.error('Failed to get AI handoffs:', error);
+    throw error;
+  }
+}
+
+// Give an open handoff back to the AI
+export async function resolveAIHandoff(id) {
+  try {
+    const result = await db.run(`
+      UPDATE ai_handoffs SET status = 'resolved', resolved_at = CURRENT_TIMESTAMP WHERE id = ? AND status = 'open'
+    `, [id]);
+
+    if (result.changes > 0) {
+      logger.info(`AI handoff resolved: ${id}`);
+    }
+    return result.changes > 0;
+  } catch (error) {
+    logger.error('Failed to resolve AI handoff:', error);
+    throw error;
+  }
+}
+
+// AI tool operations
+const AI_TOOL_COLUMNS = {
+  name: 'name',
+  description: 'description',
+  type: 'type',
+  parameters: 'parameters',
+  endpoint: 'endpoint',
+  method: 'method',
+  headers: 'headers',
+  auth: 'auth',
+  timeoutMs: 'timeout_ms',
+  isActive: 'is_active'
+};
+
+const AI_TOOL_JSON_FIELDS = ['parameters', 'headers', 'auth'];
+
+function parseAITool(tool) {
+  if (!tool) return tool;
+  return {
+    ...tool,
+    parameters: JSON.parse(tool.parameters),
+    headers: JSON.parse(tool.headers),
+    auth: tool.auth ? JSON.parse(tool.auth) : null,
+    is_active: Boolean(tool.is_active)
+  };
+}
+
+// Column/value pairs for the tool fields given
+function aiToolValues(toolData) {
+  const values = {};
+
+  for (const [field, column] of Object.entries(AI_TOOL_COLUMNS)) {
+    if (toolData[field] === undefined) continue;
+    const value = toolData[field];
+    values[column] = AI_TOOL_JSON_FIELDS.includes(field) && value !== null ? JSON.stringify(value) : value;
+  }
+
+  return values;
+}
+
+export async function saveAITool(toolData) {
+  try {
+    const values = aiToolValues(toolData);
+    const columns = Object.keys(values);
+
+    const result = await db.run(`
+      INSERT INTO ai_tools (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})
+    `, Object.values(values));
+
+    logger.info(`AI tool saved: ${toolData.name}`);
+    return result.lastID;
+  } catch (error) {
+    logger.error('Failed to save AI tool:', error);
+    throw error;
+  }
+}
+
+export async function getAITools({ activeOnly = false } = {}) {
+  try {
+    const where = activeOnly ? 'WHERE is_active = 1' : '';
+    const tools = await db.all(`SELECT * FROM ai_tools ${where} ORDER BY name ASC`);
+    return tools.map(parseAITool);
+  } catch (error) {
+    logger.error('Failed to get AI tools:', error);
+    throw error;
+  }
+}
+
+export async function getAIToolById(id) {
+  try {
+    const tool = await db.get('SELECT * FROM ai_tools WHERE id = ?', [id]);
+    return parseAITool(tool);
+  } catch (error) {
+    logger.error('Failed to get AI tool:', error);
+    throw error;
+  }
+}
+
+export async function getAIToolByName(name) {
+  try {
+    const tool = await db.get('SELECT * FROM ai_tools WHERE name = ?', [name]);
+    return parseAITool(tool);
+  } catch (error) {
+    logger.error('Failed to get AI tool by name:', error);
+    throw error;
+  }
+}
+
+export async function updateAITool(id, toolData) {
+  try {
+    const updates = aiToolValues(toolData);
+
+    if (Object.keys(updates).length === 0) {
+      return false;
+    }
+
+    const setClause = Object.keys(updates).map(key => `${key} = ?`).join(', ');
+
+    const result = await db.run(`
+      UPDATE ai_tools SET ${setClause}, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+    `, [...Object.values(updates), id]);
+
+    logger.info(`AI tool updated: ${id}`);
+    return result.changes > 0;
+  } catch (error) {
+    logger.error('Failed to update AI tool:', error);
+    throw error;
+  }
+}
+
+// Past calls keep the tool's name in the audit log
+export async function deleteAITool(id) {
+  try {
+    const result = await db.run('DELETE FROM ai_tools WHERE id = ?', [id]);
+    logger.info(`AI tool deleted: ${id}`);
+    return result.changes > 0;
+  } catch (error) {
+    logger.error('Failed to delete AI tool:', error);
+    throw error;
+  }
+}
+
+// AI tool call audit log
+function parseAIToolCall(call) {
+  if (!call) return call;
+  return {
+    ...call,
+    arguments: call.arguments ? JSON.parse(call.arguments) : null,
+    result: call.result ? JSON.parse(call.result) : null
+  };
+}
+
+export async function saveAIToolCall(callData) {
+  try {
+    const {
+      toolId = null,
+      toolName,
+      source = 'ai',
+      chatId = null,
+      sessionId = null,
+      args = null,
+      status,
+      result = null,
+      error = null,
+      durationMs = null
+    } = callData;
+
+    const inserted = await db.run(`
+      INSERT INTO ai_tool_calls (tool_id, tool_name, source, chat_id, session_id, arguments, status, result, error, duration_ms)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      toolId,
+      toolName,
+      source,
+      chatId,
+      sessionId,
+      args === null ? null : JSON.stringify(args),
+      status,
+      result === null ? null : JSON.stringify(result),
+      error,
+      durationMs
+    ]);
+
+    return inserted.lastID;
+  } catch (error) {
+    logger.error('Failed to save AI tool call:', error);
+    throw error;
+  }
+}
+
+export async function getAIToolCalls(filters = {}, page = 1, limit = 50) {
+  try {
+    const where = [];
+    const params = [];
+
+    if (filters.toolName) {
+      where.push('tool_name = ?');
+      params.push(filters.toolName);
+    }
+
+    if (filters.chatId) {
+      where.push('chat_id = ?');
+      params.push(filters.chatId);
+    }
+
+    if (filters.status) {
+      where.push('status = ?');
+      params.push(filters.status);
+    }
+
+    if (filters.source) {
+      where.push('source = ?');
+      params.push(filters.source);
+    }
+
+    const whereClause = where.length > 0 ? `WHERE ${where.join(' AND ')}` : '';
+    const offset = (page - 1) * limit;
+
+    const calls = await db.all(`
+      SELECT * FROM ai_tool_calls ${whereClause}
+      ORDER BY created_at DESC, id DESC
+      LIMIT ? OFFSET ?
+    `, [...params, limit, offset]);
+
+    const { total } = await db.get(`SELECT COUNT(*) AS total FROM ai_tool_calls ${whereClause}`, params);
+
+    return {
+      calls: calls.map(parseAIToolCall),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  } catch (error) {
+    logger.error('Failed to get AI tool calls:', error);
+    throw error;
+  }
+}
+
+export async function getAIToolCallById(id) {
+  try {
+    const call = await db.get('SELECT * FROM ai_tool_calls WHERE id = ?', [id]);
+    return parseAIToolCall(call);
+  } catch (error) {
+    logger.error('Failed to get AI tool call:', error);
+    throw error;
+  }
+}
+
+// AI usage operations
+export async function saveAIUsage(usageData) {
+  try {
+    const {
+      chatId = null,
+      sessionId = null,
+      provider = null,
+      model = null,
+      promptTokens = 0,
+      completionTokens = 0,
+      tokensEstimated = false,
+      cost = null,
+      latencyMs = null,
+      outcome,
+      error = null
+    } = usageData;
+
+    const result = await db.run(`
+      INSERT INTO ai_usage (
+        chat_id, session_id, provider, model, prompt_tokens, completion_tokens, total_tokens,
+        tokens_estimated, cost, latency_ms, outcome, error
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      chatId,
+      sessionId,
+      provider,
+      model,
+      promptTokens,
+      completionTokens,
+      promptTokens + completionTokens,
+      tokensEstimated,
+      cost,
+      latencyMs,
+      outcome,
+      error
+    ]);
+
+    return result.lastID;
+  } catch (error) {
+    logger.error('Failed to save AI usage:', error);
+    throw error;
+  }
+}
+
+// WHERE clause for usage filters; from is inclusive, to is exclusive
+function aiUsageWhere(filters) {
+  const where = [];
+  const params = [];
+
+  const conditions = {
+    from: 'created_at >= ?',
+    to: 'created_at < ?',
+    sessionId: 'session_id = ?',
+    chatId: 'chat_id = ?',
+    model: 'model = ?',
+    outcome: 'outcome = ?'
+  };
+
+  for (const [filter, condition] of Object.entries(conditions)) {
+    if (filters[filter]) {
+      where.push(condition);
+      params.push(filters[filter]);
+    }
+  }
+
+  return {
+    whereClause: where.length > 0 ? `WHERE ${where.join(' AND ')}` : '',
+    params
+  };
+}
+
+const AI_USAGE_AGGREGATES = `
+  COUNT(*) AS completions,
+  COALESCE(SUM(prompt_tokens), 0) AS promptTokens,
+  COALESCE(SUM(completion_tokens), 0) AS completionTokens,
+  COALESCE(SUM(total_tokens), 0) AS totalTokens,
+  COALESCE(SUM(cost), 0) AS cost,
+  SUM(CASE WHEN cost IS NULL THEN 1 ELSE 0 END) AS unpricedCompletions,
+  SUM(CASE WHEN outcome = 'error' THEN 1 ELSE 0 END) AS errors,
+  ROUND(AVG(latency_ms)) AS avgLatencyMs,
+  MAX(latency_ms) AS maxLatencyMs
+`;
+
+// Keys usage can be grouped by, and the column behind each
+const AI_USAGE_GROUPS = {
+  day: 'date(created_at)',
+  month: "strftime('%Y-%m', created_at)",
+  model: 'model',
+  chat: 'chat_id',
+  session: 'session_id',
+  outcome: 'outcome'
+};
+
+export async function getAIUsageTotals(filters = {}) {
+  try {
+    const { whereClause, params } = aiUsageWhere(filters);
+    return await db.get(`SELECT ${AI_USAGE_AGGREGATES} FROM ai_usage ${whereClause}`, params);
+  } catch (error) {
+    logger.error('Failed to get AI usage totals:', error);
+    throw error;
+  }
+}
+
+// Totals per day, month, model, chat, session or outcome; time groups come in order, others by tokens used
+export async function getAIUsageGroups(groupBy, filters = {}, limit = null) {
+  try {
+    const column = AI_USAGE_GROUPS[groupBy];
+    if (!column) {
+      throw new Error(`Unknown usage grouping: ${groupBy}`);
+    }
+
+    const { whereClause, params } = aiUsageWhere(filters);
+    const order = groupBy === 'day' || groupBy === 'month' ? 'grp ASC' : 'totalTokens DESC, grp ASC';
+
+    return await db.all(`
+      SELECT ${column} AS grp, ${AI_USAGE_AGGREGATES}
+      FROM ai_usage ${whereClause}
+      GROUP BY grp
+      ORDER BY ${order}
+      ${limit ? 'LIMIT ?' : ''}
+    `, limit ? [...params, limit] : params);
+  } catch (error) {
+    logger.error('Failed to get grouped AI usage:', error);
+    throw error;
+  }
+}
+
+export async function getAIUsageRecords(filters = {}, page = 1, limit = 50) {
+  try {
+    const { whereClause, params } = aiUsageWhere(filters);
+    const offset = (page - 1) * limit;
+
+    const records = await db.all(`
+      SELECT * FROM ai_usage ${whereClause}
+      ORDER BY created_at DESC, id DESC
+      LIMIT ? OFFSET ?
+    `, [...params, limit, offset]);
+
+    const { total } = await db.get(`SELECT COUNT(*) AS total FROM ai_usage ${whereClause}`, params);
+
+    return {
+      records: records.map(record => ({ ...record, tokens_estimated: Boolean(record.tokens_estimated) })),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  } catch (error) {
+    logger.error('Failed to get AI usage records:', error);
+    throw error;
+  }
+}
+
+// Tokens and cost a session has used since a UTC timestamp
+export async function getAISessionSpend(sessionId, since) {
+  try {
+    return await db.get(`
+      SELECT COALESCE(SUM(total_tokens), 0) AS tokens, COALESCE(SUM(cost), 0) AS cost
+      FROM ai_usage WHERE session_id = ? AND created_at >= ?
+    `, [sessionId, since]);
+  } catch (error) {
+    logger.error('Failed to get AI session spend:', error);
+    throw error;
+  }
+}
+
+// AI budget operations
+export async function saveAIBudget(sessionId, budgetData) {
+  try {
+    const { dailyTokens = null, monthlyTokens = null, dailyCost = null, monthlyCost = null } = budgetData;
+
+    await db.run(`
+      INSERT INTO ai_budgets (session_id, daily_tokens, monthly_tokens, daily_cost, monthly_cost) VALUES (?, ?, ?, ?, ?)
+      ON CONFLICT(session_id) DO UPDATE SET
+        daily_tokens = excluded.daily_tokens,
+        monthly_tokens = excluded.monthly_tokens,
+        daily_cost = excluded.daily_cost,
+        monthly_cost = excluded.monthly_cost,
+        exceeded_period = NULL,
+        updated_at = CURRENT_TIMESTAMP
+    `, [sessionId, dailyTokens, monthlyTokens, dailyCost, monthlyCost]);
+
+    logger.info(`AI budget saved: ${sessionId}`);
+  } catch (error) {
+    logger.error('Failed to save AI budget:', error);
+    throw error;
+  }
+}
+
+export async function getAIBudgets() {
+  try {
+    return await db.all('SELECT * FROM ai_budgets ORDER BY session_id ASC');
+  } catch (error) {
+    logger.error('Failed to get AI budgets:', error);
+    throw error;
+  }
+}
+
+export async function getAIBudget(sessionId) {
+  try {
+    return await db.get('SELECT * FROM ai_budgets WHERE session_id = ?', [sessionId]);
+  } catch (error) {
+    logger.error('Failed to get AI budget:', error);
+    throw error;
+  }
+}
+
+// Remember the period a budget ran out in, so it is reported once; false if it already was
+export async function markAIBudgetExceeded(sessionId, period) {
+  try {
+    const result = await db.run(`
+      UPDATE ai_budgets SET exceeded_period = ? WHERE session_id = ? AND (exceeded_period IS NULL OR exceeded_period != ?)
+    `, [period, sessionId, period]);
+    return result.changes > 0;
+  } catch (error) {
+    logger.error('Failed to mark AI budget exceeded:', error);
+    throw error;
+  }
+}
+
+export async function deleteAIBudget(sessionId) {
+  try {
+    const result = await db.run('DELETE FROM ai_budgets WHERE session_id = ?', [sessionId]);
+    logger.info(`AI budget deleted: ${sessionId}`);
+    return result.changes > 0;
+  } catch (error) {
+    logger.error('Failed to delete AI budget:', error);
+    throw error;
+  }
+}
+
+// Knowledge base operations
+const KNOWLEDGE_CHUNK_FIELDS = `
+  c.id, c.document_id, c.chunk_index, c.heading, c.content, c.tokens,
+  d.title, d.source
+`;
+
+// Chunk rows plus their full-text index entries; callers wrap this in a transaction
+async function insertKnowledgeChunks(documentId, chunks) {
+  for (const [index, chunk] of chunks.entries()) {
+    const result = await db.run(`
+      INSERT INTO knowledge_chunks (document_id, chunk_index, heading, content, tokens) VALUES (?, ?, ?, ?, ?)
+    `, [documentId, index, chunk.heading || null, chunk.content, chunk.tokens]);
+
+    await db.run(`
+      INSERT INTO knowledge_fts (content, heading, chunk_id) VALUES (?, ?, ?)
+    `, [chunk.content, chunk.heading || '', result.lastID]);
+  }
+}
+
+async function deleteKnowledgeChunks(documentId) {
+  await db.run(`
+    DELETE FROM knowledge_fts WHERE chunk_id IN (SELECT id FROM knowledge_chunks WHERE document_id = ?)
+  `, [documentId]);
+  await db.run('DELETE FROM knowledge_chunks WHERE document_id = ?', [documentId]);
+}
+
+export async function saveKnowledgeDocument(documentData, chunks) {
+  try {
+    const { title, source = null, format, content } = documentData;
+
+    await db.exec('BEGIN TRANSACTION');
+
+    let documentId;
+    try {
+      const result = await db.run(`
+        INSERT INTO knowledge_documents (title, source, format, content, chunk_count) VALUES (?, ?, ?, ?, ?)
+      `, [title, source, format, content, chunks.length]);
+      documentId = result.lastID;
+
+      await insertKnowledgeChunks(documentId, chunks);
+
+      await db.exec('COMMIT');
+    } catch (error) {
+      await db.exec('ROLLBACK');
+      throw error;
+    }
+
+    logger.info(`Knowledge document saved: ${title} (${chunks.length} chunks)`);
+    return documentId;
+  } catch (error) {
+    logger.error('Failed to save knowledge document:', error);
+    throw error;
+  }
+}
+
+// Update the fields given; new chunks replace the old ones and their index entries
+export async function updateKnowledgeDocument(id, documentData, chunks = null) {
+  try {
+    const allowedFields = { title: 'title', source: 'source', format: 'format', content: 'content' };
+    const updates = {};
+
+    for (const [field, column] of Object.entries(allowedFields)) {
+      if (documentData[field] !== undefined) {
+        updates[column] = documentData[field];
+      }
+    }
+
+    if (chunks) {
+      updates.chunk_count = chunks.length;
+    }
+
+    if (Object.keys(updates).length === 0) {
+      return false;
+    }
+
+    const setClause = Object.keys(updates).map(key => `${key} = ?`).join(', ');
+
+    await db.exec('BEGIN TRANSACTION');
+
+    let result;
+    try {
+      result = await db.run(`
+        UPDATE knowledge_documents SET ${setClause}, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+      `, [...Object.values(updates), id]);
+
+      if (chunks) {
+        await deleteKnowledgeChunks(id);
+        await insertKnowledgeChunks(id, chunks);
+      }
+
+      await db.exec('COMMIT');
+    } catch (error) {
+      await db.exec('ROLLBACK');
+      throw error;
+    }
+
+    logger.info(`Knowledge document updated: ${id}`);
+    return result.changes > 0;
+  } catch (error) {
+    logger.error('Failed to update knowledge document:', error);
+    throw error;
+  }
+}
+
+// Documents without their full text
+export async function getKnowledgeDocuments() {
+  try {
+    return await db.all(`
+      SELECT id, title, source, format, chunk_count, LENGTH(content) AS content_length, created_at, updated_at
+      FROM knowledge_documents ORDER BY id ASC
+    `);
+  } catch (error) {
+    logger.error('Failed to get knowledge documents:', error);
+    throw error;
+  }
+}
+
+export async function getKnowledgeDocumentById(id) {
+  try {
+    return await db.get('SELECT * FROM knowledge_documents WHERE id = ?', [id]);
+  } catch (error) {
+    logger.error('Failed to get knowledge document:', error);
+    throw error;
+  }
+}
+
+// A document's chunks in order; embeddings are reported, not returned
+export async function getKnowledgeChunks(documentId) {
+  try {
+    return await db.all(`
+      SELECT id, chunk_index, heading, content, tokens, embedding_model,
+        embedding IS NOT NULL AS embedded
+      FROM knowledge_chunks WHERE document_id = ? ORDER BY chunk_index ASC
+    `, [documentId]);
+  } catch (error) {
+    logger.error('Failed to get knowledge chunks:', error);
+    throw error;
+  }
+}
+
+export async function deleteKnowledgeDocument(id) {
+  try {
+    await db.exec('BEGIN TRANSACTION');
+
+    let result;
+    try {
+      await deleteKnowledgeChunks(id);
+      result = await db.run('DELETE FROM knowledge_documents WHERE id = ?', [id]);
+      await db.exec('COMMIT');
+    } catch (error) {
+      await db.exec('ROLLBACK');
+      throw error;
+    }
+
+    logger.info(`Knowledge document deleted: ${id}`);
+    return result.changes > 0;
+  } catch (error) {
+    logger.error('Failed to delete knowledge document:', error);
+    throw error;
+  }
+}
+
+// Best BM25 matches for an FTS5 query; higher scores are better
+export async function searchKnowledgeChunks(matchQuery, limit = 10) {
+  try {
+    return await db.all(`
+      SELECT ${KNOWLEDGE_CHUNK_FIELDS}, -bm25(knowledge_fts) AS score
+      FROM knowledge_fts
+      JOIN knowledge_chunks c ON c.id = knowledge_fts.chunk_id
+      JOIN knowledge_documents d ON d.id = c.document_id
+      WHERE knowledge_fts MATCH ?
+      ORDER BY bm25(knowledge_fts)
+      LIMIT ?
+    `, [matchQuery, limit]);
+  } catch (error) {
+    logger.error('Failed to search knowledge chunks:', error);
+    throw error;
+  }
+}
+
+export async function getKnowledgeChunksByIds(ids) {
+  try {
+    if (ids.length === 0) return [];
+
+    return await db.all(`
+      SELECT ${KNOWLEDGE_CHUNK_FIELDS}
+      FROM knowledge_chunks c
+      JOIN knowledge_documents d ON d.id = c.document_id
+      WHERE c.id IN (${ids.map(() => '?').join(', ')})
+    `, ids);
+  } catch (error) {
+    logger.error('Failed to get knowledge chunks by ID:', error);
+    throw error;
+  }
+}
+
+// Embedding vectors made with one model; vectors from other models are not comparable
+export async function getKnowledgeEmbeddings(model) {
+  try {
+    const rows = await db.all(`
+      SELECT id, embedding FROM knowledge_chunks WHERE embedding_model = ? AND embedding IS NOT NULL
+    `, [model]);
+    return rows.map(row => ({ id: row.id, embedding: JSON.parse(row.embedding) }));
+  } catch (error) {
+    logger.error('Failed to get knowledge embeddings:', error);
+    throw error;
+  }
+}
+
+// Chunks with no embedding from this model, optionally limited to one document
+export async function getKnowledgeChunksWithoutEmbedding(model, documentId = null) {
+  try {
+    const params = [model];
+    let sql = 'SELECT id, heading, content FROM knowledge_chunks WHERE (embedding_model IS NULL OR embedding_model != ?)';
+
+    if (documentId !== null) {
+      sql += ' AND document_id = ?';
+      params.push(documentId);
+    }
+
+    return await db.all(`${sql} ORDER BY id ASC`, params);
+  } catch (error) {
+    logger.error('Failed to get knowledge chunks without embeddings:', error);
+    throw error;
+  }
+}
+
+export async function setKnowledgeChunkEmbedding(id, embedding, model) {
+  try {
+    await db.run(`
+      UPDATE knowledge_chunks SET embedding = ?, embedding_model = ? WHERE id = ?
+    `, [JSON.stringify(embedding), model, id]);
+  } catch (error) {
+    logger.error('Failed to save knowledge chunk embedding:', error);
+    throw error;
+  }
+}
+
+// AI profile operations
+const AI_PROFILE_COLUMNS = {
+  name: 'name',
+  systemPrompt: 'system_prompt',
+  model: 'model',
+  temperature: 'temperature',
+  maxTokens: 'max_tokens',
+  language: 'language',
+  responseDelay: 'response_delay',
+  allowedHours: 'allowed_hours',
+  replyInPersonal: 'reply_in_personal',
+  replyInGroups: 'reply_in_groups',
+  groupMentionOnly: 'group_mention_only',
+  mentionNames: 'mention_names',
+  chatIds: 'chat_ids',
+  contactTags: 'contact_tags',
+  sessionIds: 'session_ids',
+  isDefault: 'is_default',
+  isActive: 'is_active',
+  approvalMode: 'approval_mode',
+  autoSendConfidence: 'auto_send_confidence',
+  handoffEnabled: 'handoff_enabled'
+};
+
+const AI_PROFILE_JSON_FIELDS = ['allowedHours', 'mentionNames', 'chatIds', 'contactTags', 'sessionIds'];
+
+function parseAIProfile(profile) {
+  if (!profile) return profile;
+  return {
+    ...profile,
+    allowed_hours: profile.allowed_hours ? JSON.parse(profile.allowed_hours) : null,
+    mention_names: JSON.parse(profile.mention_names),
+    chat_ids: JSON.parse(profile.chat_ids),
+    contact_tags: JSON.parse(profile.contact_tags),
+    session_ids: JSON.parse(profile.session_ids),
+    reply_in_personal: Boolean(profile.reply_in_personal),
+    reply_in_groups: Boolean(profile.reply_in_groups),
+    group_mention_only: Boolean(profile.group_mention_only),
+    is_default: Boolean(profile.is_default),
+    is_active: Boolean(profile.is_active),
+    // Unset review switches follow the global AI configuration
+    approval_mode: profile.approval_mode === null ? null : Boolean(profile.approval_mode),
+    handoff_enabled: profile.handoff_enabled === null ? null : Boolean(profile.handoff_enabled)
+  };
+}
+
+// Column/value pairs for the profile fields given
+function aiProfileValues(profileData) {
+  const values = {};
+
+  for (const [field, column] of Object.entries(AI_PROFILE_COLUMNS)) {
+    if (profileData[field] === undefined) continue;
+    const value = profileData[field];
+    values[column] = AI_PROFILE_JSON_FIELDS.includes(field) && value !== null ? JSON.stringify(value) : value;
+  }
+
+  return values;
+}
+
+export async function saveAIProfile(profileData) {
+  try {
+    const values = aiProfileValues(profileData);
+    const columns = Object.keys(values);
+
+    const result = await db.run(`
+      INSERT INTO ai_profiles (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})
+    `, Object.values(values));
+
+    logger.info(`AI profile saved: ${profileData.name}`);
+    return result.lastID;
+  } catch (error) {
+    logger.error('Failed to save AI profile:', error);
+    throw error;
+  }
+}
+
+export async function getAIProfiles({ activeOnly = false } = {}) {
+  try {
+    const where = activeOnly ? 'WHERE is_active = 1' : '';
+    const profiles = await db.all(`SELECT * FROM ai_profiles ${where} ORDER BY id ASC`);
+    return profiles.map(parseAIProfile);
+  } catch (error) {
+    logger.error('Failed to get AI profiles:', error);
+    throw error;
+  }
+}
+
+export async function getAIProfileById(id) {
+  try {
+    const profile = await db.get('SELECT * FROM ai_profiles WHERE id = ?', [id]);
+    return parseAIProfile(profile);
+  } catch (error) {
+    logger.error('Failed to get AI profile:', error);
+    throw error;
+  }
+}
+
+export async function getAIProfileByName(name) {
+  try {
+    const profile = await db.get('SELECT * FROM ai_profiles WHERE name = ?', [name]);
+    return parseAIProfile(profile);
+  } catch (error) {
+    logger.error('Failed to get AI profile by name:', error);
+    throw error;
+  }
+}
+
+export async function updateAIProfile(id, profileData) {
+  try {
+    const updates = aiProfileValues(profileData);
+
+    if (Object.keys(updates).length === 0) {
+      return false;
+    }
+
+    const setClause = Object.keys(updates).map(key => `${key} = ?`).join(', ');
+
+    const result = await db.run(`
+      UPDATE ai_profiles SET ${setClause}, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+    `, [...Object.values(updates), id]);
+
+    logger.info(`AI profile updated: ${id}`);
+    return result.changes > 0;
+  } catch (error) {
+    logger.error('Failed to update AI profile:', error);
+    throw error;
+  }
+}
+
+// Only one profile can be the fallback for chats nothing else matches
+export async function clearDefaultAIProfile(exceptId = null) {
+  try {
+    await db.run('UPDATE ai_profiles SET is_default = 0 WHERE is_default = 1 AND id != ?', [exceptId ?? 0]);
+  } catch (error) {
+    logger.error('Failed to clear default AI profile:', error);
+    throw error;
+  }
+}
+
+export async function deleteAIProfile(id) {
+  try {
+    const result = await db.run('DELETE FROM ai_profiles WHERE id = ?', [id]);
+    logger.info(`AI profile deleted: ${id}`);
+    return result.changes > 0;
+  } catch (error) {
+    logger.error('Failed to delete AI profile:', error);
+    throw error;
+  }
+}
+
+// Settings operations
+export async function getSetting(key) {
+  try {
+    const setting = await db.get('SELECT value FROM settings WHERE key = ?', [key]);
+    return setting ? JSON.parse(setting.value) : null;
+  } catch (error) {
+    logger.error('Failed to get setting:', error);
+    throw error;
+  }
+}
+
+export async function saveSetting(key, value) {
+  try {
+    await db.run(`
+      INSERT INTO settings (key, value) VALUES (?, ?)
+      ON CONFLICT(key) DO UPDATE SET value = excluded.value, updated_at = CURRENT_TIMESTAMP
+    `, [key, JSON.stringify(value)]);
+
+    logger.info(`Setting saved: ${key}`);
+  } catch (error) {
+    logger.error('Failed to save setting:', error);
+    throw error;
+  }
+}
+
+// Webhook operations
+export async function saveWebhook(webhookData) {
+  try {
+    const { url, secret, events, isActive = true } = webhookData;
+
+    const result = await db.run(`
+      INSERT INTO webhooks (url, secret, events, is_active) VALUES (?, ?, ?, ?)
+    `, [url, secret, JSON.stringify(events), isActive]);
+
+    logger.info(`Webhook saved: ${url}`);
+    return result.lastID;
+  } catch (error) {
+    logger.error('Failed to save webhook:', error);
+    throw error;
+  }
+}
+
+function parseWebhook(webhook) {
+  if (!webhook) return webhook;
+  return {
+    ...webhook,
+    events: JSON.parse(webhook.events)
+  };
+}
+
+// Active webhooks only, unless disabled ones are asked for too
+export async function getWebhooks({ includeInactive = false } = {}) {
+  try {
+    const where = includeInactive ? '' : 'WHERE is_active = 1';
+    const webhooks = await db.all(`SELECT * FROM webhooks ${where} ORDER BY created_at DESC`);
+    return webhooks.map(parseWebhook);
+  } catch (error) {
+    logger.error('Failed to get webhooks:', error);
+    throw error;
+  }
+}
+
+export async function getWebhookById(id) {
+  try {
+    const webhook = await db.get('SELECT * FROM webhooks WHERE id = ?', [id]);
+    return parseWebhook(webhook);
+  } catch (error) {
+    logger.error('Failed to get webhook:', error);
+    throw error;
+  }
+}
+
+export async function updateWebhook(id, updates) {
+  try {
+    const setClause = Object.keys(updates).map(key => `${key} = ?`).join(', ');
+    const values = Object.values(updates);
+    values.push(id);
+
+    const result = await db.run(`
+      UPDATE webhooks SET ${setClause}, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+    `, values);
+
+    logger.info(`Webhook updated: ${id}`);
+    return result.changes > 0;
+  } catch (error) {
+    logger.error('Failed to update webhook:', error);
+    throw error;
+  }
+}
+
+// Count a failed request against a webhook and return the new streak
+export async function recordWebhookFailure(id) {
+  try {
+    await db.run(`
+      UPDATE webhooks SET consecutive_failures = consecutive_failures + 1, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+    `, [id]);
+
+    const webhook = await db.get('SELECT consecutive_failures FROM webhooks WHERE id = ?', [id]);
+    return webhook ? webhook.consecutive_failures : 0;
+  } catch (error) {
+    logger.error('Failed to record webhook failure:', error);
+    throw error;
+  }
+}
+
+// Webhook delivery operations
+function parseWebhookDelivery(delivery) {
+  if (!delivery) return delivery;
+  return {
+    ...delivery,
+    payload: JSON.parse(delivery.payload),
+    request_headers: delivery.request_headers ? JSON.parse(delivery.request_headers) : null
+  };
+}
+
+export async function saveWebhookDelivery(deliveryData) {
+  try {
+    const { deliveryId, webhookId, event, url, payload, redeliveryOf = null } = deliveryData;
+
+    await db.run(`
+      INSERT INTO webhook_deliveries (delivery_id, webhook_id, event, url, payload, redelivery_of)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `, [deliveryId, webhookId, event, url, JSON.stringify(payload), redeliveryOf]);
+
+    logger.info(`Webhook delivery saved: ${deliveryId}`, { webhookId, event });
+  } catch (error) {
+    logger.error('Failed to save webhook delivery:', error);
+    throw error;
+  }
+}
+
+export async function getWebhookDelivery(deliveryId) {
+  try {
+    const delivery = await db.get('SELECT * FROM webhook_deliveries WHERE delivery_id = ?', [deliveryId]);
+    return parseWebhookDelivery(delivery);
+  } catch (error) {
+    logger.error('Failed to get webhook delivery:', error);
+    throw error;
+  }
+}
+
+export async function getWebhookDeliveries(webhookId, filters = {}, page = 1, limit = 50) {
+  try {
+    const offset = (page - 1) * limit;
+    let where = 'WHERE webhook_id = ?';
+    const params = [webhookId];
+
+    if (filters.status) {
+      where += ' AND status = ?';
+      params.push(filters.status);
+    }
+
+    if (filters.event) {
+      where += ' AND event = ?';
+      params.push(filters.event);
+    }
+
+    const deliveries = await db.all(
+      `SELECT * FROM webhook_deliveries ${where} ORDER BY created_at DESC, id DESC LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+
+    const { total } = await db.get(`SELECT COUNT(*) AS total FROM webhook_deliveries ${where}`, params);
+
+    return {
+      deliveries: deliveries.map(parseWebhookDelivery),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  } catch (error) {
+    logger.error('Failed to get webhook deliveries:', error);
+    throw error;
+  }
+}
+
+export async function updateWebhookDelivery(deliveryId, updates) {
+  try {
+    const setClause = Object.keys(updates).map(key => `${key} = ?`).join(', ');
+    const values = Object.values(updates);
+    values.push(deliveryId);
+
+    const result = await db.run(`
+      UPDATE webhook_deliveries SET ${setClause}, updated_at = CURRENT_TIMESTAMP WHERE delivery_id = ?
+    `, values);
+
+    return result.changes > 0;
+  } catch (error) {
+    logger.error('Failed to update webhook delivery:', error);
     throw error;
   }
 }
@@ -0,0 +1,635 @@
+import { logger } from './utils/logger.js';
+import {
+  getFlows,
+  getFlowById,
+  saveFlowConversation,
+  getOpenFlowConversation,
+  getExpiredFlowConversations,
+  updateFlowConversation
+} from './db.js';
+import { addMessageToQueue } from './queue.js';
+import { triggerWebhookEvent } from './webhooks.js';
+import { normaliseConditions, createMatchContext, getFailedConditions } from './rules.js';
+import { extractJsonPath } from './utils/jsonPath.js';
+import { MEDIA_TYPES } from './utils/media.js';
+import { ValidationError } from './middleware/errorHandler.js';
+
+// How often waits and handoffs are checked for expiry
+const FLOW_TIMEOUT_INTERVAL = parseInt(process.env.FLOW_TIMEOUT_INTERVAL) || 15000;
+const DEFAULT_WAIT_SECONDS = parseInt(process.env.FLOW_WAIT_TIMEOUT) || 3600;
+const FLOW_WEBHOOK_TIMEOUT = parseInt(process.env.FLOW_WEBHOOK_TIMEOUT) || 10000;
+
+// Gap between sends queued in one turn, so they are delivered in flow order
+const FLOW_SEND_GAP = parseInt(process.env.FLOW_SEND_GAP) || 1500;
+
+// Nodes run in one turn without waiting before a flow is treated as looping
+const MAX_STEPS_PER_TURN = 50;
+
+export const NODE_TYPES = [
+  'send_message',
+  'wait_for_reply',
+  'branch',
+  'set_variable',
+  'call_webhook',
+  'hand_to_ai',
+  'hand_to_human',
+  'end'
+];
+
+// Branch options only look at the text of a variable
+const BRANCH_CONDITIONS = ['exact', 'regex', 'regexFlags', 'keywords'];
+const WEBHOOK_METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'];
+
+// {{name}} or {{order.status}}
+const VARIABLE_PATTERN = /\{\{\s*([A-Za-z_]\w*(?:\.[A-Za-z_]\w*)*)\s*\}\}/g;
+
+let timeoutTimer = null;
+let isSweeping = false;
+
+// Replace {{variable}} placeholders; missing values become empty strings. `encode` escapes each value, e.g. for URLs
+export function interpolate(text, variables, encode = value => value) {
+  return String(text ?? '').replace(VARIABLE_PATTERN, (match, path) => {
+    const value = extractJsonPath(variables, `$.${path}`);
+    if (value === undefined || value === null) return '';
+    return encode(typeof value === 'object' ? JSON.stringify(value) : String(value));
+  });
+}
+
+// Interpolate every string inside a webhook body
+function interpolateDeep(value, variables) {
+  if (typeof value === 'string') return interpolate(value, variables);
+  if (Array.isArray(value)) return value.map(item => interpolateDeep(item, variables));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, interpolateDeep(item, variables)]));
+  }
+  return value;
+}
+
+function isPositiveInteger(value) {
+  return Number.isInteger(value) && value > 0;
+}
+
+// Problems with one node, including links to nodes that do not exist
+function checkNode(id, node, nodeIds) {
+  const problems = [];
+  const link = (field, required = false) => {
+    const target = node[field];
+    if (target === undefined || target === null) {
+      if (required) problems.push(`node "${id}" needs ${field}`);
+    } else if (!nodeIds.includes(target)) {
+      problems.push(`node "${id}" ${field} points to unknown node "${target}"`);
+    }
+  };
+
+  if (!node || typeof node !== 'object' || !NODE_TYPES.includes(node.type)) {
+    return [`node "${id}" type must be one of: ${NODE_TYPES.join(', ')}`];
+  }
+
+  switch (node.type) {
+    case 'send_message':
+      if (typeof node.content !== 'string' && typeof node.mediaUrl !== 'string') {
+        problems.push(`node "${id}" needs content or mediaUrl`);
+      }
+      if (node.mediaUrl !== undefined && !MEDIA_TYPES.includes(node.mediaType)) {
+        problems.push(`node "${id}" mediaType must be one of: ${MEDIA_TYPES.join(', ')}`);
+      }
+      link('next');
+      break;
+
+    case 'wait_for_reply':
+      if (node.timeoutSeconds !== undefined && !isPositiveInteger(node.timeoutSeconds)) {
+        problems.push(`node "${id}" timeoutSeconds must be a positive integer`);
+      }
+      link('next');
+      link('timeoutNext');
+      break;
+
+    case 'branch':
+      if (!Array.isArray(node.branches) || node.branches.length === 0) {
+        problems.push(`node "${id}" needs a non-empty branches array`);
+      } else {
+        node.branches.forEach((branch, index) => {
+          const when = branch?.when;
+          const unknown = Object.keys(when || {}).filter(key => !BRANCH_CONDITIONS.includes(key));
+          if (!when || unknown.length > 0) {
+            problems.push(`node "${id}" branch ${index} when may only use exact, regex or keywords`);
+            return;
+          }
+          try {
+            normaliseConditions(when);
+          } catch (error) {
+            problems.push(`node "${id}" branch ${index}: ${error.message}`);
+          }
+          if (!nodeIds.includes(branch.next)) {
+            problems.push(`node "${id}" branch ${index} next points to unknown node "${branch.next}"`);
+          }
+        });
+      }
+      link('default', true);
+      break;
+
+    case 'set_variable':
+      if (typeof node.variable !== 'string' || node.variable === '') {
+        problems.push(`node "${id}" needs a variable name`);
+      }
+      if (node.value === undefined) {
+        problems.push(`node "${id}" needs a value`);
+      }
+      link('next');
+      break;
+
+    case 'call_webhook':
+      try {
+        new URL(node.url);
+      } catch {
+        problems.push(`node "${id}" needs a valid url`);
+      }
+      if (node.method !== undefined && !WEBHOOK_METHODS.includes(node.method)) {
+        problems.push(`node "${id}" method must be one of: ${WEBHOOK_METHODS.join(', ')}`);
+      }
+      link('next');
+      link('onError');
+      break;
+
+    case 'hand_to_human':
+      if (node.timeoutSeconds !== undefined && !isPositiveInteger(node.timeoutSeconds)) {
+        problems.push(`node "${id}" timeoutSeconds must be a positive integer`);
+      }
+      break;
+
+    default:
+      break;
+  }
+
+  return problems;
+}
+
+// Check a flow graph: the start node and every link must exist
+export function validateFlowGraph(startNode, nodes) {
+  const problems = [];
+
+  if (!nodes || typeof nodes !== 'object' || Array.isArray(nodes) || Object.keys(nodes).length === 0) {
+    problems.push('nodes must be an object of node IDs to nodes');
+  } else {
+    const nodeIds = Object.keys(nodes);
+
+    if (!nodeIds.includes(startNode)) {
+      problems.push(`startNode "${startNode}" is not one of the nodes`);
+    }
+
+    for (const [id, node] of Object.entries(nodes)) {
+      problems.push(...checkNode(id, node, nodeIds));
+    }
+  }
+
+  if (problems.length > 0) {
+    const error = new ValidationError(`Invalid flow: ${problems.join(', ')}`);
+    error.details = problems;
+    throw error;
+  }
+}
+
+// Validate flow fields; partial input is allowed for updates and checked against the existing flow
+export function normaliseFlowInput(data, { partial = false, existing = null } = {}) {
+  const flow = {};
+
+  if (data.name !== undefined || !partial) {
+    if (typeof data.name !== 'string' || data.name.trim() === '') {
+      throw new ValidationError('Name is required');
+    }
+    flow.name = data.name.trim();
+  }
+
+  if (data.description !== undefined) {
+    flow.description = data.description || null;
+  }
+
+  if (data.trigger !== undefined) {
+    flow.trigger = data.trigger ? normaliseConditions(data.trigger) : null;
+  }
+
+  if (data.startNode !== undefined || data.nodes !== undefined || !partial) {
+    const startNode = data.startNode ?? existing?.start_node;
+    const nodes = data.nodes ?? existing?.nodes;
+    validateFlowGraph(startNode, nodes);
+    flow.startNode = startNode;
+    flow.nodes = nodes;
+  }
+
+  if (data.priority !== undefined) {
+    const priority = Number(data.priority);
+    if (!Number.isInteger(priority)) {
+      throw new ValidationError('Priority must be an integer');
+    }
+    flow.priority = priority;
+  }
+
+  if (data.isActive !== undefined) {
+    flow.isActive = Boolean(data.isActive);
+  }
+
+  return flow;
+}
+
+// Send a flow's HTTP request; JSON responses are parsed
+async function callFlowWebhook({ url, method, headers, body }) {
+  const response = await fetch(url, {
+    method,
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: method === 'GET' ? undefined : JSON.stringify(body),
+    signal: AbortSignal.timeout(FLOW_WEBHOOK_TIMEOUT)
+  });
+
+  if (!response.ok) {
+    throw new Error(`Webhook request failed: ${response.status} ${response.statusText}`);
+  }
+
+  const contentType = response.headers.get('content-type') || '';
+  return contentType.includes('application/json') ? response.json() : response.text();
+}
+
+function finish(conversation, status) {
+  conversation.status = status;
+  conversation.expiresAt = null;
+  return conversation;
+}
+
+// Run nodes from the current one until the flow waits for a reply, hands off or ends
+async function runFlow(flow, conversation, io) {
+  const { variables } = conversation;
+
+  for (let step = 0; step < MAX_STEPS_PER_TURN; step++) {
+    const nodeId = conversation.currentNode;
+    if (!nodeId) {
+      return finish(conversation, 'completed');
+    }
+
+    const node = flow.nodes[nodeId];
+    if (!node) {
+      logger.warn(`Flow ${flow.id} has no node "${nodeId}"`);
+      return finish(conversation, 'failed');
+    }
+
+    switch (node.type) {
+      case 'send_message':
+        await io.send({
+          content: interpolate(node.content, variables),
+          mediaUrl: node.mediaUrl,
+          mediaType: node.mediaType
+        });
+        conversation.currentNode = node.next || null;
+        break;
+
+      case 'wait_for_reply': {
+        const seconds = node.timeoutSeconds || DEFAULT_WAIT_SECONDS;
+        conversation.expiresAt = new Date(io.now().getTime() + seconds * 1000).toISOString();
+        return conversation;
+      }
+
+      case 'branch': {
+        const value = extractJsonPath(variables, `$.${node.variable || 'reply'}`);
+        const context = createMatchContext({}, { now: io.now(), firstContact: false });
+        let next = node.default;
+
+        for (const branch of node.branches) {
+          if ((await getFailedConditions(branch.when, { content: value ?? '' }, context)).length === 0) {
+            next = branch.next;
+            break;
+          }
+        }
+
+        conversation.currentNode = next;
+        break;
+      }
+
+      case 'set_variable':
+        variables[node.variable] = typeof node.value === 'string' ? interpolate(node.value, variables) : node.value;
+        conversation.currentNode = node.next || null;
+        break;
+
+      case 'call_webhook': {
+        const request = {
+          nodeId,
+          // Replies are free text, so a value must not change the path or query
+          url: interpolate(node.url, variables, encodeURIComponent),
+          method: node.method || 'POST',
+          headers: node.headers || {},
+          body: node.body !== undefined
+            ? interpolateDeep(node.body, variables)
+            : { flowId: flow.id, chatId: conversation.chatId, variables: { ...variables } }
+        };
+
+        try {
+          const result = await io.callWebhook(request);
+          if (node.saveAs) {
+            variables[node.saveAs] = result;
+          }
+          conversation.currentNode = node.next || null;
+        } catch (error) {
+          variables.lastError = error.message;
+          if (!node.onError) {
+            logger.warn(`Flow ${flow.id} webhook failed at "${nodeId}": ${error.message}`);
+            return finish(conversation, 'failed');
+          }
+          conversation.currentNode = node.onError;
+        }
+        break;
+      }
+
+      case 'hand_to_ai':
+        return finish(conversation, 'handed_to_ai');
+
+      case 'hand_to_human':
+        if (node.content) {
+          await io.send({ content: interpolate(node.content, variables) });
+        }
+        conversation.status = 'handed_to_human';
+        conversation.expiresAt = node.timeoutSeconds
+          ? new Date(io.now().getTime() + node.timeoutSeconds * 1000).toISOString()
+          : null;
+        await io.handoff(conversation);
+        return conversation;
+
+      default:
+        if (node.content) {
+          await io.send({ content: interpolate(node.content, variables) });
+        }
+        return finish(conversation, 'completed');
+    }
+  }
+
+  logger.warn(`Flow ${flow.id} ran ${MAX_STEPS_PER_TURN} nodes without waiting; stopping it`);
+  return finish(conversation, 'failed');
+}
+
+// Store a reply at the waiting node and carry on
+async function resumeWithReply(flow, conversation, text, io) {
+  const node = flow.nodes[conversation.currentNode];
+
+  if (!node || node.type !== 'wait_for_reply') {
+    return finish(conversation, 'failed');
+  }
+
+  conversation.variables.reply = text;
+  if (node.variable) {
+    conversation.variables[node.variable] = text;
+  }
+
+  conversation.currentNode = node.next || null;
+  conversation.expiresAt = null;
+  return runFlow(flow, conversation, io);
+}
+
+// A wait ran out: follow timeoutNext if there is one; an expired handoff gives the chat back to the bot
+async function resumeAfterTimeout(flow, conversation, io) {
+  if (conversation.status === 'handed_to_human') {
+    return finish(conversation, 'completed');
+  }
+
+  const node = flow.nodes[conversation.currentNode];
+  conversation.expiresAt = null;
+
+  if (!node?.timeoutNext) {
+    return finish(conversation, 'timed_out');
+  }
+
+  conversation.currentNode = node.timeoutNext;
+  return runFlow(flow, conversation, io);
+}
+
+function fromRow(row) {
+  return {
+    id: row.id,
+    flowId: row.flow_id,
+    chatId: row.chat_id,
+    sessionId: row.session_id,
+    recipient: row.recipient,
+    currentNode: row.current_node,
+    variables: row.variables,
+    status: row.status,
+    expiresAt: row.expires_at
+  };
+}
+
+async function persistConversation(conversation) {
+  if (conversation.id) {
+    await updateFlowConversation(conversation.id, conversation);
+  } else {
+    conversation.id = await saveFlowConversation(conversation);
+  }
+}
+
+// Side effects for a real chat: queued sends, real HTTP calls and a handoff event.
+// Each send waits longer than the one before it, so the queue keeps the turn's messages in order
+function createLiveIO(conversation) {
+  let delay = 0;
+
+  return {
+    now: () => new Date(),
+    send: ({ content, mediaUrl, mediaType }) => {
+      delay += FLOW_SEND_GAP;
+
+      return addMessageToQueue({
+        recipient: conversation.recipient,
+        sessionId: conversation.sessionId || undefined,
+        delay,
+        ...(mediaUrl
+          ? { jobType: 'send_media', content, mediaUrl, mediaType }
+          : { jobType: 'send_message', content })
+      });
+    },
+    callWebhook: callFlowWebhook,
+    handoff: () => triggerWebhookEvent('flow.handoff', {
+      flowId: conversation.flowId,
+      chatId: conversation.chatId,
+      sessionId: conversation.sessionId,
+      recipient: conversation.recipient,
+      variables: conversation.variables
+    })
+  };
+}
+
+// First active flow whose trigger matches the message
+async function findTriggeredFlow(message) {
+  const flows = await getFlows({ activeOnly: true });
+  const context = createMatchContext(message);
+
+  for (const flow of flows) {
+    if (flow.trigger && (await getFailedConditions(flow.trigger, message, context)).length === 0) {
+      return flow;
+    }
+  }
+
+  return null;
+}
+
+// Continue the chat's flow or start a triggered one; returns true when the flow handled the message
+export async function handleFlowMessage(message, recipient) {
+  if (message.isFromMe) {
+    return false;
+  }
+
+  try {
+    const open = await getOpenFlowConversation(message.chatId);
+
+    if (open?.status === 'handed_to_human') {
+      // A person has the chat; the bot stays out of it
+      return true;
+    }
+
+    let conversation;
+
+    if (open) {
+      const flow = await getFlowById(open.flow_id);
+      conversation = fromRow(open);
+
+      if (!flow) {
+        await updateFlowConversation(conversation.id, { status: 'cancelled', expiresAt: null });
+        return false;
+      }
+
+      await resumeWithReply(flow, conversation, message.content, createLiveIO(conversation));
+    } else {
+      const flow = await findTriggeredFlow(message);
+      if (!flow) {
+        return false;
+      }
+
+      conversation = {
+        flowId: flow.id,
+        chatId: message.chatId,
+        sessionId: message.sessionId || null,
+        recipient,
+        currentNode: flow.start_node,
+        variables: {
+          senderName: message.senderName,
+          chatName: message.chatName,
+          message: message.content
+        },
+        status: 'active',
+        expiresAt: null
+      };
+
+      logger.info(`Flow started: ${flow.name}`, { flowId: flow.id, chatId: message.chatId });
+      await runFlow(flow, conversation, createLiveIO(conversation));
+    }
+
+    await persistConversation(conversation);
+
+    // Handing to the AI passes this message on to it
+    return conversation.status !== 'handed_to_ai';
+  } catch (error) {
+    logger.error('Failed to handle flow message:', error);
+    return false;
+  }
+}
+
+// Move conversations whose wait or handoff has expired
+export async function processFlowTimeouts() {
+  if (isSweeping) {
+    return;
+  }
+
+  isSweeping = true;
+
+  try {
+    const expired = await getExpiredFlowConversations(new Date().toISOString());
+
+    for (const row of expired) {
+      const conversation = fromRow(row);
+
+      try {
+        const flow = await getFlowById(conversation.flowId);
+        if (!flow) {
+          finish(conversation, 'cancelled');
+        } else {
+          await resumeAfterTimeout(flow, conversation, createLiveIO(conversation));
+        }
+        await persistConversation(conversation);
+      } catch (error) {
+        logger.error(`Failed to time out flow conversation ${conversation.id}:`, error);
+      }
+    }
+  } catch (error) {
+    logger.error('Failed to process flow timeouts:', error);
+  } finally {
+    isSweeping = false;
+  }
+}
+
+// Start checking flow timeouts
+export function startFlowTimeouts() {
+  if (timeoutTimer) {
+    return;
+  }
+
+  timeoutTimer = setInterval(processFlowTimeouts, FLOW_TIMEOUT_INTERVAL);
+  logger.info(`Flow timeouts checked every ${FLOW_TIMEOUT_INTERVAL}ms`);
+}
+
+// Stop checking flow timeouts
+export function stopFlowTimeouts() {
+  if (timeoutTimer) {
+    clearInterval(timeoutTimer);
+    timeoutTimer = null;
+  }
+}
+
+// Run a flow against scripted input without sending anything; inputs are strings or { timeout: true }
+export async function simulateFlow(flow, { inputs = [], variables = {}, webhookResponses = {} } = {}) {
+  const transcript = [];
+  const clock = new Date();
+
+  const conversation = {
+    flowId: flow.id,
+    chatId: 'simulator',
+    recipient: 'simulator',
+    currentNode: flow.start_node,
+    variables: { senderName: 'Simulator', chatName: 'Simulator', ...variables },
+    status: 'active',
+    expiresAt: null
+  };
+
+  const io = {
+    now: () => clock,
+    send: ({ content, mediaUrl, mediaType }) => {
+      transcript.push({ type: 'send', node: conversation.currentNode, content, ...(mediaUrl && { mediaUrl, mediaType }) });
+    },
+    callWebhook: async request => {
+      const response = webhookResponses[request.nodeId] ?? null;
+      transcript.push({ type: 'webhook', ...request, response });
+      return response;
+    },
+    handoff: () => {
+      transcript.push({ type: 'handoff', to: 'human', node: conversation.currentNode });
+    }
+  };
+
+  await runFlow(flow, conversation, io);
+
+  for (const input of inputs) {
+    if (conversation.status !== 'active') {
+      transcript.push({ type: 'ignored', input, reason: `Flow is ${conversation.status}` });
+      continue;
+    }
+
+    if (input && typeof input === 'object' && input.timeout) {
+      transcript.push({ type: 'timeout', node: conversation.currentNode });
+      await resumeAfterTimeout(flow, conversation, io);
+    } else {
+      transcript.push({ type: 'input', content: String(input) });
+      await resumeWithReply(flow, conversation, String(input), io);
+    }
+  }
+
+  if (conversation.status === 'handed_to_ai') {
+    transcript.push({ type: 'handoff', to: 'ai' });
+  }
+
+  return {
+    transcript,
+    status: conversation.status,
+    currentNode: conversation.currentNode,
+    variables: conversation.variables
+  };
+}
@@ -0,0 +1,151 @@
+import crypto from 'crypto';
+import { logger } from './utils/logger.js';
+import { getTemplateByName, updateInboundHook } from './db.js';
+import { addMessageToQueue } from './queue.js';
+import { renderTemplate } from './utils/templateRenderer.js';
+import { parseJsonPath, extractJsonPath } from './utils/jsonPath.js';
+import { normalisePhone } from './utils/phone.js';
+import { ValidationError, AuthorizationError } from './middleware/errorHandler.js';
+
+export const DEFAULT_INBOUND_RATE_LIMIT = parseInt(process.env.INBOUND_HOOK_RATE_LIMIT) || 60;
+
+// Mapping values starting with $ are paths into the payload; anything else is used as is
+function isPath(value) {
+  return typeof value === 'string' && value.startsWith('$');
+}
+
+// New random token for an inbound hook URL
+export function generateInboundToken() {
+  return crypto.randomBytes(24).toString('hex');
+}
+
+// Check a mapping: recipient and template are required, variables map names to paths or literals
+export function normaliseMapping(mapping) {
+  if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+    throw new ValidationError('Mapping must be an object');
+  }
+
+  const { recipient, template, variables = {} } = mapping;
+
+  for (const [field, value] of [['recipient', recipient], ['template', template]]) {
+    if (typeof value !== 'string' || value.trim() === '') {
+      throw new ValidationError(`Mapping ${field} must be a path or a literal string`);
+    }
+  }
+
+  if (!variables || typeof variables !== 'object' || Array.isArray(variables)) {
+    throw new ValidationError('Mapping variables must be an object');
+  }
+
+  // Parse every path now so a typo is rejected when the hook is saved, not when it fires
+  for (const value of [recipient, template, ...Object.values(variables)]) {
+    if (isPath(value)) {
+      parseJsonPath(value);
+    }
+  }
+
+  return { recipient, template, variables };
+}
+
+// Validate inbound hook fields; partial input is allowed for updates
+export function normaliseInboundHookInput(data, { partial = false } = {}) {
+  const hook = {};
+
+  if (data.name !== undefined || !partial) {
+    if (typeof data.name !== 'string' || data.name.trim() === '') {
+      throw new ValidationError('Name is required');
+    }
+    hook.name = data.name.trim();
+  }
+
+  if (data.mapping !== undefined || !partial) {
+    hook.mapping = normaliseMapping(data.mapping);
+  }
+
+  if (data.templates !== undefined || !partial) {
+    const { templates } = data;
+    if (!Array.isArray(templates) || templates.length === 0 || templates.some(name => typeof name !== 'string')) {
+      throw new ValidationError('Templates must be a non-empty array of template names');
+    }
+    hook.templates = [...new Set(templates.map(name => name.trim()).filter(Boolean))];
+  }
+
+  if (data.rateLimitPerMinute !== undefined) {
+    const limit = Number(data.rateLimitPerMinute);
+    if (!Number.isInteger(limit) || limit < 1) {
+      throw new ValidationError('Rate limit must be a positive integer');
+    }
+    hook.rateLimitPerMinute = limit;
+  }
+
+  if (data.sessionId !== undefined) {
+    hook.sessionId = data.sessionId || null;
+  }
+
+  if (data.isActive !== undefined) {
+    hook.isActive = Boolean(data.isActive);
+  }
+
+  return hook;
+}
+
+// Pull the recipient, template name and variables out of a payload
+export function mapInboundPayload(mapping, payload) {
+  const resolve = value => (isPath(value) ? extractJsonPath(payload, value) : value);
+
+  const recipient = resolve(mapping.recipient);
+  const templateName = resolve(mapping.template);
+  const missing = [];
+
+  if (recipient === undefined || recipient === null || recipient === '') missing.push(`recipient (${mapping.recipient})`);
+  if (typeof templateName !== 'string' || templateName === '') missing.push(`template (${mapping.template})`);
+
+  if (missing.length > 0) {
+    throw new ValidationError(`Payload is missing ${missing.join(', ')}`);
+  }
+
+  // Variables the payload lacks are left out so the template reports them by name
+  const variables = {};
+  for (const [name, value] of Object.entries(mapping.variables)) {
+    const resolved = resolve(value);
+    if (resolved !== undefined) {
+      variables[name] = resolved;
+    }
+  }
+
+  // Numbers go out in E.164 so the send opens the exact chat instead of searching for it
+  return { recipient: normalisePhone(recipient), templateName, variables };
+}
+
+// Turn an inbound payload into a queued template send
+export async function sendFromInboundHook(hook, payload) {
+  try {
+    const { recipient, templateName, variables } = mapInboundPayload(hook.mapping, payload);
+
+    if (!hook.templates.includes(templateName)) {
+      throw new AuthorizationError(`Template "${templateName}" is not allowed for this hook`);
+    }
+
+    const template = await getTemplateByName(templateName);
+    if (!template) {
+      throw new ValidationError(`Template not found: ${templateName}`);
+    }
+
+    const result = await addMessageToQueue({
+      recipient,
+      content: renderTemplate(template, variables),
+      jobType: 'send_template',
+      sessionId: hook.session_id || undefined
+    });
+
+    await updateInboundHook(hook.id, { lastUsedAt: new Date().toISOString() });
+
+    logger.info(`Inbound hook send queued: ${hook.name}`, { recipient, templateName, jobId: result.jobId });
+    return result;
+  } catch (error) {
+    if (!(error instanceof ValidationError) && !(error instanceof AuthorizationError)) {
+      logger.error(`Failed to send from inbound hook ${hook.id}:`, error);
+    }
+    throw error;
+  }
+}
@@ -10,6 +10,9 @@ import dotenv from 'dotenv';
 // Import custom modules
 import { initDatabase } from './db.js';
 import { initQueue } from './queue.js';
+import { initWebhookQueue } from './webhooks.js';
+import { startCampaignDispatcher } from './campaigns.js';
+import { startFlowTimeouts } from './flows.js';
 import { initWhatsAppBot } from './playwright.js';
 import { initAI } from './ai.js';
 import { authMiddleware } from './middleware/auth.js';
@@ -24,6 +27,21 @@ import authRoutes from './routes/auth.js';
 import whatsappRoutes from './routes/whatsapp.js';
 import templateRoutes from './routes/templates.js';
 import aiRoutes from './routes/ai.js';
+import aiProfileRoutes from './routes/aiProfiles.js';
+import knowledgeRoutes from './routes/knowledge.js';
+import aiDraftRoutes from './routes/aiDrafts.js';
+import aiHandoffRoutes from './routes/aiHandoffs.js';
+import aiToolRoutes from './routes/aiTools.js';
+import aiUsageRoutes from './routes/aiUsage.js';
+import sessionRoutes from './routes/sessions.js';
+import scheduleRoutes from './routes/schedules.js';
+import campaignRoutes from './routes/campaigns.js';
+import contactRoutes from './routes/contacts.js';
+import suppressionRoutes from './routes/suppressions.js';
+import inboundHookRoutes from './routes/inboundHooks.js';
+import ruleRoutes from './routes/rules.js';
+import flowRoutes from './routes/flows.js';
+import hookRoutes from './routes/hooks.js';
 
 // Load environment variables
 dotenv.config();
@@ -74,7 +92,24 @@ app.use('/api/queue', authMiddleware, queueRoutes);
 app.use('/api/webhook', authMiddleware, webhookRoutes);
 app.use('/api/whatsapp', authMiddleware, whatsappRoutes);
 app.use('/api/templates', authMiddleware, templateRoutes);
+app.use('/api/ai/profiles', authMiddleware, aiProfileRoutes);
+app.use('/api/ai/knowledge', authMiddleware, knowledgeRoutes);
+app.use('/api/ai/drafts', authMiddleware, aiDraftRoutes);
+app.use('/api/ai/handoffs', authMiddleware, aiHandoffRoutes);
+app.use('/api/ai/tools', authMiddleware, aiToolRoutes);
+app.use('/api/ai/usage', authMiddleware, aiUsageRoutes);
 app.use('/api/ai', authMiddleware, aiRoutes);
+app.use('/api/sessions', authMiddleware, sessionRoutes);
+app.use('/api/schedules', authMiddleware, scheduleRoutes);
+app.use('/api/campaigns', authMiddleware, campaignRoutes);
+app.use('/api/contacts', authMiddleware, contactRoutes);
+app.use('/api/suppressions', authMiddleware, suppressionRoutes);
+app.use('/api/inbound-hooks', authMiddleware, inboundHookRoutes);
+app.use('/api/rules', authMiddleware, ruleRoutes);
+app.use('/api/flows', authMiddleware, flowRoutes);
+
+// Inbound hooks authenticate with the token in their URL
+app.use('/hooks', hookRoutes);
 
 // Dashboard routes
 app.get('/dashboard', (req, res) => {
@@ -107,6 +142,15 @@ const serverInstance = server.listen(PORT, async () => {
     await initQueue();
     logger.info('Queue system initialized successfully');
     
+    // Initialize webhook deliveries
+    await initWebhookQueue();
+    
+    // Resume dispatching campaigns that were running before a restart
+    startCampaignDispatcher();
+    
+    // Expire flow waits and human handoffs
+    startFlowTimeouts();
+    
     // Initialize AI
     await initAI();
     logger.info('AI system initialized successfully');
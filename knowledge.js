@@ -0,0 +1,282 @@
+import { logger } from './utils/logger.js';
+import {
+  saveKnowledgeDocument,
+  updateKnowledgeDocument,
+  searchKnowledgeChunks,
+  getKnowledgeChunksByIds,
+  getKnowledgeEmbeddings,
+  getKnowledgeChunksWithoutEmbedding,
+  setKnowledgeChunkEmbedding
+} from './db.js';
+import { estimateTokens } from './utils/tokens.js';
+import { ValidationError } from './middleware/errorHandler.js';
+
+export const KNOWLEDGE_FORMATS = ['markdown', 'text', 'pdf'];
+
+const CHUNK_TOKENS = parseInt(process.env.KNOWLEDGE_CHUNK_TOKENS) || 300;
+
+// Chunks sent to the embedding model per request
+const EMBEDDING_BATCH_SIZE = 32;
+
+// Candidates taken from each ranking before they are fused
+const CANDIDATE_MULTIPLIER = 4;
+
+// Standard reciprocal rank fusion constant; damps the weight of the top few ranks
+const RRF_K = 60;
+
+// Most query words turned into full-text search terms
+const MAX_QUERY_TERMS = 20;
+
+// Validate a document from the API; partial updates only check the fields given
+export function normaliseDocumentInput(data, { partial = false } = {}) {
+  const document = {};
+
+  if (data.title !== undefined || !partial) {
+    if (typeof data.title !== 'string' || data.title.trim() === '') {
+      throw new ValidationError('Title is required');
+    }
+    document.title = data.title.trim();
+  }
+
+  if (data.source !== undefined) {
+    if (data.source !== null && typeof data.source !== 'string') {
+      throw new ValidationError('Source must be a string');
+    }
+    document.source = data.source ? data.source.trim() : null;
+  }
+
+  if (data.format !== undefined || !partial) {
+    const format = data.format ?? 'text';
+    if (!KNOWLEDGE_FORMATS.includes(format)) {
+      throw new ValidationError(`Format must be one of: ${KNOWLEDGE_FORMATS.join(', ')}`);
+    }
+    document.format = format;
+  }
+
+  if (data.content !== undefined || !partial) {
+    if (typeof data.content !== 'string' || data.content.trim() === '') {
+      throw new ValidationError('Content is required');
+    }
+    document.content = data.content;
+  }
+
+  return document;
+}
+
+// Markdown headings become blocks of their own; PDF text extraction breaks paragraphs into lines
+// and pages with form feeds, so those are joined back up
+function normaliseText(content, format) {
+  let text = content.replace(/\r\n?/g, '\n');
+
+  if (format === 'markdown') {
+    text = text.replace(/^(#{1,6}[ \t].*)$/gm, '\n\n$1\n\n');
+  }
+
+  if (format === 'pdf') {
+    text = text
+      .replace(/\f/g, '\n\n')
+      .replace(/(\p{L})-\n(?=\p{Ll})/gu, '$1')
+      .replace(/([^\n])\n(?!\n)/g, '$1 ');
+  }
+
+  return text.trim();
+}
+
+// Split text longer than the chunk size at sentence ends, or at the size itself when a sentence is too long
+function splitOversized(text, maxTokens) {
+  const maxChars = maxTokens * 4;
+  const pieces = [];
+  let current = '';
+
+  for (const sentence of text.split(/(?<=[.!?])\s+/)) {
+    for (let start = 0; start < sentence.length; start += maxChars) {
+      const part = sentence.slice(start, start + maxChars);
+      if (current && estimateTokens(`${current} ${part}`) > maxTokens) {
+        pieces.push(current);
+        current = part;
+      } else {
+        current = current ? `${current} ${part}` : part;
+      }
+    }
+  }
+
+  if (current) pieces.push(current);
+  return pieces;
+}
+
+// Split a document into chunks of about maxTokens; Markdown chunks keep their section heading for citations
+export function chunkDocument(content, format = 'text', maxTokens = CHUNK_TOKENS) {
+  const chunks = [];
+  let heading = null;
+  let current = [];
+
+  const flush = () => {
+    if (current.length > 0) {
+      const text = current.join('\n\n');
+      chunks.push({ heading, content: text, tokens: estimateTokens(text) });
+    }
+    current = [];
+  };
+
+  for (const rawBlock of normaliseText(content, format).split(/\n\s*\n/)) {
+    const block = rawBlock.trim();
+    if (!block) continue;
+
+    const headingMatch = format === 'markdown' && block.match(/^#{1,6}[ \t]+(.+)$/);
+    if (headingMatch) {
+      flush();
+      heading = headingMatch[1].replace(/[ \t]#+$/, '').trim();
+      continue;
+    }
+
+    for (const piece of splitOversized(block, maxTokens)) {
+      if (current.length > 0 && estimateTokens([...current, piece].join('\n\n')) > maxTokens) {
+        flush();
+      }
+      current.push(piece);
+    }
+  }
+
+  flush();
+  return chunks;
+}
+
+// Words of a message as an FTS5 OR query, or null when it has none worth searching
+export function buildMatchQuery(text) {
+  const words = String(text || '').toLowerCase().match(/[\p{L}\p{N}]{2,}/gu) || [];
+  const terms = [...new Set(words)].slice(0, MAX_QUERY_TERMS);
+
+  return terms.length > 0 ? terms.map(term => `"${term}"`).join(' OR ') : null;
+}
+
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+
+  for (let i = 0; i < Math.min(a.length, b.length); i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+// Embed chunks in batches with an embedder: { model, embed(texts) } resolving to one vector per text
+async function embedKnowledgeChunks(chunks, embedder) {
+  let embedded = 0;
+
+  for (let i = 0; i < chunks.length; i += EMBEDDING_BATCH_SIZE) {
+    const batch = chunks.slice(i, i + EMBEDDING_BATCH_SIZE);
+    const vectors = await embedder.embed(batch.map(chunk => [chunk.heading, chunk.content].filter(Boolean).join('\n')));
+
+    for (const [index, chunk] of batch.entries()) {
+      await setKnowledgeChunkEmbedding(chunk.id, vectors[index], embedder.model);
+    }
+    embedded += batch.length;
+  }
+
+  return embedded;
+}
+
+// Embed whatever has no vector from the embedder's model yet; failures leave documents on BM25 alone
+export async function refreshKnowledgeEmbeddings(embedder, { documentId = null } = {}) {
+  if (!embedder) return 0;
+
+  try {
+    const chunks = await getKnowledgeChunksWithoutEmbedding(embedder.model, documentId);
+    return await embedKnowledgeChunks(chunks, embedder);
+  } catch (error) {
+    logger.warn('Failed to embed knowledge chunks, BM25 search still works', { error: error.message });
+    return 0;
+  }
+}
+
+// Chunk, index and save a new document
+export async function addKnowledgeDocument(data) {
+  const document = normaliseDocumentInput(data);
+  const chunks = chunkDocument(document.content, document.format);
+
+  if (chunks.length === 0) {
+    throw new ValidationError('Document has no text to index');
+  }
+
+  return saveKnowledgeDocument(document, chunks);
+}
+
+// Apply an update, re-chunking when the text or its format changes
+export async function changeKnowledgeDocument(existing, data) {
+  const document = normaliseDocumentInput(data, { partial: true });
+  let chunks = null;
+
+  if (document.content !== undefined || document.format !== undefined) {
+    chunks = chunkDocument(document.content ?? existing.content, document.format ?? existing.format);
+    if (chunks.length === 0) {
+      throw new ValidationError('Document has no text to index');
+    }
+  }
+
+  return updateKnowledgeDocument(existing.id, document, chunks);
+}
+
+// Top passages for a query: BM25 ranking, fused with embedding similarity when an embedder is given
+export async function searchKnowledge(query, { limit = 3, embedder = null } = {}) {
+  const candidates = limit * CANDIDATE_MULTIPLIER;
+  const rankings = [];
+
+  const matchQuery = buildMatchQuery(query);
+  if (matchQuery) {
+    const matches = await searchKnowledgeChunks(matchQuery, candidates);
+    rankings.push({ name: 'bm25', ids: matches.map(match => match.id) });
+  }
+
+  if (embedder) {
+    try {
+      const stored = await getKnowledgeEmbeddings(embedder.model);
+      if (stored.length > 0) {
+        const [vector] = await embedder.embed([query]);
+        const ranked = stored
+          .map(chunk => ({ id: chunk.id, similarity: cosineSimilarity(vector, chunk.embedding) }))
+          .filter(chunk => chunk.similarity > 0)
+          .sort((a, b) => b.similarity - a.similarity)
+          .slice(0, candidates);
+        rankings.push({ name: 'embedding', ids: ranked.map(chunk => chunk.id) });
+      }
+    } catch (error) {
+      logger.warn('Knowledge embedding search failed, using BM25 only', { error: error.message });
+    }
+  }
+
+  const fused = new Map();
+  for (const ranking of rankings) {
+    ranking.ids.forEach((id, rank) => {
+      const entry = fused.get(id) || { score: 0, matchedBy: [] };
+      entry.score += 1 / (RRF_K + rank + 1);
+      entry.matchedBy.push(ranking.name);
+      fused.set(id, entry);
+    });
+  }
+
+  const topIds = [...fused.entries()]
+    .sort((a, b) => b[1].score - a[1].score)
+    .slice(0, limit)
+    .map(([id]) => id);
+
+  const chunks = await getKnowledgeChunksByIds(topIds);
+  const byId = new Map(chunks.map(chunk => [chunk.id, chunk]));
+
+  return topIds.filter(id => byId.has(id)).map(id => {
+    const chunk = byId.get(id);
+    return {
+      chunkId: chunk.id,
+      documentId: chunk.document_id,
+      title: chunk.title,
+      source: chunk.source,
+      heading: chunk.heading,
+      content: chunk.content,
+      score: Number(fused.get(id).score.toFixed(6)),
+      matchedBy: fused.get(id).matchedBy
+    };
+  });
+}
@@ -1,15 +1,627 @@
-    mediaUrl,
+import { chromium } from 'playwright';
+import { v4 as uuidv4 } from 'uuid';
+import path from 'path';
+import fs from 'fs';
+import { logger } from './utils/logger.js';
+import {
+  saveMessage,
+  getMessageById,
+  saveSession,
+  getSessions,
+  updateSessionStatus,
+  getQueueJobByMessageId,
+  updateQueueJob,
+  saveMessageStatusEvent,
+  getMessageStatusEvents
+} from './db.js';
+import { triggerWebhookEvent } from './webhooks.js';
+import { getSelector, findElement, waitForElement, runSelectorSelfTest, readSelectorFixture } from './selectorRegistry.js';
+import { isE164 } from './utils/phone.js';
+import { downloadMedia, MEDIA_TYPES } from './utils/media.js';
+import { matchOptOutKeyword, suppressPhone, OPT_OUT_CONFIRMATION } from './suppressions.js';
+
+// WhatsApp Web configuration
+const WHATSAPP_URL = process.env.WHATSAPP_URL || 'https://web.whatsapp.com';
+const STORAGE_PATH = process.env.BROWSER_STORAGE_PATH || './storage/browser';
+
+// Session used when a caller does not name one
+export const DEFAULT_SESSION_ID = process.env.DEFAULT_SESSION_ID || 'main';
+
+// Live sessions keyed by session ID, each with its own persistent browser context
+const sessions = new Map();
+let messageHandlers = [];
+
+// Initialize WhatsApp bot (starts every registered session)
+export async function initWhatsAppBot() {
+  try {
+    logger.info('Initializing WhatsApp bot...');
+
+    const registered = await getSessions();
+    const sessionIds = registered.length > 0
+      ? registered.map(session => session.session_id)
+      : [DEFAULT_SESSION_ID];
+
+    // Each account starts on its own; one that fails is marked and the others keep running
+    const results = await Promise.allSettled(sessionIds.map(sessionId => startSession(sessionId)));
+    const failed = sessionIds.filter((sessionId, index) => results[index].status === 'rejected');
+
+    for (const sessionId of failed) {
+      await markSessionFailed(sessionId);
+    }
+
+    logger.info(`WhatsApp bot initialized with ${sessionIds.length - failed.length} of ${sessionIds.length} session(s)`, { failed });
+    return true;
+  } catch (error) {
+    logger.error('Failed to initialize WhatsApp bot:', error);
+    throw error;
+  }
+}
+
+// Record that a session could not start so GET /api/sessions shows it
+async function markSessionFailed(sessionId) {
+  try {
+    const updated = await updateSessionStatus(sessionId, 'error');
+    if (!updated) {
+      await saveSession({ sessionId, status: 'error', qrCode: null, phoneNumber: null, lastActivity: null });
+    }
+  } catch (error) {
+    logger.error(`Failed to mark WhatsApp session ${sessionId} as failed:`, error);
+  }
+}
+
+// Start a session, launching its browser profile
+export async function startSession(sessionId, options = {}) {
+  let context = null;
+
+  try {
+    if (!/^[a-zA-Z0-9_-]+$/.test(sessionId)) {
+      throw new Error(`Invalid session ID: ${sessionId}`);
+    }
+
+    if (sessions.has(sessionId)) {
+      return sessions.get(sessionId);
+    }
+
+    logger.info(`Starting WhatsApp session: ${sessionId}`);
+
+    const profilePath = path.join(STORAGE_PATH, sessionId);
+    fs.mkdirSync(profilePath, { recursive: true });
+
+    // A persistent context keeps each account's login in its own profile directory
+    context = await chromium.launchPersistentContext(profilePath, {
+      headless: process.env.BROWSER_HEADLESS !== 'false',
+      args: ['--no-sandbox', '--disable-dev-shm-usage'],
+      viewport: { width: 1280, height: 800 }
+    });
+
+    const page = context.pages()[0] || await context.newPage();
+
+    const session = {
+      sessionId,
+      context,
+      page,
+      isInitialized: false,
+      isClosing: false,
+      reconnectAttempts: 0
+    };
+    sessions.set(sessionId, session);
+
+    setupPageEventListeners(session);
+
+    await page.goto(WHATSAPP_URL, { waitUntil: 'domcontentloaded' });
+
+    await saveSession({
+      sessionId,
+      name: options.name,
+      status: 'waiting_for_qr',
+      qrCode: null,
+      phoneNumber: null,
+      lastActivity: new Date().toISOString()
+    });
+
+    session.isInitialized = true;
+
+    // Wait for login in the background so startup does not block on the QR scan
+    waitForLogin(session);
+
+    return session;
+  } catch (error) {
+    logger.error(`Failed to start WhatsApp session ${sessionId}:`, error);
+    sessions.delete(sessionId);
+    // Close the browser so the profile directory is not left locked for the next attempt
+    await context?.close().catch(() => {});
+    throw error;
+  }
+}
+
+// Stop a session and close its browser
+export async function stopSession(sessionId) {
+  const session = sessions.get(sessionId);
+  if (!session) {
+    return false;
+  }
+
+  try {
+    session.isClosing = true;
+    sessions.delete(sessionId);
+    stopMessageCapture(session);
+
+    await session.context.close();
+    await updateSessionStatus(sessionId, 'stopped');
+
+    logger.info(`WhatsApp session stopped: ${sessionId}`);
+
+    await triggerWebhookEvent('session.disconnected', {
+      sessionId,
+      reason: 'stopped',
+      timestamp: new Date().toISOString()
+    });
+    return true;
+  } catch (error) {
+    logger.error(`Failed to stop WhatsApp session ${sessionId}:`, error);
+    throw error;
+  }
+}
+
+// Remove a session's browser profile from disk
+export function removeSessionProfile(sessionId) {
+  fs.rmSync(path.join(STORAGE_PATH, sessionId), { recursive: true, force: true });
+  logger.info(`WhatsApp session profile removed: ${sessionId}`);
+}
+
+// Get the IDs of sessions running in this process
+export function getActiveSessionIds() {
+  return Array.from(sessions.keys());
+}
+
+// Look up a running session or fail
+function getLiveSession(sessionId) {
+  const session = sessions.get(sessionId);
+
+  if (!session || !session.isInitialized) {
+    throw new Error(`WhatsApp session not initialized: ${sessionId}`);
+  }
+
+  return session;
+}
+
+// How often a session waiting for login checks for a new QR code
+const QR_POLL_INTERVAL = 3000;
+
+// Wait for the chat list to appear, then mark the session connected
+async function waitForLogin(session) {
+  // WhatsApp rotates the QR code while it waits, so report each new one
+  const qrTimer = setInterval(() => reportQrCode(session), QR_POLL_INTERVAL);
+
+  try {
+    await session.page.waitForSelector(getSelector('chatList'), { timeout: 0 });
+
+    await updateSessionStatus(session.sessionId, 'connected');
+    session.reconnectAttempts = 0;
+
+    logger.info(`WhatsApp session connected: ${session.sessionId}`);
+
+    await triggerWebhookEvent('session.connected', {
+      sessionId: session.sessionId,
+      timestamp: new Date().toISOString()
+    });
+
+    await startMessageCapture(session);
+  } catch (error) {
+    logger.warn(`Stopped waiting for WhatsApp login (${session.sessionId}):`, error.message);
+  } finally {
+    clearInterval(qrTimer);
+  }
+}
+
+// Send a session.qr event when the login QR code changes
+async function reportQrCode(session) {
+  if (session.isClosing) {
+    return;
+  }
+
+  try {
+    const qrCode = await readQrCode(session.page);
+
+    if (qrCode && qrCode !== session.lastQrCode) {
+      session.lastQrCode = qrCode;
+
+      await triggerWebhookEvent('session.qr', {
+        sessionId: session.sessionId,
+        qrCode,
+        timestamp: new Date().toISOString()
+      });
+    }
+  } catch (error) {
+    // The page may be mid-navigation; the next poll tries again
+    logger.debug(`QR code check failed (${session.sessionId}):`, error.message);
+  }
+}
+
+// Incoming message capture
+const MESSAGE_POLL_INTERVAL = parseInt(process.env.MESSAGE_POLL_INTERVAL) || 5000;
+const SEEN_MESSAGE_LIMIT = 5000;
+
+// Messages older than this when first seen are stored as history, not dispatched
+const HISTORY_GRACE_MS = 60000;
+
+// Delivery states in the order WhatsApp moves through them
+const DELIVERY_STATUSES = ['pending', 'sent', 'delivered', 'read'];
+const SEND_CONFIRM_TIMEOUT = parseInt(process.env.SEND_CONFIRM_TIMEOUT) || 10000;
+
+// Selector lists handed to the in-page observer
+function getCaptureSelectors() {
+  const elements = [
+    'conversationPanel', 'messageRow', 'messageMeta', 'messageText', 'messageImage', 'messageDocument', 'chatTitle',
+    'tickPending', 'tickSent', 'tickDelivered', 'tickRead', 'tickFailed'
+  ];
+  return Object.fromEntries(elements.map(element => [element, getSelector(element)]));
+}
+
+// Runs inside WhatsApp Web: watches the open conversation and reports new rows and tick changes
+function installMessageObserver(selectors) {
+  if (window.__waBotObserver) return;
+
+  // Read the tick icon of an outgoing row
+  const readTick = row => {
+    if (row.querySelector(selectors.tickFailed)) return 'failed';
+    if (row.querySelector(selectors.tickRead)) return 'read';
+    if (row.querySelector(selectors.tickDelivered)) return 'delivered';
+    if (row.querySelector(selectors.tickSent)) return 'sent';
+    if (row.querySelector(selectors.tickPending)) return 'pending';
+    return null;
+  };
+
+  const reported = new Set();
+  const receipts = new Map();
+
+  const scan = () => {
+    const panel = document.querySelector(selectors.conversationPanel);
+    if (!panel || typeof window.__waBotReportMessages !== 'function') return;
+
+    const title = document.querySelector(selectors.chatTitle);
+    const batch = [];
+    const receiptBatch = [];
+
+    panel.querySelectorAll(selectors.messageRow).forEach(row => {
+      const id = row.getAttribute('data-id');
+      if (!id) return;
+
+      if (id.startsWith('true_')) {
+        const status = readTick(row);
+        if (status && receipts.get(id) !== status) {
+          receipts.set(id, status);
+          receiptBatch.push({ id, status });
+        }
+      }
+
+      if (reported.has(id)) return;
+      reported.add(id);
+
+      // data-id looks like "false_<chat>@c.us_<key>" or "false_<group>@g.us_<key>_<participant>@c.us"
+      const [fromMe, chatId = '', , participant] = id.split('_');
+      const meta = row.querySelector(selectors.messageMeta);
+      const prePlain = meta ? meta.getAttribute('data-pre-plain-text') : '';
+      const match = prePlain.match(/^\[([^\]]+)\]\s*(.*?):\s*$/);
+      const text = row.querySelector(selectors.messageText);
+
+      let messageType = 'text';
+      if (row.querySelector(selectors.messageImage)) messageType = 'image';
+      else if (row.querySelector(selectors.messageDocument)) messageType = 'document';
+
+      batch.push({
+        id,
+        chatId,
+        chatName: title ? title.textContent.trim() : null,
+        senderId: participant || null,
+        senderName: match ? match[2] : null,
+        sentAt: match ? match[1] : null,
+        content: text ? text.innerText : '',
+        messageType,
+        isFromMe: fromMe === 'true',
+        isGroup: chatId.endsWith('@g.us')
+      });
+    });
+
+    if (batch.length > 0) {
+      window.__waBotReportMessages(batch);
+    }
+
+    if (receiptBatch.length > 0 && typeof window.__waBotReportReceipts === 'function') {
+      window.__waBotReportReceipts(receiptBatch);
+    }
+  };
+
+  let timer = null;
+  const observer = new MutationObserver(() => {
+    clearTimeout(timer);
+    timer = setTimeout(scan, 250);
+  });
+  // Tick icons change by attribute, not by adding nodes
+  observer.observe(document.documentElement, {
+    childList: true,
+    subtree: true,
+    attributes: true,
+    attributeFilter: ['data-icon', 'aria-label']
+  });
+
+  window.__waBotObserver = observer;
+  window.__waBotScan = scan;
+  window.__waBotReadTick = readTick;
+  scan();
+}
+
+// Start observing a connected session for incoming messages
+async function startMessageCapture(session) {
+  const { page, sessionId } = session;
+
+  if (session.captureStarted) return;
+  session.captureStarted = true;
+  session.capturedSince = Date.now();
+  session.seenMessageIds = new Set();
+
+  try {
+    await page.exposeFunction('__waBotReportMessages', async (batch) => {
+      for (const rawData of batch) {
+        await handleIncomingMessage(session, rawData);
+      }
+    });
+
+    await page.exposeFunction('__waBotReportReceipts', async (batch) => {
+      for (const receipt of batch) {
+        await handleReceipt(session, receipt);
+      }
+    });
+
+    // Reinstall the observer after reloads, and install it now for the current page
+    const selectors = getCaptureSelectors();
+    await page.addInitScript(installMessageObserver, selectors);
+    await page.evaluate(installMessageObserver, selectors);
+
+    // The observer only sees the open chat, so poll the chat list for unread ones
+    session.pollTimer = setInterval(() => pollUnreadChats(session), MESSAGE_POLL_INTERVAL);
+
+    logger.info(`Message capture started (${sessionId})`);
+  } catch (error) {
+    session.captureStarted = false;
+    logger.error(`Failed to start message capture (${sessionId}):`, error);
+  }
+}
+
+// Stop polling for a session
+function stopMessageCapture(session) {
+  if (session.pollTimer) {
+    clearInterval(session.pollTimer);
+    session.pollTimer = null;
+  }
+  session.captureStarted = false;
+}
+
+// Open each chat with an unread badge so the observer can read it
+async function pollUnreadChats(session) {
+  if (session.isPolling || session.isClosing) return;
+  session.isPolling = true;
+
+  try {
+    await runExclusive(session, async () => {
+      const { page } = session;
+
+      // Re-query after each click because opening a chat re-renders the list
+      for (let i = 0; i < 20; i++) {
+        const unreadChat = await findElement(page, 'unreadChat');
+        if (!unreadChat) break;
+
+        await unreadChat.click();
+        await waitForElement(page, 'conversationPanel');
+        await page.evaluate(() => window.__waBotScan && window.__waBotScan());
+      }
+    });
+  } catch (error) {
+    logger.warn(`Unread chat poll failed (${session.sessionId}):`, error.message);
+  } finally {
+    session.isPolling = false;
+  }
+}
+
+// Serialize UI work per session so polling never interleaves with a send
+function runExclusive(session, task) {
+  const run = (session.uiLock || Promise.resolve()).then(task, task);
+  session.uiLock = run.catch(() => {});
+  return run;
+}
+
+// Dates a WhatsApp "HH:MM, D/M/YYYY" label can mean. The label follows the browser locale, so
+// 03/04/2024 is either 3 April or 4 March; both readings are returned unless one is impossible
+function readWhatsAppTimestamp(label) {
+  const match = label && label.match(/(\d{1,2}):(\d{2})(?:\s*([AP]M))?,\s*(\d{1,2})\/(\d{1,2})\/(\d{4})/i);
+  if (!match) return [];
+
+  const [, hourText, minute, meridiem, first, second, year] = match;
+  let hour = parseInt(hourText);
+  if (meridiem) {
+    hour = (hour % 12) + (meridiem.toUpperCase() === 'PM' ? 12 : 0);
+  }
+
+  const orders = first === second ? [[first, second]] : [[first, second], [second, first]];
+
+  return orders
+    .map(([day, month]) => {
+      const date = new Date(parseInt(year), parseInt(month) - 1, parseInt(day), hour, parseInt(minute));
+      // Rolled-over dates such as month 13 are impossible readings
+      return date.getDate() === parseInt(day) && date.getMonth() === parseInt(month) - 1 ? date : null;
+    })
+    .filter(Boolean);
+}
+
+// Persist a captured message and fan it out to handlers, webhooks and AI
+async function handleIncomingMessage(session, rawData) {
+  try {
+    if (!rawData.id || session.seenMessageIds.has(rawData.id)) {
+      return;
+    }
+
+    session.seenMessageIds.add(rawData.id);
+    if (session.seenMessageIds.size > SEEN_MESSAGE_LIMIT) {
+      session.seenMessageIds.delete(session.seenMessageIds.values().next().value);
+    }
+
+    // Already stored by an earlier run
+    if (await getMessageById(rawData.id)) {
+      return;
+    }
+
+    // An ambiguous day/month order is not guessed; the capture time is stored instead
+    const readings = readWhatsAppTimestamp(rawData.sentAt);
+    const timestamp = readings.length === 1 ? readings[0].toISOString() : new Date().toISOString();
+    const message = parseMessageData({ ...rawData, timestamp, sessionId: session.sessionId });
+
+    await saveMessage(message);
+
+    // Rows that were already on screen when capture started are history, whichever way the date reads
+    const historyBefore = session.capturedSince - HISTORY_GRACE_MS;
+    if (readings.length > 0 && readings.every(date => date.getTime() < historyBefore)) {
+      return;
+    }
+
+    for (const handler of messageHandlers) {
+      try {
+        await handler(message);
+      } catch (error) {
+        logger.error('Message handler failed:', error);
+      }
+    }
+
+    await triggerWebhooks(message);
+
+    // Opt-out requests are confirmed and never passed to the AI
+    if (await handleOptOut(message)) {
+      return;
+    }
+
+    // A chat inside a flow is driven by the flow; a trigger can start one
+    const { handleFlowMessage } = await import('./flows.js');
+    if (await handleFlowMessage(message, getReplyRecipient(message))) {
+      return;
+    }
+
+    // A matching auto-reply rule answers instead of the AI
+    const { applyAutoReplyRules } = await import('./rules.js');
+    if (await applyAutoReplyRules(message, getReplyRecipient(message))) {
+      return;
+    }
+
+    await processWithAI(message);
+  } catch (error) {
+    logger.error(`Failed to handle incoming message (${session.sessionId}):`, error);
+  }
+}
+
+// Record a tick change for a message sent through the queue
+async function handleReceipt(session, receipt, isRetry = false) {
+  const { id, status } = receipt;
+
+  try {
+    const job = await getQueueJobByMessageId(id);
+
+    if (!job) {
+      // The worker may not have stored the message ID yet; try once more shortly
+      if (!isRetry) {
+        setTimeout(() => handleReceipt(session, receipt, true), 2000);
+      }
+      return;
+    }
+
+    const events = await getMessageStatusEvents(job.job_id);
+    const lastStatus = events.length > 0 ? events[events.length - 1].status : null;
+
+    if (!isStatusAdvance(lastStatus, status)) {
+      return;
+    }
+
+    await recordDeliveryStatus(job, status, session.sessionId);
+  } catch (error) {
+    logger.error(`Failed to handle receipt for ${id}:`, error);
+  }
+}
+
+// Ticks only move forward; a failure ends tracking
+function isStatusAdvance(current, next) {
+  if (current === 'failed') return false;
+  if (next === 'failed') return true;
+  return DELIVERY_STATUSES.indexOf(next) > DELIVERY_STATUSES.indexOf(current);
+}
+
+// Store a delivery transition, update the job and notify webhooks
+async function recordDeliveryStatus(job, status, sessionId) {
+  const now = new Date().toISOString();
+
+  await saveMessageStatusEvent({
+    jobId: job.job_id,
+    messageId: job.whatsapp_message_id,
+    sessionId,
+    status
+  });
+
+  const payload = {
+    jobId: job.job_id,
+    messageId: job.whatsapp_message_id,
+    sessionId,
+    recipient: job.recipient,
+    status,
+    timestamp: now
+  };
+
+  switch (status) {
+    case 'delivered':
+      await updateQueueJob(job.job_id, { status: 'delivered', delivered_at: now });
+      await triggerWebhookEvent('message.delivered', payload);
+      break;
+
+    case 'read':
+      await updateQueueJob(job.job_id, {
+        status: 'read',
+        delivered_at: job.delivered_at || now,
+        read_at: now
+      });
+      await triggerWebhookEvent('message.read', payload);
+      break;
+
+    case 'failed':
+      await updateQueueJob(job.job_id, {
+        status: 'failed',
+        error_message: 'WhatsApp could not send the message'
+      });
+      break;
+  }
+}
+
+// Parse raw message data from the page
+function parseMessageData(rawData) {
+  try {
+    const {
+      id,
+      chatId,
+      chatName,
+      senderId,
+      senderName,
+      messageType,
+      content,
+      timestamp,
+      isFromMe,
+      mediaUrl,
       mediaType,
       mediaSize,
       thumbnailUrl,
-      isGroup = false
+      isGroup = false,
+      sessionId = DEFAULT_SESSION_ID
     } = rawData;
 
     return {
       messageId: id || uuidv4(),
+      sessionId,
       chatId: chatId || 'unknown',
       chatName: chatName || (isGroup ? 'Group Chat' : 'Personal Chat'),
-      senderId: isFromMe ? 'me' : (senderName || 'unknown'),
+      senderId: isFromMe ? 'me' : (senderId || (isGroup ? senderName : chatId) || 'unknown'),
       senderName: isFromMe ? 'Me' : (senderName || 'Unknown'),
       messageType: messageType || 'text',
       content: content || '',
@@ -25,6 +637,7 @@
     logger.error('Failed to parse message data:', error);
     return {
       messageId: uuidv4(),
+      sessionId: DEFAULT_SESSION_ID,
       chatId: 'unknown',
       chatName: 'Unknown Chat',
       senderId: 'unknown',
@@ -44,29 +657,7 @@
 
 // Trigger webhooks
 async function triggerWebhooks(message) {
-  try {
-    if (process.env.WEBHOOK_ENABLED !== 'true') {
-      return;
-    }
-
-    const webhooks = await getWebhooks();
-    
-    for (const webhook of webhooks) {
-      if (webhook.events.includes('message.new')) {
-        try {
-          await sendWebhook(webhook.url, {
-            event: 'message.new',
-            timestamp: new Date().toISOString(),
-            data: message
-          }, webhook.secret);
-        } catch (error) {
-          logger.error('Webhook trigger failed:', error);
-        }
-      }
-    }
-  } catch (error) {
-    logger.error('Failed to trigger webhooks:', error);
-  }
+  await triggerWebhookEvent('message.new', message);
 }
 
 // Process message with AI
@@ -82,92 +673,146 @@ async function processWithAI(message) {
       message: message.content,
       chatId: message.chatId,
       senderName: message.senderName,
-      isGroup: message.isGroup
+      senderId: message.senderId,
+      sessionId: message.sessionId,
+      isGroup: message.isGroup,
+      recipient: getReplyRecipient(message)
     });
 
-    if (response && response.content) {
-      // Add response to queue
+    if (response) {
+      // Queue the reply, or hold it as a draft or hand the chat to a person
+      const { deliverAIReply } = await import('./aiHandoff.js');
+      await deliverAIReply(message, response, getReplyRecipient(message));
+    }
+  } catch (error) {
+    logger.error('Failed to process message with AI:', error);
+  }
+}
+
+// Suppress a sender who replied with an opt-out keyword and confirm it once
+async function handleOptOut(message) {
+  if (message.isFromMe || message.isGroup) {
+    return false;
+  }
+
+  const keyword = matchOptOutKeyword(message.content);
+  if (!keyword) {
+    return false;
+  }
+
+  try {
+    const phone = getReplyRecipient(message);
+    const added = await suppressPhone(phone, { reason: 'keyword', keyword, messageId: message.messageId });
+
+    logger.info(`Opt-out received from ${phone} (${keyword})`);
+
+    if (added) {
       const { addMessageToQueue } = await import('./queue.js');
-      
+
       await addMessageToQueue({
-        recipient: message.chatId,
-        content: response.content,
-        jobType: 'send_message'
+        recipient: phone,
+        content: OPT_OUT_CONFIRMATION,
+        jobType: 'send_message',
+        priority: 'high',
+        sessionId: message.sessionId,
+        ignoreSuppression: true
       });
     }
   } catch (error) {
-    logger.error('Failed to process message with AI:', error);
+    logger.error('Failed to handle opt-out:', error);
+  }
+
+  return true;
+}
+
+// Search term that reopens the chat a message came from
+function getReplyRecipient(message) {
+  // Groups are found by name, personal chats by their exact phone number
+  if (message.isGroup) {
+    return message.chatName;
   }
+  return `+${message.chatId.split('@')[0]}`;
 }
 
 // Setup page event listeners
-function setupPageEventListeners() {
-  if (!page) return;
+function setupPageEventListeners(session) {
+  const { page, sessionId } = session;
 
   page.on('close', () => {
-    logger.warn('Page closed unexpectedly');
-    handleDisconnection();
+    if (session.isClosing) return;
+    logger.warn(`Page closed unexpectedly (${sessionId})`);
+    handleDisconnection(session);
   });
 
   page.on('crash', () => {
-    logger.error('Page crashed');
-    handleDisconnection();
+    logger.error(`Page crashed (${sessionId})`);
+    handleDisconnection(session);
   });
 
   page.on('console', msg => {
     if (msg.type() === 'error') {
-      logger.error('Browser console error:', msg.text());
+      logger.error(`Browser console error (${sessionId}):`, msg.text());
     }
   });
 
   page.on('pageerror', error => {
-    logger.error('Page error:', error.message);
+    logger.error(`Page error (${sessionId}):`, error.message);
   });
 }
 
 // Handle disconnection
-async function handleDisconnection() {
+async function handleDisconnection(session) {
+  const { sessionId } = session;
+
   try {
-    logger.warn('WhatsApp disconnected, attempting to reconnect...');
+    logger.warn(`WhatsApp session ${sessionId} disconnected, attempting to reconnect...`);
     
     // Update session status
-    await updateSessionStatus('main', 'disconnected');
+    await updateSessionStatus(sessionId, 'disconnected');
+
+    await triggerWebhookEvent('session.disconnected', {
+      sessionId,
+      reason: 'connection_lost',
+      timestamp: new Date().toISOString()
+    });
     
     // Close existing browser
-    if (browser) {
-      await browser.close();
-    }
+    session.isClosing = true;
+    sessions.delete(sessionId);
+    stopMessageCapture(session);
+    await session.context.close().catch(() => {});
     
     // Exponential backoff for reconnection
-    reconnectAttempts++;
+    const reconnectAttempts = session.reconnectAttempts + 1;
     const backoffTime = Math.min(1000 * Math.pow(2, reconnectAttempts), 30000); // Max 30 seconds
     
-    logger.info(`Waiting ${backoffTime}ms before reconnection attempt ${reconnectAttempts}`);
+    logger.info(`Waiting ${backoffTime}ms before reconnection attempt ${reconnectAttempts} (${sessionId})`);
     
     await new Promise(resolve => setTimeout(resolve, backoffTime));
     
     // Reinitialize
-    await initWhatsAppBot();
+    const restarted = await startSession(sessionId);
+    restarted.reconnectAttempts = reconnectAttempts;
     
   } catch (error) {
-    logger.error('Failed to handle disconnection:', error);
+    logger.error(`Failed to handle disconnection (${sessionId}):`, error);
   }
 }
 
 // Send message
-export async function sendMessage(recipient, content, mediaUrl = null, mediaType = null) {
+export async function sendMessage(recipient, content, mediaUrl = null, mediaType = null, sessionId = DEFAULT_SESSION_ID) {
   try {
-    if (!isInitialized || !page) {
-      throw new Error('WhatsApp bot not initialized');
-    }
+    const session = getLiveSession(sessionId);
+    const { page } = session;
 
-    logger.info(`Sending message to ${recipient}: ${content}`);
+    logger.info(`Sending message to ${recipient} via ${sessionId}: ${content}`);
 
-    if (mediaUrl && mediaType) {
-      return await sendMediaMessage(recipient, mediaUrl, mediaType, content);
-    } else {
-      return await sendTextMessage(recipient, content);
-    }
+    return await runExclusive(session, () => {
+      if (mediaUrl && mediaType) {
+        return sendMediaMessage(page, recipient, mediaUrl, mediaType, content);
+      }
+      return sendTextMessage(page, recipient, content);
+    });
   } catch (error) {
     logger.error('Failed to send message:', error);
     throw error;
@@ -175,27 +820,29 @@ export async function sendMessage(recipient, content, mediaUrl = null, mediaType
 }
 
 // Send text message
-async function sendTextMessage(recipient, content) {
+async function sendTextMessage(page, recipient, content) {
   try {
     // Open chat
-    await openChat(recipient);
+    await openChat(page, recipient);
     
     // Type message
-    const messageInput = await page.waitForSelector('[data-testid=\"compose-box-input\"]', { timeout: 5000 });
+    const messageInput = await waitForElement(page, 'composeBoxInput');
     await messageInput.fill(content);
     
     // Send message
-    const sendButton = await page.waitForSelector('[data-testid=\"send-button\"]', { timeout: 5000 });
+    const previousIds = await getOutgoingMessageIds(page);
+    const sendButton = await waitForElement(page, 'sendButton');
     await sendButton.click();
     
-    // Wait for message to be sent
-    await page.waitForTimeout(1000);
+    // Wait for the new bubble so we get WhatsApp's own message ID
+    const sent = await waitForSentMessage(page, previousIds);
     
-    logger.info(`Text message sent to ${recipient}`);
+    logger.info(`Text message sent to ${recipient}`, { messageId: sent.messageId, status: sent.status });
     
     return {
       success: true,
-      messageId: uuidv4(),
+      messageId: sent.messageId,
+      status: sent.status,
       timestamp: new Date().toISOString()
     };
   } catch (error) {
@@ -204,87 +851,140 @@ async function sendTextMessage(recipient, content) {
   }
 }
 
+// Attach menu entry for each supported media type
+const ATTACH_MENU_ITEMS = {
+  image: 'attachImage',
+  video: 'attachVideo',
+  document: 'attachDocument'
+};
+
 // Send media message
-async function sendMediaMessage(recipient, mediaUrl, mediaType, caption = '') {
+async function sendMediaMessage(page, recipient, mediaUrl, mediaType, caption = '') {
+  // The file input takes a local path, so URLs are downloaded first
+  let download = null;
+
   try {
+    if (!MEDIA_TYPES.includes(mediaType)) {
+      throw new Error(`Unsupported media type: ${mediaType}`);
+    }
+
+    if (/^https?:\/\//i.test(mediaUrl)) {
+      download = await downloadMedia(mediaUrl);
+    }
+
     // Open chat
-    await openChat(recipient);
+    await openChat(page, recipient);
     
     // Click attachment button
-    const attachButton = await page.waitForSelector('[data-testid=\"attach-button\"]', { timeout: 5000 });
+    const attachButton = await waitForElement(page, 'attachButton');
     await attachButton.click();
     
     // Wait for menu to appear
     await page.waitForTimeout(500);
     
-    // Choose appropriate media type
-    let mediaSelector;
-    switch (mediaType) {
-      case 'image':
-        mediaSelector = '[data-testid=\"attach-image\"]';
-        break;
-      case 'video':
-        mediaSelector = '[data-testid=\"attach-video\"]';
-        break;
-      case 'document':
-        mediaSelector = '[data-testid=\"attach-document\"]';
-        break;
-      default:
-        throw new Error(`Unsupported media type: ${mediaType}`);
-    }
-    
-    const mediaButton = await page.waitForSelector(mediaSelector, { timeout: 5000 });
+    const mediaButton = await waitForElement(page, ATTACH_MENU_ITEMS[mediaType]);
     await mediaButton.click();
     
-    // Handle file input (this is a simplified version)
-    const fileInput = await page.waitForSelector('input[type=\"file\"]', { timeout: 5000 });
-    await fileInput.setInputFiles(mediaUrl);
+    const fileInput = await waitForElement(page, 'fileInput', { state: 'attached' });
+    await fileInput.setInputFiles(download ? download.filePath : mediaUrl);
     
     // Wait for upload to complete
     await page.waitForTimeout(2000);
     
     // Add caption if provided
     if (caption) {
-      const captionInput = await page.waitForSelector('[data-testid=\"caption-input\"]', { timeout: 5000 });
+      const captionInput = await waitForElement(page, 'captionInput');
       await captionInput.fill(caption);
     }
     
     // Send message
-    const sendButton = await page.waitForSelector('[data-testid=\"send-button\"]', { timeout: 5000 });
+    const previousIds = await getOutgoingMessageIds(page);
+    const sendButton = await waitForElement(page, 'sendButton');
     await sendButton.click();
     
-    // Wait for message to be sent
-    await page.waitForTimeout(2000);
+    // Wait for the new bubble so we get WhatsApp's own message ID
+    const sent = await waitForSentMessage(page, previousIds);
     
-    logger.info(`Media message sent to ${recipient}: ${mediaType}`);
+    logger.info(`Media message sent to ${recipient}: ${mediaType}`, { messageId: sent.messageId, status: sent.status });
     
     return {
       success: true,
-      messageId: uuidv4(),
+      messageId: sent.messageId,
+      status: sent.status,
       timestamp: new Date().toISOString()
     };
   } catch (error) {
     logger.error('Failed to send media message:', error);
     throw error;
+  } finally {
+    await download?.cleanup();
   }
 }
 
+// IDs of the outgoing rows in the open conversation
+async function getOutgoingMessageIds(page) {
+  const selectors = getCaptureSelectors();
+
+  return page.evaluate(({ conversationPanel, messageRow }) => {
+    const panel = document.querySelector(conversationPanel);
+    if (!panel) return [];
+
+    return Array.from(panel.querySelectorAll(messageRow))
+      .map(row => row.getAttribute('data-id'))
+      .filter(id => id && id.startsWith('true_'));
+  }, selectors);
+}
+
+// Wait for the bubble a send created and read its WhatsApp ID and tick status
+async function waitForSentMessage(page, previousIds) {
+  const selectors = getCaptureSelectors();
+
+  const handle = await page.waitForFunction(({ selectors, previousIds }) => {
+    const panel = document.querySelector(selectors.conversationPanel);
+    if (!panel) return null;
+
+    const rows = Array.from(panel.querySelectorAll(selectors.messageRow)).filter(row => {
+      const id = row.getAttribute('data-id');
+      return id && id.startsWith('true_') && !previousIds.includes(id);
+    });
+
+    const row = rows[rows.length - 1];
+    if (!row) return null;
+
+    const status = window.__waBotReadTick ? window.__waBotReadTick(row) : null;
+    return { messageId: row.getAttribute('data-id'), status: status || 'pending' };
+  }, { selectors, previousIds }, { timeout: SEND_CONFIRM_TIMEOUT });
+
+  const sent = await handle.jsonValue();
+
+  if (sent.status === 'failed') {
+    throw new Error(`WhatsApp could not send message ${sent.messageId}`);
+  }
+
+  return sent;
+}
+
 // Open chat
-async function openChat(recipient) {
+async function openChat(page, recipient) {
   try {
+    if (isE164(recipient)) {
+      await openChatByPhone(page, recipient);
+      return;
+    }
+
     // Search for chat
-    const searchInput = await page.waitForSelector('[data-testid=\"search-input\"]', { timeout: 5000 });
+    const searchInput = await waitForElement(page, 'searchInput');
     await searchInput.fill(recipient);
     
     // Wait for search results
     await page.waitForTimeout(1000);
     
     // Click on first result
-    const chatResult = await page.waitForSelector('[data-testid=\"chat-list-item\"]', { timeout: 5000 });
+    const chatResult = await waitForElement(page, 'chatListItem');
     await chatResult.click();
     
     // Wait for chat to open
-    await page.waitForSelector('[data-testid=\"chat-container\"]', { timeout: 5000 });
+    await waitForElement(page, 'chatContainer');
     
     logger.info(`Chat opened: ${recipient}`);
   } catch (error) {
@@ -293,47 +993,123 @@ async function openChat(recipient) {
   }
 }
 
-// Get QR code
-export async function getQRCode() {
+// How long a click-to-chat link clicked inside the app gets to open its chat
+const IN_APP_CHAT_TIMEOUT = 5000;
+
+// Open a chat through WhatsApp's click-to-chat URL, which targets exactly one number. The chat is
+// reused when it is already open, and the link is followed inside the app so it does not reload
+async function openChatByPhone(page, phone) {
+  const digits = phone.slice(1);
+  const chatId = `${digits}@c.us`;
+  const link = `${WHATSAPP_URL}/send?phone=${digits}`;
+  const selectors = { ...getCaptureSelectors(), composeBoxInput: getSelector('composeBoxInput') };
+
+  const current = await page.evaluate(readOpenChat, { selectors, chatId });
+  if (current.isOpen) {
+    logger.debug(`Chat already open: ${phone}`);
+    return;
+  }
+
+  // WhatsApp Web handles its own links in place; if the browser follows it instead, that is the same reload as page.goto
+  await page.evaluate(href => {
+    const anchor = document.createElement('a');
+    anchor.href = href;
+    anchor.style.display = 'none';
+    document.body.appendChild(anchor);
+    anchor.click();
+    anchor.remove();
+  }, link);
+
   try {
-    if (!page) {
-      throw new Error('WhatsApp bot not initialized');
-    }
+    await page.waitForFunction(({ selectors, chatId, previousTitle }) => {
+      const compose = document.querySelector(selectors.composeBoxInput);
+      if (!compose || compose.getClientRects().length === 0) return false;
 
-    const qrSelector = '[data-testid=\"qrcode\"]';
-    const qrElement = await page.$(qrSelector);
-    
-    if (!qrElement) {
-      return null;
-    }
+      const panel = document.querySelector(selectors.conversationPanel);
+      const rows = panel ? Array.from(panel.querySelectorAll(selectors.messageRow)) : [];
+      if (rows.some(row => (row.getAttribute('data-id') || '').split('_')[1] === chatId)) return true;
 
-    const qrCode = await qrElement.evaluate(el => {
-      const canvas = el.querySelector('canvas');
-      return canvas ? canvas.toDataURL() : null;
-    });
+      // A chat with no messages yet shows only its header
+      const title = document.querySelector(selectors.chatTitle);
+      return Boolean(title && title.textContent.trim() && title.textContent.trim() !== previousTitle);
+    }, { selectors, chatId, previousTitle: current.title }, { timeout: IN_APP_CHAT_TIMEOUT });
 
-    return qrCode;
+    logger.info(`Chat opened by phone: ${phone}`);
+    return;
+  } catch (error) {
+    logger.debug(`Chat did not open in place (${phone}): ${error.message}`);
+  }
+
+  // Load the link from scratch so the compose box of a previously open chat cannot be mistaken for this one
+  await page.goto(link, { waitUntil: 'domcontentloaded' });
+
+  try {
+    // The whole app reloads, so allow for the chat list loading first
+    await waitForElement(page, 'composeBoxInput', { timeout: 30000 });
+  } catch (error) {
+    throw new Error(`No WhatsApp chat for ${phone}: ${error.message}`);
+  }
+
+  logger.info(`Chat opened by phone: ${phone} (reloaded)`);
+}
+
+// Runs in the page: the open chat's title, and whether it is the chat for chatId
+function readOpenChat({ selectors, chatId }) {
+  const compose = document.querySelector(selectors.composeBoxInput);
+  const title = document.querySelector(selectors.chatTitle);
+  const panel = document.querySelector(selectors.conversationPanel);
+  const rows = panel ? Array.from(panel.querySelectorAll(selectors.messageRow)) : [];
+
+  return {
+    title: title ? title.textContent.trim() : null,
+    isOpen: Boolean(compose && compose.getClientRects().length > 0) &&
+      rows.some(row => (row.getAttribute('data-id') || '').split('_')[1] === chatId)
+  };
+}
+
+// Get QR code
+export async function getQRCode(sessionId = DEFAULT_SESSION_ID) {
+  try {
+    const { page } = getLiveSession(sessionId);
+
+    return await readQrCode(page);
   } catch (error) {
     logger.error('Failed to get QR code:', error);
     throw error;
   }
 }
 
+// Login QR code as a data URL, or null once logged in
+async function readQrCode(page) {
+  const qrElement = await findElement(page, 'qrcode');
+
+  if (!qrElement) {
+    return null;
+  }
+
+  return qrElement.evaluate(el => {
+    const canvas = el.tagName === 'CANVAS' ? el : el.querySelector('canvas');
+    return canvas ? canvas.toDataURL() : null;
+  });
+}
+
 // Get session status
-export async function getSessionStatus() {
+export async function getSessionStatus(sessionId = DEFAULT_SESSION_ID) {
   try {
-    if (!isInitialized) {
+    const session = sessions.get(sessionId);
+
+    if (!session || !session.isInitialized) {
       return 'not_initialized';
     }
 
+    const { page } = session;
     if (!page || page.isClosed()) {
       return 'disconnected';
     }
 
     try {
       // Check if still logged in
-      const mainSelector = '[data-testid=\"chat-list\"]';
-      const mainExists = await page.$(mainSelector) !== null;
+      const mainExists = await findElement(page, 'chatList') !== null;
       
       return mainExists ? 'connected' : 'waiting_for_qr';
     } catch (error) {
@@ -345,6 +1121,28 @@ export async function getSessionStatus() {
   }
 }
 
+// Check the selector registry against a live session or a saved HTML fixture
+export async function testSelectors({ sessionId = DEFAULT_SESSION_ID, fixture = null } = {}) {
+  if (!fixture) {
+    const { page } = getLiveSession(sessionId);
+    return { source: `session:${sessionId}`, ...(await runSelectorSelfTest(page)) };
+  }
+
+  const html = readSelectorFixture(fixture);
+  const browser = await chromium.launch({ headless: true });
+
+  try {
+    // Block scripts and network so only the saved DOM is tested
+    const page = await browser.newPage({ javaScriptEnabled: false });
+    await page.route('**/*', route => route.abort());
+    await page.setContent(html, { waitUntil: 'domcontentloaded' });
+
+    return { source: `fixture:${fixture}`, ...(await runSelectorSelfTest(page)) };
+  } finally {
+    await browser.close();
+  }
+}
+
 // Add message handler
 export function addMessageHandler(handler) {
   messageHandlers.push(handler);
@@ -359,23 +1157,15 @@ export function removeMessageHandler(handler) {
 }
 
 // Reconnect manually
-export async function reconnect() {
+export async function reconnect(sessionId = DEFAULT_SESSION_ID) {
   try {
-    logger.info('Manual reconnection initiated');
+    logger.info(`Manual reconnection initiated (${sessionId})`);
     
     // Close existing browser
-    if (browser) {
-      await browser.close();
-    }
-    
-    // Reset state
-    browser = null;
-    context = null;
-    page = null;
-    isInitialized = false;
+    await stopSession(sessionId);
     
     // Reinitialize
-    await initWhatsAppBot();
+    await startSession(sessionId);
     
     return true;
   } catch (error) {
@@ -389,11 +1179,10 @@ export async function cleanup() {
   try {
     logger.info('Cleaning up WhatsApp bot...');
     
-    if (browser) {
-      await browser.close();
+    for (const sessionId of getActiveSessionIds()) {
+      await stopSession(sessionId);
     }
     
-    isInitialized = false;
     messageHandlers = [];
     
     logger.info('WhatsApp bot cleanup complete');
@@ -108,6 +108,7 @@ function navigateToPage(page) {
         'send': 'Send Message',
         'queue': 'Queue',
         'webhooks': 'Webhooks',
+        'inbox': 'AI Inbox',
         'ai': 'AI Settings'
     };
     
@@ -145,6 +146,9 @@ function loadPageData(page) {
         case 'webhooks':
             loadWebhooksData();
             break;
+        case 'inbox':
+            loadInboxData();
+            break;
         case 'ai':
             loadAIData();
             break;
@@ -523,6 +527,11 @@ async function loadQueueData() {
         if (response && response.success) {
             displayQueueJobs(response.data);
         }
+        
+        const schedulesResponse = await apiRequest('/schedules?status=scheduled');
+        if (schedulesResponse && schedulesResponse.success) {
+            displaySchedules(schedulesResponse.data);
+        }
     } catch (error) {
         console.error('Error loading queue data:', error);
     }
@@ -589,6 +598,49 @@ function createQueueJobElement(job) {
     return div;
 }
 
+// Display upcoming scheduled sends
+function displaySchedules(schedules) {
+    const container = document.getElementById('scheduleList');
+    container.innerHTML = '';
+    
+    if (schedules.length === 0) {
+        container.innerHTML = '<p class="text-gray-500 text-center">No upcoming sends</p>';
+        return;
+    }
+    
+    schedules.forEach(schedule => {
+        const div = document.createElement('div');
+        div.className = 'p-4 border rounded-lg hover:bg-gray-50 fade-in';
+        
+        div.innerHTML = `
+            <div class="flex items-start justify-between">
+                <div class="flex-1">
+                    <div class="flex items-center mb-2">
+                        <span class="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-purple-100 text-purple-800">
+                            ${schedule.cron ? 'recurring' : 'once'}
+                        </span>
+                        <span class="ml-2 text-sm text-gray-500">${schedule.jobType}</span>
+                        ${schedule.cron ? `<span class="ml-2 text-xs text-gray-500">${schedule.cron} (${schedule.timezone})</span>` : ''}
+                    </div>
+                    <p class="text-sm text-gray-600 mb-1">Recipient: ${schedule.recipient}</p>
+                    ${schedule.content ? `<p class="text-sm text-gray-500 mb-1">${schedule.content}</p>` : ''}
+                    <div class="flex items-center text-xs text-gray-500">
+                        <span>Next: ${new Date(schedule.nextRunAt).toLocaleString()}</span>
+                        ${schedule.runCount > 0 ? `<span class="ml-2">Runs: ${schedule.runCount}</span>` : ''}
+                    </div>
+                </div>
+                <div class="ml-4 flex space-x-2">
+                    <button onclick="cancelSchedule('${schedule.scheduleId}')" class="text-red-600 hover:text-red-800">
+                        <i class="fas fa-times"></i>
+                    </button>
+                </div>
+            </div>
+        `;
+        
+        container.appendChild(div);
+    });
+}
+
 // Queue management functions
 async function pauseQueue() {
     try {
@@ -655,18 +707,193 @@ async function cancelJob(jobId) {
     }
 }
 
+async function cancelSchedule(scheduleId) {
+    try {
+        const response = await apiRequest(`/schedules/${scheduleId}`, { method: 'DELETE' });
+        if (response && response.success) {
+            showToast('Schedule cancelled successfully', 'success');
+            loadQueueData();
+        }
+    } catch (error) {
+        console.error('Error cancelling schedule:', error);
+        showToast('Error cancelling schedule', 'error');
+    }
+}
+
+// Load pending AI drafts and open handoffs
+async function loadInboxData() {
+    try {
+        const draftsResponse = await apiRequest('/ai/drafts?status=pending');
+        if (draftsResponse && draftsResponse.success) {
+            displayDrafts(draftsResponse.data);
+        }
+        
+        const handoffsResponse = await apiRequest('/ai/handoffs?status=open');
+        if (handoffsResponse && handoffsResponse.success) {
+            displayHandoffs(handoffsResponse.data);
+        }
+    } catch (error) {
+        console.error('Error loading inbox data:', error);
+    }
+}
+
+// Display pending drafts with an editable reply
+function displayDrafts(drafts) {
+    const container = document.getElementById('draftList');
+    container.innerHTML = '';
+    
+    if (drafts.length === 0) {
+        container.innerHTML = '<p class="text-gray-500 text-center">No drafts waiting for approval</p>';
+        return;
+    }
+    
+    drafts.forEach(draft => {
+        const div = document.createElement('div');
+        div.className = 'p-4 border rounded-lg hover:bg-gray-50 fade-in';
+        
+        div.innerHTML = `
+            <div class="flex items-center justify-between mb-2">
+                <span class="text-sm font-medium text-gray-700">${escapeHtml(draft.sender_name || draft.recipient)}</span>
+                <span class="text-xs text-gray-500">
+                    ${draft.confidence !== null ? `Confidence ${Math.round(draft.confidence * 100)}% · ` : ''}${formatDate(draft.created_at)}
+                </span>
+            </div>
+            ${draft.message ? `<p class="text-sm text-gray-600 mb-2"><i class="fas fa-comment mr-1"></i>${escapeHtml(draft.message)}</p>` : ''}
+            <textarea id="draftContent-${draft.id}" rows="3" class="w-full px-3 py-2 border rounded-lg text-sm">${escapeHtml(draft.content)}</textarea>
+            ${draft.citations.length > 0 ? `<p class="text-xs text-gray-500 mt-1">Sources: ${draft.citations.map(c => escapeHtml(`[${c.index}] ${c.title}`)).join(', ')}</p>` : ''}
+            <div class="flex justify-end space-x-2 mt-2">
+                <button onclick="rejectDraft(${draft.id})" class="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700">
+                    <i class="fas fa-times mr-2"></i>Reject
+                </button>
+                <button onclick="approveDraft(${draft.id})" class="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700">
+                    <i class="fas fa-check mr-2"></i>Approve &amp; Send
+                </button>
+            </div>
+        `;
+        
+        container.appendChild(div);
+    });
+}
+
+// Display chats the AI handed to a person
+function displayHandoffs(handoffs) {
+    const container = document.getElementById('handoffList');
+    container.innerHTML = '';
+    
+    if (handoffs.length === 0) {
+        container.innerHTML = '<p class="text-gray-500 text-center">No chats waiting for a human</p>';
+        return;
+    }
+    
+    handoffs.forEach(handoff => {
+        const div = document.createElement('div');
+        div.className = 'p-4 border rounded-lg hover:bg-gray-50 fade-in';
+        
+        div.innerHTML = `
+            <div class="flex items-start justify-between">
+                <div class="flex-1">
+                    <div class="flex items-center mb-2">
+                        <span class="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-orange-100 text-orange-800">
+                            ${escapeHtml(handoff.reason)}
+                        </span>
+                        <span class="ml-2 text-sm text-gray-600">${escapeHtml(handoff.recipient || handoff.chat_id)}</span>
+                    </div>
+                    ${handoff.message ? `<p class="text-sm text-gray-500 mb-1">${escapeHtml(handoff.message)}</p>` : ''}
+                    ${handoff.detail ? `<p class="text-xs text-gray-500 mb-1">${escapeHtml(handoff.detail)}</p>` : ''}
+                    <span class="text-xs text-gray-500">${formatDate(handoff.created_at)}</span>
+                </div>
+                <button onclick="resolveHandoff(${handoff.id})" class="ml-4 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700">
+                    <i class="fas fa-robot mr-2"></i>Back to AI
+                </button>
+            </div>
+        `;
+        
+        container.appendChild(div);
+    });
+}
+
+async function approveDraft(draftId) {
+    try {
+        const content = document.getElementById(`draftContent-${draftId}`).value;
+        const response = await apiRequest(`/ai/drafts/${draftId}/approve`, {
+            method: 'POST',
+            body: JSON.stringify({ content })
+        });
+        if (response && response.success) {
+            showToast('Reply sent to the queue', 'success');
+        } else if (response) {
+            showToast(response.error || 'Error approving draft', 'error');
+        }
+        loadInboxData();
+    } catch (error) {
+        console.error('Error approving draft:', error);
+        showToast('Error approving draft', 'error');
+    }
+}
+
+async function rejectDraft(draftId) {
+    try {
+        const response = await apiRequest(`/ai/drafts/${draftId}/reject`, { method: 'POST' });
+        if (response && response.success) {
+            showToast('Draft rejected', 'success');
+        } else if (response) {
+            showToast(response.error || 'Error rejecting draft', 'error');
+        }
+        loadInboxData();
+    } catch (error) {
+        console.error('Error rejecting draft:', error);
+        showToast('Error rejecting draft', 'error');
+    }
+}
+
+async function resolveHandoff(handoffId) {
+    try {
+        const response = await apiRequest(`/ai/handoffs/${handoffId}/resolve`, { method: 'POST' });
+        if (response && response.success) {
+            showToast('Chat handed back to the AI', 'success');
+            loadInboxData();
+        }
+    } catch (error) {
+        console.error('Error resolving handoff:', error);
+        showToast('Error resolving handoff', 'error');
+    }
+}
+
 // Load webhooks data
 async function loadWebhooksData() {
     try {
-        const response = await apiRequest('/webhook');
+        const [response, events] = await Promise.all([
+            apiRequest('/webhook'),
+            apiRequest('/webhook/events')
+        ]);
         if (response && response.success) {
             displayWebhooks(response.data);
         }
+        if (events && events.success) {
+            displayWebhookEventOptions(events.data);
+        }
     } catch (error) {
         console.error('Error loading webhooks data:', error);
     }
 }
 
+// Fill the event checkboxes from the server's event catalogue
+function displayWebhookEventOptions(events) {
+    const container = document.getElementById('webhookEventOptions');
+    container.querySelectorAll('.webhook-event-option').forEach(option => option.remove());
+
+    events.forEach(({ event, description }) => {
+        const label = document.createElement('label');
+        label.className = 'flex items-center webhook-event-option';
+        label.title = description;
+        label.innerHTML = `
+            <input type="checkbox" value="${event}" class="webhook-event mr-2">
+            <span class="text-sm">${event}</span>
+        `;
+        container.appendChild(label);
+    });
+}
+
 // Display webhooks
 function displayWebhooks(webhooks) {
     const container = document.getElementById('webhookList');
@@ -742,6 +969,10 @@ async function addWebhook(e) {
         
         if (response && response.success) {
             showToast('Webhook added successfully', 'success');
+            if (!webhookData.secret) {
+                // Generated secrets are shown once and cannot be read back later
+                window.prompt('Signing secret for this webhook. Copy it now; it will not be shown again.', response.secret);
+            }
             e.target.reset();
             loadWebhooksData();
         } else {
@@ -940,6 +1171,13 @@ function startRefreshIntervals() {
             loadQueueData();
         }
     }, 15000); // 15 seconds
+    
+    // AI inbox refresh; skipped while a draft is being edited so the text is not lost
+    refreshIntervals.inbox = setInterval(() => {
+        if (currentPage === 'inbox' && !document.activeElement?.id?.startsWith('draftContent-')) {
+            loadInboxData();
+        }
+    }, 15000); // 15 seconds
 }
 
 // Update current time
@@ -1031,6 +1269,12 @@ function logout() {
 }
 
 // Utility functions
+function escapeHtml(value) {
+    const div = document.createElement('div');
+    div.textContent = value ?? '';
+    return div.innerHTML;
+}
+
 function debounce(func, wait) {
     let timeout;
     return function executedFunction(...args) {
@@ -1058,4 +1302,8 @@ function filterMessages() {
 // Make functions globally available
 window.retryJob = retryJob;
 window.cancelJob = cancelJob;
+window.cancelSchedule = cancelSchedule;
+window.approveDraft = approveDraft;
+window.rejectDraft = rejectDraft;
+window.resolveHandoff = resolveHandoff;
 window.deleteWebhook = deleteWebhook;
\ No newline at end of file
@@ -1,15 +1,23 @@
-import { Queue, Worker, Job } from 'bullmq';
+import { Queue, Worker, Job, DelayedError } from 'bullmq';
 import { v4 as uuidv4 } from 'uuid';
 import { logger } from './utils/logger.js';
-import { saveQueueJob, updateQueueJob } from './db.js';
-
-// Redis connection configuration
-const redisConfig = {
-  host: process.env.REDIS_HOST || 'localhost',
-  port: parseInt(process.env.REDIS_PORT) || 6379,
-  password: process.env.REDIS_PASSWORD || undefined,
-  db: 0
-};
+import {
+  saveQueueJob,
+  updateQueueJob,
+  saveMessageStatusEvent,
+  saveSchedule,
+  getSchedule,
+  getDueSchedules,
+  updateSchedule
+} from './db.js';
+import { sendMessage, DEFAULT_SESSION_ID } from './playwright.js';
+import { resolveContact } from './contacts.js';
+import { getSuppressionReason } from './suppressions.js';
+import { initRateGovernor, evaluateSend } from './rateGovernor.js';
+import { resolveSchedule, getNextCronRun } from './utils/schedule.js';
+import { ValidationError } from './middleware/errorHandler.js';
+import { redisConfig } from './utils/redis.js';
+import { triggerWebhookEvent } from './webhooks.js';
 
 // Create queue instance
 export const queue = new Queue('whatsapp-message-queue', {
@@ -25,6 +33,12 @@ export const queue = new Queue('whatsapp-message-queue', {
   }
 });
 
+// How often stored schedules are checked for due sends
+const SCHEDULE_POLL_INTERVAL = parseInt(process.env.SCHEDULE_POLL_INTERVAL) || 15000;
+
+let scheduleTimer = null;
+let isRunningSchedules = false;
+
 // Queue statistics
 export let queueStats = {
   total: 0,
@@ -37,6 +51,8 @@ export let queueStats = {
 // Initialize queue system
 export async function initQueue() {
   try {
+    await initRateGovernor();
+
     // Create worker for processing jobs
     const worker = new Worker('whatsapp-message-queue', processJob, {
       connection: redisConfig,
@@ -47,38 +63,77 @@ export async function initQueue() {
       }
     });
 
-    // Worker event listeners
-    worker.on('completed', async (job) => {
-      logger.info(`Job completed: ${job.id}`, { 
-        jobType: job.name,
-        recipient: job.data.recipient 
-      });
-      
-      // Update database
-      await updateQueueJob(job.id, { 
-        status: 'completed' 
-      });
-      
-      // Update stats
-      queueStats.completed++;
+    // Worker event listeners; they run outside any request, so failures are only logged
+    worker.on('completed', async (job, result) => {
+      try {
+        logger.info(`Job completed: ${job.id}`, { 
+          jobType: job.name,
+          recipient: job.data.recipient,
+          messageId: result?.messageId
+        });
+        
+        // Update stats
+        queueStats.completed++;
+
+        await triggerWebhookEvent('queue.job.completed', {
+          jobId: job.id,
+          jobType: job.name,
+          recipient: job.data.recipient,
+          sessionId: job.data.sessionId,
+          messageId: result?.messageId || null
+        });
+      } catch (error) {
+        logger.error(`Failed to handle completed job ${job?.id}:`, error);
+      }
     });
 
     worker.on('failed', async (job, err) => {
-      logger.error(`Job failed: ${job.id}`, { 
-        jobType: job.name,
-        recipient: job.data.recipient,
-        error: err.message 
-      });
-      
-      // Update database
-      await updateQueueJob(job.id, { 
-        status: 'failed',
-        error_message: err.message,
-        retry_count: job.attemptsMade 
-      });
-      
-      // Update stats
-      queueStats.failed++;
+      // BullMQ passes no job when the failure is not tied to one, e.g. a lost lock
+      if (!job) {
+        logger.error('Queue worker failure without a job:', err);
+        return;
+      }
+
+      try {
+        // BullMQ retries with backoff until the attempts run out
+        const willRetry = job.attemptsMade < (job.opts.attempts || 1);
+
+        logger.error(`Job failed: ${job.id}`, { 
+          jobType: job.name,
+          recipient: job.data.recipient,
+          error: err.message,
+          attemptsMade: job.attemptsMade,
+          willRetry
+        });
+        
+        // Update database
+        await updateQueueJob(job.id, { 
+          status: willRetry ? 'retrying' : 'failed',
+          error_message: err.message,
+          retry_count: job.attemptsMade 
+        });
+        
+        // Update stats
+        if (!willRetry) {
+          queueStats.failed++;
+        }
+
+        const payload = {
+          jobId: job.id,
+          jobType: job.name,
+          recipient: job.data.recipient,
+          sessionId: job.data.sessionId,
+          error: err.message
+        };
+
+        await triggerWebhookEvent('queue.job.failed', { ...payload, attemptsMade: job.attemptsMade, willRetry });
+
+        if (!willRetry) {
+          await triggerWebhookEvent('message.failed', payload);
+        }
+      } catch (error) {
+        logger.error(`Failed to handle failed job ${job.id}:`, error);
+      }
     });
 
     worker.on('active', (job) => {
@@ -100,6 +155,8 @@ export async function initQueue() {
     const counts = await queue.getJobCounts();
     queueStats = { ...queueStats, ...counts };
 
+    startScheduler();
+
     logger.info('Queue system initialized successfully');
     return queue;
   } catch (error) {
@@ -109,23 +166,64 @@ export async function initQueue() {
 }
 
 // Job processor function
-async function processJob(job) {
-  const { jobType, recipient, content, mediaUrl, mediaType } = job.data;
+async function processJob(job, token) {
+  const { jobType, recipient, content, mediaUrl, mediaType, sessionId = DEFAULT_SESSION_ID, ignoreSuppression } = job.data;
+
+  // Sends over a policy limit wait in the delayed set instead of failing
+  const deferral = await evaluateSend({ recipient, sessionId, ignoreSuppression });
+  if (deferral) {
+    await deferJob(job, token, deferral);
+  }
 
   try {
+    await updateQueueJob(job.id, { status: 'processing' });
+
+    let result;
     switch (jobType) {
       case 'send_message':
-        return await sendWhatsAppMessage(recipient, content);
+      case 'send_template':
+        result = await sendMessage(recipient, content, null, null, sessionId);
+        break;
       
       case 'send_media':
-        return await sendWhatsAppMedia(recipient, mediaUrl, mediaType, content);
-      
-      case 'send_template':
-        return await sendWhatsAppTemplate(recipient, content);
+        result = await sendMessage(recipient, content, mediaUrl, mediaType, sessionId);
+        break;
       
       default:
         throw new Error(`Unknown job type: ${jobType}`);
     }
+
+    // Anything short of a confirmed send must fail the job so BullMQ retries it
+    if (!result || !result.success) {
+      throw new Error(result?.error || 'WhatsApp driver did not confirm the send');
+    }
+
+    // Delivered and read are filled in later from the receipt ticks
+    await updateQueueJob(job.id, {
+      status: 'sent',
+      whatsapp_message_id: result.messageId,
+      sent_at: result.timestamp,
+      error_message: null,
+      retry_count: job.attemptsMade
+    });
+
+    await saveMessageStatusEvent({
+      jobId: job.id,
+      messageId: result.messageId,
+      sessionId,
+      status: result.status || 'sent'
+    });
+
+    await triggerWebhookEvent('message.sent', {
+      jobId: job.id,
+      messageId: result.messageId,
+      sessionId,
+      recipient,
+      status: 'sent',
+      timestamp: result.timestamp
+    });
+
+    return result;
   } catch (error) {
     logger.error(`Job processing failed: ${job.id}`, { 
       jobType,
@@ -136,6 +234,27 @@ async function processJob(job) {
   }
 }
 
+// Move a job back to the delayed set until a policy limit clears
+async function deferJob(job, token, { reason, until }) {
+  await updateQueueJob(job.id, {
+    status: 'deferred',
+    defer_reason: reason,
+    deferred_until: until.toISOString()
+  });
+
+  logger.warn(`Job deferred: ${job.id}`, {
+    jobType: job.name,
+    recipient: job.data.recipient,
+    reason,
+    until: until.toISOString()
+  });
+
+  await job.moveToDelayed(until.getTime(), token);
+
+  // Tells the worker the job was moved on purpose, so it is neither completed nor failed
+  throw new DelayedError();
+}
+
 // Add message to queue
 export async function addMessageToQueue(messageData) {
   try {
@@ -145,42 +264,92 @@ export async function addMessageToQueue(messageData) {
       mediaUrl,
       mediaType,
       jobType = 'send_message',
-      priority = 'normal'
+      priority = 'normal',
+      sessionId = DEFAULT_SESSION_ID,
+      sendAt,
+      cron,
+      scheduleId = null,
+      contactId = null,
+      ignoreSuppression = false,
+      delay
     } = messageData;
 
+    // Sends to a contact use its stored phone number, which opens the exact chat
+    const contact = contactId ? await resolveContact(contactId) : null;
+    const target = contact ? contact.phone : recipient;
+
+    // Future and recurring sends are stored and enqueued by the scheduler when due
+    if (sendAt || cron) {
+      return await scheduleMessage({ ...messageData, recipient: target });
+    }
+
     // Generate unique job ID
     const jobId = uuidv4();
 
+    // Suppressed recipients are recorded as skipped and never reach WhatsApp
+    const skipReason = ignoreSuppression ? null : await getSuppressionReason(target, contact);
+
+    if (skipReason) {
+      await saveQueueJob({
+        jobId,
+        jobType,
+        recipient: target,
+        content,
+        mediaUrl,
+        mediaType,
+        sessionId,
+        scheduleId,
+        contactId,
+        status: 'skipped',
+        skipReason
+      });
+
+      logger.warn(`Message skipped: ${jobId}`, { jobType, recipient: target, reason: skipReason });
+
+      return {
+        jobId,
+        status: 'skipped',
+        reason: skipReason
+      };
+    }
+
     // Create job options based on priority
     const jobOptions = {
       jobId,
       priority: priority === 'high' ? 10 : priority === 'low' ? 1 : 5,
-      delay: getRandomDelay()
+      delay: delay ?? getRandomDelay()
     };
 
     // Add job to queue
     const job = await queue.add(jobType, {
-      recipient,
+      recipient: target,
       content,
       mediaUrl,
-      mediaType
+      mediaType,
+      sessionId,
+      ...(ignoreSuppression && { ignoreSuppression })
     }, jobOptions);
 
     // Save to database
     await saveQueueJob({
       jobId,
       jobType,
-      recipient,
+      recipient: target,
       content,
       mediaUrl,
       mediaType,
+      sessionId,
+      scheduleId,
+      contactId,
       status: 'pending'
     });
 
     logger.info(`Message added to queue: ${jobId}`, { 
       jobType,
-      recipient,
-      priority 
+      recipient: target,
+      priority,
+      sessionId,
+      scheduleId
     });
 
     return {
@@ -194,56 +363,166 @@ export async function addMessageToQueue(messageData) {
   }
 }
 
-// Get random delay to simulate human behavior
-function getRandomDelay() {
-  const minDelay = parseInt(process.env.SEND_DELAY_MIN) || 1000;
-  const maxDelay = parseInt(process.env.SEND_DELAY_MAX) || 3000;
-  return Math.floor(Math.random() * (maxDelay - minDelay + 1)) + minDelay;
-}
+// Store a one-off (sendAt) or recurring (cron) send
+async function scheduleMessage(messageData) {
+  const {
+    recipient,
+    content,
+    mediaUrl,
+    mediaType,
+    jobType = 'send_message',
+    priority = 'normal',
+    sessionId = DEFAULT_SESSION_ID,
+    contactId = null
+  } = messageData;
+
+  const schedule = resolveSchedule(messageData);
+  const scheduleId = uuidv4();
+
+  await saveSchedule({
+    scheduleId,
+    jobType,
+    recipient,
+    content,
+    mediaUrl,
+    mediaType,
+    sessionId,
+    contactId,
+    priority,
+    ...schedule
+  });
+
+  logger.info(`Message scheduled: ${scheduleId}`, {
+    jobType,
+    recipient,
+    sendAt: schedule.sendAt,
+    cron: schedule.cron,
+    nextRunAt: schedule.nextRunAt
+  });
 
-// Send WhatsApp message (placeholder - will be implemented in playwright.js)
-async function sendWhatsAppMessage(recipient, content) {
-  // This will be implemented in the WhatsApp automation module
-  logger.info(`Sending message to ${recipient}: ${content}`);
-  
-  // Simulate message sending
-  await new Promise(resolve => setTimeout(resolve, 500));
-  
   return {
-    success: true,
-    messageId: uuidv4(),
-    timestamp: new Date().toISOString()
+    jobId: null,
+    scheduleId,
+    status: 'scheduled',
+    nextRunAt: schedule.nextRunAt
   };
 }
 
-// Send WhatsApp media (placeholder - will be implemented in playwright.js)
-async function sendWhatsAppMedia(recipient, mediaUrl, mediaType, caption = '') {
-  // This will be implemented in the WhatsApp automation module
-  logger.info(`Sending media to ${recipient}: ${mediaUrl} (${mediaType})`);
-  
-  // Simulate media sending
-  await new Promise(resolve => setTimeout(resolve, 2000));
-  
-  return {
-    success: true,
-    messageId: uuidv4(),
-    timestamp: new Date().toISOString()
-  };
+// Start polling stored schedules
+export function startScheduler() {
+  if (scheduleTimer) {
+    return;
+  }
+
+  runDueSchedules();
+  scheduleTimer = setInterval(runDueSchedules, SCHEDULE_POLL_INTERVAL);
+  logger.info(`Scheduler started (every ${SCHEDULE_POLL_INTERVAL}ms)`);
 }
 
-// Send WhatsApp template (placeholder - will be implemented in playwright.js)
-async function sendWhatsAppTemplate(recipient, templateName) {
-  // This will be implemented in the WhatsApp automation module
-  logger.info(`Sending template to ${recipient}: ${templateName}`);
-  
-  // Simulate template sending
-  await new Promise(resolve => setTimeout(resolve, 1000));
-  
-  return {
-    success: true,
-    messageId: uuidv4(),
-    timestamp: new Date().toISOString()
-  };
+// Stop polling stored schedules
+export function stopScheduler() {
+  if (scheduleTimer) {
+    clearInterval(scheduleTimer);
+    scheduleTimer = null;
+  }
+}
+
+// Enqueue every schedule due before the next poll, delayed to its exact time
+export async function runDueSchedules() {
+  if (isRunningSchedules) {
+    return;
+  }
+
+  isRunningSchedules = true;
+
+  try {
+    const now = Date.now();
+    const dueSchedules = await getDueSchedules(new Date(now + SCHEDULE_POLL_INTERVAL).toISOString());
+
+    for (const schedule of dueSchedules) {
+      try {
+        await runSchedule(schedule, now);
+      } catch (error) {
+        // Left as is so the next poll tries again
+        logger.error(`Failed to run schedule ${schedule.schedule_id}:`, error);
+      }
+    }
+  } catch (error) {
+    logger.error('Failed to run due schedules:', error);
+  } finally {
+    isRunningSchedules = false;
+  }
+}
+
+// Queue one run of a schedule and work out the next one
+async function runSchedule(schedule, now) {
+  const runAt = new Date(schedule.next_run_at).getTime();
+  let result = { jobId: null };
+
+  try {
+    result = await addMessageToQueue({
+      recipient: schedule.recipient,
+      content: schedule.content,
+      mediaUrl: schedule.media_url,
+      mediaType: schedule.media_type,
+      jobType: schedule.job_type,
+      priority: schedule.priority,
+      sessionId: schedule.session_id,
+      scheduleId: schedule.schedule_id,
+      contactId: schedule.contact_id,
+      delay: Math.max(0, runAt - now)
+    });
+  } catch (error) {
+    // A run that can never be sent (e.g. the contact was deleted) is skipped, not retried
+    if (!(error instanceof ValidationError)) {
+      throw error;
+    }
+    logger.warn(`Schedule run skipped: ${schedule.schedule_id}`, { reason: error.message });
+  }
+
+  // Runs missed while the server was down are sent once, not replayed one by one
+  const nextRunAt = schedule.cron
+    ? getNextCronRun(schedule.cron, schedule.timezone, new Date(Math.max(runAt, now))).toISOString()
+    : null;
+
+  await updateSchedule(schedule.schedule_id, {
+    status: nextRunAt ? 'scheduled' : 'completed',
+    next_run_at: nextRunAt,
+    last_run_at: schedule.next_run_at,
+    last_job_id: result.jobId,
+    run_count: schedule.run_count + 1
+  });
+}
+
+// Cancel a schedule and any run already waiting in the queue
+export async function cancelSchedule(scheduleId) {
+  try {
+    const schedule = await getSchedule(scheduleId);
+    if (!schedule) {
+      throw new Error('Schedule not found');
+    }
+
+    if (schedule.last_job_id) {
+      const job = await queue.getJob(schedule.last_job_id);
+      if (job && await job.isDelayed()) {
+        await job.remove();
+        await updateQueueJob(job.id, { status: 'cancelled' });
+      }
+    }
+
+    await updateSchedule(scheduleId, { status: 'cancelled', next_run_at: null });
+    logger.info(`Schedule cancelled: ${scheduleId}`);
+  } catch (error) {
+    logger.error('Failed to cancel schedule:', error);
+    throw error;
+  }
+}
+
+// Get random delay to simulate human behavior
+function getRandomDelay() {
+  const minDelay = parseInt(process.env.SEND_DELAY_MIN) || 1000;
+  const maxDelay = parseInt(process.env.SEND_DELAY_MAX) || 3000;
+  return Math.floor(Math.random() * (maxDelay - minDelay + 1)) + minDelay;
 }
 
 // Get queue statistics
@@ -0,0 +1,233 @@
+import { logger } from './utils/logger.js';
+import { getSetting, saveSetting, countSentMessages, getSession } from './db.js';
+import {
+  validateTimezone,
+  getMinutesInTimezone,
+  parseClockTime,
+  isWithinDailyWindow,
+  CLOCK_TIME_PATTERN
+} from './utils/schedule.js';
+import { ValidationError } from './middleware/errorHandler.js';
+
+const POLICY_SETTING_KEY = 'queue.policy';
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Default sending policy; a limit of 0 switches that check off
+const DEFAULT_POLICY = {
+  enabled: process.env.RATE_GOVERNOR_ENABLED !== 'false',
+  perRecipientPerHour: parseInt(process.env.RATE_PER_RECIPIENT_PER_HOUR) || 5,
+  perSessionPerDay: parseInt(process.env.RATE_PER_SESSION_PER_DAY) || 1000,
+  warmup: {
+    enabled: true,
+    days: 14,
+    startPerDay: 50
+  },
+  quietHours: {
+    enabled: false,
+    start: '22:00',
+    end: '08:00',
+    timezone: process.env.SCHEDULE_TIMEZONE || 'UTC'
+  },
+  burst: {
+    maxMessages: 20,
+    windowSeconds: 60,
+    cooldownSeconds: 300
+  }
+};
+
+// Active policy
+let policy = structuredClone(DEFAULT_POLICY);
+
+// Load the saved policy over the defaults
+export async function initRateGovernor() {
+  try {
+    const saved = await getSetting(POLICY_SETTING_KEY);
+    if (saved) {
+      policy = mergePolicy(DEFAULT_POLICY, saved);
+    }
+    logger.info('Rate governor initialized', { enabled: policy.enabled });
+  } catch (error) {
+    logger.error('Failed to initialize rate governor:', error);
+    throw error;
+  }
+}
+
+// Get a copy of the active policy
+export function getRatePolicy() {
+  return structuredClone(policy);
+}
+
+// Merge a partial policy over a full one, one level deep for the grouped settings
+function mergePolicy(base, patch) {
+  const merged = structuredClone(base);
+
+  for (const [key, value] of Object.entries(patch)) {
+    if (!(key in merged)) continue;
+
+    if (merged[key] && typeof merged[key] === 'object') {
+      merged[key] = { ...merged[key], ...value };
+    } else {
+      merged[key] = value;
+    }
+  }
+
+  return merged;
+}
+
+// List problems with a policy, empty when valid
+function validatePolicy(candidate) {
+  const problems = [];
+  const isCount = value => Number.isInteger(value) && value >= 0;
+
+  if (typeof candidate.enabled !== 'boolean') problems.push('enabled must be a boolean');
+  if (!isCount(candidate.perRecipientPerHour)) problems.push('perRecipientPerHour must be a non-negative integer');
+  if (!isCount(candidate.perSessionPerDay)) problems.push('perSessionPerDay must be a non-negative integer');
+
+  const { warmup, quietHours, burst } = candidate;
+
+  if (typeof warmup.enabled !== 'boolean') problems.push('warmup.enabled must be a boolean');
+  if (!isCount(warmup.days)) problems.push('warmup.days must be a non-negative integer');
+  if (!isCount(warmup.startPerDay)) problems.push('warmup.startPerDay must be a non-negative integer');
+
+  if (typeof quietHours.enabled !== 'boolean') problems.push('quietHours.enabled must be a boolean');
+  if (!CLOCK_TIME_PATTERN.test(quietHours.start)) problems.push('quietHours.start must be HH:MM');
+  if (!CLOCK_TIME_PATTERN.test(quietHours.end)) problems.push('quietHours.end must be HH:MM');
+  try {
+    validateTimezone(quietHours.timezone);
+  } catch (error) {
+    problems.push(`quietHours.timezone: ${error.message}`);
+  }
+
+  if (!isCount(burst.maxMessages)) problems.push('burst.maxMessages must be a non-negative integer');
+  if (!isCount(burst.windowSeconds) || burst.windowSeconds === 0) problems.push('burst.windowSeconds must be a positive integer');
+  if (!isCount(burst.cooldownSeconds)) problems.push('burst.cooldownSeconds must be a non-negative integer');
+
+  return problems;
+}
+
+// Update part of the policy and persist it
+export async function updateRatePolicy(patch) {
+  const candidate = mergePolicy(policy, patch);
+  const problems = validatePolicy(candidate);
+
+  if (problems.length > 0) {
+    const error = new ValidationError(`Invalid queue policy: ${problems.join(', ')}`);
+    error.details = problems;
+    throw error;
+  }
+
+  await saveSetting(POLICY_SETTING_KEY, candidate);
+  policy = candidate;
+
+  logger.info('Queue policy updated', policy);
+  return getRatePolicy();
+}
+
+// End of the current quiet period, or null outside quiet hours
+function getQuietHoursEnd(now) {
+  const { enabled, start, end, timezone } = policy.quietHours;
+  if (!enabled) return null;
+
+  if (!isWithinDailyWindow(now, start, end, timezone)) return null;
+
+  const minutesLeft = (parseClockTime(end) - getMinutesInTimezone(now, timezone) + 1440) % 1440;
+  return new Date(now.getTime() + minutesLeft * 60000 - now.getSeconds() * 1000);
+}
+
+// Daily cap for a session, ramping up from warmup.startPerDay while the number is new
+async function getDailyLimit(sessionId, now) {
+  const { perSessionPerDay, warmup } = policy;
+
+  if (!warmup.enabled || warmup.days === 0) {
+    return perSessionPerDay;
+  }
+
+  const session = await getSession(sessionId);
+  if (!session || !session.created_at) {
+    return perSessionPerDay;
+  }
+
+  // SQLite CURRENT_TIMESTAMP is UTC without a zone marker
+  const createdAt = new Date(`${session.created_at.replace(' ', 'T')}Z`);
+  const ageDays = (now.getTime() - createdAt.getTime()) / DAY_MS;
+
+  if (ageDays >= warmup.days) {
+    return perSessionPerDay;
+  }
+
+  const ramped = warmup.startPerDay + (perSessionPerDay - warmup.startPerDay) * (ageDays / warmup.days);
+  return perSessionPerDay > 0 ? Math.min(perSessionPerDay, Math.floor(ramped)) : Math.floor(ramped);
+}
+
+// Check a send against the policy; returns { reason, until } when it must wait. Sends that
+// bypass suppression (opt-out confirmations) are not held by the burst or per-recipient limits
+export async function evaluateSend({ recipient, sessionId, ignoreSuppression = false }, now = new Date()) {
+  if (!policy.enabled) {
+    return null;
+  }
+
+  const quietEnd = getQuietHoursEnd(now);
+  if (quietEnd) {
+    return {
+      reason: `Quiet hours ${policy.quietHours.start}-${policy.quietHours.end} (${policy.quietHours.timezone})`,
+      until: quietEnd
+    };
+  }
+
+  const { burst } = policy;
+  if (burst.maxMessages > 0 && !ignoreSuppression) {
+    const windowMs = burst.windowSeconds * 1000;
+    const recent = await countSentMessages({ sessionId, since: new Date(now.getTime() - windowMs).toISOString() });
+
+    if (recent.count >= burst.maxMessages) {
+      return {
+        reason: `Burst detected: ${recent.count} messages in ${burst.windowSeconds}s on session ${sessionId}`,
+        until: new Date(now.getTime() + burst.cooldownSeconds * 1000)
+      };
+    }
+  }
+
+  const dailyLimit = await getDailyLimit(sessionId, now);
+  if (dailyLimit > 0) {
+    const today = await countSentMessages({ sessionId, since: new Date(now.getTime() - DAY_MS).toISOString() });
+
+    if (today.count >= dailyLimit) {
+      return {
+        reason: `Session ${sessionId} reached ${dailyLimit} messages in 24h${dailyLimit < policy.perSessionPerDay ? ' (warm-up)' : ''}`,
+        until: new Date(new Date(today.oldest).getTime() + DAY_MS)
+      };
+    }
+  }
+
+  if (policy.perRecipientPerHour > 0 && !ignoreSuppression) {
+    const lastHour = await countSentMessages({ recipient, since: new Date(now.getTime() - HOUR_MS).toISOString() });
+
+    if (lastHour.count >= policy.perRecipientPerHour) {
+      return {
+        reason: `Recipient ${recipient} reached ${policy.perRecipientPerHour} messages per hour`,
+        until: new Date(new Date(lastHour.oldest).getTime() + HOUR_MS)
+      };
+    }
+  }
+
+  return null;
+}
+
+// Sends counted against each limit right now
+export async function getRateUsage(sessionId, now = new Date()) {
+  const [burst, day, dailyLimit] = await Promise.all([
+    countSentMessages({ sessionId, since: new Date(now.getTime() - policy.burst.windowSeconds * 1000).toISOString() }),
+    countSentMessages({ sessionId, since: new Date(now.getTime() - DAY_MS).toISOString() }),
+    getDailyLimit(sessionId, now)
+  ]);
+
+  return {
+    sessionId,
+    quietHours: getQuietHoursEnd(now) !== null,
+    burstWindowCount: burst.count,
+    last24hCount: day.count,
+    dailyLimit
+  };
+}
@@ -1,7 +1,8 @@
 import express from 'express';
 import { body, query, validationResult } from 'express-validator';
-import { asyncHandler } from '../middleware/errorHandler.js';
-import { updateAIConfiguration, getAIConfiguration, testAIConnection, clearConversationHistory, getAIStatistics } from '../ai.js';
+import { asyncHandler, ValidationError } from '../middleware/errorHandler.js';
+import { updateAIConfiguration, getAIConfiguration, testAIConnection, clearConversationHistory, getStoredConversationHistory, getAIStatistics } from '../ai.js';
+import { AI_PROVIDERS } from '../aiProviders.js';
 import { logger } from '../utils/logger.js';
 
 const router = express.Router();
@@ -9,7 +10,7 @@ const router = express.Router();
 // Get AI statistics
 router.get('/stats', asyncHandler(async (req, res) => {
   try {
-    const stats = getAIStatistics();
+    const stats = await getAIStatistics();
     
     res.json({
       success: true,
@@ -45,12 +46,21 @@ router.get('/config', asyncHandler(async (req, res) => {
 // Update AI configuration
 router.put('/config', [
   body('enabled').optional().isBoolean().withMessage('Enabled harus berupa boolean'),
+  body('provider').optional().isIn(AI_PROVIDERS).withMessage(`Provider harus salah satu dari: ${AI_PROVIDERS.join(', ')}`),
+  body('baseUrl').optional({ nullable: true }).isURL({ require_tld: false, protocols: ['http', 'https'] }).withMessage('Base URL harus berupa URL http(s)'),
+  body('apiKey').optional({ nullable: true }).isString().withMessage('API key harus berupa string'),
   body('model').optional().isString().withMessage('Model harus berupa string'),
   body('maxTokens').optional().isInt({ min: 1, max: 1000 }).withMessage('Max tokens harus antara 1 dan 1000'),
   body('temperature').optional().isFloat({ min: 0, max: 1 }).withMessage('Temperature harus antara 0 dan 1'),
   body('systemPrompt').optional().isString().withMessage('System prompt harus berupa string'),
   body('responseDelay').optional().isInt({ min: 0, max: 60000 }).withMessage('Response delay harus antara 0 dan 60000'),
-  body('maxHistoryLength').optional().isInt({ min: 1, max: 50 }).withMessage('Max history length harus antara 1 dan 50')
+  body('historyTokenBudget').optional().isInt({ min: 100, max: 32000 }).withMessage('History token budget harus antara 100 dan 32000'),
+  body('knowledgeTopK').optional().isInt({ min: 0, max: 10 }).withMessage('Knowledge top K harus antara 0 dan 10'),
+  body('embeddingModel').optional({ nullable: true }).isString().withMessage('Embedding model harus berupa string'),
+  body('approvalMode').optional().isBoolean().withMessage('Approval mode harus berupa boolean'),
+  body('autoSendConfidence').optional({ nullable: true }).isFloat({ min: 0, max: 1 }).withMessage('Auto send confidence harus antara 0 dan 1'),
+  body('handoffEnabled').optional().isBoolean().withMessage('Handoff enabled harus berupa boolean'),
+  body('maxToolRounds').optional().isInt({ min: 0, max: 10 }).withMessage('Max tool rounds harus antara 0 dan 10')
 ], asyncHandler(async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -63,7 +73,7 @@ router.put('/config', [
 
   try {
     const newConfig = req.body;
-    const updatedConfig = updateAIConfiguration(newConfig);
+    const updatedConfig = await updateAIConfiguration(newConfig);
     
     logger.info('AI configuration updated');
 
@@ -73,6 +83,13 @@ router.put('/config', [
       data: updatedConfig
     });
   } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
     logger.error('Failed to update AI configuration', { error: error.message });
     res.status(500).json({ 
       success: false, 
@@ -99,6 +116,26 @@ router.post('/test', asyncHandler(async (req, res) => {
   }
 }));
 
+// Show a chat's stored history and how much of it fits the token budget
+router.get('/history/:chatId', asyncHandler(async (req, res) => {
+  const { chatId } = req.params;
+
+  try {
+    const history = await getStoredConversationHistory(chatId);
+
+    res.json({
+      success: true,
+      data: history
+    });
+  } catch (error) {
+    logger.error('Failed to get conversation history', { error: error.message, chatId });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get conversation history'
+    });
+  }
+}));
+
 // Clear conversation history
 router.delete('/history', [
   body('chatId').optional().isString().withMessage('Chat ID must be a string')
@@ -114,7 +151,7 @@ router.delete('/history', [
 
   try {
     const { chatId } = req.body;
-    clearConversationHistory(chatId);
+    await clearConversationHistory(chatId);
     
     logger.info(`Conversation history cleared: ${chatId || 'all'}`);
 
@@ -174,6 +211,9 @@ router.post('/process', [
   body('message').notEmpty().withMessage('Message is required'),
   body('chatId').optional().isString().withMessage('Chat ID must be a string'),
   body('senderName').optional().isString().withMessage('Sender name must be a string'),
+  body('senderId').optional().isString().withMessage('Sender ID must be a string'),
+  body('sessionId').optional().isString().withMessage('Session ID must be a string'),
+  body('recipient').optional().isString().withMessage('Recipient must be a string'),
   body('isGroup').optional().isBoolean().withMessage('Is group must be a boolean')
 ], asyncHandler(async (req, res) => {
   const errors = validationResult(req);
@@ -186,14 +226,17 @@ router.post('/process', [
   }
 
   try {
-    const { message, chatId, senderName, isGroup } = req.body;
+    const { message, chatId, senderName, senderId, sessionId, isGroup, recipient } = req.body;
     
     const { processWithAI } = await import('../ai.js');
     const response = await processWithAI({
       message,
       chatId,
       senderName,
-      isGroup
+      senderId,
+      sessionId,
+      isGroup,
+      recipient
     });
     
     logger.info(`Message processed with AI: ${chatId}`);
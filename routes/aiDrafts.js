@@ -0,0 +1,213 @@
+import express from 'express';
+import { body, query, validationResult } from 'express-validator';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { getAIDrafts, getAIDraftById, updateAIDraft } from '../db.js';
+import { approveDraft, rejectDraft } from '../aiHandoff.js';
+import { logger } from '../utils/logger.js';
+
+const router = express.Router();
+
+const DRAFT_STATUSES = ['pending', 'approved', 'rejected'];
+
+// Drafts that were approved or rejected cannot be acted on again
+async function findPendingDraft(id, res) {
+  const draft = await getAIDraftById(id);
+
+  if (!draft) {
+    res.status(404).json({
+      success: false,
+      error: 'AI draft not found'
+    });
+    return null;
+  }
+
+  if (draft.status !== 'pending') {
+    res.status(409).json({
+      success: false,
+      error: `AI draft has already been ${draft.status}`
+    });
+    return null;
+  }
+
+  return draft;
+}
+
+// List drafts, newest first; the inbox shows pending ones
+router.get('/', [
+  query('status').optional().isIn(DRAFT_STATUSES).withMessage('Invalid status'),
+  query('chatId').optional().isString().withMessage('Chat ID must be a string'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const { status, chatId, page = 1, limit = 50 } = req.query;
+
+  try {
+    const result = await getAIDrafts({ status, chatId }, parseInt(page), parseInt(limit));
+
+    res.json({
+      success: true,
+      data: result.drafts,
+      pagination: result.pagination
+    });
+  } catch (error) {
+    logger.error('Failed to fetch AI drafts', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch AI drafts'
+    });
+  }
+}));
+
+// Get a draft
+router.get('/:id', asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const draft = await getAIDraftById(id);
+
+    if (!draft) {
+      return res.status(404).json({
+        success: false,
+        error: 'AI draft not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: draft
+    });
+  } catch (error) {
+    logger.error('Failed to fetch AI draft', { error: error.message, draftId: id });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch AI draft'
+    });
+  }
+}));
+
+// Edit a pending draft without sending it
+router.put('/:id', [
+  body('content').isString().trim().notEmpty().withMessage('Content is required')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const { id } = req.params;
+
+  try {
+    if (!await findPendingDraft(id, res)) return;
+
+    await updateAIDraft(id, { content: req.body.content });
+
+    res.json({
+      success: true,
+      message: 'AI draft updated successfully',
+      data: await getAIDraftById(id)
+    });
+  } catch (error) {
+    logger.error('Failed to update AI draft', { error: error.message, draftId: id });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update AI draft'
+    });
+  }
+}));
+
+// Send a draft, with optional edited content
+router.post('/:id/approve', [
+  body('content').optional().isString().trim().notEmpty().withMessage('Content cannot be empty')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const { id } = req.params;
+
+  try {
+    if (!await findPendingDraft(id, res)) return;
+
+    const draft = await approveDraft(id, { content: req.body.content });
+
+    if (!draft) {
+      return res.status(409).json({
+        success: false,
+        error: 'AI draft has already been reviewed'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'AI draft approved and queued',
+      data: draft
+    });
+  } catch (error) {
+    logger.error('Failed to approve AI draft', { error: error.message, draftId: id });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to approve AI draft'
+    });
+  }
+}));
+
+// Discard a draft
+router.post('/:id/reject', [
+  body('reason').optional().isString().withMessage('Reason must be a string')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const { id } = req.params;
+
+  try {
+    if (!await findPendingDraft(id, res)) return;
+
+    const draft = await rejectDraft(id, { reason: req.body.reason });
+
+    if (!draft) {
+      return res.status(409).json({
+        success: false,
+        error: 'AI draft has already been reviewed'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'AI draft rejected',
+      data: draft
+    });
+  } catch (error) {
+    logger.error('Failed to reject AI draft', { error: error.message, draftId: id });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to reject AI draft'
+    });
+  }
+}));
+
+export default router;
@@ -0,0 +1,107 @@
+import express from 'express';
+import { body, query, validationResult } from 'express-validator';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { getAIHandoffs, getAIHandoffById, resolveAIHandoff } from '../db.js';
+import { openHandoff } from '../aiHandoff.js';
+import { logger } from '../utils/logger.js';
+
+const router = express.Router();
+
+// List handoffs, newest first
+router.get('/', [
+  query('status').optional().isIn(['open', 'resolved']).withMessage('Invalid status'),
+  query('chatId').optional().isString().withMessage('Chat ID must be a string'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const { status, chatId, page = 1, limit = 50 } = req.query;
+
+  try {
+    const result = await getAIHandoffs({ status, chatId }, parseInt(page), parseInt(limit));
+
+    res.json({
+      success: true,
+      data: result.handoffs,
+      pagination: result.pagination
+    });
+  } catch (error) {
+    logger.error('Failed to fetch AI handoffs', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch AI handoffs'
+    });
+  }
+}));
+
+// Take a chat over by hand; the AI stops answering it until the handoff is resolved
+router.post('/', [
+  body('chatId').isString().notEmpty().withMessage('Chat ID is required'),
+  body('sessionId').optional().isString().withMessage('Session ID must be a string'),
+  body('detail').optional().isString().withMessage('Detail must be a string')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const { chatId, sessionId, detail } = req.body;
+
+  try {
+    const id = await openHandoff({ chatId, sessionId, reason: 'manual', detail, notify: false });
+
+    res.status(201).json({
+      success: true,
+      message: 'Chat handed to a human',
+      data: await getAIHandoffById(id)
+    });
+  } catch (error) {
+    logger.error('Failed to open AI handoff', { error: error.message, chatId });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to open AI handoff'
+    });
+  }
+}));
+
+// Give the chat back to the AI
+router.post('/:id/resolve', asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const resolved = await resolveAIHandoff(id);
+
+    if (!resolved) {
+      return res.status(404).json({
+        success: false,
+        error: 'No open AI handoff with that ID'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Chat handed back to the AI',
+      data: await getAIHandoffById(id)
+    });
+  } catch (error) {
+    logger.error('Failed to resolve AI handoff', { error: error.message, handoffId: id });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to resolve AI handoff'
+    });
+  }
+}));
+
+export default router;
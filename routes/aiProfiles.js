@@ -0,0 +1,256 @@
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import { asyncHandler, ValidationError } from '../middleware/errorHandler.js';
+import {
+  saveAIProfile,
+  getAIProfiles,
+  getAIProfileById,
+  getAIProfileByName,
+  updateAIProfile,
+  clearDefaultAIProfile,
+  deleteAIProfile
+} from '../db.js';
+import { normaliseProfileInput, resolveAIProfile, getReplyBlock } from '../aiProfiles.js';
+import { logger } from '../utils/logger.js';
+
+const router = express.Router();
+
+const profileValidators = [
+  body('temperature').optional({ nullable: true }).isFloat({ min: 0, max: 1 }).withMessage('Temperature must be between 0 and 1'),
+  body('maxTokens').optional({ nullable: true }).isInt({ min: 1, max: 1000 }).withMessage('Max tokens must be between 1 and 1000'),
+  body('responseDelay').optional({ nullable: true }).isInt({ min: 0, max: 60000 }).withMessage('Response delay must be between 0 and 60000ms'),
+  body('allowedHours').optional({ nullable: true }).isObject().withMessage('allowedHours must be an object'),
+  body(['mentionNames', 'chatIds', 'contactTags', 'sessionIds']).optional().isArray().withMessage('Assignments and mention names must be arrays'),
+  body(['replyInPersonal', 'replyInGroups', 'groupMentionOnly', 'isDefault', 'isActive']).optional().isBoolean().withMessage('Reply switches must be booleans'),
+  body(['approvalMode', 'handoffEnabled']).optional({ nullable: true }).isBoolean().withMessage('approvalMode and handoffEnabled must be booleans or null'),
+  body('autoSendConfidence').optional({ nullable: true }).isFloat({ min: 0, max: 1 }).withMessage('autoSendConfidence must be between 0 and 1')
+];
+
+// List AI profiles
+router.get('/', asyncHandler(async (req, res) => {
+  try {
+    const profiles = await getAIProfiles();
+
+    res.json({
+      success: true,
+      data: profiles
+    });
+  } catch (error) {
+    logger.error('Failed to fetch AI profiles', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch AI profiles'
+    });
+  }
+}));
+
+// Create an AI profile
+router.post('/', [
+  body('name').notEmpty().withMessage('Name is required'),
+  ...profileValidators
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  try {
+    const profile = normaliseProfileInput(req.body);
+
+    if (await getAIProfileByName(profile.name)) {
+      return res.status(409).json({
+        success: false,
+        error: 'An AI profile with this name already exists'
+      });
+    }
+
+    const id = await saveAIProfile(profile);
+    if (profile.isDefault) {
+      await clearDefaultAIProfile(id);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'AI profile created successfully',
+      data: await getAIProfileById(id)
+    });
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    logger.error('Failed to create AI profile', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create AI profile'
+    });
+  }
+}));
+
+// Show which profile a message would get and whether it would be answered; nothing is generated
+router.post('/resolve', [
+  body('chatId').optional().isString().withMessage('Chat ID must be a string'),
+  body('senderId').optional().isString().withMessage('Sender ID must be a string'),
+  body('sessionId').optional().isString().withMessage('Session ID must be a string'),
+  body('message').optional().isString().withMessage('Message must be a string'),
+  body('isGroup').optional().isBoolean().withMessage('isGroup must be a boolean'),
+  body('timestamp').optional().isISO8601().withMessage('Timestamp must be an ISO 8601 date')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const { chatId, senderId, sessionId, message = '', isGroup = false, timestamp } = req.body;
+
+  try {
+    const resolved = await resolveAIProfile({ chatId, senderId, sessionId });
+    const blockedBy = resolved
+      ? getReplyBlock(resolved.profile, { message, isGroup }, timestamp ? new Date(timestamp) : new Date())
+      : null;
+
+    res.json({
+      success: true,
+      data: {
+        profile: resolved ? resolved.profile : null,
+        matchedBy: resolved ? resolved.matchedBy : null,
+        willReply: !blockedBy,
+        blockedBy
+      }
+    });
+  } catch (error) {
+    logger.error('Failed to resolve AI profile', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to resolve AI profile'
+    });
+  }
+}));
+
+// Get an AI profile
+router.get('/:id', asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const profile = await getAIProfileById(id);
+
+    if (!profile) {
+      return res.status(404).json({
+        success: false,
+        error: 'AI profile not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: profile
+    });
+  } catch (error) {
+    logger.error('Failed to fetch AI profile', { error: error.message, profileId: id });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch AI profile'
+    });
+  }
+}));
+
+// Update an AI profile
+router.put('/:id', [
+  body('name').optional().notEmpty().withMessage('Name cannot be empty'),
+  ...profileValidators
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const { id } = req.params;
+
+  try {
+    const existing = await getAIProfileById(id);
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: 'AI profile not found'
+      });
+    }
+
+    const profile = normaliseProfileInput(req.body, { partial: true });
+
+    if (profile.name && profile.name !== existing.name && await getAIProfileByName(profile.name)) {
+      return res.status(409).json({
+        success: false,
+        error: 'An AI profile with this name already exists'
+      });
+    }
+
+    await updateAIProfile(id, profile);
+    if (profile.isDefault) {
+      await clearDefaultAIProfile(existing.id);
+    }
+
+    res.json({
+      success: true,
+      message: 'AI profile updated successfully',
+      data: await getAIProfileById(id)
+    });
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    logger.error('Failed to update AI profile', { error: error.message, profileId: id });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update AI profile'
+    });
+  }
+}));
+
+// Delete an AI profile; its chats fall back to the next matching profile
+router.delete('/:id', asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const deleted = await deleteAIProfile(id);
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: 'AI profile not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'AI profile deleted successfully'
+    });
+  } catch (error) {
+    logger.error('Failed to delete AI profile', { error: error.message, profileId: id });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete AI profile'
+    });
+  }
+}));
+
+export default router;
@@ -0,0 +1,331 @@
+import express from 'express';
+import { body, query, validationResult } from 'express-validator';
+import { asyncHandler, ValidationError } from '../middleware/errorHandler.js';
+import {
+  saveAITool,
+  getAITools,
+  getAIToolById,
+  getAIToolByName,
+  updateAITool,
+  deleteAITool,
+  getAIToolCalls,
+  getAIToolCallById
+} from '../db.js';
+import {
+  AI_TOOL_TYPES,
+  AI_TOOL_METHODS,
+  normaliseToolInput,
+  describeTool,
+  executeAITool
+} from '../aiTools.js';
+import { logger } from '../utils/logger.js';
+
+const router = express.Router();
+
+const toolValidators = [
+  body('type').optional().isIn(AI_TOOL_TYPES).withMessage(`Type must be one of: ${AI_TOOL_TYPES.join(', ')}`),
+  body('description').optional().isString().withMessage('Description must be a string'),
+  body('parameters').optional().isObject().withMessage('Parameters must be a JSON schema object'),
+  body('endpoint').optional().isString().withMessage('Endpoint must be a string'),
+  body('method').optional().isIn(AI_TOOL_METHODS).withMessage(`Method must be one of: ${AI_TOOL_METHODS.join(', ')}`),
+  body('headers').optional().isObject().withMessage('Headers must be an object'),
+  body('auth').optional({ nullable: true }).isObject().withMessage('Auth must be an object'),
+  body('timeoutMs').optional({ nullable: true }).isInt({ min: 1000, max: 60000 }).withMessage('Timeout must be between 1000 and 60000ms'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
+];
+
+function sendToolValidationError(res, error) {
+  return res.status(400).json({
+    success: false,
+    error: error.message,
+    ...(error.details && { details: error.details })
+  });
+}
+
+// List tools; credentials are left out
+router.get('/', asyncHandler(async (req, res) => {
+  try {
+    const tools = await getAITools();
+
+    res.json({
+      success: true,
+      data: tools.map(describeTool)
+    });
+  } catch (error) {
+    logger.error('Failed to fetch AI tools', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch AI tools'
+    });
+  }
+}));
+
+// Register a tool
+router.post('/', [
+  body('name').notEmpty().withMessage('Name is required'),
+  ...toolValidators
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  try {
+    const tool = normaliseToolInput(req.body);
+
+    if (await getAIToolByName(tool.name)) {
+      return res.status(409).json({
+        success: false,
+        error: 'An AI tool with this name already exists'
+      });
+    }
+
+    const id = await saveAITool(tool);
+
+    res.status(201).json({
+      success: true,
+      message: 'AI tool created successfully',
+      data: describeTool(await getAIToolById(id))
+    });
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return sendToolValidationError(res, error);
+    }
+
+    logger.error('Failed to create AI tool', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create AI tool'
+    });
+  }
+}));
+
+// Audit log of tool calls, newest first
+router.get('/calls', [
+  query('toolName').optional().isString().withMessage('Tool name must be a string'),
+  query('chatId').optional().isString().withMessage('Chat ID must be a string'),
+  query('status').optional().isIn(['success', 'error']).withMessage('Status must be success or error'),
+  query('source').optional().isIn(['ai', 'test']).withMessage('Source must be ai or test'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const { toolName, chatId, status, source, page = 1, limit = 50 } = req.query;
+
+  try {
+    const result = await getAIToolCalls({ toolName, chatId, status, source }, parseInt(page), parseInt(limit));
+
+    res.json({
+      success: true,
+      data: result.calls,
+      pagination: result.pagination
+    });
+  } catch (error) {
+    logger.error('Failed to fetch AI tool calls', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch AI tool calls'
+    });
+  }
+}));
+
+// Get one logged tool call
+router.get('/calls/:id', asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const call = await getAIToolCallById(id);
+
+    if (!call) {
+      return res.status(404).json({
+        success: false,
+        error: 'AI tool call not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: call
+    });
+  } catch (error) {
+    logger.error('Failed to fetch AI tool call', { error: error.message, callId: id });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch AI tool call'
+    });
+  }
+}));
+
+// Get a tool
+router.get('/:id', asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const tool = await getAIToolById(id);
+
+    if (!tool) {
+      return res.status(404).json({
+        success: false,
+        error: 'AI tool not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: describeTool(tool)
+    });
+  } catch (error) {
+    logger.error('Failed to fetch AI tool', { error: error.message, toolId: id });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch AI tool'
+    });
+  }
+}));
+
+// Update a tool; auth is replaced as a whole
+router.put('/:id', [
+  body('name').optional().notEmpty().withMessage('Name cannot be empty'),
+  ...toolValidators
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const { id } = req.params;
+
+  try {
+    const existing = await getAIToolById(id);
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: 'AI tool not found'
+      });
+    }
+
+    const tool = normaliseToolInput(req.body, { partial: true, existing });
+
+    if (tool.name && tool.name !== existing.name && await getAIToolByName(tool.name)) {
+      return res.status(409).json({
+        success: false,
+        error: 'An AI tool with this name already exists'
+      });
+    }
+
+    await updateAITool(id, tool);
+
+    res.json({
+      success: true,
+      message: 'AI tool updated successfully',
+      data: describeTool(await getAIToolById(id))
+    });
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return sendToolValidationError(res, error);
+    }
+
+    logger.error('Failed to update AI tool', { error: error.message, toolId: id });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update AI tool'
+    });
+  }
+}));
+
+// Call a tool by hand with the given arguments; the call is logged with source "test"
+router.post('/:id/test', [
+  body('arguments').optional().isObject().withMessage('Arguments must be an object'),
+  body('chatId').optional().isString().withMessage('Chat ID must be a string'),
+  body('senderId').optional().isString().withMessage('Sender ID must be a string'),
+  body('sessionId').optional().isString().withMessage('Session ID must be a string'),
+  body('recipient').optional().isString().withMessage('Recipient must be a string')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const { id } = req.params;
+  const { arguments: args = {}, chatId, senderId, sessionId, recipient } = req.body;
+
+  try {
+    const tool = await getAIToolById(id);
+
+    if (!tool) {
+      return res.status(404).json({
+        success: false,
+        error: 'AI tool not found'
+      });
+    }
+
+    const outcome = await executeAITool({ name: tool.name, tool, args }, {
+      source: 'test',
+      chatId,
+      senderId,
+      sessionId,
+      recipient
+    });
+
+    res.json({
+      success: true,
+      data: outcome
+    });
+  } catch (error) {
+    logger.error('Failed to test AI tool', { error: error.message, toolId: id });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to test AI tool'
+    });
+  }
+}));
+
+// Delete a tool; its past calls stay in the audit log
+router.delete('/:id', asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const deleted = await deleteAITool(id);
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: 'AI tool not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'AI tool deleted successfully'
+    });
+  } catch (error) {
+    logger.error('Failed to delete AI tool', { error: error.message, toolId: id });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete AI tool'
+    });
+  }
+}));
+
+export default router;
@@ -0,0 +1,225 @@
+import express from 'express';
+import { body, query, validationResult } from 'express-validator';
+import { asyncHandler, ValidationError } from '../middleware/errorHandler.js';
+import { getAIUsageRecords, getAIBudgets, saveAIBudget, deleteAIBudget } from '../db.js';
+import {
+  AI_USAGE_OUTCOMES,
+  AI_BUDGET_FIELDS,
+  getAIUsageReport,
+  getAIBudgetStatus,
+  normaliseBudgetInput,
+  toUsageTimestamp
+} from '../aiUsage.js';
+import { logger } from '../utils/logger.js';
+
+const router = express.Router();
+
+const usageFilterValidators = [
+  query('from').optional().isISO8601().withMessage('From must be an ISO 8601 date'),
+  query('to').optional().isISO8601().withMessage('To must be an ISO 8601 date'),
+  query('sessionId').optional().isString().withMessage('Session ID must be a string'),
+  query('chatId').optional().isString().withMessage('Chat ID must be a string'),
+  query('model').optional().isString().withMessage('Model must be a string'),
+  query('outcome').optional().isIn(AI_USAGE_OUTCOMES).withMessage(`Outcome must be one of: ${AI_USAGE_OUTCOMES.join(', ')}`)
+];
+
+// Token, cost and latency totals, by day, model and chat; from is inclusive, to is exclusive
+router.get('/', [
+  ...usageFilterValidators,
+  query('chatLimit').optional().isInt({ min: 1, max: 500 }).withMessage('Chat limit must be between 1 and 500')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const { from, to, sessionId, chatId, model, outcome, chatLimit = 50 } = req.query;
+
+  try {
+    const report = await getAIUsageReport({ from, to, sessionId, chatId, model, outcome }, { chatLimit: parseInt(chatLimit) });
+
+    res.json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    logger.error('Failed to fetch AI usage', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch AI usage'
+    });
+  }
+}));
+
+// One row per completion, newest first
+router.get('/records', [
+  ...usageFilterValidators,
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const { from, to, sessionId, chatId, model, outcome, page = 1, limit = 50 } = req.query;
+
+  try {
+    const result = await getAIUsageRecords({
+      from: from ? toUsageTimestamp(from) : null,
+      to: to ? toUsageTimestamp(to) : null,
+      sessionId,
+      chatId,
+      model,
+      outcome
+    }, parseInt(page), parseInt(limit));
+
+    res.json({
+      success: true,
+      data: result.records,
+      pagination: result.pagination
+    });
+  } catch (error) {
+    logger.error('Failed to fetch AI usage records', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch AI usage records'
+    });
+  }
+}));
+
+// Every session budget with what has been used against it
+router.get('/budgets', asyncHandler(async (req, res) => {
+  try {
+    const budgets = await getAIBudgets();
+    const statuses = [];
+
+    for (const budget of budgets) {
+      statuses.push(await getAIBudgetStatus(budget.session_id));
+    }
+
+    res.json({
+      success: true,
+      data: statuses
+    });
+  } catch (error) {
+    logger.error('Failed to fetch AI budgets', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch AI budgets'
+    });
+  }
+}));
+
+// Get a session's budget and spend
+router.get('/budgets/:sessionId', asyncHandler(async (req, res) => {
+  const { sessionId } = req.params;
+
+  try {
+    const status = await getAIBudgetStatus(sessionId);
+
+    if (!status) {
+      return res.status(404).json({
+        success: false,
+        error: 'No AI budget for this session'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: status
+    });
+  } catch (error) {
+    logger.error('Failed to fetch AI budget', { error: error.message, sessionId });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch AI budget'
+    });
+  }
+}));
+
+// Set a session's limits; every limit not given is removed
+router.put('/budgets/:sessionId', [
+  body(['dailyTokens', 'monthlyTokens']).optional({ nullable: true }).isInt({ min: 0 }).withMessage('Token limits must be whole numbers of 0 or more'),
+  body(['dailyCost', 'monthlyCost']).optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Cost limits must be 0 or more')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const { sessionId } = req.params;
+
+  try {
+    const budget = normaliseBudgetInput(req.body);
+
+    if (AI_BUDGET_FIELDS.every(field => budget[field] === null)) {
+      return res.status(400).json({
+        success: false,
+        error: `Set at least one of: ${AI_BUDGET_FIELDS.join(', ')}`
+      });
+    }
+
+    await saveAIBudget(sessionId, budget);
+
+    res.json({
+      success: true,
+      message: 'AI budget saved successfully',
+      data: await getAIBudgetStatus(sessionId)
+    });
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    logger.error('Failed to save AI budget', { error: error.message, sessionId });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to save AI budget'
+    });
+  }
+}));
+
+// Remove a session's budget; its AI replies are no longer limited
+router.delete('/budgets/:sessionId', asyncHandler(async (req, res) => {
+  const { sessionId } = req.params;
+
+  try {
+    const deleted = await deleteAIBudget(sessionId);
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: 'No AI budget for this session'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'AI budget deleted successfully'
+    });
+  } catch (error) {
+    logger.error('Failed to delete AI budget', { error: error.message, sessionId });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete AI budget'
+    });
+  }
+}));
+
+export default router;
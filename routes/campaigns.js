@@ -0,0 +1,256 @@
+import express from 'express';
+import multer from 'multer';
+import { body, query, validationResult } from 'express-validator';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { getCampaigns, getCampaignRecipients, getTemplateById, getTemplateByName, getSession } from '../db.js';
+import {
+  parseRecipientList,
+  createCampaign,
+  getCampaignProgress,
+  pauseCampaign,
+  resumeCampaign,
+  cancelCampaign,
+  CampaignError
+} from '../campaigns.js';
+import { logger } from '../utils/logger.js';
+
+const router = express.Router();
+
+// Recipient lists can be uploaded as a file instead of sent in the JSON body
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: parseInt(process.env.MAX_FILE_SIZE) || 52428800 }
+});
+
+// Read the recipient list from an uploaded file, a csv field or a recipients array
+function readRecipientInput(req) {
+  if (req.file) {
+    const isJson = req.file.mimetype === 'application/json' || req.file.originalname.endsWith('.json');
+    return parseRecipientList(req.file.buffer.toString('utf8'), isJson ? 'json' : 'csv');
+  }
+
+  if (req.body.csv) {
+    return parseRecipientList(req.body.csv, 'csv');
+  }
+
+  // Multipart forms send the array as a JSON string
+  if (typeof req.body.recipients === 'string') {
+    return parseRecipientList(req.body.recipients, 'json');
+  }
+
+  return parseRecipientList(req.body.recipients);
+}
+
+// List campaigns with progress counts
+router.get('/', [
+  query('status').optional().isIn(['running', 'paused', 'cancelled', 'completed']).withMessage('Status must be running, paused, cancelled or completed')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  try {
+    const campaigns = await getCampaigns({ status: req.query.status });
+    const data = await Promise.all(campaigns.map(campaign => getCampaignProgress(campaign.campaign_id)));
+
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    logger.error('Failed to fetch campaigns', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch campaigns'
+    });
+  }
+}));
+
+// Create a campaign from a template and a recipient list
+router.post('/', upload.single('file'), [
+  body('name').notEmpty().withMessage('Name is required'),
+  body('templateId').optional().isInt().withMessage('Template ID must be an integer'),
+  body('templateName').optional().isString().withMessage('Template name must be a string'),
+  body('ratePerMinute').optional().isInt({ min: 1, max: 60 }).withMessage('Rate must be between 1 and 60 messages per minute'),
+  body('sessionId').optional().isString().withMessage('Session ID must be a string')
+    .bail()
+    .custom(async (sessionId) => {
+      if (!(await getSession(sessionId))) {
+        throw new Error(`Unknown session: ${sessionId}`);
+      }
+    })
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const { name, templateId, templateName, ratePerMinute, sessionId } = req.body;
+
+  if (!templateId && !templateName) {
+    return res.status(400).json({
+      success: false,
+      error: 'Either templateId or templateName must be provided'
+    });
+  }
+
+  try {
+    const template = templateId
+      ? await getTemplateById(parseInt(templateId))
+      : await getTemplateByName(templateName);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        error: 'Template not found'
+      });
+    }
+
+    const recipients = readRecipientInput(req);
+
+    const campaignId = await createCampaign({
+      name,
+      template,
+      recipients,
+      sessionId,
+      ratePerMinute: ratePerMinute ? parseInt(ratePerMinute) : undefined
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Campaign created successfully',
+      data: await getCampaignProgress(campaignId)
+    });
+  } catch (error) {
+    if (error instanceof CampaignError) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+        details: error.details
+      });
+    }
+
+    logger.error('Failed to create campaign', { error: error.message, name });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create campaign'
+    });
+  }
+}));
+
+// Get campaign progress
+router.get('/:id', asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const campaign = await getCampaignProgress(id);
+
+    if (!campaign) {
+      return res.status(404).json({
+        success: false,
+        error: 'Campaign not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: campaign
+    });
+  } catch (error) {
+    logger.error('Failed to fetch campaign', { error: error.message, campaignId: id });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch campaign'
+    });
+  }
+}));
+
+// Get per-recipient status
+router.get('/:id/recipients', [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('status').optional().isString().withMessage('Status must be a string')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const { id } = req.params;
+  const { page = 1, limit = 50, status } = req.query;
+
+  try {
+    const result = await getCampaignRecipients(id, { status }, parseInt(page), parseInt(limit));
+
+    res.json({
+      success: true,
+      data: result.recipients,
+      pagination: result.pagination
+    });
+  } catch (error) {
+    logger.error('Failed to fetch campaign recipients', { error: error.message, campaignId: id });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch campaign recipients'
+    });
+  }
+}));
+
+// Build a pause/resume/cancel handler that only applies from the given states
+function campaignAction(action, allowedStates, verb) {
+  return asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    try {
+      const campaign = await getCampaignProgress(id);
+
+      if (!campaign) {
+        return res.status(404).json({
+          success: false,
+          error: 'Campaign not found'
+        });
+      }
+
+      if (!allowedStates.includes(campaign.status)) {
+        return res.status(400).json({
+          success: false,
+          error: `Cannot ${verb} a ${campaign.status} campaign`
+        });
+      }
+
+      await action(id);
+
+      res.json({
+        success: true,
+        message: `Campaign ${verb === 'cancel' ? 'cancelled' : `${verb}d`} successfully`,
+        data: await getCampaignProgress(id)
+      });
+    } catch (error) {
+      logger.error(`Failed to ${verb} campaign`, { error: error.message, campaignId: id });
+      res.status(500).json({
+        success: false,
+        error: `Failed to ${verb} campaign`
+      });
+    }
+  });
+}
+
+// Pause, resume or cancel the whole campaign
+router.post('/:id/pause', campaignAction(pauseCampaign, ['running'], 'pause'));
+router.post('/:id/resume', campaignAction(resumeCampaign, ['paused'], 'resume'));
+router.post('/:id/cancel', campaignAction(cancelCampaign, ['running', 'paused'], 'cancel'));
+
+export default router;
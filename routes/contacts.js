@@ -0,0 +1,289 @@
+import express from 'express';
+import multer from 'multer';
+import { body, query, validationResult } from 'express-validator';
+import { asyncHandler, ValidationError } from '../middleware/errorHandler.js';
+import {
+  saveContact,
+  getContacts,
+  getContactById,
+  getContactByPhone,
+  updateContact,
+  deleteContact
+} from '../db.js';
+import { normaliseContactInput, importContactsCsv, exportContactsCsv } from '../contacts.js';
+import { logger } from '../utils/logger.js';
+
+const router = express.Router();
+
+// CSV imports can be uploaded as a file instead of sent as a csv field
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: parseInt(process.env.MAX_FILE_SIZE) || 52428800 }
+});
+
+const contactValidators = [
+  body('name').optional({ nullable: true }).isString().withMessage('Name must be a string'),
+  body('tags').optional().isArray().withMessage('Tags must be an array'),
+  body('customFields').optional().isObject().withMessage('Custom fields must be an object'),
+  body('optedOut').optional().isBoolean().withMessage('Opted out must be a boolean').toBoolean()
+];
+
+// List contacts with search, tag and opt-out filters
+router.get('/', [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('search').optional().isString().withMessage('Search must be a string'),
+  query('tag').optional().isString().withMessage('Tag must be a string'),
+  query('optedOut').optional().isBoolean().withMessage('Opted out must be true or false')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const { page = 1, limit = 50, search, tag, optedOut } = req.query;
+
+  const filters = {};
+  if (search) filters.search = search;
+  if (tag) filters.tag = tag;
+  if (optedOut !== undefined) filters.optedOut = optedOut === 'true';
+
+  try {
+    const result = await getContacts(filters, parseInt(page), parseInt(limit));
+
+    res.json({
+      success: true,
+      data: result.contacts,
+      pagination: result.pagination
+    });
+  } catch (error) {
+    logger.error('Failed to fetch contacts', { error: error.message, filters });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch contacts'
+    });
+  }
+}));
+
+// Export contacts as CSV
+router.get('/export', asyncHandler(async (req, res) => {
+  try {
+    const csv = await exportContactsCsv();
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', 'attachment; filename="contacts.csv"');
+    res.send(csv);
+  } catch (error) {
+    logger.error('Failed to export contacts', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to export contacts'
+    });
+  }
+}));
+
+// Import contacts from CSV (phone, name, tags, opted_out and custom field columns)
+router.post('/import', upload.single('file'), asyncHandler(async (req, res) => {
+  const csv = req.file ? req.file.buffer.toString('utf8') : req.body.csv;
+
+  if (!csv) {
+    return res.status(400).json({
+      success: false,
+      error: 'A CSV file or csv field is required'
+    });
+  }
+
+  try {
+    const result = await importContactsCsv(csv);
+
+    res.json({
+      success: true,
+      message: `Imported ${result.created + result.updated} contacts`,
+      data: result
+    });
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    logger.error('Failed to import contacts', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to import contacts'
+    });
+  }
+}));
+
+// Create contact
+router.post('/', [
+  body('phone').notEmpty().withMessage('Phone is required'),
+  ...contactValidators
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  try {
+    const contact = normaliseContactInput(req.body);
+
+    if (await getContactByPhone(contact.phone)) {
+      return res.status(409).json({
+        success: false,
+        error: 'A contact with this phone number already exists'
+      });
+    }
+
+    const id = await saveContact(contact);
+
+    logger.info(`Contact created: ${contact.phone}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Contact created successfully',
+      data: await getContactById(id)
+    });
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    logger.error('Failed to create contact', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create contact'
+    });
+  }
+}));
+
+// Get contact by ID
+router.get('/:id', asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const contact = await getContactById(id);
+
+    if (!contact) {
+      return res.status(404).json({
+        success: false,
+        error: 'Contact not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: contact
+    });
+  } catch (error) {
+    logger.error('Failed to fetch contact', { error: error.message, contactId: id });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch contact'
+    });
+  }
+}));
+
+// Update contact
+router.put('/:id', [
+  body('phone').optional().notEmpty().withMessage('Phone cannot be empty'),
+  ...contactValidators
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const { id } = req.params;
+
+  try {
+    const existing = await getContactById(id);
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: 'Contact not found'
+      });
+    }
+
+    const updates = normaliseContactInput(req.body, { partial: true });
+
+    if (updates.phone && updates.phone !== existing.phone && await getContactByPhone(updates.phone)) {
+      return res.status(409).json({
+        success: false,
+        error: 'A contact with this phone number already exists'
+      });
+    }
+
+    await updateContact(id, updates);
+
+    logger.info(`Contact updated: ${id}`);
+
+    res.json({
+      success: true,
+      message: 'Contact updated successfully',
+      data: await getContactById(id)
+    });
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    logger.error('Failed to update contact', { error: error.message, contactId: id });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update contact'
+    });
+  }
+}));
+
+// Delete contact
+router.delete('/:id', asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const deleted = await deleteContact(id);
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: 'Contact not found'
+      });
+    }
+
+    logger.info(`Contact deleted: ${id}`);
+
+    res.json({
+      success: true,
+      message: 'Contact deleted successfully'
+    });
+  } catch (error) {
+    logger.error('Failed to delete contact', { error: error.message, contactId: id });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete contact'
+    });
+  }
+}));
+
+export default router;
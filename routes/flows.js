@@ -0,0 +1,295 @@
+import express from 'express';
+import { body, query, validationResult } from 'express-validator';
+import { asyncHandler, ValidationError } from '../middleware/errorHandler.js';
+import {
+  saveFlow,
+  getFlows,
+  getFlowById,
+  updateFlow,
+  deleteFlow,
+  getFlowConversations,
+  endFlowConversation
+} from '../db.js';
+import { normaliseFlowInput, simulateFlow } from '../flows.js';
+import { logger } from '../utils/logger.js';
+
+const router = express.Router();
+
+const flowValidators = [
+  body('startNode').optional().isString().withMessage('startNode must be a node ID'),
+  body('nodes').optional().isObject().withMessage('Nodes must be an object'),
+  body('trigger').optional({ nullable: true }).isObject().withMessage('Trigger must be an object'),
+  body('priority').optional().isInt().withMessage('Priority must be an integer'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
+];
+
+function validationFailed(res, error) {
+  return res.status(400).json({
+    success: false,
+    error: error.message,
+    details: error.details
+  });
+}
+
+// List flows in trigger order
+router.get('/', asyncHandler(async (req, res) => {
+  try {
+    const flows = await getFlows();
+
+    res.json({
+      success: true,
+      data: flows
+    });
+  } catch (error) {
+    logger.error('Failed to fetch flows', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch flows'
+    });
+  }
+}));
+
+// Create a flow
+router.post('/', [
+  body('name').notEmpty().withMessage('Name is required'),
+  body('startNode').notEmpty().withMessage('startNode is required'),
+  body('nodes').notEmpty().withMessage('Nodes are required'),
+  ...flowValidators
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  try {
+    const id = await saveFlow(normaliseFlowInput(req.body));
+
+    res.status(201).json({
+      success: true,
+      message: 'Flow created successfully',
+      data: await getFlowById(id)
+    });
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return validationFailed(res, error);
+    }
+
+    logger.error('Failed to create flow', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create flow'
+    });
+  }
+}));
+
+// List chats in flows (?status=, ?flowId=, ?chatId=)
+router.get('/conversations', [
+  query('status').optional().isIn(['active', 'handed_to_human', 'handed_to_ai', 'completed', 'timed_out', 'failed', 'cancelled']).withMessage('Invalid status'),
+  query('flowId').optional().isInt().withMessage('Flow ID must be an integer'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const { status, flowId, chatId, page = 1, limit = 50 } = req.query;
+
+  try {
+    const result = await getFlowConversations({ status, flowId, chatId }, parseInt(page), parseInt(limit));
+
+    res.json({
+      success: true,
+      data: result.conversations,
+      pagination: result.pagination
+    });
+  } catch (error) {
+    logger.error('Failed to fetch flow conversations', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch flow conversations'
+    });
+  }
+}));
+
+// End a chat's flow or human handoff so rules and the AI answer it again
+router.delete('/conversations/:conversationId', asyncHandler(async (req, res) => {
+  const { conversationId } = req.params;
+
+  try {
+    const ended = await endFlowConversation(conversationId);
+
+    if (!ended) {
+      return res.status(404).json({
+        success: false,
+        error: 'No running flow conversation with that ID'
+      });
+    }
+
+    logger.info(`Flow conversation ended: ${conversationId}`);
+
+    res.json({
+      success: true,
+      message: 'Flow conversation ended successfully'
+    });
+  } catch (error) {
+    logger.error('Failed to end flow conversation', { error: error.message, conversationId });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to end flow conversation'
+    });
+  }
+}));
+
+// Get a flow
+router.get('/:id', asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const flow = await getFlowById(id);
+
+    if (!flow) {
+      return res.status(404).json({
+        success: false,
+        error: 'Flow not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: flow
+    });
+  } catch (error) {
+    logger.error('Failed to fetch flow', { error: error.message, flowId: id });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch flow'
+    });
+  }
+}));
+
+// Update a flow; chats already in it carry on from their current node
+router.put('/:id', [
+  body('name').optional().notEmpty().withMessage('Name cannot be empty'),
+  ...flowValidators
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const { id } = req.params;
+
+  try {
+    const existing = await getFlowById(id);
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: 'Flow not found'
+      });
+    }
+
+    await updateFlow(id, normaliseFlowInput(req.body, { partial: true, existing }));
+
+    res.json({
+      success: true,
+      message: 'Flow updated successfully',
+      data: await getFlowById(id)
+    });
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return validationFailed(res, error);
+    }
+
+    logger.error('Failed to update flow', { error: error.message, flowId: id });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update flow'
+    });
+  }
+}));
+
+// Delete a flow; chats still in it are cancelled
+router.delete('/:id', asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const deleted = await deleteFlow(id);
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: 'Flow not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Flow deleted successfully'
+    });
+  } catch (error) {
+    logger.error('Failed to delete flow', { error: error.message, flowId: id });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete flow'
+    });
+  }
+}));
+
+// Run a flow against scripted replies; nothing is sent and webhook calls are answered from webhookResponses
+router.post('/:id/simulate', [
+  body('inputs').optional().isArray().withMessage('Inputs must be an array'),
+  body('variables').optional().isObject().withMessage('Variables must be an object'),
+  body('webhookResponses').optional().isObject().withMessage('webhookResponses must be an object keyed by node ID')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const { id } = req.params;
+
+  try {
+    const flow = await getFlowById(id);
+
+    if (!flow) {
+      return res.status(404).json({
+        success: false,
+        error: 'Flow not found'
+      });
+    }
+
+    const result = await simulateFlow(flow, req.body);
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    logger.error('Failed to simulate flow', { error: error.message, flowId: id });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to simulate flow'
+    });
+  }
+}));
+
+export default router;
@@ -0,0 +1,80 @@
+import express from 'express';
+import rateLimit from 'express-rate-limit';
+import { asyncHandler, ValidationError, AuthorizationError } from '../middleware/errorHandler.js';
+import { getInboundHookByToken } from '../db.js';
+import { sendFromInboundHook } from '../inboundHooks.js';
+import { logger } from '../utils/logger.js';
+
+const router = express.Router();
+
+// Look up the hook for the token in the URL; the token is the only credential
+const loadInboundHook = asyncHandler(async (req, res, next) => {
+  const hook = await getInboundHookByToken(req.params.token);
+
+  if (!hook || !hook.is_active) {
+    return res.status(404).json({
+      success: false,
+      error: 'Inbound hook not found'
+    });
+  }
+
+  req.inboundHook = hook;
+  next();
+});
+
+// Each hook has its own per-minute budget, separate from the API limiter
+const inboundLimiter = rateLimit({
+  windowMs: 60000,
+  limit: req => req.inboundHook.rate_limit_per_minute,
+  keyGenerator: req => `inbound-hook:${req.inboundHook.id}`,
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: (req, res) => {
+    res.status(429).json({
+      success: false,
+      error: 'Rate limit exceeded for this inbound hook'
+    });
+  }
+});
+
+// Map an incoming JSON payload onto a template send
+router.post('/in/:token', loadInboundHook, inboundLimiter, asyncHandler(async (req, res) => {
+  const hook = req.inboundHook;
+
+  try {
+    const result = await sendFromInboundHook(hook, req.body);
+
+    res.status(202).json({
+      success: true,
+      message: 'Message queued successfully',
+      data: {
+        jobId: result.jobId,
+        status: result.status,
+        reason: result.reason
+      }
+    });
+  } catch (error) {
+    if (error instanceof AuthorizationError) {
+      return res.status(403).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    if (error instanceof ValidationError) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+        details: error.details
+      });
+    }
+
+    logger.error('Failed to handle inbound hook', { error: error.message, hookId: hook.id });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to handle inbound hook'
+    });
+  }
+}));
+
+export default router;
@@ -0,0 +1,242 @@
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import { asyncHandler, ValidationError } from '../middleware/errorHandler.js';
+import {
+  saveInboundHook,
+  getInboundHooks,
+  getInboundHookById,
+  updateInboundHook,
+  deleteInboundHook
+} from '../db.js';
+import { normaliseInboundHookInput, generateInboundToken, DEFAULT_INBOUND_RATE_LIMIT } from '../inboundHooks.js';
+import { logger } from '../utils/logger.js';
+
+const router = express.Router();
+
+const hookValidators = [
+  body('mapping').optional().isObject().withMessage('Mapping must be an object'),
+  body('templates').optional().isArray({ min: 1 }).withMessage('Templates must be a non-empty array'),
+  body('rateLimitPerMinute').optional().isInt({ min: 1 }).withMessage('Rate limit must be a positive integer'),
+  body('sessionId').optional({ nullable: true }).isString().withMessage('Session ID must be a string'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
+];
+
+// The token is the hook's only credential, so it is returned when created or rotated and never again
+function describeInboundHook(hook) {
+  const { token, ...rest } = hook;
+  return rest;
+}
+
+// List inbound hooks
+router.get('/', asyncHandler(async (req, res) => {
+  try {
+    const hooks = await getInboundHooks();
+
+    res.json({
+      success: true,
+      data: hooks.map(describeInboundHook)
+    });
+  } catch (error) {
+    logger.error('Failed to fetch inbound hooks', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch inbound hooks'
+    });
+  }
+}));
+
+// Create an inbound hook; the response holds the token for its URL
+router.post('/', [
+  body('name').notEmpty().withMessage('Name is required'),
+  body('mapping').notEmpty().withMessage('Mapping is required'),
+  body('templates').notEmpty().withMessage('Templates are required'),
+  ...hookValidators
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  try {
+    const hook = normaliseInboundHookInput(req.body);
+    const token = generateInboundToken();
+
+    const id = await saveInboundHook({
+      ...hook,
+      token,
+      rateLimitPerMinute: hook.rateLimitPerMinute || DEFAULT_INBOUND_RATE_LIMIT
+    });
+
+    logger.info(`Inbound hook created: ${hook.name}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Inbound hook created successfully',
+      data: {
+        ...describeInboundHook(await getInboundHookById(id)),
+        token,
+        url: `/hooks/in/${token}`
+      }
+    });
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    logger.error('Failed to create inbound hook', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create inbound hook'
+    });
+  }
+}));
+
+// Get an inbound hook
+router.get('/:id', asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const hook = await getInboundHookById(id);
+
+    if (!hook) {
+      return res.status(404).json({
+        success: false,
+        error: 'Inbound hook not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: describeInboundHook(hook)
+    });
+  } catch (error) {
+    logger.error('Failed to fetch inbound hook', { error: error.message, hookId: id });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch inbound hook'
+    });
+  }
+}));
+
+// Update an inbound hook
+router.put('/:id', [
+  body('name').optional().notEmpty().withMessage('Name cannot be empty'),
+  ...hookValidators
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const { id } = req.params;
+
+  try {
+    const existing = await getInboundHookById(id);
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: 'Inbound hook not found'
+      });
+    }
+
+    await updateInboundHook(id, normaliseInboundHookInput(req.body, { partial: true }));
+
+    logger.info(`Inbound hook updated: ${id}`);
+
+    res.json({
+      success: true,
+      message: 'Inbound hook updated successfully',
+      data: describeInboundHook(await getInboundHookById(id))
+    });
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    logger.error('Failed to update inbound hook', { error: error.message, hookId: id });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update inbound hook'
+    });
+  }
+}));
+
+// Issue a new token; the old URL stops working immediately
+router.post('/:id/token', asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const existing = await getInboundHookById(id);
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: 'Inbound hook not found'
+      });
+    }
+
+    const token = generateInboundToken();
+    await updateInboundHook(id, { token });
+
+    logger.info(`Inbound hook token rotated: ${id}`);
+
+    res.json({
+      success: true,
+      message: 'Inbound hook token rotated successfully',
+      data: {
+        token,
+        url: `/hooks/in/${token}`
+      }
+    });
+  } catch (error) {
+    logger.error('Failed to rotate inbound hook token', { error: error.message, hookId: id });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to rotate inbound hook token'
+    });
+  }
+}));
+
+// Delete an inbound hook
+router.delete('/:id', asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const deleted = await deleteInboundHook(id);
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: 'Inbound hook not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Inbound hook deleted successfully'
+    });
+  } catch (error) {
+    logger.error('Failed to delete inbound hook', { error: error.message, hookId: id });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete inbound hook'
+    });
+  }
+}));
+
+export default router;
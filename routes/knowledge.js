@@ -0,0 +1,301 @@
+import express from 'express';
+import multer from 'multer';
+import path from 'path';
+import { body, validationResult } from 'express-validator';
+import { asyncHandler, ValidationError } from '../middleware/errorHandler.js';
+import {
+  getKnowledgeDocuments,
+  getKnowledgeDocumentById,
+  getKnowledgeChunks,
+  deleteKnowledgeDocument
+} from '../db.js';
+import {
+  KNOWLEDGE_FORMATS,
+  addKnowledgeDocument,
+  changeKnowledgeDocument,
+  refreshKnowledgeEmbeddings,
+  searchKnowledge
+} from '../knowledge.js';
+import { logger } from '../utils/logger.js';
+
+const router = express.Router();
+
+// Documents can be uploaded as a file instead of sent as a content field
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: parseInt(process.env.MAX_FILE_SIZE) || 52428800 }
+});
+
+const FORMATS_BY_EXTENSION = {
+  '.md': 'markdown',
+  '.markdown': 'markdown',
+  '.txt': 'text'
+};
+
+// Merge an uploaded file into the body; new documents take their title and source from the file name.
+// PDFs must be sent as their extracted text
+function readDocumentUpload(req, { partial = false } = {}) {
+  if (!req.file) {
+    return req.body;
+  }
+
+  if (req.file.mimetype === 'application/pdf') {
+    throw new ValidationError('Upload the text extracted from the PDF with format "pdf", not the PDF itself');
+  }
+
+  const extension = path.extname(req.file.originalname).toLowerCase();
+
+  return {
+    ...req.body,
+    ...(!partial && {
+      title: req.body.title || path.basename(req.file.originalname, extension),
+      source: req.body.source || req.file.originalname
+    }),
+    format: req.body.format || FORMATS_BY_EXTENSION[extension] || 'text',
+    content: req.file.buffer.toString('utf8')
+  };
+}
+
+// Embedding client from the AI module, when an embedding model is configured
+async function getEmbedder() {
+  const { getKnowledgeEmbedder } = await import('../ai.js');
+  return getKnowledgeEmbedder();
+}
+
+const documentValidators = [
+  body('source').optional({ nullable: true }).isString().withMessage('Source must be a string'),
+  body('format').optional().isIn(KNOWLEDGE_FORMATS).withMessage(`Format must be one of: ${KNOWLEDGE_FORMATS.join(', ')}`)
+];
+
+// List knowledge documents
+router.get('/', asyncHandler(async (req, res) => {
+  try {
+    const documents = await getKnowledgeDocuments();
+
+    res.json({
+      success: true,
+      data: documents
+    });
+  } catch (error) {
+    logger.error('Failed to fetch knowledge documents', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch knowledge documents'
+    });
+  }
+}));
+
+// Add a document from a file or a content field; it is chunked, indexed and embedded if embeddings are on
+router.post('/', upload.single('file'), documentValidators, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  try {
+    const id = await addKnowledgeDocument(readDocumentUpload(req));
+    const embedded = await refreshKnowledgeEmbeddings(await getEmbedder(), { documentId: id });
+
+    res.status(201).json({
+      success: true,
+      message: 'Knowledge document added successfully',
+      data: {
+        ...await getKnowledgeDocumentById(id),
+        embeddedChunks: embedded
+      }
+    });
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    logger.error('Failed to add knowledge document', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to add knowledge document'
+    });
+  }
+}));
+
+// Show the passages a message would retrieve; nothing is sent to the model
+router.post('/search', [
+  body('query').isString().notEmpty().withMessage('Query is required'),
+  body('limit').optional().isInt({ min: 1, max: 20 }).withMessage('Limit must be between 1 and 20')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  try {
+    const { query, limit = 3 } = req.body;
+    const passages = await searchKnowledge(query, {
+      limit: Number(limit),
+      embedder: await getEmbedder()
+    });
+
+    res.json({
+      success: true,
+      data: passages
+    });
+  } catch (error) {
+    logger.error('Failed to search knowledge base', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to search knowledge base'
+    });
+  }
+}));
+
+// Embed every chunk that has no vector from the current embedding model
+router.post('/reindex', asyncHandler(async (req, res) => {
+  try {
+    const embedder = await getEmbedder();
+
+    if (!embedder) {
+      return res.status(400).json({
+        success: false,
+        error: 'No embedding model is configured, or the AI provider does not support embeddings'
+      });
+    }
+
+    const embedded = await refreshKnowledgeEmbeddings(embedder);
+
+    res.json({
+      success: true,
+      data: {
+        model: embedder.model,
+        embeddedChunks: embedded
+      }
+    });
+  } catch (error) {
+    logger.error('Failed to reindex knowledge base', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to reindex knowledge base'
+    });
+  }
+}));
+
+// Get a document with its chunks
+router.get('/:id', asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const document = await getKnowledgeDocumentById(id);
+
+    if (!document) {
+      return res.status(404).json({
+        success: false,
+        error: 'Knowledge document not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        ...document,
+        chunks: await getKnowledgeChunks(id)
+      }
+    });
+  } catch (error) {
+    logger.error('Failed to fetch knowledge document', { error: error.message, documentId: id });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch knowledge document'
+    });
+  }
+}));
+
+// Update a document; new content is re-chunked and re-indexed
+router.put('/:id', upload.single('file'), [
+  body('title').optional().notEmpty().withMessage('Title cannot be empty'),
+  ...documentValidators
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const { id } = req.params;
+
+  try {
+    const existing = await getKnowledgeDocumentById(id);
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: 'Knowledge document not found'
+      });
+    }
+
+    await changeKnowledgeDocument(existing, readDocumentUpload(req, { partial: true }));
+    const embedded = await refreshKnowledgeEmbeddings(await getEmbedder(), { documentId: existing.id });
+
+    res.json({
+      success: true,
+      message: 'Knowledge document updated successfully',
+      data: {
+        ...await getKnowledgeDocumentById(id),
+        embeddedChunks: embedded
+      }
+    });
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    logger.error('Failed to update knowledge document', { error: error.message, documentId: id });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update knowledge document'
+    });
+  }
+}));
+
+// Delete a document and its index entries
+router.delete('/:id', asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const deleted = await deleteKnowledgeDocument(id);
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: 'Knowledge document not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Knowledge document deleted successfully'
+    });
+  } catch (error) {
+    logger.error('Failed to delete knowledge document', { error: error.message, documentId: id });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete knowledge document'
+    });
+  }
+}));
+
+export default router;
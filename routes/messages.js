@@ -11,6 +11,7 @@ router.get('/', [
   query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
   query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
   query('chatId').optional().isString().withMessage('Chat ID must be a string'),
+  query('sessionId').optional().isString().withMessage('Session ID must be a string'),
   query('senderId').optional().isString().withMessage('Sender ID must be a string'),
   query('isGroup').optional().isBoolean().withMessage('Is group must be a boolean'),
   query('messageType').optional().isString().withMessage('Message type must be a string'),
@@ -30,6 +31,7 @@ router.get('/', [
     page = 1,
     limit = 50,
     chatId,
+    sessionId,
     senderId,
     isGroup,
     messageType,
@@ -40,6 +42,7 @@ router.get('/', [
   // Build filters object
   const filters = {};
   if (chatId) filters.chatId = chatId;
+  if (sessionId) filters.sessionId = sessionId;
   if (senderId) filters.senderId = senderId;
   if (isGroup !== undefined) filters.isGroup = isGroup === 'true';
   if (messageType) filters.messageType = messageType;
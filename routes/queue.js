@@ -1,8 +1,10 @@
 import express from 'express';
 import { body, query, validationResult } from 'express-validator';
-import { asyncHandler } from '../middleware/errorHandler.js';
-import { getQueueJobs, updateQueueJob } from '../db.js';
+import { asyncHandler, ValidationError } from '../middleware/errorHandler.js';
+import { getQueueJobs, getQueueJob, updateQueueJob, getMessageStatusEvents } from '../db.js';
 import { queue } from '../queue.js';
+import { getRatePolicy, updateRatePolicy, getRateUsage } from '../rateGovernor.js';
+import { DEFAULT_SESSION_ID } from '../playwright.js';
 import { logger } from '../utils/logger.js';
 
 const router = express.Router();
@@ -12,7 +14,8 @@ router.get('/', [
   query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
   query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
   query('status').optional().isString().withMessage('Status must be a string'),
-  query('jobType').optional().isString().withMessage('Job type must be a string')
+  query('jobType').optional().isString().withMessage('Job type must be a string'),
+  query('sessionId').optional().isString().withMessage('Session ID must be a string')
 ], asyncHandler(async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -27,13 +30,15 @@ router.get('/', [
     page = 1,
     limit = 50,
     status,
-    jobType
+    jobType,
+    sessionId
   } = req.query;
 
   // Build filters object
   const filters = {};
   if (status) filters.status = status;
   if (jobType) filters.jobType = jobType;
+  if (sessionId) filters.sessionId = sessionId;
 
   try {
     const result = await getQueueJobs(filters, parseInt(page), parseInt(limit));
@@ -52,6 +57,88 @@ router.get('/', [
   }
 }));
 
+// Get the rate policy and how much of it a session has used
+router.get('/policy', [
+  query('sessionId').optional().isString().withMessage('Session ID must be a string')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  try {
+    res.json({
+      success: true,
+      data: {
+        policy: getRatePolicy(),
+        usage: await getRateUsage(req.query.sessionId || DEFAULT_SESSION_ID)
+      }
+    });
+  } catch (error) {
+    logger.error('Failed to fetch queue policy', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch queue policy'
+    });
+  }
+}));
+
+// Update the rate policy; omitted fields keep their current values
+router.put('/policy', [
+  body('enabled').optional().isBoolean({ strict: true }).withMessage('Enabled must be a boolean'),
+  body('perRecipientPerHour').optional().isInt({ min: 0 }).withMessage('perRecipientPerHour must be a non-negative integer'),
+  body('perSessionPerDay').optional().isInt({ min: 0 }).withMessage('perSessionPerDay must be a non-negative integer'),
+  body('warmup').optional().isObject().withMessage('Warmup must be an object'),
+  body('quietHours').optional().isObject().withMessage('Quiet hours must be an object'),
+  body('burst').optional().isObject().withMessage('Burst must be an object')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const { enabled, perRecipientPerHour, perSessionPerDay, warmup, quietHours, burst } = req.body;
+
+  try {
+    const policy = await updateRatePolicy({
+      ...(enabled !== undefined && { enabled }),
+      ...(perRecipientPerHour !== undefined && { perRecipientPerHour }),
+      ...(perSessionPerDay !== undefined && { perSessionPerDay }),
+      ...(warmup !== undefined && { warmup }),
+      ...(quietHours !== undefined && { quietHours }),
+      ...(burst !== undefined && { burst })
+    });
+
+    res.json({
+      success: true,
+      message: 'Queue policy updated successfully',
+      data: policy
+    });
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+        details: error.details
+      });
+    }
+
+    logger.error('Failed to update queue policy', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update queue policy'
+    });
+  }
+}));
+
 // Get queue job by ID
 router.get('/:id', [
   query('id').isString().withMessage('Job ID must be a string')
@@ -59,9 +146,11 @@ router.get('/:id', [
   const { id } = req.params;
 
   try {
+    // BullMQ drops finished jobs after a while; the database keeps the record
     const job = await queue.getJob(id);
+    const record = await getQueueJob(id);
     
-    if (!job) {
+    if (!job && !record) {
       return res.status(404).json({ 
         success: false, 
         error: 'Job not found' 
@@ -69,16 +158,18 @@ router.get('/:id', [
     }
 
     const jobData = {
-      id: job.id,
-      name: job.name,
-      data: job.data,
-      opts: job.opts,
-      progress: job.progress(),
-      state: await job.getState(),
-      created: job.timestamp,
-      processed: job.processedOn,
-      finished: job.finishedOn,
-      failedReason: job.failedReason
+      id,
+      name: job ? job.name : record.job_type,
+      data: job ? job.data : null,
+      opts: job ? job.opts : null,
+      progress: job ? job.progress : null,
+      state: job ? await job.getState() : null,
+      created: job ? job.timestamp : null,
+      processed: job ? job.processedOn : null,
+      finished: job ? job.finishedOn : null,
+      failedReason: job ? job.failedReason : null,
+      record,
+      statusEvents: await getMessageStatusEvents(id)
     };
 
     res.json({
@@ -0,0 +1,261 @@
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import { asyncHandler, ValidationError } from '../middleware/errorHandler.js';
+import {
+  saveRule,
+  getRules,
+  getRuleById,
+  updateRule,
+  deleteRule
+} from '../db.js';
+import { normaliseRuleInput, validateRuleReply, evaluateRules, buildRuleReply } from '../rules.js';
+import { logger } from '../utils/logger.js';
+
+const router = express.Router();
+
+const ruleValidators = [
+  body('priority').optional().isInt().withMessage('Priority must be an integer'),
+  body('conditions').optional().isObject().withMessage('Conditions must be an object'),
+  body('cooldownSeconds').optional().isInt({ min: 0 }).withMessage('Cooldown must be a non-negative integer'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
+];
+
+// List rules in evaluation order
+router.get('/', asyncHandler(async (req, res) => {
+  try {
+    const rules = await getRules();
+
+    res.json({
+      success: true,
+      data: rules
+    });
+  } catch (error) {
+    logger.error('Failed to fetch rules', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch rules'
+    });
+  }
+}));
+
+// Create a rule
+router.post('/', [
+  body('name').notEmpty().withMessage('Name is required'),
+  body('response').isObject().withMessage('Response is required'),
+  ...ruleValidators
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  try {
+    const rule = normaliseRuleInput(req.body);
+    await validateRuleReply(rule.response);
+
+    const id = await saveRule(rule);
+
+    res.status(201).json({
+      success: true,
+      message: 'Rule created successfully',
+      data: await getRuleById(id)
+    });
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    logger.error('Failed to create rule', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create rule'
+    });
+  }
+}));
+
+// Show which rule would fire for a sample message; nothing is sent
+router.post('/dry-run', [
+  body('content').isString().withMessage('Content is required'),
+  body('sender').optional().isString().withMessage('Sender must be a string'),
+  body('senderName').optional().isString().withMessage('Sender name must be a string'),
+  body('chatId').optional().isString().withMessage('Chat ID must be a string'),
+  body('isGroup').optional().isBoolean().withMessage('isGroup must be a boolean'),
+  body('timestamp').optional().isISO8601().withMessage('Timestamp must be an ISO 8601 date'),
+  body('firstContact').optional().isBoolean().withMessage('firstContact must be a boolean')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const { content, sender, senderName, chatName, isGroup = false, timestamp, firstContact } = req.body;
+  const senderId = sender ? `${sender.replace(/[^\d]/g, '')}@c.us` : 'dry-run';
+
+  const message = {
+    messageId: null,
+    chatId: req.body.chatId || senderId,
+    chatName: chatName || (isGroup ? 'Group Chat' : 'Personal Chat'),
+    senderId,
+    senderName: senderName || 'Unknown',
+    content,
+    isGroup,
+    isFromMe: false
+  };
+
+  try {
+    const { rule, evaluations } = await evaluateRules(message, {
+      now: timestamp ? new Date(timestamp) : new Date(),
+      firstContact
+    });
+
+    let reply = null;
+    let replyError = null;
+
+    if (rule) {
+      try {
+        reply = await buildRuleReply(rule, message);
+      } catch (error) {
+        if (!(error instanceof ValidationError)) throw error;
+        replyError = error.message;
+      }
+    }
+
+    res.json({
+      success: true,
+      data: {
+        rule: rule ? { id: rule.id, name: rule.name } : null,
+        reply,
+        replyError,
+        evaluations
+      }
+    });
+  } catch (error) {
+    logger.error('Failed to dry-run rules', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to dry-run rules'
+    });
+  }
+}));
+
+// Get a rule
+router.get('/:id', asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const rule = await getRuleById(id);
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        error: 'Rule not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: rule
+    });
+  } catch (error) {
+    logger.error('Failed to fetch rule', { error: error.message, ruleId: id });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch rule'
+    });
+  }
+}));
+
+// Update a rule
+router.put('/:id', [
+  body('name').optional().notEmpty().withMessage('Name cannot be empty'),
+  body('response').optional().isObject().withMessage('Response must be an object'),
+  ...ruleValidators
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const { id } = req.params;
+
+  try {
+    const existing = await getRuleById(id);
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: 'Rule not found'
+      });
+    }
+
+    const rule = normaliseRuleInput(req.body, { partial: true });
+    if (rule.response) {
+      await validateRuleReply(rule.response);
+    }
+
+    await updateRule(id, rule);
+
+    res.json({
+      success: true,
+      message: 'Rule updated successfully',
+      data: await getRuleById(id)
+    });
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    logger.error('Failed to update rule', { error: error.message, ruleId: id });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update rule'
+    });
+  }
+}));
+
+// Delete a rule
+router.delete('/:id', asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const deleted = await deleteRule(id);
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: 'Rule not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Rule deleted successfully'
+    });
+  } catch (error) {
+    logger.error('Failed to delete rule', { error: error.message, ruleId: id });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete rule'
+    });
+  }
+}));
+
+export default router;
@@ -0,0 +1,129 @@
+import express from 'express';
+import { query, validationResult } from 'express-validator';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { getSchedules, getSchedule } from '../db.js';
+import { cancelSchedule } from '../queue.js';
+import { logger } from '../utils/logger.js';
+
+const router = express.Router();
+
+// Shape a stored schedule row for API responses
+function describeSchedule(schedule) {
+  return {
+    scheduleId: schedule.schedule_id,
+    jobType: schedule.job_type,
+    recipient: schedule.recipient,
+    content: schedule.content,
+    mediaUrl: schedule.media_url,
+    mediaType: schedule.media_type,
+    sessionId: schedule.session_id,
+    priority: schedule.priority,
+    sendAt: schedule.send_at,
+    cron: schedule.cron,
+    timezone: schedule.timezone,
+    status: schedule.status,
+    nextRunAt: schedule.next_run_at,
+    lastRunAt: schedule.last_run_at,
+    lastJobId: schedule.last_job_id,
+    runCount: schedule.run_count,
+    createdAt: schedule.created_at,
+    updatedAt: schedule.updated_at
+  };
+}
+
+// List schedules, soonest first
+router.get('/', [
+  query('status').optional().isIn(['scheduled', 'completed', 'cancelled']).withMessage('Status must be scheduled, completed or cancelled'),
+  query('sessionId').optional().isString().withMessage('Session ID must be a string')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const { status, sessionId } = req.query;
+
+  try {
+    const schedules = await getSchedules({ status, sessionId });
+
+    res.json({
+      success: true,
+      data: schedules.map(describeSchedule)
+    });
+  } catch (error) {
+    logger.error('Failed to fetch schedules', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch schedules'
+    });
+  }
+}));
+
+// Get schedule by ID
+router.get('/:id', asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const schedule = await getSchedule(id);
+
+    if (!schedule) {
+      return res.status(404).json({
+        success: false,
+        error: 'Schedule not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: describeSchedule(schedule)
+    });
+  } catch (error) {
+    logger.error('Failed to fetch schedule', { error: error.message, scheduleId: id });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch schedule'
+    });
+  }
+}));
+
+// Cancel a schedule
+router.delete('/:id', asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const schedule = await getSchedule(id);
+
+    if (!schedule) {
+      return res.status(404).json({
+        success: false,
+        error: 'Schedule not found'
+      });
+    }
+
+    if (schedule.status !== 'scheduled') {
+      return res.status(400).json({
+        success: false,
+        error: `Schedule is already ${schedule.status}`
+      });
+    }
+
+    await cancelSchedule(id);
+
+    res.json({
+      success: true,
+      message: 'Schedule cancelled successfully'
+    });
+  } catch (error) {
+    logger.error('Failed to cancel schedule', { error: error.message, scheduleId: id });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to cancel schedule'
+    });
+  }
+}));
+
+export default router;
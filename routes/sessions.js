@@ -0,0 +1,247 @@
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { getSessions, getSession, deleteSession } from '../db.js';
+import {
+  startSession,
+  stopSession,
+  removeSessionProfile,
+  getSessionStatus,
+  getQRCode,
+  reconnect
+} from '../playwright.js';
+import { logger } from '../utils/logger.js';
+
+const router = express.Router();
+
+// Combine the stored session row with its live browser status
+async function describeSession(session) {
+  return {
+    sessionId: session.session_id,
+    name: session.name,
+    status: await getSessionStatus(session.session_id),
+    storedStatus: session.status,
+    phoneNumber: session.phone_number,
+    lastActivity: session.last_activity,
+    createdAt: session.created_at,
+    updatedAt: session.updated_at
+  };
+}
+
+// List sessions
+router.get('/', asyncHandler(async (req, res) => {
+  try {
+    const sessions = await getSessions();
+    const data = await Promise.all(sessions.map(describeSession));
+
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    logger.error('Failed to fetch sessions', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch sessions'
+    });
+  }
+}));
+
+// Create and start a session
+router.post('/', [
+  body('sessionId').matches(/^[a-zA-Z0-9_-]+$/).withMessage('Session ID may only contain letters, numbers, dashes and underscores'),
+  body('name').optional().isString().withMessage('Name must be a string')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const { sessionId, name } = req.body;
+
+  try {
+    const existing = await getSession(sessionId);
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        error: 'Session already exists'
+      });
+    }
+
+    await startSession(sessionId, { name });
+
+    logger.info(`Session created: ${sessionId}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Session created successfully',
+      data: await describeSession(await getSession(sessionId))
+    });
+  } catch (error) {
+    logger.error('Failed to create session', { error: error.message, sessionId });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create session'
+    });
+  }
+}));
+
+// Get session by ID
+router.get('/:id', asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const session = await getSession(id);
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        error: 'Session not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: await describeSession(session)
+    });
+  } catch (error) {
+    logger.error('Failed to fetch session', { error: error.message, sessionId: id });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch session'
+    });
+  }
+}));
+
+// Delete session
+router.delete('/:id', asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const purge = req.query.purge === 'true';
+
+  try {
+    const session = await getSession(id);
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        error: 'Session not found'
+      });
+    }
+
+    await stopSession(id);
+    await deleteSession(id);
+
+    // Purging drops the saved login so the number has to scan a QR code again
+    if (purge) {
+      removeSessionProfile(id);
+    }
+
+    logger.info(`Session deleted: ${id}`);
+
+    res.json({
+      success: true,
+      message: 'Session deleted successfully'
+    });
+  } catch (error) {
+    logger.error('Failed to delete session', { error: error.message, sessionId: id });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete session'
+    });
+  }
+}));
+
+// Get session QR code
+router.get('/:id/qr', asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    if (await getSessionStatus(id) === 'not_initialized') {
+      return res.status(404).json({
+        success: false,
+        error: 'Session not running'
+      });
+    }
+
+    const qrCode = await getQRCode(id);
+
+    if (!qrCode) {
+      return res.status(404).json({
+        success: false,
+        error: 'QR code not available'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: qrCode
+    });
+  } catch (error) {
+    logger.error('Failed to get session QR code', { error: error.message, sessionId: id });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get QR code'
+    });
+  }
+}));
+
+// Get session status
+router.get('/:id/status', asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const status = await getSessionStatus(id);
+
+    res.json({
+      success: true,
+      data: {
+        sessionId: id,
+        status,
+        timestamp: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    logger.error('Failed to get session status', { error: error.message, sessionId: id });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get session status'
+    });
+  }
+}));
+
+// Reconnect session
+router.post('/:id/reconnect', asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const session = await getSession(id);
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        error: 'Session not found'
+      });
+    }
+
+    await reconnect(id);
+
+    logger.info(`Session reconnected: ${id}`);
+
+    res.json({
+      success: true,
+      message: 'Session reconnected successfully'
+    });
+  } catch (error) {
+    logger.error('Failed to reconnect session', { error: error.message, sessionId: id });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to reconnect session'
+    });
+  }
+}));
+
+export default router;
@@ -0,0 +1,126 @@
+import express from 'express';
+import { body, query, validationResult } from 'express-validator';
+import { asyncHandler, ValidationError } from '../middleware/errorHandler.js';
+import { getSuppressions, getSuppressionById, getSuppressionByPhone } from '../db.js';
+import { suppressPhone, unsuppress, OPT_OUT_KEYWORDS } from '../suppressions.js';
+import { normalisePhone } from '../utils/phone.js';
+import { logger } from '../utils/logger.js';
+
+const router = express.Router();
+
+// List suppressed numbers
+router.get('/', [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('search').optional().isString().withMessage('Search must be a string'),
+  query('reason').optional().isString().withMessage('Reason must be a string')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const { page = 1, limit = 50, search, reason } = req.query;
+
+  try {
+    const result = await getSuppressions({ search, reason }, parseInt(page), parseInt(limit));
+
+    res.json({
+      success: true,
+      data: result.suppressions,
+      pagination: result.pagination,
+      keywords: OPT_OUT_KEYWORDS
+    });
+  } catch (error) {
+    logger.error('Failed to fetch suppressions', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch suppressions'
+    });
+  }
+}));
+
+// Suppress a number by hand
+router.post('/', [
+  body('phone').notEmpty().withMessage('Phone is required'),
+  body('reason').optional().isString().withMessage('Reason must be a string')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  try {
+    const phone = normalisePhone(req.body.phone);
+    const added = await suppressPhone(phone, { reason: req.body.reason || 'manual' });
+
+    if (!added) {
+      return res.status(409).json({
+        success: false,
+        error: 'Phone number is already suppressed'
+      });
+    }
+
+    logger.info(`Suppression added: ${phone}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Phone number suppressed successfully',
+      data: await getSuppressionByPhone(phone)
+    });
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    logger.error('Failed to add suppression', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to add suppression'
+    });
+  }
+}));
+
+// Remove a number from the suppression list
+router.delete('/:id', asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const suppression = await getSuppressionById(id);
+
+    if (!suppression) {
+      return res.status(404).json({
+        success: false,
+        error: 'Suppression not found'
+      });
+    }
+
+    await unsuppress(suppression);
+
+    logger.info(`Suppression removed: ${suppression.phone}`);
+
+    res.json({
+      success: true,
+      message: 'Suppression removed successfully'
+    });
+  } catch (error) {
+    logger.error('Failed to remove suppression', { error: error.message, suppressionId: id });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to remove suppression'
+    });
+  }
+}));
+
+export default router;
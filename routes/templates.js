@@ -1,7 +1,8 @@
 import express from 'express';
 import { body, query, validationResult } from 'express-validator';
 import { asyncHandler } from '../middleware/errorHandler.js';
-import { saveTemplate, getTemplates, updateTemplate, deleteTemplate } from '../db.js';
+import { saveTemplate, getTemplates, getTemplateById, updateTemplate, deleteTemplate } from '../db.js';
+import { renderTemplate, validateVariableSchema, TemplateRenderError } from '../utils/templateRenderer.js';
 import { logger } from '../utils/logger.js';
 
 const router = express.Router();
@@ -28,7 +29,8 @@ router.get('/', asyncHandler(async (req, res) => {
 router.post('/', [
   body('name').notEmpty().withMessage('Template name is required'),
   body('content').notEmpty().withMessage('Template content is required'),
-  body('description').optional().isString().withMessage('Description must be a string')
+  body('description').optional().isString().withMessage('Description must be a string'),
+  body('variables').optional().isArray().withMessage('Variables must be an array')
 ], asyncHandler(async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -39,10 +41,19 @@ router.post('/', [
     });
   }
 
-  const { name, content, description } = req.body;
+  const { name, content, description, variables = [] } = req.body;
+
+  const schemaProblems = validateVariableSchema(variables);
+  if (schemaProblems.length > 0) {
+    return res.status(400).json({ 
+      success: false, 
+      error: 'Invalid variable schema',
+      details: schemaProblems 
+    });
+  }
 
   try {
-    const templateId = await saveTemplate({ name, content, description });
+    const templateId = await saveTemplate({ name, content, description, variables });
     
     logger.info(`Template created: ${name}`);
 
@@ -64,7 +75,8 @@ router.post('/', [
 router.put('/:id', [
   body('name').notEmpty().withMessage('Template name is required'),
   body('content').notEmpty().withMessage('Template content is required'),
-  body('description').optional().isString().withMessage('Description must be a string')
+  body('description').optional().isString().withMessage('Description must be a string'),
+  body('variables').optional().isArray().withMessage('Variables must be an array')
 ], asyncHandler(async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -76,10 +88,19 @@ router.put('/:id', [
   }
 
   const { id } = req.params;
-  const { name, content, description } = req.body;
+  const { name, content, description, variables = [] } = req.body;
+
+  const schemaProblems = validateVariableSchema(variables);
+  if (schemaProblems.length > 0) {
+    return res.status(400).json({ 
+      success: false, 
+      error: 'Invalid variable schema',
+      details: schemaProblems 
+    });
+  }
 
   try {
-    const updated = await updateTemplate(id, { name, content, description });
+    const updated = await updateTemplate(id, { name, content, description, variables });
     
     if (!updated) {
       return res.status(404).json({ 
@@ -103,6 +124,59 @@ router.put('/:id', [
   }
 }));
 
+// Preview rendered template without sending
+router.post('/:id/preview', [
+  body('variables').optional().isObject().withMessage('Variables must be an object')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ 
+      success: false, 
+      error: 'Validation failed',
+      details: errors.array() 
+    });
+  }
+
+  const { id } = req.params;
+  const { variables = {} } = req.body;
+
+  try {
+    const template = await getTemplateById(id);
+
+    if (!template) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Template not found' 
+      });
+    }
+
+    const content = renderTemplate(template, variables);
+
+    res.json({
+      success: true,
+      data: {
+        templateId: template.id,
+        name: template.name,
+        content
+      }
+    });
+  } catch (error) {
+    if (error instanceof TemplateRenderError) {
+      return res.status(400).json({ 
+        success: false, 
+        error: error.message,
+        details: error.details 
+      });
+    }
+
+    logger.error('Failed to preview template', { error: error.message, templateId: id });
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to preview template' 
+    });
+  }
+}));
+
 // Delete template
 router.delete('/:id', asyncHandler(async (req, res) => {
   const { id } = req.params;
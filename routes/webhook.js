@@ -1,15 +1,32 @@
 import express from 'express';
 import { body, query, validationResult } from 'express-validator';
-import { asyncHandler } from '../middleware/errorHandler.js';
-import { saveWebhook, getWebhooks, deleteWebhook } from '../db.js';
+import { asyncHandler, ValidationError } from '../middleware/errorHandler.js';
+import { saveWebhook, getWebhooks, getWebhookById, deleteWebhook, getWebhookDeliveries, getWebhookDelivery } from '../db.js';
+import {
+  sendWebhook,
+  redeliverWebhook,
+  enableWebhook,
+  rotateWebhookSecret,
+  generateWebhookSecret,
+  isKnownWebhookEvent,
+  WEBHOOK_EVENTS,
+  WILDCARD_EVENT
+} from '../webhooks.js';
 import { logger } from '../utils/logger.js';
 
 const router = express.Router();
 
+// A webhook for API responses; signing secrets are only returned when they are set
+function describeWebhook(webhook) {
+  const { secret, previous_secret, ...rest } = webhook;
+  return { ...rest, has_secret: Boolean(secret) };
+}
+
 // Register webhook
 router.post('/register', [
   body('url').isURL().withMessage('Valid URL is required'),
-  body('events').isArray().withMessage('Events must be an array'),
+  body('events').isArray({ min: 1 }).withMessage('Events must be a non-empty array'),
+  body('events.*').custom(isKnownWebhookEvent).withMessage('Unknown event; see GET /api/webhook/events'),
   body('secret').optional().isString().withMessage('Secret must be a string')
 ], asyncHandler(async (req, res) => {
   const errors = validationResult(req);
@@ -21,7 +38,8 @@ router.post('/register', [
     });
   }
 
-  const { url, events, secret } = req.body;
+  const { url, events } = req.body;
+  const secret = req.body.secret || generateWebhookSecret();
 
   try {
     const webhookId = await saveWebhook({
@@ -33,10 +51,12 @@ router.post('/register', [
 
     logger.info(`Webhook registered: ${url}`);
 
+    // The only response that carries the secret, apart from a rotation
     res.status(201).json({
       success: true,
       message: 'Webhook registered successfully',
-      webhookId
+      webhookId,
+      secret
     });
   } catch (error) {
     logger.error('Failed to register webhook', { error: error.message, url });
@@ -78,14 +98,23 @@ router.delete('/unregister/:id', [
   }
 }));
 
-// Get all webhooks
+// List the events webhooks can subscribe to
+router.get('/events', (req, res) => {
+  res.json({
+    success: true,
+    data: Object.entries(WEBHOOK_EVENTS).map(([event, description]) => ({ event, description })),
+    wildcard: WILDCARD_EVENT
+  });
+});
+
+// Get all webhooks, including ones disabled after repeated failures
 router.get('/', asyncHandler(async (req, res) => {
   try {
-    const webhooks = await getWebhooks();
+    const webhooks = await getWebhooks({ includeInactive: true });
     
     res.json({
       success: true,
-      data: webhooks
+      data: webhooks.map(describeWebhook)
     });
   } catch (error) {
     logger.error('Failed to fetch webhooks', { error: error.message });
@@ -143,34 +172,165 @@ router.post('/test', [
   }
 }));
 
-// Helper function to send webhook
-async function sendWebhook(url, data, secret = null) {
-  const payload = JSON.stringify(data);
-  
-  const headers = {
-    'Content-Type': 'application/json',
-    'User-Agent': 'WhatsApp-Bot-Webhook/1.0'
-  };
-
-  // Add signature if secret is provided
-  if (secret) {
-    const crypto = await import('crypto');
-    const signature = crypto.createHmac('sha256', secret).update(payload).digest('hex');
-    headers['X-Webhook-Signature'] = `sha256=${signature}`;
+// Get a webhook's delivery log
+router.get('/:id/deliveries', [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('status').optional().isIn(['pending', 'retrying', 'delivered', 'dead']).withMessage('Status must be pending, retrying, delivered or dead'),
+  query('event').optional().isString().withMessage('Event must be a string')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
   }
 
-  const response = await fetch(url, {
-    method: 'POST',
-    headers,
-    body: payload
-  });
+  const { id } = req.params;
+  const { page = 1, limit = 50, status, event } = req.query;
+
+  try {
+    const webhook = await getWebhookById(id);
+
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        error: 'Webhook not found'
+      });
+    }
+
+    const result = await getWebhookDeliveries(webhook.id, { status, event }, parseInt(page), parseInt(limit));
+
+    res.json({
+      success: true,
+      data: result.deliveries,
+      pagination: result.pagination
+    });
+  } catch (error) {
+    logger.error('Failed to fetch webhook deliveries', { error: error.message, webhookId: id });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch webhook deliveries'
+    });
+  }
+}));
+
+// Send a past delivery again
+router.post('/:id/deliveries/:deliveryId/redeliver', asyncHandler(async (req, res) => {
+  const { id, deliveryId } = req.params;
+
+  try {
+    const delivery = await getWebhookDelivery(deliveryId);
+
+    if (!delivery || String(delivery.webhook_id) !== id) {
+      return res.status(404).json({
+        success: false,
+        error: 'Delivery not found'
+      });
+    }
+
+    const newDeliveryId = await redeliverWebhook(delivery);
 
-  if (!response.ok) {
-    throw new Error(`Webhook request failed: ${response.status} ${response.statusText}`);
+    res.status(202).json({
+      success: true,
+      message: 'Webhook redelivery queued',
+      deliveryId: newDeliveryId
+    });
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    logger.error('Failed to redeliver webhook', { error: error.message, deliveryId });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to redeliver webhook'
+    });
   }
+}));
 
-  return response;
-}
+// Rotate a webhook's signing secret
+router.post('/:id/secret/rotate', [
+  body('secret').optional().isString().isLength({ min: 16 }).withMessage('Secret must be at least 16 characters'),
+  body('gracePeriodHours').optional().isInt({ min: 0, max: 720 }).withMessage('Grace period must be between 0 and 720 hours')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const { id } = req.params;
+  const { secret, gracePeriodHours } = req.body;
+
+  try {
+    const webhook = await getWebhookById(id);
+
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        error: 'Webhook not found'
+      });
+    }
+
+    const newSecret = await rotateWebhookSecret(webhook, {
+      secret,
+      ...(gracePeriodHours !== undefined && { graceHours: parseInt(gracePeriodHours) })
+    });
+    const updated = await getWebhookById(webhook.id);
+
+    res.json({
+      success: true,
+      message: 'Webhook secret rotated successfully',
+      data: {
+        secret: newSecret,
+        previousSecretExpiresAt: updated.previous_secret_expires_at
+      }
+    });
+  } catch (error) {
+    logger.error('Failed to rotate webhook secret', { error: error.message, webhookId: id });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to rotate webhook secret'
+    });
+  }
+}));
+
+// Re-enable a webhook that was disabled after repeated failures
+router.post('/:id/enable', asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const webhook = await getWebhookById(id);
+
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        error: 'Webhook not found'
+      });
+    }
+
+    await enableWebhook(webhook.id);
+
+    res.json({
+      success: true,
+      message: 'Webhook enabled successfully'
+    });
+  } catch (error) {
+    logger.error('Failed to enable webhook', { error: error.message, webhookId: id });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to enable webhook'
+    });
+  }
+}));
 
-// Export webhook sender function
-export { sendWebhook };
\ No newline at end of file
+export default router;
@@ -1,18 +1,45 @@
 import express from 'express';
 import { body, query, validationResult } from 'express-validator';
-import { asyncHandler } from '../middleware/errorHandler.js';
+import { asyncHandler, ValidationError } from '../middleware/errorHandler.js';
 import { addMessageToQueue } from '../queue.js';
+import { getTemplateByName, getSession } from '../db.js';
+import { renderTemplate, TemplateRenderError } from '../utils/templateRenderer.js';
+import { getSelectorProfile, listSelectorProfiles, loadSelectorProfile } from '../selectorRegistry.js';
 import { logger } from '../utils/logger.js';
 
 const router = express.Router();
 
+// Optional sessionId on send requests must name a registered session
+const sessionIdValidator = body('sessionId').optional().isString().withMessage('Session ID must be a string')
+  .bail()
+  .custom(async (sessionId) => {
+    if (!(await getSession(sessionId))) {
+      throw new Error(`Unknown session: ${sessionId}`);
+    }
+  });
+
+// A send goes to a free-text recipient or to a stored contact's exact chat
+const recipientValidators = [
+  body('recipient').if(body('contactId').not().exists()).notEmpty().withMessage('Recipient or contactId is required'),
+  body('contactId').optional().isInt({ min: 1 }).withMessage('Contact ID must be a positive integer').toInt()
+];
+
+// Optional sendAt (one-off) or cron (recurring) on send requests
+const scheduleValidators = [
+  body('sendAt').optional().isISO8601({ strict: true }).withMessage('sendAt must be an ISO 8601 timestamp'),
+  body('cron').optional().isString().withMessage('Cron must be a string'),
+  body('timezone').optional().isString().withMessage('Timezone must be a string')
+];
+
 // Send message endpoint
 router.post('/send', [
-  body('recipient').notEmpty().withMessage('Recipient is required'),
+  ...recipientValidators,
   body('content').optional().isString().withMessage('Content must be a string'),
   body('mediaUrl').optional().isURL().withMessage('Media URL must be a valid URL'),
   body('mediaType').optional().isString().withMessage('Media type must be a string'),
-  body('priority').optional().isIn(['low', 'normal', 'high']).withMessage('Priority must be low, normal, or high')
+  body('priority').optional().isIn(['low', 'normal', 'high']).withMessage('Priority must be low, normal, or high'),
+  sessionIdValidator,
+  ...scheduleValidators
 ], asyncHandler(async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -28,7 +55,12 @@ router.post('/send', [
     content,
     mediaUrl,
     mediaType,
-    priority = 'normal'
+    priority = 'normal',
+    sessionId,
+    contactId,
+    sendAt,
+    cron,
+    timezone
   } = req.body;
 
   try {
@@ -54,7 +86,12 @@ router.post('/send', [
       content,
       mediaUrl,
       mediaType,
-      priority
+      priority,
+      sessionId,
+      contactId,
+      sendAt,
+      cron,
+      timezone
     });
 
     logger.info(`Message queued for sending: ${recipient}`);
@@ -64,11 +101,21 @@ router.post('/send', [
       message: 'Message queued successfully',
       data: {
         jobId: result.jobId,
+        scheduleId: result.scheduleId,
         status: result.status,
-        estimatedProcessingTime: result.estimatedProcessingTime
+        reason: result.reason,
+        estimatedProcessingTime: result.estimatedProcessingTime,
+        nextRunAt: result.nextRunAt
       }
     });
   } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ 
+        success: false, 
+        error: error.message 
+      });
+    }
+
     logger.error('Failed to send message', { error: error.message, recipient });
     res.status(500).json({ 
       success: false, 
@@ -79,8 +126,10 @@ router.post('/send', [
 
 // Send text message (simplified endpoint)
 router.post('/send/text', [
-  body('recipient').notEmpty().withMessage('Recipient is required'),
-  body('content').notEmpty().withMessage('Content is required')
+  ...recipientValidators,
+  body('content').notEmpty().withMessage('Content is required'),
+  sessionIdValidator,
+  ...scheduleValidators
 ], asyncHandler(async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -91,13 +140,18 @@ router.post('/send/text', [
     });
   }
 
-  const { recipient, content, priority = 'normal' } = req.body;
+  const { recipient, content, priority = 'normal', sessionId, contactId, sendAt, cron, timezone } = req.body;
 
   try {
     const result = await addMessageToQueue({
       recipient,
       content,
-      priority
+      priority,
+      sessionId,
+      contactId,
+      sendAt,
+      cron,
+      timezone
     });
 
     logger.info(`Text message queued: ${recipient}`);
@@ -107,10 +161,20 @@ router.post('/send/text', [
       message: 'Text message queued successfully',
       data: {
         jobId: result.jobId,
-        status: result.status
+        scheduleId: result.scheduleId,
+        status: result.status,
+        reason: result.reason,
+        nextRunAt: result.nextRunAt
       }
     });
   } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ 
+        success: false, 
+        error: error.message 
+      });
+    }
+
     logger.error('Failed to send text message', { error: error.message, recipient });
     res.status(500).json({ 
       success: false, 
@@ -121,10 +185,12 @@ router.post('/send/text', [
 
 // Send media message (simplified endpoint)
 router.post('/send/media', [
-  body('recipient').notEmpty().withMessage('Recipient is required'),
+  ...recipientValidators,
   body('mediaUrl').isURL().withMessage('Valid media URL is required'),
   body('mediaType').notEmpty().withMessage('Media type is required'),
-  body('caption').optional().isString().withMessage('Caption must be a string')
+  body('caption').optional().isString().withMessage('Caption must be a string'),
+  sessionIdValidator,
+  ...scheduleValidators
 ], asyncHandler(async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -135,7 +201,7 @@ router.post('/send/media', [
     });
   }
 
-  const { recipient, mediaUrl, mediaType, caption, priority = 'normal' } = req.body;
+  const { recipient, mediaUrl, mediaType, caption, priority = 'normal', sessionId, contactId, sendAt, cron, timezone } = req.body;
 
   try {
     const result = await addMessageToQueue({
@@ -143,7 +209,12 @@ router.post('/send/media', [
       content: caption,
       mediaUrl,
       mediaType,
-      priority
+      priority,
+      sessionId,
+      contactId,
+      sendAt,
+      cron,
+      timezone
     });
 
     logger.info(`Media message queued: ${recipient} (${mediaType})`);
@@ -153,10 +224,20 @@ router.post('/send/media', [
       message: 'Media message queued successfully',
       data: {
         jobId: result.jobId,
-        status: result.status
+        scheduleId: result.scheduleId,
+        status: result.status,
+        reason: result.reason,
+        nextRunAt: result.nextRunAt
       }
     });
   } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ 
+        success: false, 
+        error: error.message 
+      });
+    }
+
     logger.error('Failed to send media message', { error: error.message, recipient });
     res.status(500).json({ 
       success: false, 
@@ -167,9 +248,11 @@ router.post('/send/media', [
 
 // Send template message
 router.post('/send/template', [
-  body('recipient').notEmpty().withMessage('Recipient is required'),
+  ...recipientValidators,
   body('templateName').notEmpty().withMessage('Template name is required'),
-  body('variables').optional().isObject().withMessage('Variables must be an object')
+  body('variables').optional().isObject().withMessage('Variables must be an object'),
+  sessionIdValidator,
+  ...scheduleValidators
 ], asyncHandler(async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -180,16 +263,30 @@ router.post('/send/template', [
     });
   }
 
-  const { recipient, templateName, variables = {}, priority = 'normal' } = req.body;
+  const { recipient, templateName, variables = {}, priority = 'normal', sessionId, contactId, sendAt, cron, timezone } = req.body;
 
   try {
-    // For now, we'll just send the template name as content
-    // In a real implementation, you would fetch the template and replace variables
+    const template = await getTemplateByName(templateName);
+
+    if (!template) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Template not found' 
+      });
+    }
+
+    const content = renderTemplate(template, variables);
+
     const result = await addMessageToQueue({
       recipient,
-      content: `Template: ${templateName}`,
+      content,
       jobType: 'send_template',
-      priority
+      priority,
+      sessionId,
+      contactId,
+      sendAt,
+      cron,
+      timezone
     });
 
     logger.info(`Template message queued: ${recipient} (${templateName})`);
@@ -199,10 +296,29 @@ router.post('/send/template', [
       message: 'Template message queued successfully',
       data: {
         jobId: result.jobId,
-        status: result.status
+        scheduleId: result.scheduleId,
+        status: result.status,
+        reason: result.reason,
+        nextRunAt: result.nextRunAt
       }
     });
   } catch (error) {
+    // TemplateRenderError is a ValidationError, so it is checked first to keep its details
+    if (error instanceof TemplateRenderError) {
+      return res.status(400).json({ 
+        success: false, 
+        error: error.message,
+        details: error.details 
+      });
+    }
+
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ 
+        success: false, 
+        error: error.message 
+      });
+    }
+
     logger.error('Failed to send template message', { error: error.message, recipient });
     res.status(500).json({ 
       success: false, 
@@ -215,7 +331,7 @@ router.post('/send/template', [
 router.get('/qr', asyncHandler(async (req, res) => {
   try {
     const { getQRCode } = await import('../playwright.js');
-    const qrCode = await getQRCode();
+    const qrCode = await getQRCode(req.query.sessionId);
     
     if (!qrCode) {
       return res.status(404).json({ 
@@ -240,12 +356,14 @@ router.get('/qr', asyncHandler(async (req, res) => {
 // Get session status
 router.get('/session/status', asyncHandler(async (req, res) => {
   try {
-    const { getSessionStatus } = await import('../playwright.js');
-    const status = await getSessionStatus();
+    const { getSessionStatus, DEFAULT_SESSION_ID } = await import('../playwright.js');
+    const sessionId = req.query.sessionId || DEFAULT_SESSION_ID;
+    const status = await getSessionStatus(sessionId);
     
     res.json({
       success: true,
       data: {
+        sessionId,
         status: status,
         timestamp: new Date().toISOString()
       }
@@ -263,7 +381,7 @@ router.get('/session/status', asyncHandler(async (req, res) => {
 router.post('/session/reconnect', asyncHandler(async (req, res) => {
   try {
     const { reconnect } = await import('../playwright.js');
-    await reconnect();
+    await reconnect(req.query.sessionId);
     
     logger.info('Session reconnected successfully');
 
@@ -280,4 +398,104 @@ router.post('/session/reconnect', asyncHandler(async (req, res) => {
   }
 }));
 
+// Get active selector profile
+router.get('/selectors', asyncHandler(async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        active: getSelectorProfile(),
+        available: listSelectorProfiles()
+      }
+    });
+  } catch (error) {
+    logger.error('Failed to get selector profile', { error: error.message });
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to get selector profile' 
+    });
+  }
+}));
+
+// Switch selector profile
+router.post('/selectors/profile', [
+  body('profile').matches(/^[a-zA-Z0-9_.-]+$/).withMessage('Profile must be a profile file name')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ 
+      success: false, 
+      error: 'Validation failed',
+      details: errors.array() 
+    });
+  }
+
+  const { profile } = req.body;
+
+  if (!listSelectorProfiles().includes(profile)) {
+    return res.status(404).json({ 
+      success: false, 
+      error: 'Selector profile not found' 
+    });
+  }
+
+  try {
+    const active = loadSelectorProfile(profile);
+
+    logger.info(`Selector profile switched: ${profile}`);
+
+    res.json({
+      success: true,
+      message: 'Selector profile loaded successfully',
+      data: active
+    });
+  } catch (error) {
+    logger.error('Failed to load selector profile', { error: error.message, profile });
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to load selector profile' 
+    });
+  }
+}));
+
+// Check which selectors resolve on the live page or a saved fixture
+router.get('/selectors/selftest', [
+  query('sessionId').optional().isString().withMessage('Session ID must be a string'),
+  query('fixture').optional().matches(/^[a-zA-Z0-9_.-]+\.html?$/).withMessage('Fixture must be an HTML file name')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ 
+      success: false, 
+      error: 'Validation failed',
+      details: errors.array() 
+    });
+  }
+
+  const { sessionId, fixture } = req.query;
+
+  try {
+    const { testSelectors } = await import('../playwright.js');
+    const report = await testSelectors({ sessionId, fixture });
+
+    res.json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Fixture not found' 
+      });
+    }
+
+    logger.error('Selector self-test failed', { error: error.message, sessionId, fixture });
+    res.status(500).json({ 
+      success: false, 
+      error: 'Selector self-test failed' 
+    });
+  }
+}));
+
 export default router;
\ No newline at end of file
@@ -0,0 +1,418 @@
+import { logger } from './utils/logger.js';
+import {
+  getRules,
+  getRuleFiring,
+  saveRuleFiring,
+  countIncomingChatMessages,
+  getTemplateByName
+} from './db.js';
+import { addMessageToQueue } from './queue.js';
+import { renderTemplate, extractPlaceholders } from './utils/templateRenderer.js';
+import { normalisePhone } from './utils/phone.js';
+import { MEDIA_TYPES } from './utils/media.js';
+import {
+  validateTimezone,
+  isWithinDailyWindow,
+  getDailyWindowWeekday,
+  CLOCK_TIME_PATTERN
+} from './utils/schedule.js';
+import { ValidationError } from './middleware/errorHandler.js';
+
+const DEFAULT_TIMEZONE = process.env.SCHEDULE_TIMEZONE || 'UTC';
+
+const CHAT_TYPES = ['personal', 'group'];
+const RESPONSE_TYPES = ['text', 'template', 'media'];
+
+// Values every text and template reply can use; any of them may be empty (a media-only message has no text)
+export const RULE_REPLY_VARIABLES = ['senderName', 'chatName', 'message'];
+
+function isStringList(value) {
+  return Array.isArray(value) && value.length > 0 && value.every(item => typeof item === 'string' && item.trim() !== '');
+}
+
+// Validate rule conditions; every condition given must match for the rule to fire
+export function normaliseConditions(conditions = {}) {
+  if (!conditions || typeof conditions !== 'object' || Array.isArray(conditions)) {
+    throw new ValidationError('Conditions must be an object');
+  }
+
+  const { exact, regex, regexFlags, keywords, senders, chatType, timeOfDay, firstContact } = conditions;
+  const normalised = {};
+
+  if (exact !== undefined) {
+    const options = [].concat(exact);
+    if (!isStringList(options)) {
+      throw new ValidationError('exact must be a string or an array of strings');
+    }
+    normalised.exact = options;
+  }
+
+  if (regex !== undefined) {
+    try {
+      new RegExp(regex, regexFlags ?? 'i');
+    } catch (error) {
+      throw new ValidationError(`Invalid regex: ${error.message}`);
+    }
+    normalised.regex = regex;
+    if (regexFlags !== undefined) normalised.regexFlags = regexFlags;
+  }
+
+  if (keywords !== undefined) {
+    if (!isStringList(keywords)) {
+      throw new ValidationError('keywords must be an array of strings');
+    }
+    normalised.keywords = keywords;
+  }
+
+  if (senders !== undefined) {
+    if (!isStringList(senders)) {
+      throw new ValidationError('senders must be an array of phone numbers or names');
+    }
+    normalised.senders = senders;
+  }
+
+  if (chatType !== undefined) {
+    if (!CHAT_TYPES.includes(chatType)) {
+      throw new ValidationError(`chatType must be one of: ${CHAT_TYPES.join(', ')}`);
+    }
+    normalised.chatType = chatType;
+  }
+
+  if (timeOfDay !== undefined) {
+    const { start, end, timezone = DEFAULT_TIMEZONE, days } = timeOfDay || {};
+    if (!CLOCK_TIME_PATTERN.test(start) || !CLOCK_TIME_PATTERN.test(end)) {
+      throw new ValidationError('timeOfDay needs start and end as HH:MM');
+    }
+    validateTimezone(timezone);
+    if (days !== undefined && (!Array.isArray(days) || days.some(day => !Number.isInteger(day) || day < 0 || day > 6))) {
+      throw new ValidationError('timeOfDay.days must be weekday numbers from 0 (Sunday) to 6');
+    }
+    normalised.timeOfDay = { start, end, timezone, ...(days && { days }) };
+  }
+
+  if (firstContact !== undefined) {
+    if (typeof firstContact !== 'boolean') {
+      throw new ValidationError('firstContact must be a boolean');
+    }
+    normalised.firstContact = firstContact;
+  }
+
+  return normalised;
+}
+
+// Text replies only have the message values to fill their placeholders with
+function checkTextPlaceholders(content) {
+  const unknown = extractPlaceholders(content).filter(name => !RULE_REPLY_VARIABLES.includes(name));
+  if (unknown.length > 0) {
+    throw new ValidationError(`Unknown placeholders: ${unknown.join(', ')}; text responses can use ${RULE_REPLY_VARIABLES.join(', ')}`);
+  }
+}
+
+// Validate a rule's reply
+export function normaliseResponse(response) {
+  if (!response || typeof response !== 'object' || !RESPONSE_TYPES.includes(response.type)) {
+    throw new ValidationError(`Response type must be one of: ${RESPONSE_TYPES.join(', ')}`);
+  }
+
+  switch (response.type) {
+    case 'text':
+      if (typeof response.content !== 'string' || response.content.trim() === '') {
+        throw new ValidationError('Text responses need content');
+      }
+      checkTextPlaceholders(response.content);
+      return { type: 'text', content: response.content };
+
+    case 'template':
+      if (typeof response.templateName !== 'string' || response.templateName.trim() === '') {
+        throw new ValidationError('Template responses need a templateName');
+      }
+      if (response.variables !== undefined && (typeof response.variables !== 'object' || Array.isArray(response.variables))) {
+        throw new ValidationError('Template variables must be an object');
+      }
+      return { type: 'template', templateName: response.templateName, variables: response.variables || {} };
+
+    default:
+      if (typeof response.mediaUrl !== 'string' || !MEDIA_TYPES.includes(response.mediaType)) {
+        throw new ValidationError(`Media responses need a mediaUrl and a mediaType (${MEDIA_TYPES.join(', ')})`);
+      }
+      return { type: 'media', mediaUrl: response.mediaUrl, mediaType: response.mediaType, caption: response.caption || '' };
+  }
+}
+
+// Validate rule fields; partial input is allowed for updates
+export function normaliseRuleInput(data, { partial = false } = {}) {
+  const rule = {};
+
+  if (data.name !== undefined || !partial) {
+    if (typeof data.name !== 'string' || data.name.trim() === '') {
+      throw new ValidationError('Name is required');
+    }
+    rule.name = data.name.trim();
+  }
+
+  if (data.response !== undefined || !partial) {
+    rule.response = normaliseResponse(data.response);
+  }
+
+  if (data.conditions !== undefined) {
+    rule.conditions = normaliseConditions(data.conditions);
+  }
+
+  if (data.priority !== undefined) {
+    const priority = Number(data.priority);
+    if (!Number.isInteger(priority)) {
+      throw new ValidationError('Priority must be an integer');
+    }
+    rule.priority = priority;
+  }
+
+  if (data.cooldownSeconds !== undefined) {
+    const cooldown = Number(data.cooldownSeconds);
+    if (!Number.isInteger(cooldown) || cooldown < 0) {
+      throw new ValidationError('Cooldown must be a non-negative number of seconds');
+    }
+    rule.cooldownSeconds = cooldown;
+  }
+
+  if (data.isActive !== undefined) {
+    rule.isActive = Boolean(data.isActive);
+  }
+
+  return rule;
+}
+
+// Whole-word, case-insensitive keyword match
+function containsKeyword(text, keyword) {
+  const escaped = keyword.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`(^|[^\\p{L}\\p{N}])${escaped}($|[^\\p{L}\\p{N}])`, 'iu').test(text);
+}
+
+// Sender as a phone number where the chat ID allows it
+function getSenderPhone(message) {
+  try {
+    return normalisePhone(String(message.senderId).split('@')[0]);
+  } catch {
+    return null;
+  }
+}
+
+function matchesSender(senders, message) {
+  const phone = getSenderPhone(message);
+  const name = String(message.senderName || '').toLowerCase();
+
+  return senders.some(sender => {
+    try {
+      if (phone && normalisePhone(sender) === phone) return true;
+    } catch {
+      // Not a phone number; compare as a name
+    }
+    return sender.trim().toLowerCase() === name;
+  });
+}
+
+// Clock and first-contact lookup shared by every condition check on one message
+export function createMatchContext(message, { now = new Date(), firstContact } = {}) {
+  let isFirst = firstContact;
+
+  return {
+    now,
+    isFirstContact: async () => {
+      if (isFirst === undefined) {
+        isFirst = await countIncomingChatMessages(message.chatId, message.messageId) === 0;
+      }
+      return isFirst;
+    }
+  };
+}
+
+// Names of the conditions a message fails
+export async function getFailedConditions(conditions, message, context) {
+  const failed = [];
+  const text = String(message.content || '').trim();
+
+  if (conditions.exact && !conditions.exact.some(option => option.trim().toLowerCase() === text.toLowerCase())) {
+    failed.push('exact');
+  }
+
+  if (conditions.regex && !new RegExp(conditions.regex, conditions.regexFlags ?? 'i').test(text)) {
+    failed.push('regex');
+  }
+
+  if (conditions.keywords && !conditions.keywords.some(keyword => containsKeyword(text, keyword))) {
+    failed.push('keywords');
+  }
+
+  if (conditions.senders && !matchesSender(conditions.senders, message)) {
+    failed.push('senders');
+  }
+
+  if (conditions.chatType && conditions.chatType !== (message.isGroup ? 'group' : 'personal')) {
+    failed.push('chatType');
+  }
+
+  if (conditions.timeOfDay) {
+    const { start, end, timezone, days } = conditions.timeOfDay;
+    const inWindow = isWithinDailyWindow(context.now, start, end, timezone);
+    // After midnight in a wrapping window the day that counts is the one it opened on
+    const onDay = !days || days.includes(getDailyWindowWeekday(context.now, start, end, timezone));
+    if (!inWindow || !onDay) {
+      failed.push('timeOfDay');
+    }
+  }
+
+  // Checked last because it needs a database lookup
+  if (conditions.firstContact !== undefined && conditions.firstContact !== await context.isFirstContact()) {
+    failed.push('firstContact');
+  }
+
+  return failed;
+}
+
+// Check active rules in priority order; the first match outside its cooldown fires
+export async function evaluateRules(message, { now = new Date(), firstContact, stopAtMatch = false } = {}) {
+  const rules = await getRules({ activeOnly: true });
+  const context = createMatchContext(message, { now, firstContact });
+
+  const evaluations = [];
+  let firing = null;
+
+  for (const rule of rules) {
+    const failedConditions = await getFailedConditions(rule.conditions, message, context);
+    let cooldownUntil = null;
+
+    if (failedConditions.length === 0 && rule.cooldown_seconds > 0) {
+      const lastFiredAt = await getRuleFiring(rule.id, message.chatId);
+      const until = lastFiredAt && new Date(new Date(lastFiredAt).getTime() + rule.cooldown_seconds * 1000);
+      if (until && until > now) {
+        cooldownUntil = until.toISOString();
+      }
+    }
+
+    const fires = !firing && failedConditions.length === 0 && !cooldownUntil;
+
+    evaluations.push({
+      ruleId: rule.id,
+      name: rule.name,
+      priority: rule.priority,
+      matched: failedConditions.length === 0,
+      failedConditions,
+      cooldownUntil,
+      fires
+    });
+
+    if (fires) {
+      firing = rule;
+      if (stopAtMatch) break;
+    }
+  }
+
+  return { rule: firing, evaluations };
+}
+
+// Check that a template reply's template exists and every placeholder has a value; text replies are checked
+// by normaliseResponse. Done when a rule is saved so the rule cannot fail on every message it matches
+export async function validateRuleReply(response) {
+  if (response.type !== 'template') {
+    return;
+  }
+
+  const template = await getTemplateByName(response.templateName);
+  if (!template) {
+    throw new ValidationError(`Template not found: ${response.templateName}`);
+  }
+
+  const declared = new Map((template.variables || []).map(variable => [variable.name, variable]));
+  const unfilled = extractPlaceholders(template.content).filter(name => {
+    const variable = declared.get(name);
+    return !RULE_REPLY_VARIABLES.includes(name) &&
+      response.variables[name] === undefined &&
+      variable?.default === undefined &&
+      variable?.required !== false;
+  });
+
+  if (unfilled.length > 0) {
+    throw new ValidationError(`Template ${response.templateName} needs variables: ${unfilled.join(', ')}`);
+  }
+}
+
+// Declare the message values optional, so an empty one renders as empty text instead of failing the reply
+function withOptionalContext(variables = []) {
+  const declared = variables.map(variable => (
+    RULE_REPLY_VARIABLES.includes(variable.name) ? { ...variable, required: false } : variable
+  ));
+  const added = RULE_REPLY_VARIABLES
+    .filter(name => !declared.some(variable => variable.name === name))
+    .map(name => ({ name, required: false }));
+
+  return [...declared, ...added];
+}
+
+// Queue fields for a rule's reply; text and template replies can use {{senderName}}, {{chatName}} and {{message}}
+export async function buildRuleReply(rule, message) {
+  const { response } = rule;
+  const context = {
+    senderName: message.senderName,
+    chatName: message.chatName,
+    message: message.content
+  };
+
+  switch (response.type) {
+    case 'text':
+      return {
+        jobType: 'send_message',
+        content: renderTemplate({ content: response.content, variables: withOptionalContext() }, context)
+      };
+
+    case 'template': {
+      const template = await getTemplateByName(response.templateName);
+      if (!template) {
+        throw new ValidationError(`Template not found: ${response.templateName}`);
+      }
+      return {
+        jobType: 'send_template',
+        content: renderTemplate(
+          { ...template, variables: withOptionalContext(template.variables) },
+          { ...context, ...response.variables }
+        )
+      };
+    }
+
+    default:
+      return {
+        jobType: 'send_media',
+        content: response.caption,
+        mediaUrl: response.mediaUrl,
+        mediaType: response.mediaType
+      };
+  }
+}
+
+// Answer an incoming message from the rules; returns true when a rule fired so the AI stays quiet
+export async function applyAutoReplyRules(message, recipient) {
+  if (message.isFromMe) {
+    return false;
+  }
+
+  try {
+    const { rule } = await evaluateRules(message, { stopAtMatch: true });
+    if (!rule) {
+      return false;
+    }
+
+    const reply = await buildRuleReply(rule, message);
+
+    await addMessageToQueue({
+      ...reply,
+      recipient,
+      sessionId: message.sessionId
+    });
+
+    await saveRuleFiring(rule.id, message.chatId, new Date().toISOString());
+
+    logger.info(`Auto-reply rule fired: ${rule.name}`, { ruleId: rule.id, chatId: message.chatId });
+    return true;
+  } catch (error) {
+    logger.error('Failed to apply auto-reply rules:', error);
+    return false;
+  }
+}
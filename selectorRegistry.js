@@ -0,0 +1,181 @@
+// WhatsApp Web selector registry
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { logger } from './utils/logger.js';
+
+// Get current directory for ES modules
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const PROFILES_PATH = process.env.SELECTOR_PROFILES_PATH || path.join(__dirname, 'selector-profiles');
+const FIXTURES_PATH = process.env.SELECTOR_FIXTURES_PATH || path.join(PROFILES_PATH, 'fixtures');
+const DEFAULT_PROFILE_NAME = 'default';
+
+// Base profile every other profile is merged over
+const defaultProfile = readProfileFile(DEFAULT_PROFILE_NAME);
+
+// Active profile
+let activeProfile = defaultProfile;
+
+// Read a profile JSON file by name
+function readProfileFile(name) {
+  if (!/^[a-zA-Z0-9_.-]+$/.test(name)) {
+    throw new Error(`Invalid selector profile name: ${name}`);
+  }
+
+  const filePath = path.join(PROFILES_PATH, `${name}.json`);
+  const profile = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+  if (!profile.elements || typeof profile.elements !== 'object') {
+    throw new Error(`Selector profile ${name} has no elements`);
+  }
+
+  // Normalise single selectors into one-item fallback chains
+  for (const [element, chain] of Object.entries(profile.elements)) {
+    profile.elements[element] = Array.isArray(chain) ? chain : [chain];
+  }
+
+  return { name, version: profile.version || 'unversioned', ...profile };
+}
+
+// Load a profile and make it active; missing elements fall back to the default profile
+export function loadSelectorProfile(name) {
+  try {
+    const profile = name === DEFAULT_PROFILE_NAME ? defaultProfile : readProfileFile(name);
+
+    activeProfile = {
+      ...profile,
+      elements: { ...defaultProfile.elements, ...profile.elements }
+    };
+
+    logger.info(`Selector profile loaded: ${activeProfile.name} (${activeProfile.version})`);
+    return getSelectorProfile();
+  } catch (error) {
+    logger.error(`Failed to load selector profile ${name}:`, error);
+    throw error;
+  }
+}
+
+// List the profile files available on disk
+export function listSelectorProfiles() {
+  return fs.readdirSync(PROFILES_PATH)
+    .filter(file => file.endsWith('.json'))
+    .map(file => path.basename(file, '.json'));
+}
+
+// Get a copy of the active profile
+export function getSelectorProfile() {
+  return {
+    name: activeProfile.name,
+    version: activeProfile.version,
+    description: activeProfile.description,
+    elements: { ...activeProfile.elements }
+  };
+}
+
+// Get the fallback chain for a logical element
+export function getSelectorChain(element) {
+  const chain = activeProfile.elements[element];
+
+  if (!chain) {
+    throw new Error(`Unknown selector element: ${element}`);
+  }
+
+  return chain;
+}
+
+// Get one CSS selector list matching any selector in the chain
+export function getSelector(element) {
+  return getSelectorChain(element).join(', ');
+}
+
+// Find an element now, trying each selector in order
+export async function findElement(page, element) {
+  for (const selector of getSelectorChain(element)) {
+    const handle = await page.$(selector);
+    if (handle) {
+      return handle;
+    }
+  }
+  return null;
+}
+
+// Wait for any selector in the chain, then return the highest priority match
+export async function waitForElement(page, element, options = {}) {
+  const { timeout = 5000, state = 'visible' } = options;
+
+  try {
+    await page.waitForSelector(getSelector(element), { timeout, state });
+  } catch (error) {
+    throw new Error(`Element not found: ${element} (profile ${activeProfile.name}): ${error.message}`);
+  }
+
+  const handle = await findElement(page, element);
+  if (!handle) {
+    throw new Error(`Element not found: ${element} (profile ${activeProfile.name})`);
+  }
+
+  return handle;
+}
+
+// Check every element of the active profile against a page
+export async function runSelectorSelfTest(page) {
+  const results = [];
+
+  for (const [element, chain] of Object.entries(activeProfile.elements)) {
+    const tried = [];
+    let resolved = null;
+
+    for (const selector of chain) {
+      let count = 0;
+      let error = null;
+
+      try {
+        count = (await page.$$(selector)).length;
+      } catch (selectorError) {
+        error = selectorError.message;
+      }
+
+      tried.push({ selector, count, ...(error && { error }) });
+
+      if (count > 0 && !resolved) {
+        resolved = selector;
+      }
+    }
+
+    results.push({
+      element,
+      resolved,
+      fallbackUsed: resolved !== null && resolved !== chain[0],
+      tried
+    });
+  }
+
+  const resolvedCount = results.filter(result => result.resolved).length;
+
+  return {
+    profile: activeProfile.name,
+    version: activeProfile.version,
+    summary: {
+      total: results.length,
+      resolved: resolvedCount,
+      missing: results.length - resolvedCount
+    },
+    results
+  };
+}
+
+// Read a saved WhatsApp Web HTML fixture by file name
+export function readSelectorFixture(name) {
+  if (!/^[a-zA-Z0-9_.-]+\.html?$/.test(name)) {
+    throw new Error(`Invalid fixture name: ${name}`);
+  }
+
+  return fs.readFileSync(path.join(FIXTURES_PATH, name), 'utf8');
+}
+
+// Load the configured profile on startup
+if (process.env.SELECTOR_PROFILE && process.env.SELECTOR_PROFILE !== DEFAULT_PROFILE_NAME) {
+  loadSelectorProfile(process.env.SELECTOR_PROFILE);
+}
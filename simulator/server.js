@@ -0,0 +1,188 @@
+// Offline WhatsApp Web simulator for driving playwright.js without a phone
+import express from 'express';
+import { createServer } from 'http';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { v4 as uuidv4 } from 'uuid';
+
+// Get current directory for ES modules
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Chats available when a test does not provide its own
+const DEFAULT_CHATS = [
+  { chatId: '60123456789@c.us', name: 'Alice', isGroup: false },
+  { chatId: '60198765432@c.us', name: 'Bob', isGroup: false },
+  { chatId: '120363000000000001@g.us', name: 'Support Team', isGroup: true }
+];
+
+// Format a timestamp the way WhatsApp labels message rows
+function formatPrePlainText(date, senderName) {
+  const pad = value => String(value).padStart(2, '0');
+  const time = `${pad(date.getHours())}:${pad(date.getMinutes())}`;
+  const day = `${date.getDate()}/${date.getMonth() + 1}/${date.getFullYear()}`;
+  return `[${time}, ${day}] ${senderName}: `;
+}
+
+// Start the simulator on a local port
+export async function startSimulator(options = {}) {
+  const { port = 0, loggedIn = false, chats = DEFAULT_CHATS } = options;
+
+  const state = {
+    loggedIn,
+    chats: chats.map(chat => ({ ...chat, unread: 0, messages: [] }))
+  };
+  const sent = [];
+  const clients = new Set();
+  let pageLoads = 0;
+
+  const findChat = chatId => state.chats.find(chat => chat.chatId === chatId);
+
+  // Push an event to every open simulator page
+  const broadcast = (event, data) => {
+    for (const client of clients) {
+      client.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+  };
+
+  const app = express();
+  app.use(express.json({ limit: '1mb' }));
+  app.use(express.static(path.join(__dirname, 'whatsapp-web')));
+
+  // Click-to-chat links load the normal page, which opens the chat itself
+  app.get('/send', (req, res) => {
+    res.sendFile(path.join(__dirname, 'whatsapp-web', 'index.html'));
+  });
+
+  // Page bootstrap; each full load of the app fetches it once
+  app.get('/__sim/state', (req, res) => {
+    pageLoads++;
+    res.json(state);
+  });
+
+  // Server-sent events for login and incoming messages
+  app.get('/__sim/events', (req, res) => {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive'
+    });
+    res.write('\n');
+    clients.add(res);
+    req.on('close', () => clients.delete(res));
+  });
+
+  // The page reports what the driver sent
+  app.post('/__sim/messages', (req, res) => {
+    const { chatId, content = '', messageType = 'text', fileName = null } = req.body;
+    const chat = findChat(chatId);
+
+    if (!chat) {
+      return res.status(404).json({ error: 'Chat not found' });
+    }
+
+    const now = new Date();
+    const message = {
+      id: `true_${chatId}_${uuidv4().replace(/-/g, '').slice(0, 20).toUpperCase()}`,
+      chatId,
+      content,
+      messageType,
+      fileName,
+      isFromMe: true,
+      senderName: 'Me',
+      status: 'sent',
+      prePlainText: formatPrePlainText(now, 'Me'),
+      timestamp: now.toISOString()
+    };
+
+    chat.messages.push(message);
+    sent.push(message);
+    res.status(201).json(message);
+  });
+
+  // The page clears unread counters when a chat is opened
+  app.post('/__sim/chats/:chatId/read', (req, res) => {
+    const chat = findChat(req.params.chatId);
+    if (chat) {
+      chat.unread = 0;
+    }
+    res.status(204).end();
+  });
+
+  const server = createServer(app);
+  await new Promise(resolve => server.listen(port, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    url,
+
+    // Switch from the QR screen to the chat list
+    login() {
+      state.loggedIn = true;
+      broadcast('login', state);
+    },
+
+    // Return to the QR screen
+    logout() {
+      state.loggedIn = false;
+      broadcast('logout', {});
+    },
+
+    // Deliver a message from a contact
+    injectIncoming({ chatId, content, senderName, senderId = null, timestamp = new Date() }) {
+      const chat = findChat(chatId);
+      if (!chat) {
+        throw new Error(`Unknown simulator chat: ${chatId}`);
+      }
+
+      const name = senderName || chat.name;
+      const key = uuidv4().replace(/-/g, '').slice(0, 20).toUpperCase();
+      const message = {
+        // Group rows carry the participant after the message key
+        id: chat.isGroup ? `false_${chatId}_${key}_${senderId || '60100000000@c.us'}` : `false_${chatId}_${key}`,
+        chatId,
+        content,
+        messageType: 'text',
+        isFromMe: false,
+        senderName: name,
+        prePlainText: formatPrePlainText(new Date(timestamp), name),
+        timestamp: new Date(timestamp).toISOString()
+      };
+
+      chat.messages.push(message);
+      chat.unread++;
+      broadcast('message', message);
+      return message;
+    },
+
+    // Move a sent message to pending, sent, delivered, read or failed
+    setMessageStatus(messageId, status) {
+      const message = sent.find(item => item.id === messageId);
+      if (!message) {
+        throw new Error(`Unknown simulator message: ${messageId}`);
+      }
+
+      message.status = status;
+      broadcast('status', { messageId, chatId: message.chatId, status });
+      return message;
+    },
+
+    // Messages the driver sent, oldest first
+    getSentMessages() {
+      return [...sent];
+    },
+
+    // How many times the app has been loaded, to tell in-app navigation from reloads
+    getPageLoads() {
+      return pageLoads;
+    },
+
+    // Stop the server and drop open event streams
+    async close() {
+      for (const client of clients) {
+        client.end();
+      }
+      await new Promise(resolve => server.close(resolve));
+    }
+  };
+}
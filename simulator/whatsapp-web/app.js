@@ -0,0 +1,315 @@
+// WhatsApp Web simulator page
+const elements = {
+  landing: document.getElementById('landing'),
+  side: document.getElementById('side'),
+  main: document.getElementById('main'),
+  qrCanvas: document.querySelector('[data-testid="qrcode"] canvas'),
+  search: document.querySelector('[data-testid="search-input"]'),
+  chatList: document.querySelector('[data-testid="chat-list"]'),
+  title: document.querySelector('[data-testid="conversation-info-header-chat-title"]'),
+  messages: document.querySelector('[data-testid="conversation-panel-messages"]'),
+  compose: document.querySelector('[data-testid="compose-box-input"]'),
+  sendButton: document.querySelector('[data-testid="send-button"]'),
+  attachButton: document.querySelector('[data-testid="attach-button"]'),
+  attachMenu: document.getElementById('attach-menu'),
+  fileInput: document.querySelector('#attach-menu input[type="file"]'),
+  mediaPreview: document.getElementById('media-preview'),
+  mediaFileName: document.getElementById('media-file-name'),
+  caption: document.querySelector('[data-testid="caption-input"]'),
+  invalidPhone: document.getElementById('invalid-phone')
+};
+
+let state = { loggedIn: false, chats: [] };
+let openChatId = null;
+let pendingMedia = null;
+
+// Draw a fake QR code so canvas.toDataURL() returns an image
+function drawQRCode() {
+  const context = elements.qrCanvas.getContext('2d');
+  context.fillStyle = '#fff';
+  context.fillRect(0, 0, 160, 160);
+  context.fillStyle = '#000';
+  for (let y = 0; y < 16; y++) {
+    for (let x = 0; x < 16; x++) {
+      if ((x * 7 + y * 13) % 3 === 0) {
+        context.fillRect(x * 10, y * 10, 10, 10);
+      }
+    }
+  }
+}
+
+function findChat(chatId) {
+  return state.chats.find(chat => chat.chatId === chatId);
+}
+
+// Attach or detach a screen; WhatsApp removes logged-out screens from the DOM entirely
+function setMounted(element, mounted) {
+  if (mounted && !element.isConnected) {
+    document.body.insertBefore(element, elements.main);
+  } else if (!mounted && element.isConnected) {
+    element.remove();
+  }
+}
+
+// Show the QR screen or the chat list
+function renderScreen() {
+  setMounted(elements.landing, !state.loggedIn);
+  setMounted(elements.side, state.loggedIn);
+  elements.main.hidden = !state.loggedIn || !openChatId;
+}
+
+// Render the chat list filtered by the search box
+function renderChatList() {
+  const term = elements.search.value.trim().toLowerCase();
+  elements.chatList.innerHTML = '';
+
+  state.chats
+    .filter(chat => !term || chat.name.toLowerCase().includes(term) || chat.chatId.includes(term))
+    .forEach(chat => {
+      const item = document.createElement('div');
+      item.setAttribute('data-testid', 'chat-list-item');
+      item.setAttribute('role', 'listitem');
+      item.dataset.chatId = chat.chatId;
+
+      const name = document.createElement('span');
+      name.textContent = chat.name;
+      item.appendChild(name);
+
+      if (chat.unread > 0) {
+        const badge = document.createElement('span');
+        badge.setAttribute('data-testid', 'icon-unread-count');
+        badge.setAttribute('aria-label', `${chat.unread} unread message`);
+        badge.textContent = chat.unread;
+        item.appendChild(badge);
+      }
+
+      item.addEventListener('click', () => openChat(chat.chatId));
+      elements.chatList.appendChild(item);
+    });
+}
+
+// Tick icons WhatsApp shows on outgoing rows
+const TICK_ICONS = {
+  pending: { icon: 'msg-time', label: ' Pending ' },
+  sent: { icon: 'msg-check', label: ' Sent ' },
+  delivered: { icon: 'msg-dblcheck', label: ' Delivered ' },
+  read: { icon: 'msg-dblcheck', label: ' Read ' },
+  failed: { icon: 'msg-error', label: ' Failed ' }
+};
+
+function createTick(status) {
+  const tick = TICK_ICONS[status] || TICK_ICONS.sent;
+  const span = document.createElement('span');
+  span.className = 'message-tick';
+  span.setAttribute('data-icon', tick.icon);
+  span.setAttribute('aria-label', tick.label);
+  return span;
+}
+
+// Build a message row with WhatsApp's data-id and metadata attributes
+function createMessageRow(message) {
+  const row = document.createElement('div');
+  row.setAttribute('data-id', message.id);
+  row.className = message.isFromMe ? 'message-out' : 'message-in';
+
+  const meta = document.createElement('div');
+  meta.setAttribute('data-pre-plain-text', message.prePlainText);
+
+  if (message.messageType !== 'text') {
+    const thumb = document.createElement('span');
+    thumb.setAttribute('data-testid', message.messageType === 'document' ? 'document-thumb' : 'image-thumb');
+    thumb.textContent = message.fileName || message.messageType;
+    meta.appendChild(thumb);
+  }
+
+  const text = document.createElement('span');
+  text.setAttribute('data-testid', 'msg-text');
+  text.className = 'selectable-text';
+  text.textContent = message.content;
+  meta.appendChild(text);
+
+  if (message.isFromMe) {
+    meta.appendChild(createTick(message.status));
+  }
+
+  row.appendChild(meta);
+  return row;
+}
+
+function renderMessages() {
+  const chat = findChat(openChatId);
+  elements.messages.innerHTML = '';
+  if (!chat) return;
+
+  elements.title.textContent = chat.name;
+  chat.messages.forEach(message => elements.messages.appendChild(createMessageRow(message)));
+}
+
+// Open a conversation and mark it read
+function openChat(chatId) {
+  const chat = findChat(chatId);
+  if (!chat) return;
+
+  openChatId = chatId;
+  chat.unread = 0;
+  fetch(`/__sim/chats/${encodeURIComponent(chatId)}/read`, { method: 'POST' });
+
+  elements.compose.textContent = '';
+  closeAttachMenu();
+  renderScreen();
+  renderChatList();
+  renderMessages();
+}
+
+function closeAttachMenu() {
+  elements.attachMenu.hidden = true;
+  elements.mediaPreview.hidden = true;
+  elements.caption.textContent = '';
+  elements.fileInput.value = '';
+  pendingMedia = null;
+}
+
+// Send what is in the compose box, or the pending attachment
+async function send() {
+  if (!openChatId) return;
+
+  let payload;
+  if (pendingMedia) {
+    payload = {
+      chatId: openChatId,
+      messageType: pendingMedia.messageType,
+      fileName: pendingMedia.fileName,
+      content: elements.caption.textContent
+    };
+  } else {
+    const content = elements.compose.textContent;
+    if (!content) return;
+    payload = { chatId: openChatId, content, messageType: 'text' };
+  }
+
+  const response = await fetch('/__sim/messages', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(payload)
+  });
+  const message = await response.json();
+
+  findChat(openChatId).messages.push(message);
+  elements.messages.appendChild(createMessageRow(message));
+  elements.compose.textContent = '';
+  closeAttachMenu();
+}
+
+elements.search.addEventListener('input', renderChatList);
+elements.sendButton.addEventListener('click', send);
+
+elements.compose.addEventListener('keydown', event => {
+  if (event.key === 'Enter') {
+    event.preventDefault();
+    send();
+  }
+});
+
+elements.attachButton.addEventListener('click', () => {
+  elements.attachMenu.hidden = !elements.attachMenu.hidden;
+});
+
+elements.attachMenu.querySelectorAll('[data-media-type]').forEach(button => {
+  button.addEventListener('click', () => {
+    pendingMedia = { messageType: button.dataset.mediaType, fileName: null };
+  });
+});
+
+elements.fileInput.addEventListener('change', () => {
+  const file = elements.fileInput.files[0];
+  if (!file) return;
+
+  pendingMedia = { messageType: (pendingMedia && pendingMedia.messageType) || 'document', fileName: file.name };
+  elements.mediaFileName.textContent = file.name;
+  elements.mediaPreview.hidden = false;
+});
+
+// Live updates from the simulator server
+const events = new EventSource('/__sim/events');
+
+events.addEventListener('login', event => {
+  state = JSON.parse(event.data);
+  renderScreen();
+  renderChatList();
+});
+
+events.addEventListener('logout', () => {
+  state.loggedIn = false;
+  openChatId = null;
+  renderScreen();
+});
+
+events.addEventListener('message', event => {
+  const message = JSON.parse(event.data);
+  const chat = findChat(message.chatId);
+  if (!chat) return;
+
+  chat.messages.push(message);
+
+  if (message.chatId === openChatId) {
+    elements.messages.appendChild(createMessageRow(message));
+    fetch(`/__sim/chats/${encodeURIComponent(message.chatId)}/read`, { method: 'POST' });
+  } else {
+    chat.unread++;
+    renderChatList();
+  }
+});
+
+// Swap the tick icon when the server changes a message status
+events.addEventListener('status', event => {
+  const { messageId, chatId, status } = JSON.parse(event.data);
+  const chat = findChat(chatId);
+  const message = chat && chat.messages.find(item => item.id === messageId);
+  if (!message) return;
+
+  message.status = status;
+
+  const row = elements.messages.querySelector(`[data-id="${CSS.escape(messageId)}"]`);
+  const current = row && row.querySelector('.message-tick');
+  if (current) {
+    current.replaceWith(createTick(status));
+  }
+});
+
+// Open the chat named by a /send?phone= link, or explain that the number is not on WhatsApp
+function openLinkedChat() {
+  const phone = new URLSearchParams(location.search).get('phone');
+  if (location.pathname !== '/send' || !phone || !state.loggedIn) return;
+
+  if (findChat(`${phone}@c.us`)) {
+    elements.invalidPhone.hidden = true;
+    openChat(`${phone}@c.us`);
+  } else {
+    elements.invalidPhone.hidden = false;
+  }
+}
+
+// Like WhatsApp Web, click-to-chat links clicked inside the app open the chat without a reload
+document.addEventListener('click', event => {
+  const link = event.target.closest && event.target.closest('a[href]');
+  if (!link) return;
+
+  const url = new URL(link.href, location.href);
+  if (url.origin !== location.origin || url.pathname !== '/send') return;
+
+  event.preventDefault();
+  history.pushState(null, '', url);
+  openLinkedChat();
+});
+
+// Bootstrap
+drawQRCode();
+renderScreen();
+fetch('/__sim/state')
+  .then(response => response.json())
+  .then(initialState => {
+    state = initialState;
+    renderScreen();
+    renderChatList();
+    openLinkedChat();
+  });
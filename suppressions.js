@@ -0,0 +1,103 @@
+import { logger } from './utils/logger.js';
+import {
+  saveSuppression,
+  getSuppressionByPhone,
+  deleteSuppression,
+  getContactByPhone,
+  updateContact
+} from './db.js';
+import { normalisePhone } from './utils/phone.js';
+import { triggerWebhookEvent } from './webhooks.js';
+
+// Whole-message replies that opt the sender out
+export const OPT_OUT_KEYWORDS = (process.env.OPT_OUT_KEYWORDS || 'STOP,BERHENTI,UNSUBSCRIBE')
+  .split(',')
+  .map(keyword => keyword.trim().toUpperCase())
+  .filter(Boolean);
+
+export const OPT_OUT_CONFIRMATION = process.env.OPT_OUT_CONFIRMATION ||
+  'You have been unsubscribed and will not receive further messages from us.';
+
+// Return the keyword if the whole message is an opt-out request ("stop", "STOP!" but not "don't stop")
+export function matchOptOutKeyword(content) {
+  const text = String(content || '').trim().replace(/[\s.!]+$/, '').toUpperCase();
+  return OPT_OUT_KEYWORDS.includes(text) ? text : null;
+}
+
+// Phone number for a recipient string, or null for chat names that cannot be matched
+function toPhone(recipient) {
+  try {
+    return normalisePhone(recipient);
+  } catch {
+    return null;
+  }
+}
+
+// Why a recipient must not be messaged, or null if sending is allowed
+export async function getSuppressionReason(recipient, contact = null) {
+  if (contact && contact.opted_out) {
+    return `Contact ${contact.id} has opted out`;
+  }
+
+  const phone = toPhone(recipient);
+  if (!phone) {
+    return null;
+  }
+
+  const suppression = await getSuppressionByPhone(phone);
+  if (suppression) {
+    return suppression.keyword
+      ? `Recipient ${phone} opted out by replying ${suppression.keyword} on ${suppression.created_at}`
+      : `Recipient ${phone} is on the suppression list (${suppression.reason})`;
+  }
+
+  const savedContact = contact || await getContactByPhone(phone);
+  if (savedContact && savedContact.opted_out) {
+    return `Contact ${savedContact.id} has opted out`;
+  }
+
+  return null;
+}
+
+// Add a number to the suppression list and flag its contact; returns false if already suppressed
+export async function suppressPhone(phone, { reason = 'manual', keyword = null, messageId = null } = {}) {
+  try {
+    const added = await saveSuppression({ phone, reason, keyword, messageId });
+
+    const contact = await getContactByPhone(phone);
+    if (contact && !contact.opted_out) {
+      await updateContact(contact.id, { optedOut: true });
+    }
+
+    if (added) {
+      await triggerWebhookEvent('contact.opted_out', {
+        phone,
+        contactId: contact ? contact.id : null,
+        reason,
+        keyword,
+        messageId,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    return added;
+  } catch (error) {
+    logger.error(`Failed to suppress ${phone}:`, error);
+    throw error;
+  }
+}
+
+// Remove a suppression entry and clear its contact's opt-out flag
+export async function unsuppress(suppression) {
+  try {
+    await deleteSuppression(suppression.id);
+
+    const contact = await getContactByPhone(suppression.phone);
+    if (contact && contact.opted_out) {
+      await updateContact(contact.id, { optedOut: false });
+    }
+  } catch (error) {
+    logger.error(`Failed to remove suppression for ${suppression.phone}:`, error);
+    throw error;
+  }
+}
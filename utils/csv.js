@@ -0,0 +1,96 @@
+import { ValidationError } from '../middleware/errorHandler.js';
+
+// Split CSV text into rows of fields (RFC 4180 quoting, CRLF or LF line endings)
+function parseRows(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new ValidationError('CSV has an unterminated quoted field');
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Blank lines carry no data
+  return rows.filter(fields => fields.some(value => value.trim() !== ''));
+}
+
+// Parse CSV text with a header row into objects keyed by column name
+export function parseCsv(text) {
+  const rows = parseRows(text.replace(/^\uFEFF/, ''));
+
+  if (rows.length === 0) {
+    return [];
+  }
+
+  const headers = rows[0].map(header => header.trim());
+
+  return rows.slice(1).map(fields => {
+    const record = {};
+    headers.forEach((header, index) => {
+      if (header) {
+        record[header] = (fields[index] ?? '').trim();
+      }
+    });
+    return record;
+  });
+}
+
+// Quote a value if it contains a delimiter, quote or line break
+function formatField(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Build CSV text from objects using the given column order
+export function toCsv(records, columns) {
+  const lines = [columns.map(formatField).join(',')];
+
+  for (const record of records) {
+    lines.push(columns.map(column => formatField(record[column])).join(','));
+  }
+
+  return lines.join('\r\n') + '\r\n';
+}
@@ -0,0 +1,41 @@
+import { ValidationError } from '../middleware/errorHandler.js';
+
+// One step of a path: .name, ['name'], ["name"] or [0]
+const SEGMENT_PATTERN = /^(?:\.([A-Za-z_$][\w$-]*)|\[(\d+)\]|\['([^']*)'\]|\["([^"]*)"\])/;
+
+// Split a JSONPath-style expression ($.order.items[0].sku) into keys and indexes
+export function parseJsonPath(path) {
+  if (typeof path !== 'string' || !path.startsWith('$')) {
+    throw new ValidationError(`Invalid path "${path}": paths start with $`);
+  }
+
+  const segments = [];
+  let rest = path.slice(1);
+
+  while (rest.length > 0) {
+    const match = rest.match(SEGMENT_PATTERN);
+    if (!match) {
+      throw new ValidationError(`Invalid path "${path}" near "${rest}"`);
+    }
+
+    const [whole, name, index, single, double] = match;
+    segments.push(index !== undefined ? Number(index) : name ?? single ?? double);
+    rest = rest.slice(whole.length);
+  }
+
+  return segments;
+}
+
+// Value at a path, or undefined when any step is missing
+export function extractJsonPath(data, path) {
+  let value = data;
+
+  for (const segment of parseJsonPath(path)) {
+    if (value === null || typeof value !== 'object') {
+      return undefined;
+    }
+    value = value[segment];
+  }
+
+  return value;
+}
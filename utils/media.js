@@ -0,0 +1,46 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Media types the WhatsApp driver can attach; rules and flows validate against the same list
+export const MEDIA_TYPES = ['image', 'video', 'document'];
+
+const MEDIA_DOWNLOAD_TIMEOUT = parseInt(process.env.MEDIA_DOWNLOAD_TIMEOUT) || 30000;
+
+// File name for a downloaded URL; documents arrive in WhatsApp under this name
+function getMediaFileName(url) {
+  const name = path.basename(url.pathname);
+
+  try {
+    return path.basename(decodeURIComponent(name)) || 'media';
+  } catch {
+    return name || 'media';
+  }
+}
+
+// Fetch a media URL into its own temp directory; call cleanup() once the file has been attached
+export async function downloadMedia(mediaUrl) {
+  const url = new URL(mediaUrl);
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    throw new Error(`Media URL must be http(s): ${mediaUrl}`);
+  }
+
+  const response = await fetch(url, { signal: AbortSignal.timeout(MEDIA_DOWNLOAD_TIMEOUT) });
+
+  if (!response.ok) {
+    throw new Error(`Media download failed: ${response.status} ${response.statusText}`);
+  }
+
+  const directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'wa-media-'));
+  const cleanup = () => fs.promises.rm(directory, { recursive: true, force: true });
+  const filePath = path.join(directory, getMediaFileName(url));
+
+  try {
+    await fs.promises.writeFile(filePath, Buffer.from(await response.arrayBuffer()));
+  } catch (error) {
+    await cleanup();
+    throw error;
+  }
+
+  return { filePath, cleanup };
+}
@@ -0,0 +1,37 @@
+import { ValidationError } from '../middleware/errorHandler.js';
+
+// Country calling code for numbers written in national format (e.g. 012-345 6789)
+const DEFAULT_COUNTRY_CODE = (process.env.DEFAULT_COUNTRY_CODE || '').replace(/\D/g, '');
+
+// E.164: a plus sign and 8 to 15 digits, no leading zero
+const E164_PATTERN = /^\+[1-9]\d{7,14}$/;
+
+// Check whether a string is already an E.164 phone number
+export function isE164(value) {
+  return typeof value === 'string' && E164_PATTERN.test(value);
+}
+
+// Normalise a phone number to E.164, using DEFAULT_COUNTRY_CODE for national numbers
+export function normalisePhone(input, countryCode = DEFAULT_COUNTRY_CODE) {
+  const raw = String(input ?? '').trim();
+  let digits = raw.replace(/[^\d]/g, '');
+
+  if (raw.startsWith('+')) {
+    // Already international
+  } else if (digits.startsWith('00')) {
+    digits = digits.slice(2);
+  } else if (digits.startsWith('0')) {
+    if (!countryCode) {
+      throw new ValidationError(`Phone number ${raw} needs a country code`);
+    }
+    digits = countryCode + digits.slice(1);
+  }
+
+  const phone = `+${digits}`;
+
+  if (!E164_PATTERN.test(phone)) {
+    throw new ValidationError(`Invalid phone number: ${raw}`);
+  }
+
+  return phone;
+}
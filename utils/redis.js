@@ -0,0 +1,7 @@
+// Redis connection configuration shared by the BullMQ queues
+export const redisConfig = {
+  host: process.env.REDIS_HOST || 'localhost',
+  port: parseInt(process.env.REDIS_PORT) || 6379,
+  password: process.env.REDIS_PASSWORD || undefined,
+  db: 0
+};
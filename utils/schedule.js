@@ -0,0 +1,115 @@
+import cronParser from 'cron-parser';
+import { ValidationError } from '../middleware/errorHandler.js';
+
+const DEFAULT_TIMEZONE = process.env.SCHEDULE_TIMEZONE || 'UTC';
+
+// ISO 8601 date-time with an explicit offset, e.g. 2024-05-01T09:00:00+08:00
+const ISO_WITH_OFFSET_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})$/;
+
+// 24-hour clock time, e.g. 08:30
+export const CLOCK_TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Schedule options error (returned to clients as 400)
+export class ScheduleError extends ValidationError {}
+
+// Parse a one-off send time; the offset is required so the instant is unambiguous
+export function parseSendAt(sendAt) {
+  if (typeof sendAt !== 'string' || !ISO_WITH_OFFSET_PATTERN.test(sendAt)) {
+    throw new ScheduleError('sendAt must be an ISO 8601 timestamp with a timezone offset');
+  }
+
+  const date = new Date(sendAt);
+  if (isNaN(date.getTime())) {
+    throw new ScheduleError(`Invalid sendAt: ${sendAt}`);
+  }
+
+  if (date.getTime() <= Date.now()) {
+    throw new ScheduleError('sendAt must be in the future');
+  }
+
+  return date;
+}
+
+// Check that a timezone is a known IANA name
+export function validateTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+  } catch {
+    throw new ScheduleError(`Unknown timezone: ${timezone}`);
+  }
+}
+
+// Minutes past midnight at an instant in a timezone
+export function getMinutesInTimezone(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-GB', {
+    timeZone,
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+
+  const part = type => Number(parts.find(item => item.type === type).value);
+  return part('hour') * 60 + part('minute');
+}
+
+// Day of the week (0 = Sunday) at an instant in a timezone
+export function getWeekdayInTimezone(date, timeZone) {
+  const weekday = new Intl.DateTimeFormat('en-US', { timeZone, weekday: 'short' }).format(date);
+  return WEEKDAYS.indexOf(weekday);
+}
+
+// Minutes past midnight for an HH:MM clock time
+export function parseClockTime(value) {
+  const [hours, minutes] = value.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+// Whether an instant falls in a daily HH:MM window; windows such as 22:00-08:00 wrap past midnight
+export function isWithinDailyWindow(date, start, end, timeZone) {
+  const current = getMinutesInTimezone(date, timeZone);
+  const startMinutes = parseClockTime(start);
+  const endMinutes = parseClockTime(end);
+
+  return startMinutes <= endMinutes
+    ? current >= startMinutes && current < endMinutes
+    : current >= startMinutes || current < endMinutes;
+}
+
+// Day of the week (0 = Sunday) the daily window around an instant opened on; after midnight in a
+// wrapping window such as 22:00-02:00 that is the previous day
+export function getDailyWindowWeekday(date, start, end, timeZone) {
+  const weekday = getWeekdayInTimezone(date, timeZone);
+  const startMinutes = parseClockTime(start);
+  const wrapped = startMinutes > parseClockTime(end) && getMinutesInTimezone(date, timeZone) < startMinutes;
+
+  return wrapped ? (weekday + 6) % 7 : weekday;
+}
+
+// Next run of a cron expression after the given date
+export function getNextCronRun(cron, timezone = DEFAULT_TIMEZONE, from = new Date()) {
+  try {
+    const interval = cronParser.parseExpression(cron, { currentDate: from, tz: timezone });
+    return interval.next().toDate();
+  } catch (error) {
+    throw new ScheduleError(`Invalid cron expression "${cron}": ${error.message}`);
+  }
+}
+
+// Validate sendAt/cron options and work out the first run
+export function resolveSchedule({ sendAt, cron, timezone }) {
+  if (sendAt && cron) {
+    throw new ScheduleError('Use either sendAt or cron, not both');
+  }
+
+  if (sendAt) {
+    const runAt = parseSendAt(sendAt).toISOString();
+    return { sendAt: runAt, cron: null, timezone: null, nextRunAt: runAt };
+  }
+
+  const zone = timezone || DEFAULT_TIMEZONE;
+  validateTimezone(zone);
+
+  return { sendAt: null, cron, timezone: zone, nextRunAt: getNextCronRun(cron, zone).toISOString() };
+}
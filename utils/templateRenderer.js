@@ -0,0 +1,163 @@
+import { ValidationError } from '../middleware/errorHandler.js';
+
+// Supported variable types
+export const VARIABLE_TYPES = ['string', 'number', 'date', 'currency'];
+
+// Matches {{name}} with optional inner whitespace
+const PLACEHOLDER_PATTERN = /\{\{\s*([a-zA-Z_][a-zA-Z0-9_]*)\s*\}\}/g;
+
+const DEFAULT_LOCALE = process.env.TEMPLATE_LOCALE || 'en-US';
+const DEFAULT_CURRENCY = process.env.TEMPLATE_CURRENCY || 'USD';
+
+// Template rendering error (returned to clients as 400)
+export class TemplateRenderError extends ValidationError {
+  constructor(message, details = []) {
+    super(message);
+    this.details = details;
+  }
+}
+
+// Get the unique placeholder names used in template content
+export function extractPlaceholders(content) {
+  const names = new Set();
+  for (const match of content.matchAll(PLACEHOLDER_PATTERN)) {
+    names.add(match[1]);
+  }
+  return Array.from(names);
+}
+
+// Validate a declared variable schema, returns a list of problems
+export function validateVariableSchema(variables) {
+  const problems = [];
+
+  if (!Array.isArray(variables)) {
+    return ['Variables must be an array'];
+  }
+
+  const seen = new Set();
+  variables.forEach((variable, index) => {
+    if (!variable || typeof variable.name !== 'string' || !/^[a-zA-Z_][a-zA-Z0-9_]*$/.test(variable.name)) {
+      problems.push(`Variable ${index} must have a valid name`);
+      return;
+    }
+
+    if (seen.has(variable.name)) {
+      problems.push(`Variable ${variable.name} is declared more than once`);
+    }
+    seen.add(variable.name);
+
+    if (variable.type && !VARIABLE_TYPES.includes(variable.type)) {
+      problems.push(`Variable ${variable.name} has unsupported type: ${variable.type}`);
+    }
+
+    if (variable.default !== undefined) {
+      try {
+        formatValue(variable, variable.default);
+      } catch (error) {
+        problems.push(`Variable ${variable.name} has an invalid default: ${error.message}`);
+      }
+    }
+  });
+
+  return problems;
+}
+
+// Build the effective schema: declared variables plus any undeclared placeholders
+function resolveSchema(content, declared = []) {
+  const schema = new Map(declared.map(variable => [variable.name, variable]));
+
+  for (const name of extractPlaceholders(content)) {
+    if (!schema.has(name)) {
+      schema.set(name, { name, type: 'string', required: true });
+    }
+  }
+
+  return schema;
+}
+
+// Format a single value according to its declared type
+function formatValue(variable, value) {
+  const locale = variable.locale || DEFAULT_LOCALE;
+
+  switch (variable.type || 'string') {
+    case 'number': {
+      const number = Number(value);
+      if (value === '' || Number.isNaN(number)) {
+        throw new Error('expected a number');
+      }
+      return new Intl.NumberFormat(locale).format(number);
+    }
+
+    case 'currency': {
+      const amount = Number(value);
+      if (value === '' || Number.isNaN(amount)) {
+        throw new Error('expected a numeric amount');
+      }
+      return new Intl.NumberFormat(locale, {
+        style: 'currency',
+        currency: variable.currency || DEFAULT_CURRENCY
+      }).format(amount);
+    }
+
+    case 'date': {
+      const date = value === 'now' ? new Date() : new Date(value);
+      if (Number.isNaN(date.getTime())) {
+        throw new Error('expected a valid date');
+      }
+      return new Intl.DateTimeFormat(locale, {
+        dateStyle: variable.dateStyle || 'medium',
+        timeZone: variable.timeZone
+      }).format(date);
+    }
+
+    default:
+      return String(value);
+  }
+}
+
+// Render template content with the given values
+export function renderTemplate(template, values = {}) {
+  const { content } = template;
+  const schema = resolveSchema(content, template.variables || []);
+
+  const missing = [];
+  const invalid = [];
+  const formatted = {};
+
+  for (const variable of schema.values()) {
+    let value = values[variable.name];
+
+    if (value === undefined || value === null || value === '') {
+      value = variable.default;
+    }
+
+    if (value === undefined || value === null) {
+      // Optional variables render as empty text
+      if (variable.required === false) {
+        formatted[variable.name] = '';
+      } else {
+        missing.push(variable.name);
+      }
+      continue;
+    }
+
+    try {
+      formatted[variable.name] = formatValue(variable, value);
+    } catch (error) {
+      invalid.push({ variable: variable.name, message: error.message });
+    }
+  }
+
+  if (missing.length > 0 || invalid.length > 0) {
+    const details = [
+      ...missing.map(name => ({ variable: name, message: 'is required' })),
+      ...invalid
+    ];
+    const message = missing.length > 0
+      ? `Missing required template variables: ${missing.join(', ')}`
+      : `Invalid template variables: ${invalid.map(item => item.variable).join(', ')}`;
+    throw new TemplateRenderError(message, details);
+  }
+
+  return content.replace(PLACEHOLDER_PATTERN, (match, name) => formatted[name]);
+}
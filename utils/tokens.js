@@ -0,0 +1,34 @@
+// Rough token counts for prompt budgeting; no tokenizer is bundled, so this errs on the high side
+
+// Characters per token for mixed English/Malay/Indonesian chat text
+const CHARS_PER_TOKEN = 4;
+
+// Role markers and separators each chat message adds
+const MESSAGE_OVERHEAD_TOKENS = 4;
+
+// Estimated tokens in a piece of text
+export function estimateTokens(text) {
+  return Math.ceil(String(text ?? '').length / CHARS_PER_TOKEN);
+}
+
+// Estimated tokens a chat message takes in a prompt
+export function estimateMessageTokens(message) {
+  return estimateTokens(message.content) + MESSAGE_OVERHEAD_TOKENS;
+}
+
+// Keep the newest messages that fit in the budget, in their original order
+export function trimToTokenBudget(messages, budget) {
+  const kept = [];
+  let used = 0;
+
+  for (let i = messages.length - 1; i >= 0; i--) {
+    const tokens = messages[i].tokens ?? estimateMessageTokens(messages[i]);
+    if (used + tokens > budget) {
+      break;
+    }
+    used += tokens;
+    kept.unshift(messages[i]);
+  }
+
+  return { messages: kept, tokens: used };
+}
@@ -0,0 +1,103 @@
+// Webhook signing and verification. This file only depends on Node's crypto module,
+// so receiving services can import it (or copy it) to check deliveries.
+import crypto from 'crypto';
+
+export const SIGNATURE_VERSION = 'v1';
+
+export const WEBHOOK_ID_HEADER = 'X-Webhook-Id';
+export const WEBHOOK_TIMESTAMP_HEADER = 'X-Webhook-Timestamp';
+export const WEBHOOK_SIGNATURE_HEADER = 'X-Webhook-Signature';
+
+// Deliveries older (or newer) than this are rejected as possible replays
+export const DEFAULT_TOLERANCE_SECONDS = 300;
+
+export class WebhookVerificationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'WebhookVerificationError';
+  }
+}
+
+// HMAC-SHA256 over "<delivery id>.<unix timestamp>.<raw body>"
+function computeSignature(secret, deliveryId, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${deliveryId}.${timestamp}.${body}`).digest('hex');
+}
+
+// Headers for a signed delivery; each secret adds one signature so a receiver can rotate keys
+export function signWebhookPayload(body, { deliveryId, secrets = [], timestamp = Math.floor(Date.now() / 1000) }) {
+  const headers = {
+    [WEBHOOK_ID_HEADER]: deliveryId,
+    [WEBHOOK_TIMESTAMP_HEADER]: String(timestamp)
+  };
+
+  const signatures = secrets
+    .filter(Boolean)
+    .map(secret => `${SIGNATURE_VERSION}=${computeSignature(secret, deliveryId, timestamp, body)}`);
+
+  if (signatures.length > 0) {
+    headers[WEBHOOK_SIGNATURE_HEADER] = signatures.join(' ');
+  }
+
+  return headers;
+}
+
+// Read a header from a plain object (any case) or a fetch Headers instance
+function readHeader(headers, name) {
+  if (typeof headers.get === 'function') {
+    return headers.get(name);
+  }
+
+  const key = Object.keys(headers).find(header => header.toLowerCase() === name.toLowerCase());
+  const value = key ? headers[key] : null;
+  return Array.isArray(value) ? value[0] : value;
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(a);
+  const right = Buffer.from(b);
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+// Check a received delivery's signature and age; throws WebhookVerificationError on rejection.
+// `body` is the raw request body, before JSON parsing. `secret` may be an array during rotation.
+// Keep returned delivery IDs for the tolerance window to reject exact replays.
+export function verifyWebhookSignature({ body, headers, secret, toleranceSeconds = DEFAULT_TOLERANCE_SECONDS, now = Date.now() }) {
+  const deliveryId = readHeader(headers, WEBHOOK_ID_HEADER);
+  const timestamp = readHeader(headers, WEBHOOK_TIMESTAMP_HEADER);
+  const signatureHeader = readHeader(headers, WEBHOOK_SIGNATURE_HEADER);
+
+  if (!deliveryId || !timestamp || !signatureHeader) {
+    throw new WebhookVerificationError('Missing webhook signature headers');
+  }
+
+  if (!/^\d+$/.test(timestamp)) {
+    throw new WebhookVerificationError('Invalid webhook timestamp');
+  }
+
+  if (Math.abs(now / 1000 - Number(timestamp)) > toleranceSeconds) {
+    throw new WebhookVerificationError('Webhook timestamp is outside the tolerance window');
+  }
+
+  const payload = Buffer.isBuffer(body) ? body.toString('utf8') : String(body);
+  const secrets = (Array.isArray(secret) ? secret : [secret]).filter(Boolean);
+
+  if (secrets.length === 0) {
+    throw new WebhookVerificationError('No secret to verify against');
+  }
+
+  // Signatures from other scheme versions are ignored
+  const received = signatureHeader
+    .split(' ')
+    .map(part => part.split('='))
+    .filter(([version, value]) => version === SIGNATURE_VERSION && value)
+    .map(([, value]) => value);
+
+  const expected = secrets.map(key => computeSignature(key, deliveryId, timestamp, payload));
+  const matched = received.some(signature => expected.some(candidate => safeEqual(signature, candidate)));
+
+  if (!matched) {
+    throw new WebhookVerificationError('Webhook signature does not match');
+  }
+
+  return { deliveryId, timestamp: Number(timestamp) };
+}
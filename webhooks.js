@@ -0,0 +1,307 @@
+import crypto from 'crypto';
+import { Queue, Worker } from 'bullmq';
+import { v4 as uuidv4 } from 'uuid';
+import { logger } from './utils/logger.js';
+import {
+  getWebhooks,
+  getWebhookById,
+  updateWebhook,
+  recordWebhookFailure,
+  saveWebhookDelivery,
+  getWebhookDelivery,
+  updateWebhookDelivery
+} from './db.js';
+import { ValidationError } from './middleware/errorHandler.js';
+import { redisConfig } from './utils/redis.js';
+import { signWebhookPayload } from './utils/webhookSignature.js';
+
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 5;
+const WEBHOOK_RETRY_DELAY = parseInt(process.env.WEBHOOK_RETRY_DELAY) || 5000;
+const WEBHOOK_TIMEOUT = parseInt(process.env.WEBHOOK_TIMEOUT) || 10000;
+const WEBHOOK_CONCURRENCY = parseInt(process.env.WEBHOOK_CONCURRENCY) || 5;
+// Failed requests in a row before an endpoint is disabled
+const WEBHOOK_FAILURE_LIMIT = parseInt(process.env.WEBHOOK_FAILURE_LIMIT) || 20;
+// How long the old secret keeps signing after a rotation
+const WEBHOOK_SECRET_GRACE_HOURS = parseInt(process.env.WEBHOOK_SECRET_GRACE_HOURS) || 24;
+
+// Response bodies are kept for debugging, not archiving
+const MAX_RESPONSE_BODY = 2000;
+
+// Every event a webhook can subscribe to
+export const WEBHOOK_EVENTS = {
+  'message.new': 'A message appeared in a watched chat',
+  'message.sent': 'WhatsApp accepted a queued message',
+  'message.delivered': 'A sent message reached the recipient',
+  'message.read': 'A sent message was read',
+  'message.failed': 'A queued message could not be sent after all retries',
+  'session.connected': 'A session logged in',
+  'session.disconnected': 'A session was stopped or lost its connection',
+  'session.qr': 'A session is showing a new login QR code',
+  'queue.job.completed': 'A queue job finished',
+  'queue.job.failed': 'A queue job attempt failed',
+  'ai.reply.generated': 'The AI produced a reply to a message',
+  'ai.draft.created': 'An AI reply is waiting for approval',
+  'ai.handoff': 'The AI handed a chat to a human agent',
+  'ai.budget.exceeded': 'A session used up its AI budget and its AI replies are paused',
+  'contact.opted_out': 'A number was added to the suppression list',
+  'flow.handoff': 'A flow handed a chat to a human agent'
+};
+
+// Subscribes a webhook to every event in the catalogue
+export const WILDCARD_EVENT = '*';
+
+export function isKnownWebhookEvent(event) {
+  return event === WILDCARD_EVENT || Object.hasOwn(WEBHOOK_EVENTS, event);
+}
+
+function isSubscribed(webhook, event) {
+  return webhook.events.includes(event) || webhook.events.includes(WILDCARD_EVENT);
+}
+
+// Deliveries run on their own queue so a slow endpoint never holds up message handling
+export const webhookQueue = new Queue('whatsapp-webhook-queue', {
+  connection: redisConfig,
+  defaultJobOptions: {
+    removeOnComplete: 100,
+    removeOnFail: 50,
+    attempts: WEBHOOK_MAX_ATTEMPTS,
+    backoff: {
+      type: 'exponential',
+      delay: WEBHOOK_RETRY_DELAY
+    }
+  }
+});
+
+// Start the delivery worker
+export async function initWebhookQueue() {
+  try {
+    const worker = new Worker('whatsapp-webhook-queue', processDelivery, {
+      connection: redisConfig,
+      concurrency: WEBHOOK_CONCURRENCY
+    });
+
+    worker.on('failed', async (job, err) => {
+      const willRetry = job.attemptsMade < (job.opts.attempts || 1);
+
+      logger.warn(`Webhook delivery failed: ${job.data.deliveryId}`, {
+        event: job.name,
+        error: err.message,
+        attemptsMade: job.attemptsMade,
+        willRetry
+      });
+
+      // Out of attempts: the delivery stays in the table as dead until redelivered
+      await updateWebhookDelivery(job.data.deliveryId, { status: willRetry ? 'retrying' : 'dead' });
+    });
+
+    logger.info('Webhook delivery queue initialized successfully');
+    return webhookQueue;
+  } catch (error) {
+    logger.error('Failed to initialize webhook delivery queue:', error);
+    throw error;
+  }
+}
+
+// Serialise a payload and build its headers, signed with every active secret
+function buildWebhookRequest(data, deliveryId, secrets = []) {
+  const body = JSON.stringify(data);
+
+  const headers = {
+    'Content-Type': 'application/json',
+    'User-Agent': 'WhatsApp-Bot-Webhook/1.0',
+    ...signWebhookPayload(body, { deliveryId, secrets })
+  };
+
+  return { headers, body };
+}
+
+// The current secret, plus the previous one until its grace period ends
+function getActiveSecrets(webhook, now = new Date()) {
+  const secrets = [webhook.secret];
+
+  if (webhook.previous_secret && new Date(webhook.previous_secret_expires_at) > now) {
+    secrets.push(webhook.previous_secret);
+  }
+
+  return secrets.filter(Boolean);
+}
+
+// Send one request straight away; used for test pings
+export async function sendWebhook(url, data, secret = null) {
+  const { headers, body } = buildWebhookRequest(data, uuidv4(), [secret]);
+
+  const response = await fetch(url, {
+    method: 'POST',
+    headers,
+    body,
+    signal: AbortSignal.timeout(WEBHOOK_TIMEOUT)
+  });
+
+  if (!response.ok) {
+    throw new Error(`Webhook request failed: ${response.status} ${response.statusText}`);
+  }
+
+  return response;
+}
+
+// Queue an event for every active webhook subscribed to it
+export async function triggerWebhookEvent(event, data) {
+  try {
+    if (process.env.WEBHOOK_ENABLED !== 'true') {
+      return;
+    }
+
+    const webhooks = await getWebhooks();
+    const payload = {
+      event,
+      timestamp: new Date().toISOString(),
+      data
+    };
+
+    for (const webhook of webhooks) {
+      if (isSubscribed(webhook, event)) {
+        await enqueueDelivery(webhook, payload);
+      }
+    }
+  } catch (error) {
+    logger.error('Failed to trigger webhooks:', error);
+  }
+}
+
+// Record a delivery and hand it to the queue
+async function enqueueDelivery(webhook, payload, redeliveryOf = null) {
+  const deliveryId = uuidv4();
+
+  await saveWebhookDelivery({
+    deliveryId,
+    webhookId: webhook.id,
+    event: payload.event,
+    url: webhook.url,
+    payload,
+    redeliveryOf
+  });
+
+  await webhookQueue.add(payload.event, { deliveryId }, { jobId: deliveryId });
+  return deliveryId;
+}
+
+// Send a delivery again as a new delivery with the original payload
+export async function redeliverWebhook(delivery) {
+  try {
+    const webhook = await getWebhookById(delivery.webhook_id);
+
+    if (!webhook || !webhook.is_active) {
+      throw new ValidationError('Webhook is disabled; enable it before redelivering');
+    }
+
+    const deliveryId = await enqueueDelivery(webhook, delivery.payload, delivery.delivery_id);
+    logger.info(`Webhook redelivery queued: ${deliveryId}`, { original: delivery.delivery_id });
+    return deliveryId;
+  } catch (error) {
+    if (!(error instanceof ValidationError)) {
+      logger.error('Failed to redeliver webhook:', error);
+    }
+    throw error;
+  }
+}
+
+// Random signing secret for a webhook registered or rotated without one
+export function generateWebhookSecret() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+// Replace a webhook's secret; the old one keeps signing alongside it for the grace period
+export async function rotateWebhookSecret(webhook, { secret = null, graceHours = WEBHOOK_SECRET_GRACE_HOURS } = {}) {
+  try {
+    const newSecret = secret || generateWebhookSecret();
+    const keepPrevious = Boolean(webhook.secret) && graceHours > 0;
+
+    await updateWebhook(webhook.id, {
+      secret: newSecret,
+      previous_secret: keepPrevious ? webhook.secret : null,
+      previous_secret_expires_at: keepPrevious ? new Date(Date.now() + graceHours * 3600000).toISOString() : null
+    });
+
+    logger.info(`Webhook secret rotated: ${webhook.id}`, { graceHours: keepPrevious ? graceHours : 0 });
+    return newSecret;
+  } catch (error) {
+    logger.error('Failed to rotate webhook secret:', error);
+    throw error;
+  }
+}
+
+// Re-enable a webhook and clear its failure streak
+export async function enableWebhook(id) {
+  await updateWebhook(id, { is_active: 1, consecutive_failures: 0, disabled_at: null });
+  logger.info(`Webhook enabled: ${id}`);
+}
+
+// Worker: one attempt at one delivery
+async function processDelivery(job) {
+  const { deliveryId } = job.data;
+
+  const delivery = await getWebhookDelivery(deliveryId);
+  if (!delivery) {
+    logger.warn(`Webhook delivery not found: ${deliveryId}`);
+    return null;
+  }
+
+  // Retries still pending when an endpoint is disabled or removed go no further
+  const webhook = await getWebhookById(delivery.webhook_id);
+  if (!webhook || !webhook.is_active) {
+    await updateWebhookDelivery(deliveryId, {
+      status: 'dead',
+      error_message: webhook ? 'Webhook was disabled' : 'Webhook was removed'
+    });
+    return null;
+  }
+
+  // Signed per attempt so the timestamp is always fresh
+  const { headers, body } = buildWebhookRequest(delivery.payload, deliveryId, getActiveSecrets(webhook));
+  const startedAt = Date.now();
+  let response = null;
+  let responseBody = null;
+  let errorMessage = null;
+
+  try {
+    response = await fetch(delivery.url, {
+      method: 'POST',
+      headers,
+      body,
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT)
+    });
+    responseBody = (await response.text()).slice(0, MAX_RESPONSE_BODY);
+
+    if (!response.ok) {
+      errorMessage = `Webhook request failed: ${response.status} ${response.statusText}`;
+    }
+  } catch (error) {
+    errorMessage = error.message;
+  }
+
+  await updateWebhookDelivery(deliveryId, {
+    attempts: job.attemptsMade + 1,
+    request_headers: JSON.stringify(headers),
+    response_status: response ? response.status : null,
+    response_body: responseBody,
+    latency_ms: Date.now() - startedAt,
+    error_message: errorMessage,
+    ...(!errorMessage && { status: 'delivered', delivered_at: new Date().toISOString() })
+  });
+
+  if (!errorMessage) {
+    if (webhook.consecutive_failures > 0) {
+      await updateWebhook(webhook.id, { consecutive_failures: 0 });
+    }
+    return { status: response.status };
+  }
+
+  const failures = await recordWebhookFailure(webhook.id);
+  if (failures >= WEBHOOK_FAILURE_LIMIT) {
+    await updateWebhook(webhook.id, { is_active: 0, disabled_at: new Date().toISOString() });
+    logger.warn(`Webhook disabled after ${failures} consecutive failures: ${webhook.url}`, { webhookId: webhook.id });
+  }
+
+  // Throwing hands the retry to BullMQ's backoff
+  throw new Error(errorMessage);
+}